@@ -1,6 +1,7 @@
 // Node.js equivalent of ai/LocalAIApi.php
 // Provides the same high-level API:
-//   LocalAIApi.createResponse(payload, options?)
+//   LocalAIApi.createResponse(payload, options?)   // payload: { input, model?, tool?, provider? }
+//   LocalAIApi.streamResponse(payload, onToken, options?)
 //   LocalAIApi.create_response(payload, options?) // alias
 //   LocalAIApi.request(path?, payload?, options?)
 //   LocalAIApi.awaitResponse(aiRequestId, options?)
@@ -10,6 +11,7 @@
 
 const fetch = (...args) => import('node-fetch').then(({ default: f }) => f(...args));
 const config = require('./config');
+const AIProviders = require('./providers');
 
 class LocalAIApi {
   // 사용 가능한 모델 캐시
@@ -24,8 +26,8 @@ class LocalAIApi {
   static _quotaExceededModels = new Map();
 
   // ListModels API를 호출하여 사용 가능한 모델 확인
-  static async listAvailableModels(apiVersion = 'v1beta') {
-    const cfg = config;
+  static async listAvailableModels(apiVersion = 'v1beta', provider = null) {
+    const cfg = provider || config.providers.gemini;
     const apiKey = cfg.api_key;
     
     if (!apiKey) {
@@ -110,7 +112,7 @@ class LocalAIApi {
   }
 
   static async createResponse(params, options = {}) {
-    const payload = { ...params };
+    const { tool = options.tool, provider: providerName = options.provider, ...payload } = params || {};
 
     if (!Array.isArray(payload.input) || payload.input.length === 0) {
       return {
@@ -120,24 +122,38 @@ class LocalAIApi {
       };
     }
 
-    const cfg = config;
-    
-    // OpenAI API 사용
-    if (cfg.provider === 'openai') {
-      console.log('[LocalAIApi] OpenAI API 사용');
-      const model = payload.model || cfg.default_model || 'gpt-4o-mini';
-      console.log('[LocalAIApi] 요청 모델:', model);
-      
-      const result = await this.requestOpenAI(payload.input, model, options);
-      
-      if (result.success) {
-        this.recordSuccessfulModel(model);
+    // 도구 설정에 따라 provider/모델 선택 (ai/providers.js)
+    const target = AIProviders.resolve(tool, payload.model, providerName);
+    if (!target.success) {
+      console.error('[LocalAIApi] ❌', target.message);
+      return target;
+    }
+    console.log(`[LocalAIApi] provider: ${target.name} (${target.provider.type}), 모델: ${target.model}${tool ? `, 도구: ${tool}` : ''}`);
+
+    switch (target.provider.type) {
+      case 'openai': {
+        const result = await this.requestOpenAI(payload.input, target.model, options, target.provider);
+        if (result.success) {
+          this.recordSuccessfulModel(target.model);
+        }
+        return result;
       }
-      
-      return result;
+      case 'stub':
+        return this.requestStub(payload.input, target.model, tool, target.provider);
+      case 'gemini':
+        return this.createGeminiResponse(payload.input, target.model, options, target.provider);
+      default:
+        return {
+          success: false,
+          error: 'unsupported_provider',
+          message: `Unsupported AI provider type: ${target.provider.type}`,
+        };
     }
-    
-    // Gemini API 사용 (fallback)
+  }
+
+  // Gemini API - 사용 가능한 모델 확인 후 요청, 404/429 시 다른 모델로 대체
+  static async createGeminiResponse(input, requestedModel, options = {}, provider = null) {
+    const cfg = provider || config.providers.gemini;
     const apiVersion = 'v1beta';
     
     // 사용 가능한 모델 확인 (캐시 사용, 하지만 항상 최신 정보 확인)
@@ -146,7 +162,7 @@ class LocalAIApi {
     
     if (shouldRefreshCache) {
       console.log('[LocalAIApi] 사용 가능한 모델 목록 확인 중...');
-      const modelsResult = await this.listAvailableModels(apiVersion);
+      const modelsResult = await this.listAvailableModels(apiVersion, cfg);
       if (modelsResult.success && modelsResult.models && modelsResult.models.length > 0) {
         this._availableModels = modelsResult.models;
         this._modelsCacheTime = now;
@@ -192,7 +208,7 @@ class LocalAIApi {
     });
     
     // 첫 번째 시도 (Gemma 모델 우선, 없으면 우선순위 모델)
-    let model = payload.model || cfg.default_model;
+    let model = requestedModel || cfg.default_model;
     
     // 요청된 모델이 실제로 존재하는지 확인
     const modelExists = prioritizedModels.includes(model);
@@ -220,7 +236,7 @@ class LocalAIApi {
     }
     
     console.log('[LocalAIApi] 첫 번째 시도 모델:', model, '(API 버전:', apiVersion + ')');
-    let result = await this.requestGemini(payload.input, model, options, apiVersion);
+    let result = await this.requestGemini(input, model, options, apiVersion, cfg);
     
     // 성공한 경우 추적
     if (result.success) {
@@ -240,7 +256,7 @@ class LocalAIApi {
       // Gemma 모델 먼저 시도
       for (const fallbackModel of gemmaToTry) {
         console.log('[LocalAIApi] Gemma 모델 시도:', fallbackModel);
-        result = await this.requestGemini(payload.input, fallbackModel, options, apiVersion);
+        result = await this.requestGemini(input, fallbackModel, options, apiVersion, cfg);
         if (result.success) {
           console.log('[LocalAIApi] ✅ Gemma 모델 성공:', fallbackModel);
           this.recordSuccessfulModel(fallbackModel);
@@ -265,7 +281,7 @@ class LocalAIApi {
         }
         
         console.log('[LocalAIApi] 대체 모델 시도:', fallbackModel);
-        result = await this.requestGemini(payload.input, fallbackModel, options, apiVersion);
+        result = await this.requestGemini(input, fallbackModel, options, apiVersion, cfg);
         if (result.success) {
           console.log('[LocalAIApi] 대체 모델 성공:', fallbackModel);
           this.recordSuccessfulModel(fallbackModel);
@@ -286,6 +302,241 @@ class LocalAIApi {
     return result;
   }
 
+  /**
+   * 스트리밍 응답 - 텍스트 조각이 도착할 때마다 onToken(text) 호출
+   * Gemini(streamGenerateContent), OpenAI 호환(stream: true), stub 지원
+   * 스트림 시작 전에 실패하면 createResponse (모델 대체 포함) 결과를 한 번에 전달
+   * 반환: createResponse 와 같은 형식, 중간에 끊기면 { success: false, partialText }
+   * options.signal: 클라이언트 연결이 끊기면 요청 중단
+   */
+  static async streamResponse(params, onToken, options = {}) {
+    const { tool = options.tool, provider: providerName = options.provider, ...payload } = params || {};
+
+    if (!Array.isArray(payload.input) || payload.input.length === 0) {
+      return {
+        success: false,
+        error: 'input_missing',
+        message: 'Parameter "input" is required and must be an array.',
+      };
+    }
+
+    const target = AIProviders.resolve(tool, payload.model, providerName);
+    if (!target.success) {
+      console.error('[LocalAIApi] ❌', target.message);
+      return target;
+    }
+    console.log(`[LocalAIApi] 스트리밍 provider: ${target.name} (${target.provider.type}), 모델: ${target.model}${tool ? `, 도구: ${tool}` : ''}`);
+
+    let result;
+    switch (target.provider.type) {
+      case 'openai':
+        result = await this.streamOpenAI(payload.input, target.model, onToken, options, target.provider);
+        break;
+      case 'gemini':
+        result = await this.streamGemini(payload.input, target.model, onToken, options, target.provider);
+        break;
+      case 'stub':
+        result = this.requestStub(payload.input, target.model, tool, target.provider);
+        // 공백 단위로 나누어 전달 (스트리밍 화면 테스트용)
+        this.extractText(result).split(/(\s+)/).filter(Boolean).forEach(part => onToken(part));
+        return { ...result, streamed: true };
+      default:
+        result = null;
+    }
+
+    if (result && result.success) {
+      this.recordSuccessfulModel(target.model);
+      return result;
+    }
+    if ((result && result.partialText) || (options.signal && options.signal.aborted)) {
+      return result;
+    }
+
+    // 스트리밍 실패 - 일반 요청으로 재시도 후 전체 텍스트 전달
+    if (result) {
+      console.warn('[LocalAIApi] 스트리밍 실패, 일반 요청으로 재시도:', result.error, result.message || '');
+    }
+    const resp = await this.createResponse(params, options);
+    if (resp && resp.success) {
+      const text = this.extractText(resp);
+      if (text) onToken(text);
+    }
+    return resp;
+  }
+
+  // OpenAI 호환 스트리밍 (/chat/completions, stream: true)
+  static async streamOpenAI(messages, model, onToken, options = {}, provider = null) {
+    const cfg = provider || config.providers.openai;
+    if (!cfg.api_key && cfg.api_key_required !== false) {
+      return {
+        success: false,
+        error: 'api_key_missing',
+        message: 'OPENAI_API_KEY is not defined; aborting AI request.',
+      };
+    }
+
+    const url = String(cfg.base_url).replace(/\/+$/, '') + '/chat/completions';
+    const headers = [['Content-Type', 'application/json']];
+    if (cfg.api_key) {
+      headers.push(['Authorization', `Bearer ${cfg.api_key}`]);
+    }
+    const body = JSON.stringify({
+      model,
+      messages: messages.map(msg => ({ role: msg.role, content: String(msg.content || '') })),
+      stream: true,
+    });
+
+    let text = '';
+    const result = await this.readEventStream(url, body, headers, this.getTimeout(cfg, options), (data) => {
+      if (data === '[DONE]') return;
+      const chunk = JSON.parse(data);
+      const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta && chunk.choices[0].delta.content;
+      if (delta) {
+        text += delta;
+        onToken(delta);
+      }
+    }, options.signal);
+
+    return this.finishStream(result, text, model);
+  }
+
+  // Gemini 스트리밍 (streamGenerateContent, SSE)
+  static async streamGemini(messages, model, onToken, options = {}, provider = null) {
+    const cfg = provider || config.providers.gemini;
+    if (!cfg.api_key) {
+      return {
+        success: false,
+        error: 'api_key_missing',
+        message: 'GEMINI_API_KEY is not defined; aborting AI request.',
+      };
+    }
+
+    const contents = this.buildGeminiContents(messages);
+    if (contents.length === 0) {
+      return {
+        success: false,
+        error: 'invalid_input',
+        message: 'No valid messages found after processing.',
+      };
+    }
+
+    const version = cfg.api_version || 'v1beta';
+    const url = `${cfg.base_url}/${version}/models/${model}:streamGenerateContent?alt=sse&key=${encodeURIComponent(cfg.api_key)}`;
+    const headers = [['Content-Type', 'application/json']];
+
+    let text = '';
+    const result = await this.readEventStream(url, JSON.stringify({ contents }), headers, this.getTimeout(cfg, options), (data) => {
+      const chunk = JSON.parse(data);
+      const parts = (chunk.candidates && chunk.candidates[0] && chunk.candidates[0].content && chunk.candidates[0].content.parts) || [];
+      const delta = parts.map(part => part.text || '').join('');
+      if (delta) {
+        text += delta;
+        onToken(delta);
+      }
+    }, options.signal);
+
+    return this.finishStream(result, text, model);
+  }
+
+  // 스트림 결과를 createResponse 형식으로 변환
+  static finishStream(result, text, model) {
+    if (!result.success) {
+      return { ...result, partialText: text || null };
+    }
+    return {
+      success: true,
+      status: result.status,
+      streamed: true,
+      data: {
+        model,
+        choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }],
+      },
+    };
+  }
+
+  static getTimeout(cfg, options = {}) {
+    const baseTimeout = cfg.timeout != null ? Number(cfg.timeout) : 30;
+    const timeoutSec = options.timeout != null ? Number(options.timeout) : baseTimeout;
+    return timeoutSec > 0 ? timeoutSec : 30;
+  }
+
+  /**
+   * SSE 응답 읽기 - "data:" 줄마다 onData(문자열) 호출
+   * timeoutSec 은 다음 데이터가 올 때까지의 대기 시간 (데이터가 오면 다시 시작)
+   */
+  static async readEventStream(url, body, headers, timeoutSec, onData, signal = null) {
+    const controller = new AbortController();
+    let timedOut = false;
+    let timeoutId = null;
+    const resetTimeout = () => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeoutSec * 1000);
+    };
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onAbort);
+
+    const headerObj = {};
+    for (const [name, value] of headers) {
+      if (name) headerObj[name] = value;
+    }
+
+    try {
+      resetTimeout();
+      const res = await fetch(url, { method: 'POST', headers: headerObj, body, signal: controller.signal });
+
+      if (res.status < 200 || res.status >= 300) {
+        const text = await res.text();
+        let decoded = null;
+        try {
+          decoded = JSON.parse(text);
+        } catch {
+          decoded = null;
+        }
+        const error = decoded && decoded.error;
+        const errorMessage = (error && typeof error === 'object' ? error.message : error) || (decoded && decoded.message) || text || 'AI API request failed';
+        console.error('[LocalAIApi] 스트리밍 API 오류:', res.status, String(errorMessage).substring(0, 300));
+        return { success: false, status: res.status, error: errorMessage, response: decoded ?? text };
+      }
+
+      const decoder = new TextDecoder('utf-8');
+      let buffer = '';
+      const flushLine = (line) => {
+        if (!line.startsWith('data:')) return;
+        const data = line.slice(5).trim();
+        if (data) onData(data);
+      };
+
+      for await (const chunk of res.body) {
+        resetTimeout();
+        buffer += decoder.decode(chunk, { stream: true });
+        let index;
+        while ((index = buffer.indexOf('\n')) >= 0) {
+          flushLine(buffer.slice(0, index).replace(/\r$/, ''));
+          buffer = buffer.slice(index + 1);
+        }
+      }
+      flushLine((buffer + decoder.decode()).trim());
+
+      return { success: true, status: res.status };
+    } catch (e) {
+      let message = (e && e.message) || 'Unknown fetch error';
+      if (e && e.name === 'AbortError') {
+        message = timedOut ? 'Request timed out' : 'Request cancelled';
+      }
+      return {
+        success: false,
+        error: e instanceof SyntaxError ? 'invalid_stream_data' : 'fetch_error',
+        message,
+      };
+    } finally {
+      clearTimeout(timeoutId);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+
   static async create_response(params, options = {}) {
     return this.createResponse(params, options);
   }
@@ -400,8 +651,8 @@ class LocalAIApi {
     return prioritized;
   }
 
-  static async requestGemini(messages, model, options = {}, apiVersion = null) {
-    const cfg = config;
+  static async requestGemini(messages, model, options = {}, apiVersion = null, provider = null) {
+    const cfg = provider || config.providers.gemini;
     const apiKey = cfg.api_key;
 
     if (!apiKey) {
@@ -417,22 +668,7 @@ class LocalAIApi {
     console.log('[LocalAIApi] 요청 모델:', model);
     console.log('[LocalAIApi] API 버전:', apiVersion || cfg.api_version || 'v1');
 
-    // Gemini API 형식으로 변환
-    const contents = [];
-    let systemInstruction = null;
-    
-    for (const msg of messages) {
-      if (msg.role === 'system') {
-        // Gemini v1 API는 systemInstruction 필드를 지원하지 않으므로 저장해두고 첫 user 메시지에 포함
-        systemInstruction = msg.content;
-        continue;
-      }
-      const role = msg.role === 'assistant' ? 'model' : 'user';
-      contents.push({
-        role: role,
-        parts: [{ text: String(msg.content || '') }]
-      });
-    }
+    const contents = this.buildGeminiContents(messages);
 
     // contents가 비어있으면 에러
     if (contents.length === 0) {
@@ -443,12 +679,6 @@ class LocalAIApi {
       };
     }
 
-    // System instruction이 있으면 첫 번째 user 메시지에 포함
-    // Gemini v1 API는 systemInstruction 필드를 지원하지 않음
-    if (systemInstruction && contents.length > 0 && contents[0].role === 'user') {
-      contents[0].parts[0].text = String(systemInstruction) + '\n\n' + contents[0].parts[0].text;
-    }
-
     // Gemini API 엔드포인트: apiVersion 파라미터가 있으면 사용, 없으면 config에서 가져옴
     const version = apiVersion || cfg.api_version || 'v1beta';
     const url = `${cfg.base_url}/${version}/models/${model}:generateContent?key=${encodeURIComponent(apiKey)}`;
@@ -483,14 +713,41 @@ class LocalAIApi {
       contentsCount: contents.length
     });
 
-    return this.sendFetch(url, 'POST', body, headers, timeoutSec, true);
+    return this.sendFetch(url, 'POST', body, headers, timeoutSec, true, options.signal);
   }
 
-  static async requestOpenAI(messages, model, options = {}) {
-    const cfg = config;
+  // Gemini API 형식으로 변환 (system 메시지는 첫 user 메시지에 포함)
+  static buildGeminiContents(messages) {
+    const contents = [];
+    let systemInstruction = null;
+    
+    for (const msg of messages) {
+      if (msg.role === 'system') {
+        // Gemini v1 API는 systemInstruction 필드를 지원하지 않으므로 저장해두고 첫 user 메시지에 포함
+        systemInstruction = msg.content;
+        continue;
+      }
+      const role = msg.role === 'assistant' ? 'model' : 'user';
+      contents.push({
+        role: role,
+        parts: [{ text: String(msg.content || '') }]
+      });
+    }
+
+    // System instruction이 있으면 첫 번째 user 메시지에 포함
+    // Gemini v1 API는 systemInstruction 필드를 지원하지 않음
+    if (systemInstruction && contents.length > 0 && contents[0].role === 'user') {
+      contents[0].parts[0].text = String(systemInstruction) + '\n\n' + contents[0].parts[0].text;
+    }
+    return contents;
+  }
+
+  // OpenAI 및 OpenAI 호환 서버 (/chat/completions)
+  static async requestOpenAI(messages, model, options = {}, provider = null) {
+    const cfg = provider || config.providers.openai;
     const apiKey = cfg.api_key;
 
-    if (!apiKey) {
+    if (!apiKey && cfg.api_key_required !== false) {
       return {
         success: false,
         error: 'api_key_missing',
@@ -498,19 +755,21 @@ class LocalAIApi {
       };
     }
 
-    const url = cfg.base_url + cfg.api_endpoint;
+    const url = String(cfg.base_url).replace(/\/+$/, '') + '/chat/completions';
     const baseTimeout = cfg.timeout != null ? Number(cfg.timeout) : 30;
     let timeoutSec = options.timeout != null ? Number(options.timeout) : baseTimeout;
     if (!timeoutSec || timeoutSec <= 0) timeoutSec = 30;
 
     const headers = [
       ['Content-Type', 'application/json'],
-      ['Authorization', `Bearer ${apiKey}`],
     ];
+    if (apiKey) {
+      headers.push(['Authorization', `Bearer ${apiKey}`]);
+    }
 
     const requestBody = {
       model: model,
-      messages: messages,
+      messages: messages.map(msg => ({ role: msg.role, content: String(msg.content || '') })),
     };
 
     let body;
@@ -524,15 +783,46 @@ class LocalAIApi {
       };
     }
 
-    return this.sendFetch(url, 'POST', body, headers, timeoutSec, true);
+    return this.sendFetch(url, 'POST', body, headers, timeoutSec, cfg.verify_tls !== false, options.signal);
+  }
+
+  // 오프라인 stub - 네트워크 없이 같은 입력에 항상 같은 응답 (OpenAI 응답 형식)
+  // AI_STUB_RESPONSES_FILE: { "<tool>": "응답", "default": "응답" } 형식의 JSON
+  static requestStub(messages, model, tool = null, provider = null) {
+    const cfg = provider || config.providers.stub || {};
+    let content = null;
+
+    if (cfg.responses_file) {
+      try {
+        const responses = JSON.parse(require('fs').readFileSync(cfg.responses_file, 'utf8'));
+        content = responses[tool] ?? responses.default ?? null;
+      } catch (error) {
+        console.error('[LocalAIApi] stub 응답 파일 읽기 실패:', error.message);
+      }
+    }
+
+    if (content == null) {
+      const lastUser = [...messages].reverse().find(msg => msg.role === 'user');
+      const digest = require('crypto').createHash('sha1').update(JSON.stringify(messages)).digest('hex').substring(0, 8);
+      content = `[stub ${tool || 'default'} ${digest}] ${String(lastUser ? lastUser.content : '').substring(0, 200)}`;
+    }
+
+    return {
+      success: true,
+      status: 200,
+      data: {
+        model,
+        choices: [{ index: 0, message: { role: 'assistant', content: String(content) }, finish_reason: 'stop' }],
+      },
+    };
   }
 
   // Legacy method - Gemini만 사용
   static async request(path, payload = {}, options = {}) {
     if (Array.isArray(payload.input)) {
-      const cfg = config;
+      const cfg = config.providers.gemini;
       const model = payload.model || cfg.default_model || 'gemini-2.5-flash';
-      return this.requestGemini(payload.input, model, options);
+      return this.requestGemini(payload.input, model, options, null, cfg);
     }
     return {
       success: false,
@@ -718,9 +1008,19 @@ class LocalAIApi {
     return `${trimmed}/${encodeURIComponent(String(aiRequestId))}/status`;
   }
 
-  static async sendFetch(url, method, body, headers, timeoutSec, verifyTls) {
+  // signal: 작업 취소 시 요청 중단
+  static async sendFetch(url, method, body, headers, timeoutSec, verifyTls, signal = null) {
     const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeoutSec * 1000);
+    let timedOut = false;
+    const timeoutId = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutSec * 1000);
+    const onAbort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) controller.abort();
+      signal.addEventListener('abort', onAbort);
+    }
 
     const headerObj = {};
     for (const [name, value] of headers) {
@@ -832,13 +1132,15 @@ class LocalAIApi {
     } catch (e) {
       clearTimeout(timeoutId);
       const msg = e && e.name === 'AbortError'
-        ? 'Request timed out'
+        ? (timedOut ? 'Request timed out' : 'Request cancelled')
         : (e && e.message) || 'Unknown fetch error';
       return {
         success: false,
         error: 'fetch_error',
         message: msg,
       };
+    } finally {
+      if (signal) signal.removeEventListener('abort', onAbort);
     }
   }
 }
@@ -1,8 +1,9 @@
-// AI API configuration (OpenAI or Gemini)
-// - Reads OPENAI_API_KEY or GEMINI_API_KEY from environment
-// - Uses dotenv to load from .env file at project root if not in environment
-// - Exports a plain config object
-// - Gemini API takes priority if both keys are present
+// AI API configuration (provider registry settings)
+// - Reads provider settings from environment (.env loaded via dotenv)
+// - providers: gemini, openai (OpenAI-compatible), local (Ollama / llama.cpp server), stub (offline, deterministic)
+// - tools: per-tool provider/model selection (AI_PROVIDER_<TOOL>, AI_MODEL_<TOOL>)
+// - Top-level fields (api_key, base_url, default_model, ...) mirror the default provider for older callers
+// - Does not throw when no API key is set; requests to an unconfigured provider fail with api_key_missing
 
 const path = require('path');
 const fs = require('fs');
@@ -25,38 +26,112 @@ if (!process.env.OPENAI_API_KEY && !process.env.GEMINI_API_KEY) {
   require('dotenv').config();
 }
 
+// AI를 호출하는 도구 (AI_PROVIDER_<TOOL> / AI_MODEL_<TOOL> 환경 변수 이름은 대문자, '-' -> '_')
+const TOOLS = ['simulation', 'script', 'video', 'ai-video', 'editor'];
+
 let cachedConfig = null;
 
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function getProviders() {
+  const timeout = envNumber('AI_TIMEOUT', 30);
+
+  return {
+    gemini: {
+      type: 'gemini',
+      api_key: process.env.GEMINI_API_KEY || null,
+      base_url: 'https://generativelanguage.googleapis.com',
+      api_endpoint: '/v1beta/models/gemma-3-1b-it:generateContent',
+      default_model: process.env.GEMINI_MODEL || 'gemma-3-1b-it', // Gemma 모델 사용
+      api_version: 'v1beta',
+      timeout,
+      verify_tls: true,
+    },
+    // OpenAI 또는 OpenAI 호환 API (OPENAI_BASE_URL 로 다른 서버 지정 가능)
+    openai: {
+      type: 'openai',
+      api_key: process.env.OPENAI_API_KEY || null,
+      api_key_required: !process.env.OPENAI_BASE_URL,
+      base_url: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      default_model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+      timeout,
+      verify_tls: true,
+    },
+    // 로컬 OpenAI 호환 서버 (Ollama 기본값, llama.cpp server 는 http://localhost:8080/v1)
+    local: {
+      type: 'openai',
+      api_key: process.env.LOCAL_AI_API_KEY || null,
+      api_key_required: false,
+      base_url: process.env.LOCAL_AI_BASE_URL || 'http://localhost:11434/v1',
+      default_model: process.env.LOCAL_AI_MODEL || 'llama3.1',
+      timeout: envNumber('LOCAL_AI_TIMEOUT', 120),
+      verify_tls: true,
+    },
+    // 테스트용 오프라인 응답 (네트워크 호출 없음, 같은 입력이면 같은 출력)
+    stub: {
+      type: 'stub',
+      default_model: 'stub',
+      responses_file: process.env.AI_STUB_RESPONSES_FILE || null,
+    },
+  };
+}
+
+function getDefaultProviderName(providers) {
+  const requested = process.env.AI_PROVIDER;
+  if (requested) {
+    if (!providers[requested]) {
+      console.error(`[Config] ❌ 알 수 없는 AI_PROVIDER: ${requested} (사용 가능: ${Object.keys(providers).join(', ')})`);
+    } else {
+      return requested;
+    }
+  }
+  // Gemini API takes priority if both keys are present
+  if (providers.gemini.api_key) return 'gemini';
+  if (providers.openai.api_key || process.env.OPENAI_BASE_URL) return 'openai';
+  return 'gemini';
+}
+
+function getToolSettings(defaultProvider) {
+  const tools = {};
+  for (const tool of TOOLS) {
+    const envName = tool.toUpperCase().replace(/-/g, '_');
+    tools[tool] = {
+      provider: process.env[`AI_PROVIDER_${envName}`] || defaultProvider,
+      model: process.env[`AI_MODEL_${envName}`] || null,
+    };
+  }
+  return tools;
+}
+
 function getConfig() {
   if (cachedConfig) return cachedConfig;
 
-  // Gemini API 사용 (Gemma 모델 사용)
-  const geminiApiKey = process.env.GEMINI_API_KEY || null;
-  
-  console.log('[Config] GEMINI_API_KEY 확인:', geminiApiKey ? (geminiApiKey.substring(0, 10) + '...') : '없음');
-  
-  if (!geminiApiKey) {
-    console.error('[Config] ❌ GEMINI_API_KEY가 설정되지 않았습니다!');
-    throw new Error('GEMINI_API_KEY가 설정되지 않았습니다. .env 파일에 GEMINI_API_KEY를 추가해주세요.');
+  const providers = getProviders();
+  const provider = getDefaultProviderName(providers);
+  const tools = getToolSettings(provider);
+
+  console.log('[Config] GEMINI_API_KEY 확인:', providers.gemini.api_key ? (providers.gemini.api_key.substring(0, 10) + '...') : '없음');
+  console.log('[Config] 기본 AI provider:', provider);
+  for (const [tool, settings] of Object.entries(tools)) {
+    if (settings.provider !== provider || settings.model) {
+      console.log(`[Config] ${tool}: ${settings.provider}${settings.model ? ` (${settings.model})` : ''}`);
+    }
+  }
+  if (providers[provider].type !== 'stub' && providers[provider].api_key_required !== false && !providers[provider].api_key) {
+    console.warn(`[Config] ⚠️ ${provider} API 키가 설정되지 않았습니다. AI 요청은 실패합니다 (.env 확인)`);
   }
-  
-  // Gemini API 사용 (Gemma 모델 포함)
-  console.log('[Config] ✅ Gemini API 사용 (Gemma 모델 포함)');
+
   cachedConfig = {
-    api_key: geminiApiKey,
-    provider: 'gemini',
-    base_url: 'https://generativelanguage.googleapis.com',
-    api_endpoint: '/v1beta/models/gemma-3-1b-it:generateContent',
-    default_model: 'gemma-3-1b-it', // Gemma 모델 사용
-    api_version: 'v1beta',
-    timeout: 30,
-    verify_tls: true,
+    ...providers[provider],
+    provider,
+    providers,
+    tools,
   };
 
   return cachedConfig;
 }
 
 module.exports = getConfig();
-
-
-
@@ -0,0 +1,86 @@
+// AI Provider Registry - 도구별 LLM provider/모델 선택
+// provider 설정은 ai/config.js (환경 변수), 요청 처리는 LocalAIApi 의 provider 타입별 핸들러
+//   gemini: Google Gemini API (모델 자동 선택/대체 포함)
+//   openai: OpenAI 및 OpenAI 호환 /chat/completions (Ollama, llama.cpp server 등)
+//   stub:   오프라인 테스트용 고정 응답
+
+const config = require('./config');
+
+class AIProviderRegistry {
+  constructor() {
+    this.providers = new Map(Object.entries(config.providers || {}));
+    this.tools = { ...(config.tools || {}) };
+    this.defaultProvider = config.provider;
+  }
+
+  /**
+   * provider 추가/교체 (예: 두 번째 로컬 서버)
+   * settings: { type: 'gemini' | 'openai' | 'stub', base_url, api_key, default_model, timeout }
+   */
+  register(name, settings) {
+    if (!name || !settings || !settings.type) {
+      throw new Error('Provider name and type are required');
+    }
+    this.providers.set(name, { ...settings });
+    return this.providers.get(name);
+  }
+
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  /**
+   * 도구의 provider/모델 변경 (런타임)
+   */
+  setToolProvider(tool, provider, model = null) {
+    if (!this.providers.has(provider)) {
+      throw new Error(`Unknown AI provider: ${provider}`);
+    }
+    this.tools[tool] = { provider, model };
+  }
+
+  /**
+   * 요청에 사용할 provider 결정
+   * 우선순위: 요청의 provider > 도구 설정 > 기본 provider / 모델은 요청 > 도구 설정 > provider 기본 모델
+   * 반환: { success: true, name, provider, model } 또는 { success: false, error }
+   */
+  resolve(tool = null, model = null, providerName = null) {
+    const toolSettings = (tool && this.tools[tool]) || {};
+    const name = providerName || toolSettings.provider || this.defaultProvider;
+    const provider = this.providers.get(name);
+
+    if (!provider) {
+      return {
+        success: false,
+        error: 'unknown_provider',
+        message: `Unknown AI provider "${name}"${tool ? ` for tool "${tool}"` : ''}. Available: ${[...this.providers.keys()].join(', ')}`,
+      };
+    }
+
+    return {
+      success: true,
+      name,
+      provider,
+      model: model || toolSettings.model || provider.default_model,
+    };
+  }
+
+  /**
+   * provider 목록 (API 키 제외)
+   */
+  list() {
+    return [...this.providers.entries()].map(([name, settings]) => ({
+      name,
+      type: settings.type,
+      baseUrl: settings.base_url || null,
+      defaultModel: settings.default_model || null,
+      configured: settings.type === 'stub' || settings.api_key_required === false || !!settings.api_key,
+    }));
+  }
+
+  getToolSettings() {
+    return Object.fromEntries(Object.entries(this.tools).map(([tool, settings]) => [tool, { ...settings }]));
+  }
+}
+
+module.exports = new AIProviderRegistry();
@@ -0,0 +1,159 @@
+// Artifact Registry - outputs/ 아래 생성 파일의 출처(사용자, 대화, 작업) 기록
+// 테이블: artifacts (scripts/setup-database.js 에서 생성)
+// 생성 API는 "가장 최근 파일" 대신 아티팩트 ID로 입력 파일을 지정
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { db } = require('./config');
+
+const OUTPUTS_ROOT = path.join(__dirname, '..', 'outputs');
+
+// outputs/ 하위 디렉토리 -> 아티팩트 종류
+const KIND_BY_DIR = {
+  scripts: 'script',
+  simulations: 'simulation',
+  audio: 'audio',
+  videos: 'video',
+  'ai-videos': 'ai-video',
+};
+
+class ArtifactRegistry {
+  /**
+   * /outputs/... URL 정규화 (outputs/ 밖을 가리키면 null)
+   */
+  normalizeUrl(url) {
+    if (!url || typeof url !== 'string') return null;
+    const relative = url.replace(/\\/g, '/').replace(/^\/?outputs\//, '');
+    const filePath = path.resolve(OUTPUTS_ROOT, relative);
+    if (!filePath.startsWith(OUTPUTS_ROOT + path.sep)) return null;
+    return '/outputs/' + path.relative(OUTPUTS_ROOT, filePath).split(path.sep).join('/');
+  }
+
+  toFilePath(url) {
+    const normalized = this.normalizeUrl(url);
+    return normalized ? path.join(OUTPUTS_ROOT, normalized.replace(/^\/outputs\//, '')) : null;
+  }
+
+  kindFromUrl(url) {
+    const normalized = this.normalizeUrl(url);
+    if (!normalized) return null;
+    const dir = normalized.split('/')[2];
+    return KIND_BY_DIR[dir] || 'file';
+  }
+
+  /**
+   * 아티팩트 등록, 아티팩트 ID 반환 (이미 등록된 URL이면 기존 ID)
+   * 비로그인 사용자는 세션의 guestId 로 소유자 기록 (로그인 사용자면 guestId 는 저장하지 않음)
+   */
+  async register({ url, kind, userId = null, guestId = null, conversationId = null, jobId = null }) {
+    const normalized = this.normalizeUrl(url);
+    if (!normalized) {
+      throw new Error(`Invalid artifact url: ${url}`);
+    }
+
+    const pool = db();
+    const id = crypto.randomBytes(16).toString('hex');
+    await pool.query(
+      `INSERT INTO artifacts (id, kind, url, user_id, guest_id, conversation_id, job_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE id = id`,
+      [id, kind || this.kindFromUrl(normalized), normalized, userId, userId ? null : guestId, conversationId, jobId]
+    );
+    const [rows] = await pool.query('SELECT id FROM artifacts WHERE url = ?', [normalized]);
+    return rows[0] ? rows[0].id : id;
+  }
+
+  /**
+   * 작업 결과에 포함된 파일들을 등록하고 result.artifacts 에 { id, kind, url } 목록 추가
+   * 등록 실패는 로그만 남기고 작업 결과는 그대로 반환
+   */
+  async registerResult(result, owner = {}, jobId = null) {
+    if (!result || result.success === false) return result;
+
+    const urls = new Set();
+    [result.url, result.jsonUrl, result.txtUrl].forEach(u => u && urls.add(u));
+    (result.timeline || []).forEach(item => item.audioUrl && urls.add(item.audioUrl));
+    (result.segments || []).forEach(item => item.url && urls.add(item.url));
+
+    const artifacts = [];
+    for (const url of urls) {
+      const normalized = this.normalizeUrl(url);
+      if (!normalized || !fs.existsSync(this.toFilePath(normalized))) continue;
+      try {
+        const id = await this.register({
+          url: normalized,
+          userId: owner.userId || null,
+          guestId: owner.guestId || null,
+          conversationId: owner.conversationId || null,
+          jobId,
+        });
+        artifacts.push({ id, kind: this.kindFromUrl(normalized), url: normalized });
+      } catch (error) {
+        console.error('[ArtifactRegistry] 아티팩트 등록 실패:', normalized, error.message);
+      }
+    }
+
+    if (artifacts.length > 0) {
+      result.artifacts = artifacts;
+    }
+    return result;
+  }
+
+  async getArtifact(artifactId) {
+    if (!artifactId) return null;
+    const [rows] = await db().query(
+      'SELECT id, kind, url, user_id, guest_id, conversation_id, job_id, created_at FROM artifacts WHERE id = ?',
+      [artifactId]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * 요청한 사용자의 아티팩트인지 - owner: { userId, guestId }
+   * 로그인 사용자의 아티팩트는 같은 userId, 비로그인 사용자의 아티팩트는 같은 세션(guestId)만
+   * 소유자 기록이 없는 아티팩트는 아무도 사용할 수 없음
+   */
+  isOwnedBy(artifact, { userId = null, guestId = null } = {}) {
+    if (!artifact) return false;
+    if (artifact.user_id != null) {
+      return !!userId && artifact.user_id === userId;
+    }
+    return !!guestId && artifact.guest_id === guestId;
+  }
+
+  /**
+   * 생성 입력으로 쓸 아티팩트 조회 - 종류, 소유자, 파일 존재 여부 확인
+   * 다른 사용자의 아티팩트는 없는 것과 같은 오류
+   */
+  async resolve(artifactId, { kind, userId = null, guestId = null } = {}) {
+    const artifact = await this.getArtifact(artifactId);
+    if (!this.isOwnedBy(artifact, { userId, guestId })) {
+      return { success: false, error: `Artifact not found: ${artifactId}` };
+    }
+    if (kind && artifact.kind !== kind) {
+      return { success: false, error: `Artifact ${artifactId} is a ${artifact.kind}, expected ${kind}` };
+    }
+
+    const filePath = this.toFilePath(artifact.url);
+    if (!filePath || !fs.existsSync(filePath)) {
+      return { success: false, error: `Artifact file no longer exists: ${artifact.url}` };
+    }
+    return { success: true, artifact, filePath };
+  }
+
+  /**
+   * URL 목록에 해당하는 아티팩트 (url -> artifact)
+   */
+  async findByUrls(urls) {
+    const normalized = urls.map(u => this.normalizeUrl(u)).filter(Boolean);
+    if (normalized.length === 0) return new Map();
+    const [rows] = await db().query(
+      'SELECT id, kind, url, user_id, guest_id, conversation_id, job_id, created_at FROM artifacts WHERE url IN (?)',
+      [normalized]
+    );
+    return new Map(rows.map(r => [r.url, r]));
+  }
+}
+
+module.exports = new ArtifactRegistry();
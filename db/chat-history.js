@@ -0,0 +1,115 @@
+// Chat History Store - AI 도구별 대화 기록을 MySQL에 저장
+// 테이블: chat_conversations, chat_messages (scripts/setup-database.js 에서 생성)
+
+const crypto = require('crypto');
+const { db } = require('./config');
+
+const TOOLS = ['simulation', 'script', 'video', 'ai-video'];
+const TITLE_MAX_LENGTH = 80;
+
+class ChatHistoryStore {
+  assertTool(tool) {
+    if (!TOOLS.includes(tool)) {
+      throw new Error(`Unknown chat tool: ${tool}`);
+    }
+  }
+
+  /**
+   * 새 대화 생성, 대화 ID 반환
+   * 비로그인 사용자의 대화는 user_id 없이 저장되고 쿠키의 대화 ID로만 접근 가능
+   */
+  async createConversation(tool, userId = null) {
+    this.assertTool(tool);
+    const id = crypto.randomBytes(16).toString('hex');
+    await db().query(
+      'INSERT INTO chat_conversations (id, user_id, tool) VALUES (?, ?, ?)',
+      [id, userId, tool]
+    );
+    return id;
+  }
+
+  async getConversation(conversationId) {
+    if (!conversationId) return null;
+    const [rows] = await db().query(
+      'SELECT id, user_id, tool, title, created_at, updated_at FROM chat_conversations WHERE id = ?',
+      [conversationId]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * 대화 메시지 목록 ({ role, content } 형식, 오래된 순)
+   */
+  async getMessages(conversationId) {
+    const [rows] = await db().query(
+      'SELECT role, content FROM chat_messages WHERE conversation_id = ? ORDER BY id ASC',
+      [conversationId]
+    );
+    return rows.map(r => ({ role: r.role, content: r.content }));
+  }
+
+  /**
+   * 메시지 추가 - 제목이 없으면 첫 사용자 메시지로 제목 설정
+   */
+  async appendMessage(conversationId, role, content) {
+    const pool = db();
+    await pool.query(
+      'INSERT INTO chat_messages (conversation_id, role, content) VALUES (?, ?, ?)',
+      [conversationId, role, String(content)]
+    );
+    if (role === 'user') {
+      await pool.query(
+        'UPDATE chat_conversations SET title = COALESCE(title, ?), updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [this.makeTitle(content), conversationId]
+      );
+    } else {
+      await pool.query(
+        'UPDATE chat_conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [conversationId]
+      );
+    }
+  }
+
+  /**
+   * 사용자의 도구별 대화 목록 (최근 대화순)
+   */
+  async listConversations(userId, tool, limit = 20) {
+    this.assertTool(tool);
+    const [rows] = await db().query(
+      `SELECT c.id, c.title, c.created_at, c.updated_at, COUNT(m.id) AS message_count
+       FROM chat_conversations c
+       LEFT JOIN chat_messages m ON m.conversation_id = c.id
+       WHERE c.user_id = ? AND c.tool = ?
+       GROUP BY c.id
+       ORDER BY c.updated_at DESC
+       LIMIT ?`,
+      [userId, tool, limit]
+    );
+    return rows;
+  }
+
+  /**
+   * 로그인 전에 시작한 대화를 사용자 계정에 연결
+   */
+  async claimConversation(conversationId, userId) {
+    await db().query(
+      'UPDATE chat_conversations SET user_id = ? WHERE id = ? AND user_id IS NULL',
+      [userId, conversationId]
+    );
+  }
+
+  /**
+   * 대화 접근 권한 - 소유자가 있는 대화는 해당 사용자만 접근 가능
+   */
+  canAccess(conversation, userId) {
+    if (!conversation) return false;
+    return conversation.user_id == null || conversation.user_id === userId;
+  }
+
+  makeTitle(text) {
+    const title = String(text).replace(/\s+/g, ' ').trim();
+    return title.length > TITLE_MAX_LENGTH ? title.substring(0, TITLE_MAX_LENGTH - 3) + '...' : title;
+  }
+}
+
+module.exports = new ChatHistoryStore();
@@ -1,150 +1,48 @@
-const express = require('express');
-const { spawn } = require('child_process');
-const fs = require('fs');
-const path = require('path');
-
 // Load environment variables
 require('dotenv').config();
 
-const app = express();
-app.use(express.json());
-
-const PORT = process.env.MANIM_MCP_PORT || 8004;
-const OUTPUT_DIR = process.env.SIMULATION_OUTPUT_DIR || path.join(__dirname, '..', 'outputs', 'simulations');
-const TEMP_DIR = path.join(__dirname, 'temp');
-
-// Ensure directories exist
-[OUTPUT_DIR, TEMP_DIR].forEach(dir => {
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-  }
-});
+const fs = require('fs');
+const path = require('path');
+const { ExecutionServer } = require('../mcp/execution-server');
+const { buildRenderEnv } = require('../mcp/server');
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    service: 'manim-mcp',
-    port: PORT
-  });
-});
+const QUALITY_FLAGS = { low: '-ql', medium: '-qm', high: '-qh' };
 
-// Execute Manim code
-app.post('/execute', async (req, res) => {
-  const { code, options = {} } = req.body;
-  
-  if (!code) {
-    return res.status(400).json({
-      success: false,
-      error: 'Code is required'
-    });
-  }
-  
-  try {
-    const timestamp = Date.now();
-    const codeFile = path.join(TEMP_DIR, `manim_${timestamp}.py`);
-    const outputFile = path.join(OUTPUT_DIR, `simulation_${timestamp}.mp4`);
-    
-    // Write code to file
-    fs.writeFileSync(codeFile, code);
-    
-    // Execute Manim (manim command)
-    const manimProcess = spawn('manim', ['-ql', codeFile], {
-      env: { ...process.env, OUTPUT_PATH: outputFile },
-      cwd: path.dirname(codeFile)
-    });
-    
-    let stdout = '';
-    let stderr = '';
-    
-    manimProcess.stdout.on('data', (data) => {
-      stdout += data.toString();
-      console.log('[Manim MCP] stdout:', data.toString().trim());
-    });
-    
-    manimProcess.stderr.on('data', (data) => {
-      stderr += data.toString();
-      console.error('[Manim MCP] stderr:', data.toString().trim());
-    });
-    
-    manimProcess.on('close', (code) => {
-      // Manim outputs to media/videos directory
-      const manimOutputDir = path.join(path.dirname(codeFile), 'media', 'videos');
-      let generatedFile = null;
-      
-      if (fs.existsSync(manimOutputDir)) {
-        const files = fs.readdirSync(manimOutputDir, { recursive: true })
-          .filter(f => f.endsWith('.mp4'))
-          .map(f => ({
-            name: f,
-            path: path.join(manimOutputDir, f),
-            time: fs.statSync(path.join(manimOutputDir, f)).mtime.getTime()
-          }))
-          .sort((a, b) => b.time - a.time);
-        
-        if (files.length > 0) {
-          generatedFile = files[0];
-        }
-      }
-      
-      // Clean up temp file
-      if (fs.existsSync(codeFile)) {
-        try {
-          fs.unlinkSync(codeFile);
-        } catch (e) {
-          console.error('[Manim MCP] Failed to delete temp file:', e.message);
-        }
-      }
-      
-      if (generatedFile && fs.existsSync(generatedFile.path)) {
-        // Copy to output directory
-        fs.mkdirSync(path.dirname(outputFile), { recursive: true });
-        fs.copyFileSync(generatedFile.path, outputFile);
-        
-        res.json({
-          success: true,
-          outputFile: path.basename(outputFile),
-          outputPath: outputFile,
-          url: `/outputs/simulations/${path.basename(outputFile)}`,
-          stdout: stdout
-        });
-      } else {
-        res.json({
-          success: false,
-          error: 'Manim did not generate output file',
-          stdout: stdout,
-          stderr: stderr
-        });
-      }
-    });
-    
-    // Timeout (10 minutes)
-    setTimeout(() => {
-      manimProcess.kill();
-      if (fs.existsSync(codeFile)) {
-        try {
-          fs.unlinkSync(codeFile);
-        } catch (e) {
-          // Ignore
-        }
-      }
-      res.json({
-        success: false,
-        error: 'Manim execution timeout (10 minutes)'
-      });
-    }, 10 * 60 * 1000);
-    
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+// Manim이 만든 영상 중 가장 최근 파일 (작업 디렉토리의 media/videos 아래)
+function findManimVideo(run) {
+  const manimOutputDir = path.join(run.runDir, 'media', 'videos');
+  if (!fs.existsSync(manimOutputDir)) {
+    return null;
   }
-});
-
-app.listen(PORT, () => {
-  console.log(`[Manim MCP Server] Running on port ${PORT}`);
-});
-
-
-
+  const files = fs.readdirSync(manimOutputDir, { recursive: true })
+    .filter(f => f.endsWith('.mp4') && !f.includes('partial_movie_files'))
+    .map(f => ({
+      path: path.join(manimOutputDir, f),
+      time: fs.statSync(path.join(manimOutputDir, f)).mtime.getTime()
+    }))
+    .sort((a, b) => b.time - a.time);
+  return files.length > 0 ? files[0].path : null;
+}
+
+// Manim MCP 서버 - 실행/대기열/인증/MCP 도구는 mcp/execution-server.js 공통 처리
+new ExecutionServer({
+  id: 'manim',
+  label: 'Manim',
+  port: process.env.MANIM_MCP_PORT || 8004,
+  command: 'manim',
+  extension: '.py',
+  sandbox: { language: 'python' },
+  timeoutMinutes: 10,
+  outputExtensions: ['.mp4'],
+  // render_scene의 품질/Scene 이름을 CLI 인자로 전달
+  buildArgs: (run, { options, render }) => {
+    const args = [QUALITY_FLAGS[render.quality || options.quality] || '-ql', run.codePath];
+    const scene = buildRenderEnv(render).RENDER_SCENE;
+    if (scene) {
+      args.push(scene);
+    }
+    return args;
+  },
+  findOutput: run => findManimVideo(run),
+  renderDescription: 'Render a Manim Scene class. "scene" selects the class and "quality" (low, medium, high) maps to -ql/-qm/-qh; other settings are passed as RENDER_* environment variables.',
+}).start();
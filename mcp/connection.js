@@ -1,98 +1,501 @@
 // MCP (Model Context Protocol) Connection Module
-// This module provides a structure for connecting AI tools to external programs and services via MCP
+// JSON-RPC 2.0 MCP 클라이언트 - Streamable HTTP(endpoint) 또는 stdio(command)로 MCP 서버에 연결
+// initialize 핸드셰이크 후 tools/list, tools/call 로 외부 프로그램의 도구를 실행
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { spawn } = require('child_process');
+const readline = require('readline');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const {
+  LATEST_PROTOCOL_VERSION,
+  PROTOCOL_VERSIONS,
+  SESSION_HEADER,
+  PROTOCOL_VERSION_HEADER,
+  MCPError,
+  createRequest,
+  createNotification,
+  isResponse,
+} = require('./protocol');
+
+const CLIENT_INFO = { name: 'math-lecture-video', version: '1.0.0' };
+const CONNECT_TIMEOUT_MS = 5000;
+const CALL_TIMEOUT_MS = 15 * 60 * 1000; // 렌더링 도구는 오래 걸릴 수 있음 (Blender 최대 15분)
+const DOWNLOAD_TIMEOUT_MS = 10 * 60 * 1000;
+const READ_CHUNK_BYTES = 4 * 1024 * 1024; // read_output 도구 한 번에 읽는 크기
+
+// 이전 /execute 명령 이름 -> MCP 도구 이름
+const LEGACY_COMMANDS = {
+  execute: 'execute_code',
+};
 
 class MCPConnection {
   constructor(toolName, config = {}) {
     this.toolName = toolName;
     this.config = config;
     this.connected = false;
-    this.connection = null;
+    this.connection = null; // stdio 전송의 자식 프로세스
+    this.sessionId = null;
+    this.protocolVersion = null;
+    this.serverInfo = null;
+    this.capabilities = null;
+    this.tools = null;
+    this.lastError = null;
+    this.nextId = 1;
+    this.pending = new Map();
+  }
+
+  getTransport() {
+    return this.config.command ? 'stdio' : 'http';
+  }
+
+  // Streamable HTTP 엔드포인트 URL (기본 경로 /mcp)
+  getUrl() {
+    const endpoint = this.config.endpoint.replace(/\/+$/, '');
+    const mcpPath = this.config.path || '/mcp';
+    return endpoint.endsWith(mcpPath) ? endpoint : `${endpoint}${mcpPath}`;
+  }
+
+  // /mcp 를 뺀 서버 주소 (/health, /outputs 등)
+  getBaseUrl() {
+    return this.config.endpoint.replace(/\/+$/, '').replace(/\/mcp$/, '');
+  }
+
+  // MCP 서버에 MCP_AUTH_TOKEN 이 설정된 경우 (config.token 또는 공통 MCP_AUTH_TOKEN)
+  getAuthHeaders() {
+    const token = this.config.token || process.env.MCP_AUTH_TOKEN;
+    return token ? { Authorization: `Bearer ${token}` } : {};
   }
 
   async connect() {
-    // For now, MCP connections are handled internally
-    // External MCP servers can be connected via HTTP endpoints
+    if (this.connected) {
+      return { success: true, message: `MCP connected for ${this.toolName}`, serverInfo: this.serverInfo };
+    }
+    if (!this.config.command && !this.config.endpoint) {
+      this.lastError = 'MCP endpoint not configured. Set endpoint in environment variable.';
+      return { success: false, error: this.lastError };
+    }
+
     try {
-      // Check if endpoint is accessible (for external MCP servers)
-      if (this.config.endpoint && !this.config.endpoint.includes('localhost')) {
-        const fetch = (...args) => import('node-fetch').then(({ default: f }) => f(...args));
-        const response = await fetch(`${this.config.endpoint}/health`, {
-          method: 'GET',
-          timeout: 5000,
-        });
-        if (response.ok) {
-          this.connected = true;
-          return { success: true, message: `MCP connected for ${this.toolName}` };
-        }
+      if (this.getTransport() === 'stdio') {
+        this.startProcess();
       }
-      
-      // Internal MCP (always available)
+
+      const result = await this.request('initialize', {
+        protocolVersion: LATEST_PROTOCOL_VERSION,
+        capabilities: {},
+        clientInfo: CLIENT_INFO,
+      }, { timeout: this.config.connectTimeout || CONNECT_TIMEOUT_MS, handshake: true });
+
+      if (!result || !PROTOCOL_VERSIONS.includes(result.protocolVersion)) {
+        throw new Error(`Unsupported MCP protocol version: ${result && result.protocolVersion}`);
+      }
+      this.protocolVersion = result.protocolVersion;
+      this.serverInfo = result.serverInfo || null;
+      this.capabilities = result.capabilities || {};
+      await this.notify('notifications/initialized');
+
       this.connected = true;
-      return { success: true, message: `MCP connected for ${this.toolName}` };
+      this.lastError = null;
+      console.log(`[MCP] Connected ${this.toolName} to ${this.describeTarget()} (${this.serverInfo ? this.serverInfo.name : 'unknown server'}, protocol ${this.protocolVersion})`);
+      return { success: true, message: `MCP connected for ${this.toolName}`, serverInfo: this.serverInfo };
     } catch (error) {
-      // Internal MCP is always available
-      this.connected = true;
-      return { success: true, message: `MCP connected for ${this.toolName} (internal)` };
+      this.lastError = error.message;
+      this.reset();
+      return { success: false, error: `MCP connection failed for ${this.toolName}: ${error.message}` };
     }
   }
 
   async disconnect() {
-    // TODO: Implement MCP disconnection
-    this.connected = false;
-    this.connection = null;
+    if (this.getTransport() === 'http' && this.sessionId) {
+      // 세션 종료 요청 (실패해도 무시)
+      try {
+        await this.fetchWithTimeout(this.getUrl(), {
+          method: 'DELETE',
+          headers: { [SESSION_HEADER]: this.sessionId, ...this.getAuthHeaders() },
+        }, CONNECT_TIMEOUT_MS);
+      } catch (error) {
+        // Ignore
+      }
+    }
+    this.reset();
     return { success: true };
   }
 
-  async executeCommand(command, params = {}) {
-    // Connect if not already connected
-    if (!this.connected) {
-      await this.connect();
-    }
-    
-    // If no endpoint configured, return error
-    if (!this.config.endpoint || this.config.endpoint.includes('localhost')) {
-      // For localhost, try to connect anyway
-      if (!this.config.endpoint) {
-        return { 
-          success: false, 
-          error: 'MCP endpoint not configured. Set endpoint in environment variable.' 
-        };
-      }
+  reset() {
+    if (this.connection) {
+      this.connection.removeAllListeners('exit');
+      this.connection.kill();
+      this.connection = null;
     }
-    
-    const fetch = (...args) => import('node-fetch').then(({ default: f }) => f(...args));
-    
+    this.rejectPending(new Error('MCP connection closed'));
+    this.connected = false;
+    this.sessionId = null;
+    this.protocolVersion = null;
+    this.tools = null;
+  }
+
+  async ensureConnected() {
+    if (this.connected) {
+      return;
+    }
+    const result = await this.connect();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+  }
+
+  // JSON-RPC 요청 -> result (에러 응답이면 MCPError throw)
+  // options.signal: abort 되면 서버에 notifications/cancelled 를 보내고 서버가 돌려주는 결과를 기다림
+  async request(method, params, options = {}) {
+    if (options.signal && options.signal.aborted) {
+      throw new Error('MCP request cancelled');
+    }
+    if (!options.handshake) {
+      await this.ensureConnected();
+    }
+    const message = createRequest(this.nextId++, method, params);
+    const timeout = options.timeout || this.config.timeout || CALL_TIMEOUT_MS;
+    const onAbort = () => {
+      this.notify('notifications/cancelled', { requestId: message.id, reason: 'Cancelled by client' })
+        .catch(error => console.warn(`[MCP ${this.toolName}] Cancel notification failed:`, error.message));
+    };
+    if (options.signal) {
+      options.signal.addEventListener('abort', onAbort, { once: true });
+    }
+    let response;
     try {
-      // Execute command via HTTP POST to MCP server
-      const response = await fetch(`${this.config.endpoint}/execute`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          command: command,
-          ...params
-        }),
-        timeout: 300000 // 5 minutes timeout
-      });
-      
-      if (!response.ok) {
-        throw new Error(`MCP server returned ${response.status}: ${response.statusText}`);
+      response = this.getTransport() === 'stdio'
+        ? await this.sendStdio(message, timeout)
+        : await this.sendHttp(message, timeout);
+    } finally {
+      if (options.signal) {
+        options.signal.removeEventListener('abort', onAbort);
       }
-      
-      const result = await response.json();
-      return result;
+    }
+
+    if (response.error) {
+      throw new MCPError(response.error.code, response.error.message, response.error.data);
+    }
+    return response.result;
+  }
+
+  async notify(method, params) {
+    const message = createNotification(method, params);
+    if (this.getTransport() === 'stdio') {
+      this.writeStdio(message);
+      return;
+    }
+    await this.sendHttp(message, CONNECT_TIMEOUT_MS);
+  }
+
+  async listTools() {
+    const tools = [];
+    let cursor;
+    do {
+      const result = await this.request('tools/list', cursor ? { cursor } : {});
+      tools.push(...(result.tools || []));
+      cursor = result.nextCursor;
+    } while (cursor);
+    this.tools = tools;
+    return tools;
+  }
+
+  // MCP 도구 호출 -> CallToolResult ({ content, structuredContent, isError })
+  async callTool(name, args = {}, options = {}) {
+    return this.request('tools/call', { name, arguments: args }, options);
+  }
+
+  // 이전 방식 호환: executeCommand('execute', { code, options }) -> { success, ... }
+  async executeCommand(command, params = {}) {
+    try {
+      const result = await this.callTool(LEGACY_COMMANDS[command] || command, params);
+      return MCPConnection.toResult(result);
     } catch (error) {
       return {
         success: false,
         error: `MCP execution failed: ${error.message}`,
-        endpoint: this.config.endpoint
+        endpoint: this.describeTarget(),
       };
     }
   }
 
+  // CallToolResult -> 앱에서 쓰는 { success, ... } 객체
+  static toResult(toolResult) {
+    if (!toolResult) {
+      return { success: false, error: 'Empty MCP tool result' };
+    }
+    let result = toolResult.structuredContent;
+    if (!result) {
+      const text = (toolResult.content || [])
+        .filter(item => item.type === 'text')
+        .map(item => item.text)
+        .join('\n');
+      try {
+        result = JSON.parse(text);
+      } catch (error) {
+        result = { output: text };
+      }
+    }
+    if (toolResult.isError) {
+      return { ...result, success: false, error: result.error || 'MCP tool reported an error' };
+    }
+    return { success: true, ...result };
+  }
+
+  /**
+   * 원격 결과 파일 가져오기 - HTTP는 GET /outputs/<artifactId>, stdio는 read_output 도구로 나눠 읽기
+   * artifact: 도구 결과의 { artifactId, size, sha256 }, 크기와 sha256 이 다르면 파일을 지우고 throw
+   */
+  async downloadArtifact(artifact, targetPath) {
+    const tempPath = `${targetPath}.part`;
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+
+    try {
+      if (this.getTransport() === 'http') {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.config.downloadTimeout || DOWNLOAD_TIMEOUT_MS);
+        try {
+          const response = await this.fetchWithTimeout(`${this.getBaseUrl()}/outputs/${encodeURIComponent(artifact.artifactId)}`, {
+            method: 'GET',
+            headers: this.getAuthHeaders(),
+            signal: controller.signal,
+          }, this.config.downloadTimeout || DOWNLOAD_TIMEOUT_MS);
+          if (!response.ok) {
+            throw new Error(`Download returned ${response.status}: ${response.statusText}`);
+          }
+          const counter = new Transform({
+            transform(chunk, encoding, callback) {
+              hash.update(chunk);
+              size += chunk.length;
+              callback(null, chunk);
+            },
+          });
+          await pipeline(response.body, counter, fs.createWriteStream(tempPath));
+        } finally {
+          clearTimeout(timer);
+        }
+      } else {
+        const handle = await fs.promises.open(tempPath, 'w');
+        try {
+          for (;;) {
+            const chunk = MCPConnection.toResult(await this.callTool('read_output', {
+              artifactId: artifact.artifactId,
+              offset: size,
+              length: READ_CHUNK_BYTES,
+            }));
+            if (!chunk.success) {
+              throw new Error(chunk.error);
+            }
+            const data = Buffer.from(chunk.data || '', 'base64');
+            await handle.write(data);
+            hash.update(data);
+            size += data.length;
+            if (chunk.eof || data.length === 0) {
+              break;
+            }
+          }
+        } finally {
+          await handle.close();
+        }
+      }
+
+      const sha256 = hash.digest('hex');
+      if (size !== artifact.size || sha256 !== artifact.sha256) {
+        throw new Error(`Checksum mismatch for ${artifact.artifactId} (expected ${artifact.size} bytes ${artifact.sha256}, got ${size} bytes ${sha256})`);
+      }
+      fs.renameSync(tempPath, targetPath);
+      return { path: targetPath, size, sha256, method: this.getTransport() === 'http' ? 'http' : 'mcp' };
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  // ---- Streamable HTTP transport ----
+
+  async fetchWithTimeout(url, init, timeoutMs) {
+    const fetch = (...args) => import('node-fetch').then(({ default: f }) => f(...args));
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    if (init.signal) {
+      // 호출한 쪽의 signal 도 따름 (다운로드는 본문을 다 받을 때까지 별도 제한 시간 사용)
+      init.signal.addEventListener('abort', () => controller.abort());
+    }
+    try {
+      return await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`MCP request timed out after ${Math.round(timeoutMs / 1000)}s`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async sendHttp(message, timeoutMs) {
+    const headers = {
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+    };
+    if (this.sessionId) {
+      headers[SESSION_HEADER] = this.sessionId;
+    }
+    if (this.protocolVersion) {
+      headers[PROTOCOL_VERSION_HEADER] = this.protocolVersion;
+    }
+    Object.assign(headers, this.getAuthHeaders());
+
+    const response = await this.fetchWithTimeout(this.getUrl(), {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(message),
+    }, timeoutMs);
+
+    if (response.status === 401) {
+      throw new Error('MCP server rejected the request (401 Unauthorized) - check MCP_AUTH_TOKEN');
+    }
+    if (response.status === 404 && this.sessionId) {
+      // 서버가 재시작되어 세션이 사라짐 -> 다음 호출에서 다시 initialize
+      this.connected = false;
+      this.sessionId = null;
+      throw new Error('MCP session expired');
+    }
+    if (!response.ok) {
+      throw new Error(`MCP server returned ${response.status}: ${response.statusText}`);
+    }
+
+    const sessionId = response.headers.get(SESSION_HEADER);
+    if (sessionId) {
+      this.sessionId = sessionId;
+    }
+    if (message.id === undefined) {
+      return null; // 알림은 202 응답만
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    const body = await response.text();
+    const messages = contentType.includes('text/event-stream')
+      ? this.parseEventStream(body)
+      : [].concat(JSON.parse(body));
+    const reply = messages.find(item => isResponse(item) && item.id === message.id);
+    if (!reply) {
+      throw new Error(`No response for MCP request ${message.method}`);
+    }
+    return reply;
+  }
+
+  // SSE 본문에서 data: 줄을 모아 JSON-RPC 메시지로 변환
+  parseEventStream(body) {
+    return body.split(/\r?\n\r?\n/)
+      .map(event => event.split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('\n'))
+      .filter(Boolean)
+      .map(data => {
+        try {
+          return JSON.parse(data);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  // ---- stdio transport ----
+
+  startProcess() {
+    const [cmd, ...defaultArgs] = this.config.command.split(/\s+/).filter(Boolean);
+    const args = this.config.args || defaultArgs;
+    const child = spawn(cmd, args, {
+      cwd: this.config.cwd || process.cwd(),
+      env: { ...process.env, ...(this.config.env || {}) },
+      stdio: ['pipe', 'pipe', 'pipe'],
+    });
+    this.connection = child;
+
+    readline.createInterface({ input: child.stdout, crlfDelay: Infinity }).on('line', (line) => {
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        console.warn(`[MCP ${this.toolName}] Ignoring non-JSON stdout line:`, line.slice(0, 200));
+        return;
+      }
+      const pending = isResponse(message) && this.pending.get(message.id);
+      if (pending) {
+        this.pending.delete(message.id);
+        clearTimeout(pending.timer);
+        pending.resolve(message);
+      }
+    });
+
+    child.stderr.on('data', (data) => {
+      console.log(`[MCP ${this.toolName}]`, data.toString().trim());
+    });
+
+    child.on('error', (error) => {
+      this.lastError = error.message;
+      this.rejectPending(error);
+    });
+
+    child.on('exit', (code, signal) => {
+      this.connection = null;
+      this.connected = false;
+      this.rejectPending(new Error(`MCP server process exited (${signal || code})`));
+    });
+  }
+
+  writeStdio(message) {
+    if (!this.connection || !this.connection.stdin.writable) {
+      throw new Error('MCP server process is not running');
+    }
+    this.connection.stdin.write(`${JSON.stringify(message)}\n`);
+  }
+
+  sendStdio(message, timeoutMs) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(message.id);
+        reject(new Error(`MCP request timed out after ${Math.round(timeoutMs / 1000)}s`));
+      }, timeoutMs);
+      this.pending.set(message.id, { resolve, reject, timer });
+      try {
+        this.writeStdio(message);
+      } catch (error) {
+        this.pending.delete(message.id);
+        clearTimeout(timer);
+        reject(error);
+      }
+    });
+  }
+
+  rejectPending(error) {
+    for (const pending of this.pending.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(error);
+    }
+    this.pending.clear();
+  }
+
+  describeTarget() {
+    return this.getTransport() === 'stdio' ? `stdio:${this.config.command}` : this.config.endpoint;
+  }
+
   getStatus() {
     return {
       toolName: this.toolName,
       connected: this.connected,
+      transport: this.getTransport(),
+      target: this.describeTarget(),
+      protocolVersion: this.protocolVersion,
+      serverInfo: this.serverInfo,
+      tools: this.tools ? this.tools.map(tool => tool.name) : null,
+      lastError: this.lastError,
       config: this.config,
     };
   }
@@ -114,35 +517,11 @@ const videoMCP = new MCPConnection('video', {
   protocol: 'mcp',
 });
 
-// Program-specific MCP connections
-const pythonMCP = new MCPConnection('python', {
-  endpoint: process.env.PYTHON_MCP_ENDPOINT || 'http://localhost:8001',
-  protocol: 'mcp',
-});
-
-const matlabMCP = new MCPConnection('matlab', {
-  endpoint: process.env.MATLAB_MCP_ENDPOINT || 'http://localhost:8002',
-  protocol: 'mcp',
-});
-
-const manimMCP = new MCPConnection('manim', {
-  endpoint: process.env.MANIM_MCP_ENDPOINT || 'http://localhost:8004',
-  protocol: 'mcp',
-});
-
-const octaveMCP = new MCPConnection('octave', {
-  endpoint: process.env.OCTAVE_MCP_ENDPOINT || 'http://localhost:8002',
-  protocol: 'mcp',
-});
+// 프로그램별(python, matlab, ...) MCP 서버는 여러 대를 둘 수 있으므로 mcp/registry.js 에서 관리
 
 module.exports = {
   MCPConnection,
   simulationMCP,
   scriptMCP,
   videoMCP,
-  pythonMCP,
-  matlabMCP,
-  manimMCP,
-  octaveMCP,
 };
-
@@ -0,0 +1,595 @@
+// MCP 실행 서버 공통 프레임워크
+// 언어별 서버(mcp-servers/*-server.js)는 descriptor 하나만 정의하고, 임시 파일 / 샌드박스 실행 / 타임아웃 /
+// 결과 파일 수집 / 동시 실행 제한과 대기열 / 입력 파일 업로드 / 인증 / /health / MCP 도구는 여기서 처리
+
+const crypto = require('crypto');
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const Sandbox = require('../workers/sandbox');
+const MediaProbe = require('../workers/media-probe');
+const { MCPServer, registerExecutionTools, buildRenderEnv } = require('./server');
+
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, '..', 'outputs', 'simulations');
+const TEMP_DIR = path.join(__dirname, '..', 'mcp-servers', 'temp');
+const ARTIFACT_TTL_MS = 24 * 60 * 60 * 1000;
+const READ_CHUNK_MAX = 4 * 1024 * 1024; // read_output 한 번에 돌려주는 최대 바이트
+// 입력 파일로 받는 확장자 - 데이터/미디어만 (코드 파일은 정적 검사를 거치지 않고 import 될 수 있으므로 제외)
+const ARTIFACT_EXTENSIONS = [
+  '.csv', '.tsv', '.txt', '.json', '.dat', '.xml', '.yaml', '.yml',
+  '.npy', '.npz', '.mat', '.h5', '.hdf5', '.nc', '.xlsx', '.xls', '.parquet',
+  '.png', '.jpg', '.jpeg', '.gif', '.svg', '.bmp', '.tif', '.tiff',
+  '.wav', '.mp3', '.mp4', '.mov', '.obj', '.stl', '.ply', '.fbx', '.glb', '.gltf',
+];
+const MIME_TYPES = { '.mp4': 'video/mp4', '.mov': 'video/quicktime', '.avi': 'video/x-msvideo', '.gif': 'image/gif' };
+const VERSION_TIMEOUT_MS = 15000;
+
+/**
+ * descriptor:
+ *   id, label, port, command          - 서비스 이름(id-mcp), 로그 이름, 기본 포트, 실행 파일
+ *   extension                          - 코드 파일 확장자 ('.py', '.m')
+ *   sandbox                            - Sandbox.prepare 옵션 ({ language, memoryLimit })
+ *   timeoutMinutes                     - 실행 제한 시간 (기본 10분)
+ *   outputExtensions                   - 결과로 인정할 확장자
+ *   versionArgs                        - /health 에서 버전 확인용 인자 (null이면 확인 생략)
+ *   buildArgs(run, context)            - 실행 인자 (context: { options, render, outputFile, runId, runOutputDir })
+ *   buildEnv(outputFile, context)      - 추가 환경 변수 (기본 { OUTPUT_PATH })
+ *   findOutput(run, context)           - 작업 디렉토리에서 결과 파일 경로 찾기 (선택)
+ *   renderDescription                  - render_scene 도구 설명 (선택)
+ */
+class ExecutionServer {
+  constructor(descriptor) {
+    this.descriptor = {
+      timeoutMinutes: 10,
+      outputExtensions: ['.mp4', '.avi', '.mov'],
+      versionArgs: ['--version'],
+      ...descriptor,
+    };
+    this.label = this.descriptor.label;
+    this.logPrefix = `[${this.label} MCP]`;
+    this.port = this.descriptor.port;
+    this.outputDir = process.env.SIMULATION_OUTPUT_DIR || DEFAULT_OUTPUT_DIR;
+    this.artifactDir = process.env.MCP_ARTIFACT_DIR || path.join(__dirname, '..', 'outputs', 'mcp-artifacts');
+    this.maxConcurrency = parseInt(process.env.MCP_MAX_CONCURRENCY, 10) || 1;
+    this.maxQueue = parseInt(process.env.MCP_MAX_QUEUE, 10) || 20;
+    this.maxArtifactMb = parseInt(process.env.MCP_ARTIFACT_MAX_MB, 10) || 100;
+    this.authToken = process.env.MCP_AUTH_TOKEN || null;
+    // 설정하면 이 시간이 지난 결과 파일을 삭제 (웹 서버와 파일 시스템을 공유하지 않는 원격 배포용)
+    this.outputTtlMs = (parseFloat(process.env.MCP_OUTPUT_TTL_HOURS) || 0) * 60 * 60 * 1000;
+
+    this.outputs = new Map(); // artifactId -> 결과 파일 (웹 서버가 가져갈 수 있도록)
+    this.running = new Map();
+    this.queue = [];
+    this.stats = { completed: 0, failed: 0, rejected: 0 };
+    this.versionPromise = null;
+    this.startedAt = Date.now();
+
+    [this.outputDir, TEMP_DIR, this.artifactDir].forEach(dir => {
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+    });
+
+    this.mcp = new MCPServer({ name: `${this.descriptor.id}-mcp`, version: '1.0.0', logPrefix: this.logPrefix });
+    registerExecutionTools(this.mcp, {
+      label: this.label,
+      outputDir: this.outputDir,
+      extensions: this.descriptor.outputExtensions,
+      renderDescription: this.descriptor.renderDescription,
+      execute: (code, options, signal) => this.execute(code, options, undefined, signal),
+    });
+
+    // 결과 파일을 MCP로 나눠 읽기 (stdio처럼 HTTP 다운로드를 쓸 수 없을 때)
+    this.mcp.registerTool({
+      name: 'read_output',
+      title: 'Read a rendered output',
+      description: 'Read part of a rendered output file by the artifactId returned from execute_code or render_scene. Returns base64 data; repeat with the next offset until eof is true, then compare the sha256.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          artifactId: { type: 'string' },
+          offset: { type: 'integer', description: 'Byte offset (default 0)' },
+          length: { type: 'integer', description: `Maximum bytes to read (default and maximum ${READ_CHUNK_MAX})` },
+        },
+        required: ['artifactId'],
+      },
+      handler: args => this.readOutput(args.artifactId, args.offset, args.length),
+    });
+
+    this.app = this.createApp();
+  }
+
+  createApp() {
+    const app = express();
+    app.use(express.json({ limit: '10mb' }));
+
+    // Health check endpoint (인증 없이 확인 가능)
+    app.get('/health', async (req, res) => {
+      const version = await this.getToolVersion();
+      res.json({
+        status: 'ok',
+        service: `${this.descriptor.id}-mcp`,
+        [this.descriptor.id]: this.descriptor.command,
+        version: version.version,
+        versionError: version.error,
+        port: this.port,
+        concurrency: {
+          max: this.maxConcurrency,
+          running: this.running.size,
+          queued: this.queue.length,
+          maxQueue: this.maxQueue,
+        },
+        stats: this.stats,
+        auth: !!this.authToken,
+        uptime: Math.round((Date.now() - this.startedAt) / 1000),
+      });
+    });
+
+    // Execute code (이전 HTTP API, 호환용)
+    app.post('/execute', this.authenticate.bind(this), async (req, res) => {
+      const { code, options = {} } = req.body;
+      const requestId = this.getRequestId(req);
+      res.set('X-Request-Id', requestId);
+
+      if (!code) {
+        return res.status(400).json({
+          success: false,
+          error: 'Code is required',
+          requestId
+        });
+      }
+
+      try {
+        const result = await this.execute(code, options, requestId);
+        res.status(result.errorType === 'queue_full' ? 503 : 200).json(result);
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message,
+          requestId
+        });
+      }
+    });
+
+    // 입력 파일 업로드 (데이터, 이미지 등) -> 실행 시 options.artifacts 로 작업 디렉토리에 복사
+    app.post('/artifacts', this.authenticate.bind(this), express.raw({ type: '*/*', limit: `${this.maxArtifactMb}mb` }), (req, res) => {
+      try {
+        const artifact = this.saveArtifact(req.query.name, req.body);
+        res.json({ success: true, ...artifact });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    // 결과 파일 다운로드 (artifactId + X-Checksum-Sha256 으로 웹 서버가 검증)
+    app.get('/outputs/:artifactId', this.authenticate.bind(this), (req, res) => {
+      const output = this.outputs.get(req.params.artifactId);
+      if (!output || !fs.existsSync(output.path)) {
+        return res.status(404).json({ success: false, error: 'Output not found' });
+      }
+      res.set({
+        'Content-Type': output.mimeType,
+        'X-Checksum-Sha256': output.sha256,
+        'X-Artifact-Name': output.name,
+      });
+      res.sendFile(path.resolve(output.path));
+    });
+
+    app.use('/mcp', this.authenticate.bind(this));
+    this.mcp.mountHttp(app);
+
+    return app;
+  }
+
+  // MCP_AUTH_TOKEN 이 설정되어 있으면 Authorization: Bearer <token> 필요
+  authenticate(req, res, next) {
+    if (!this.authToken) {
+      return next();
+    }
+    const header = req.get('authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    if (match && crypto.timingSafeEqual(digest(match[1].trim()), digest(this.authToken))) {
+      return next();
+    }
+    res.set('WWW-Authenticate', 'Bearer').status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  getRequestId(req) {
+    const requested = req.get('x-request-id');
+    return requested && /^[\w.-]{1,64}$/.test(requested) ? requested : crypto.randomUUID();
+  }
+
+  // 실행 도구 버전 (처음 한 번만 확인)
+  getToolVersion() {
+    if (!this.versionPromise) {
+      this.versionPromise = new Promise((resolve) => {
+        if (!this.descriptor.versionArgs) {
+          return resolve({ version: null, error: null });
+        }
+        execFile(this.descriptor.command, this.descriptor.versionArgs, { timeout: VERSION_TIMEOUT_MS }, (error, stdout, stderr) => {
+          const line = `${stdout || ''}\n${stderr || ''}`.split('\n').map(text => text.trim()).find(Boolean);
+          if (error && !line) {
+            return resolve({ version: null, error: error.message });
+          }
+          resolve({ version: line || null, error: null });
+        });
+      });
+    }
+    return this.versionPromise;
+  }
+
+  // ---- 입력 파일 ----
+
+  // 파일 이름 정리 - 경로, 숨김 파일, 데이터가 아닌 확장자는 거부 (null)
+  sanitizeArtifactName(name) {
+    const safeName = path.basename(String(name)).replace(/[^\w.-]/g, '_');
+    if (!safeName || safeName.startsWith('.') || !ARTIFACT_EXTENSIONS.includes(path.extname(safeName).toLowerCase())) {
+      return null;
+    }
+    return safeName;
+  }
+
+  saveArtifact(name, body) {
+    if (!Buffer.isBuffer(body) || body.length === 0) {
+      throw new Error('Empty upload');
+    }
+    const safeName = this.sanitizeArtifactName(name || 'input.dat');
+    if (!safeName) {
+      throw new Error(`Invalid file name (allowed extensions: ${ARTIFACT_EXTENSIONS.join(', ')})`);
+    }
+    this.pruneArtifacts();
+
+    const artifactId = crypto.randomBytes(12).toString('hex');
+    const dir = path.join(this.artifactDir, artifactId);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, safeName), body);
+    console.log(`${this.logPrefix} Artifact uploaded: ${artifactId}/${safeName} (${body.length} bytes)`);
+    return {
+      artifactId,
+      name: safeName,
+      size: body.length,
+      sha256: crypto.createHash('sha256').update(body).digest('hex'),
+    };
+  }
+
+  findArtifact(artifactId) {
+    if (typeof artifactId !== 'string' || !/^[a-f0-9]{24}$/.test(artifactId)) {
+      return null;
+    }
+    const dir = path.join(this.artifactDir, artifactId);
+    const files = fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+    return files.length > 0 ? { name: files[0], path: path.join(dir, files[0]) } : null;
+  }
+
+  pruneArtifacts() {
+    const now = Date.now();
+    for (const entry of fs.readdirSync(this.artifactDir)) {
+      const dir = path.join(this.artifactDir, entry);
+      try {
+        if (now - fs.statSync(dir).mtimeMs > ARTIFACT_TTL_MS) {
+          fs.rmSync(dir, { recursive: true, force: true });
+        }
+      } catch (error) {
+        // Ignore
+      }
+    }
+  }
+
+  // options.artifacts: ['<artifactId>', { artifactId, name }] -> 작업 디렉토리에 복사
+  copyArtifacts(run, artifacts = []) {
+    for (const item of [].concat(artifacts)) {
+      const artifactId = typeof item === 'string' ? item : item && item.artifactId;
+      const artifact = this.findArtifact(artifactId);
+      if (!artifact) {
+        return `Unknown artifact: ${artifactId}`;
+      }
+      const targetName = this.sanitizeArtifactName(item && item.name ? item.name : artifact.name);
+      if (!targetName) {
+        return `Invalid artifact name: ${item && item.name ? item.name : artifact.name}`;
+      }
+      fs.copyFileSync(artifact.path, path.join(path.dirname(run.codePath), targetName));
+    }
+    return null;
+  }
+
+  // ---- 결과 파일 ----
+
+  hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
+    });
+  }
+
+  // 성공한 실행 결과에 artifact 정보(ID, 크기, sha256) 추가
+  async registerOutput(result) {
+    this.pruneOutputs();
+    const stat = fs.statSync(result.outputPath);
+    const artifactId = crypto.randomBytes(12).toString('hex');
+    const output = {
+      artifactId,
+      name: result.outputFile,
+      path: result.outputPath,
+      size: stat.size,
+      sha256: await this.hashFile(result.outputPath),
+      mimeType: MIME_TYPES[path.extname(result.outputFile).toLowerCase()] || 'application/octet-stream',
+      createdAt: Date.now(),
+    };
+    this.outputs.set(artifactId, output);
+    return {
+      ...result,
+      artifact: {
+        artifactId,
+        name: output.name,
+        size: output.size,
+        sha256: output.sha256,
+        mimeType: output.mimeType,
+        downloadPath: `/outputs/${artifactId}`,
+      },
+    };
+  }
+
+  async readOutput(artifactId, offset = 0, length = READ_CHUNK_MAX) {
+    const output = this.outputs.get(artifactId);
+    if (!output || !fs.existsSync(output.path)) {
+      return { success: false, error: `Output not found: ${artifactId}` };
+    }
+    const start = Math.max(0, offset);
+    const size = Math.max(0, Math.min(length, READ_CHUNK_MAX, output.size - start));
+    const buffer = Buffer.alloc(size);
+    const handle = await fs.promises.open(output.path, 'r');
+    try {
+      await handle.read(buffer, 0, size, start);
+    } finally {
+      await handle.close();
+    }
+    return {
+      success: true,
+      artifactId,
+      offset: start,
+      length: size,
+      size: output.size,
+      sha256: output.sha256,
+      eof: start + size >= output.size,
+      data: buffer.toString('base64'),
+    };
+  }
+
+  pruneOutputs() {
+    if (!this.outputTtlMs) {
+      return;
+    }
+    const now = Date.now();
+    for (const [artifactId, output] of this.outputs) {
+      if (now - output.createdAt > this.outputTtlMs) {
+        fs.unlink(output.path, () => {});
+        this.outputs.delete(artifactId);
+      }
+    }
+  }
+
+  // ---- 실행 (동시 실행 제한 + 대기열) ----
+
+  // signal: MCP 클라이언트가 요청을 취소하면 대기열에서 빼거나 실행 중인 프로세스 종료
+  execute(code, options = {}, requestId = crypto.randomUUID(), signal = null) {
+    return new Promise((resolve) => {
+      if (this.queue.length >= this.maxQueue) {
+        this.stats.rejected++;
+        return resolve({
+          success: false,
+          errorType: 'queue_full',
+          error: `${this.label} server is busy (${this.queue.length} requests queued)`,
+          requestId,
+        });
+      }
+      const job = { code, options, requestId, resolve, signal };
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          const index = this.queue.indexOf(job);
+          if (index >= 0) {
+            this.queue.splice(index, 1);
+            console.log(`${this.logPrefix} [${requestId}] Cancelled while queued`);
+            resolve({ success: false, errorType: 'cancelled', error: 'Execution cancelled', requestId });
+          }
+        }, { once: true });
+      }
+      this.queue.push(job);
+      if (this.running.size >= this.maxConcurrency) {
+        console.log(`${this.logPrefix} [${requestId}] Queued (position ${this.queue.length})`);
+      }
+      this.drain();
+    });
+  }
+
+  drain() {
+    while (this.running.size < this.maxConcurrency && this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.running.set(job.requestId, { startedAt: Date.now() });
+      this.run(job)
+        .then(result => (result.success ? this.registerOutput(result) : result))
+        .catch(error => ({ success: false, error: error.message }))
+        .then((result) => {
+          this.running.delete(job.requestId);
+          this.stats[result.success ? 'completed' : 'failed']++;
+          job.resolve({ ...result, requestId: job.requestId });
+          this.drain();
+        });
+    }
+  }
+
+  run(job) {
+    return new Promise((resolve) => {
+      const { descriptor } = this;
+      const { code, options, requestId, signal } = job;
+      const render = options.render || {};
+      const runId = `${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+      const codeFile = path.join(TEMP_DIR, `${descriptor.id}_${runId}${descriptor.extension}`);
+      // 실행마다 별도 출력 디렉토리 - 샌드박스에는 이 디렉토리만 쓰기 가능하게 보임 (다른 실행의 결과, code/ 는 보이지 않음)
+      const runOutputDir = path.join(this.outputDir, 'runs', runId);
+      const outputFile = path.join(runOutputDir, `output${descriptor.outputExtensions[0]}`);
+      const context = { options, render, outputFile, runId, runOutputDir };
+      const log = `${this.logPrefix} [${requestId}]`;
+
+      let run = null;
+      let child = null;
+      let timer = null;
+      let finished = false;
+
+      // 응답은 한 번만 - 타임아웃 / 종료 / 시작 실패 중 먼저 발생한 결과만 사용
+      const finish = (result) => {
+        if (finished) return;
+        finished = true;
+        clearTimeout(timer);
+        fs.unlink(codeFile, () => {});
+        this.discardRunOutput(runOutputDir);
+        resolve(result);
+      };
+
+      // 준비 중 예외(파일 쓰기, 입력 파일 복사 등)가 나도 코드 파일과 작업/출력 디렉토리를 남기지 않음
+      try {
+        fs.writeFileSync(codeFile, code);
+        fs.mkdirSync(runOutputDir, { recursive: true });
+
+        // 정적 검사 + 실행별 작업 디렉토리 (환경 변수 정리, 리소스 제한)
+        const env = descriptor.buildEnv ? descriptor.buildEnv(outputFile, context) : { OUTPUT_PATH: outputFile };
+        run = Sandbox.prepare(codeFile, { ...descriptor.sandbox, env: { ...env, ...buildRenderEnv(render) } });
+        if (!run.success) {
+          return finish(run);
+        }
+
+        const artifactError = this.copyArtifacts(run, options.artifacts);
+        if (artifactError) {
+          Sandbox.cleanup(run);
+          return finish({ success: false, error: artifactError });
+        }
+
+        console.log(`${log} Executing ${path.basename(codeFile)}`);
+        child = Sandbox.spawn(run, descriptor.command, descriptor.buildArgs(run, context), { signal });
+      } catch (error) {
+        Sandbox.cleanup(run);
+        return finish({ success: false, error: `Failed to prepare ${this.label} run: ${error.message}` });
+      }
+
+      let stdout = '';
+      let stderr = '';
+
+      child.stdout.on('data', (data) => {
+        stdout += data.toString();
+        console.log(`${log} stdout:`, data.toString().trim());
+      });
+
+      child.stderr.on('data', (data) => {
+        stderr += data.toString();
+        console.error(`${log} stderr:`, data.toString().trim());
+      });
+
+      child.on('error', (error) => {
+        Sandbox.cleanup(run);
+        finish({ success: false, error: `Failed to start ${this.label}: ${error.message}`, stdout, stderr });
+      });
+
+      child.on('close', (exitCode, signal) => {
+        if (finished) {
+          Sandbox.cleanup(run);
+          return;
+        }
+        const limitError = Sandbox.getLimitError(run, exitCode, signal, stderr);
+        if (limitError) {
+          Sandbox.cleanup(run);
+          return finish({ ...limitError, stdout, stderr });
+        }
+        // 결과 파일 검사 중에는 타임아웃으로 끊지 않음
+        clearTimeout(timer);
+        this.collectOutput(run, exitCode, context, stdout, stderr).then(finish, (error) => {
+          finish({ success: false, error: `Failed to collect output: ${error.message}`, stdout, stderr });
+        });
+      });
+
+      timer = setTimeout(() => {
+        console.error(`${log} Execution timeout, killing process`);
+        child.kill('SIGKILL');
+        finish({
+          success: false,
+          errorType: 'timeout',
+          error: `${this.label} execution timeout (${descriptor.timeoutMinutes} minutes)`,
+          stdout,
+          stderr,
+        });
+      }, descriptor.timeoutMinutes * 60 * 1000);
+    });
+  }
+
+  discardRunOutput(runOutputDir) {
+    fs.rm(runOutputDir, { recursive: true, force: true }, (error) => {
+      if (error) console.error(`${this.logPrefix} Failed to remove run output directory:`, runOutputDir, error.message);
+    });
+  }
+
+  // 결과 파일: OUTPUT_PATH (확장자만 다른 경우 포함) -> descriptor.findOutput -> 작업 디렉토리에 남은 미디어 파일 순서로 확인
+  // 찾은 파일은 로컬 실행과 같은 검사(MediaProbe.validateOutput)를 통과해야 하고, 통과한 파일만 outputDir 로 옮김
+  // 실행 출력 디렉토리는 결과와 관계없이 run() 의 finish 에서 삭제
+  async collectOutput(run, exitCode, context, stdout, stderr) {
+    const { outputFile, runId, runOutputDir } = context;
+    const extensions = this.descriptor.outputExtensions;
+    try {
+      const found = this.descriptor.findOutput ? this.descriptor.findOutput(run, context) : null;
+      if (found && !fs.existsSync(outputFile)) {
+        fs.copyFileSync(found, outputFile);
+      }
+    } catch (error) {
+      console.error(`${this.logPrefix} Failed to collect output:`, error.message);
+    }
+    const moved = Sandbox.cleanup(run, runOutputDir)
+      .filter(name => extensions.includes(path.extname(name).toLowerCase()));
+
+    const generated = [...extensions.map(extension => `output${extension}`), ...moved]
+      .map(name => path.join(runOutputDir, name))
+      .find(candidate => fs.existsSync(candidate));
+
+    if (generated && exitCode === 0) {
+      const check = await MediaProbe.validateOutput(generated);
+      if (!check.success) {
+        console.error(`${this.logPrefix} Output rejected: ${check.error}`);
+        return { ...check, stdout: stdout, stderr: stderr };
+      }
+      const generatedFile = `simulation_${runId}${path.extname(generated).toLowerCase()}`;
+      const outputPath = path.join(this.outputDir, generatedFile);
+      fs.renameSync(generated, outputPath);
+      return {
+        success: true,
+        outputFile: generatedFile,
+        outputPath: outputPath,
+        url: `/outputs/simulations/${generatedFile}`,
+        duration: check.duration,
+        stdout: stdout
+      };
+    }
+    return {
+      success: false,
+      error: exitCode === 0 ? 'No output file generated' : `${this.label} process exited with code ${exitCode}`,
+      stdout: stdout,
+      stderr: stderr
+    };
+  }
+
+  start() {
+    if (process.argv.includes('--stdio')) {
+      this.mcp.serveStdio();
+      return this;
+    }
+    this.app.listen(this.port, () => {
+      console.log(`[${this.label} MCP Server] Running on port ${this.port}`);
+      console.log(`[${this.label} MCP Server] ${this.label} path: ${this.descriptor.command}`);
+      console.log(`[${this.label} MCP Server] Output dir: ${this.outputDir}`);
+      console.log(`[${this.label} MCP Server] Concurrency: ${this.maxConcurrency} (queue ${this.maxQueue})${this.authToken ? ', bearer auth on' : ''}`);
+    });
+    return this;
+  }
+}
+
+module.exports = { ExecutionServer };
@@ -0,0 +1,95 @@
+// MCP (Model Context Protocol) 공통 정의
+// JSON-RPC 2.0 메시지 형식과 MCP 버전/에러 코드 - 클라이언트(connection.js)와 서버(server.js)가 함께 사용
+
+const JSONRPC_VERSION = '2.0';
+
+// 지원하는 MCP 프로토콜 버전 (첫 번째가 최신)
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const LATEST_PROTOCOL_VERSION = PROTOCOL_VERSIONS[0];
+
+// JSON-RPC 2.0 표준 에러 코드
+const ErrorCodes = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+};
+
+// Streamable HTTP 전송에서 사용하는 헤더
+const SESSION_HEADER = 'mcp-session-id';
+const PROTOCOL_VERSION_HEADER = 'mcp-protocol-version';
+
+// JSON-RPC 에러를 담는 Error (code/data 유지)
+class MCPError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'MCPError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+function createRequest(id, method, params) {
+  const message = { jsonrpc: JSONRPC_VERSION, id, method };
+  if (params !== undefined) {
+    message.params = params;
+  }
+  return message;
+}
+
+function createNotification(method, params) {
+  const message = { jsonrpc: JSONRPC_VERSION, method };
+  if (params !== undefined) {
+    message.params = params;
+  }
+  return message;
+}
+
+function createResult(id, result) {
+  return { jsonrpc: JSONRPC_VERSION, id, result };
+}
+
+function createError(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) {
+    error.data = data;
+  }
+  return { jsonrpc: JSONRPC_VERSION, id: id === undefined ? null : id, error };
+}
+
+function isRequest(message) {
+  return !!message && typeof message.method === 'string' && message.id !== undefined && message.id !== null;
+}
+
+function isNotification(message) {
+  return !!message && typeof message.method === 'string' && (message.id === undefined || message.id === null);
+}
+
+function isResponse(message) {
+  return !!message && typeof message.method !== 'string' && message.id !== undefined
+    && (message.result !== undefined || message.error !== undefined);
+}
+
+// 클라이언트가 요청한 버전을 지원하면 그대로, 아니면 서버의 최신 버전으로 응답
+function negotiateVersion(requested) {
+  return PROTOCOL_VERSIONS.includes(requested) ? requested : LATEST_PROTOCOL_VERSION;
+}
+
+module.exports = {
+  JSONRPC_VERSION,
+  PROTOCOL_VERSIONS,
+  LATEST_PROTOCOL_VERSION,
+  ErrorCodes,
+  SESSION_HEADER,
+  PROTOCOL_VERSION_HEADER,
+  MCPError,
+  createRequest,
+  createNotification,
+  createResult,
+  createError,
+  isRequest,
+  isNotification,
+  isResponse,
+  negotiateVersion,
+};
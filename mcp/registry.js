@@ -0,0 +1,282 @@
+// MCP Server Registry
+// 프로그램(python, matlab, ...)별로 여러 MCP 서버를 등록하고 /health 를 주기적으로 확인
+// 요청은 round-robin 또는 가중치(weighted)로 서버를 고르고, 실패하면 다음 정상 서버로 넘김
+
+const { MCPConnection } = require('./connection');
+const { MCPError } = require('./protocol');
+
+const HEALTH_TIMEOUT_MS = 5000;
+
+// 프로그램별 환경 변수 접두어와 기본 포트 (mcp-servers/*-server.js 기본값과 같음)
+const PROGRAMS = {
+  python: { env: 'PYTHON', port: 8001 },
+  matlab: { env: 'MATLAB', port: 8002 },
+  blender: { env: 'BLENDER', port: 8003 },
+  manim: { env: 'MANIM', port: 8004 },
+  octave: { env: 'OCTAVE', port: 8005 },
+};
+
+class MCPRegistry {
+  constructor() {
+    this.strategy = process.env.MCP_SELECTION === 'weighted' ? 'weighted' : 'round-robin';
+    this.healthIntervalMs = parseInt(process.env.MCP_HEALTH_INTERVAL_MS, 10) || 30000;
+    this.endpoints = {};
+    this.cursors = {};
+    this.timer = null;
+    this.load();
+  }
+
+  /**
+   * 환경 변수에서 서버 목록 읽기
+   *   PYTHON_MCP_ENDPOINTS=http://gpu-1:8001*3,http://gpu-2:8001   (*숫자 = 가중치, 기본 1)
+   *   PYTHON_MCP_ENDPOINT=http://localhost:8001                     (서버 하나, 이전 설정)
+   *   PYTHON_MCP_COMMAND=node mcp-servers/python-server.js --stdio  (stdio 서버)
+   *   PYTHON_MCP_TOKEN=...                                          (없으면 MCP_AUTH_TOKEN)
+   */
+  load() {
+    for (const [program, { env, port }] of Object.entries(PROGRAMS)) {
+      const list = process.env[`${env}_MCP_ENDPOINTS`] || process.env[`${env}_MCP_ENDPOINT`];
+      const command = process.env[`${env}_MCP_COMMAND`];
+      const token = process.env[`${env}_MCP_TOKEN`];
+      const specs = list
+        ? list.split(',').map(item => item.trim()).filter(Boolean)
+        : (command ? [] : [`http://localhost:${port}`]);
+
+      const endpoints = specs.map((spec, index) => {
+        const match = spec.match(/^(.*?)(?:\*(\d+(?:\.\d+)?))?$/);
+        return this.createEndpoint(program, index, { endpoint: match[1], token }, parseFloat(match[2]) || 1);
+      });
+      if (command) {
+        endpoints.push(this.createEndpoint(program, endpoints.length, { command, token }, 1));
+      }
+      this.endpoints[program] = endpoints;
+      this.cursors[program] = 0;
+    }
+  }
+
+  createEndpoint(program, index, config, weight) {
+    const connection = new MCPConnection(`${program}#${index + 1}`, { ...config, protocol: 'mcp' });
+    return {
+      id: `${program}-${index + 1}`,
+      program,
+      transport: connection.getTransport(),
+      target: connection.describeTarget(),
+      weight,
+      currentWeight: 0,
+      connection,
+      healthy: null, // null = 아직 확인 전
+      latencyMs: null,
+      version: null,
+      load: null,
+      lastCheck: null,
+      lastError: null,
+      lastErrorAt: null,
+      consecutiveFailures: 0,
+      requests: 0,
+      failures: 0,
+    };
+  }
+
+  getPrograms() {
+    return Object.keys(this.endpoints).filter(program => this.endpoints[program].length > 0);
+  }
+
+  // 주기적 /health 확인 시작 (USE_MCP_SIMULATION 일 때 server.js 에서 호출)
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.checkAll();
+    this.timer = setInterval(() => this.checkAll(), this.healthIntervalMs);
+    this.timer.unref();
+    console.log(`[MCPRegistry] Health checks every ${Math.round(this.healthIntervalMs / 1000)}s, selection: ${this.strategy}`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async checkAll() {
+    const endpoints = Object.values(this.endpoints).flat();
+    await Promise.all(endpoints.map(endpoint => this.check(endpoint)));
+    return this.getStatus();
+  }
+
+  async checkProgram(program) {
+    await Promise.all((this.endpoints[program] || []).map(endpoint => this.check(endpoint)));
+    return this.getProgramStatus(program);
+  }
+
+  async check(endpoint) {
+    const startedAt = Date.now();
+    try {
+      if (endpoint.transport === 'stdio') {
+        // stdio 서버는 연결(initialize) 후 ping
+        await endpoint.connection.request('ping', {}, { timeout: HEALTH_TIMEOUT_MS });
+      } else {
+        const response = await endpoint.connection.fetchWithTimeout(`${endpoint.connection.getBaseUrl()}/health`, { method: 'GET' }, HEALTH_TIMEOUT_MS);
+        if (!response.ok) {
+          throw new Error(`Health check returned ${response.status}`);
+        }
+        const health = await response.json();
+        if (health.status !== 'ok') {
+          throw new Error(`Health status: ${health.status}`);
+        }
+        endpoint.version = health.version || null;
+        endpoint.load = health.concurrency || null;
+      }
+      endpoint.latencyMs = Date.now() - startedAt;
+      this.markHealthy(endpoint);
+    } catch (error) {
+      endpoint.latencyMs = null;
+      this.markUnhealthy(endpoint, error.message);
+    }
+    endpoint.lastCheck = new Date().toISOString();
+    return endpoint;
+  }
+
+  markHealthy(endpoint) {
+    if (endpoint.healthy === false) {
+      console.log(`[MCPRegistry] ${endpoint.id} (${endpoint.target}) is healthy again`);
+    }
+    endpoint.healthy = true;
+    endpoint.consecutiveFailures = 0;
+  }
+
+  markUnhealthy(endpoint, message) {
+    if (endpoint.healthy !== false) {
+      console.warn(`[MCPRegistry] ${endpoint.id} (${endpoint.target}) is unhealthy: ${message}`);
+    }
+    endpoint.healthy = false;
+    endpoint.lastError = message;
+    endpoint.lastErrorAt = new Date().toISOString();
+    endpoint.consecutiveFailures++;
+  }
+
+  // 시도 순서: 선택 전략으로 고른 서버 -> 나머지 정상(또는 확인 전) 서버
+  getCandidates(program) {
+    const endpoints = this.endpoints[program] || [];
+    const available = endpoints.filter(endpoint => endpoint.healthy !== false);
+    if (available.length === 0) {
+      return [];
+    }
+
+    let first;
+    if (this.strategy === 'weighted') {
+      // smooth weighted round-robin (가중치 비율대로 고르게 분산)
+      const total = available.reduce((sum, endpoint) => sum + endpoint.weight, 0);
+      for (const endpoint of available) {
+        endpoint.currentWeight += endpoint.weight;
+        if (!first || endpoint.currentWeight > first.currentWeight) {
+          first = endpoint;
+        }
+      }
+      first.currentWeight -= total;
+    } else {
+      first = available[this.cursors[program]++ % available.length];
+    }
+
+    const index = available.indexOf(first);
+    return [...available.slice(index), ...available.slice(0, index)];
+  }
+
+  /**
+   * 도구 호출 + 장애 조치
+   * 연결 실패/시간 초과/대기열 가득(queue_full)이면 다음 서버로, 코드 오류 같은 도구 결과는 그대로 반환
+   * 반환: { result: CallToolResult, endpoint }
+   */
+  async callTool(program, name, args = {}, options = {}) {
+    if (!this.endpoints[program] || this.endpoints[program].length === 0) {
+      throw new Error(`No MCP servers configured for ${program}`);
+    }
+
+    let candidates = this.getCandidates(program);
+    if (candidates.length === 0) {
+      // 모두 비정상으로 표시됨 -> 즉시 다시 확인 (그사이 복구되었을 수 있음)
+      await this.checkProgram(program);
+      candidates = this.getCandidates(program);
+    }
+    if (candidates.length === 0) {
+      throw new Error(`No healthy MCP server for ${program}: ${this.endpoints[program].map(endpoint => `${endpoint.id} ${endpoint.lastError}`).join('; ')}`);
+    }
+
+    const errors = [];
+    for (const endpoint of candidates) {
+      endpoint.requests++;
+      try {
+        const result = await endpoint.connection.callTool(name, args, options);
+        if (result && result.isError && result.structuredContent && result.structuredContent.errorType === 'queue_full') {
+          endpoint.failures++;
+          errors.push(`${endpoint.id}: busy`);
+          console.warn(`[MCPRegistry] ${endpoint.id} is busy, trying next server`);
+          continue;
+        }
+        this.markHealthy(endpoint);
+        return { result, endpoint: this.describe(endpoint) };
+      } catch (error) {
+        endpoint.failures++;
+        // JSON-RPC 에러 응답(잘못된 도구 이름 등)이나 취소는 서버 문제가 아니므로 바로 실패
+        if (error instanceof MCPError || (options.signal && options.signal.aborted)) {
+          throw error;
+        }
+        this.markUnhealthy(endpoint, error.message);
+        errors.push(`${endpoint.id}: ${error.message}`);
+        console.warn(`[MCPRegistry] ${endpoint.id} failed (${error.message}), failing over`);
+      }
+    }
+    throw new Error(`All MCP servers for ${program} failed: ${errors.join('; ')}`);
+  }
+
+  // callTool 이 돌려준 서버(endpointId)에서 결과 파일 가져오기
+  async downloadArtifact(endpointId, artifact, targetPath) {
+    const endpoint = Object.values(this.endpoints).flat().find(item => item.id === endpointId);
+    if (!endpoint) {
+      throw new Error(`Unknown MCP server: ${endpointId}`);
+    }
+    return endpoint.connection.downloadArtifact(artifact, targetPath);
+  }
+
+  describe(endpoint) {
+    return {
+      id: endpoint.id,
+      program: endpoint.program,
+      transport: endpoint.transport,
+      target: endpoint.target,
+      weight: endpoint.weight,
+      healthy: endpoint.healthy,
+      latencyMs: endpoint.latencyMs,
+      version: endpoint.version,
+      load: endpoint.load,
+      connected: endpoint.connection.connected,
+      lastCheck: endpoint.lastCheck,
+      lastError: endpoint.lastError,
+      lastErrorAt: endpoint.lastErrorAt,
+      consecutiveFailures: endpoint.consecutiveFailures,
+      requests: endpoint.requests,
+      failures: endpoint.failures,
+    };
+  }
+
+  getProgramStatus(program) {
+    const endpoints = (this.endpoints[program] || []).map(endpoint => this.describe(endpoint));
+    return {
+      program,
+      connected: endpoints.some(endpoint => endpoint.healthy),
+      healthy: endpoints.filter(endpoint => endpoint.healthy).length,
+      total: endpoints.length,
+      endpoints,
+    };
+  }
+
+  getStatus() {
+    return {
+      strategy: this.strategy,
+      healthIntervalMs: this.healthIntervalMs,
+      monitoring: !!this.timer,
+      programs: this.getPrograms().map(program => this.getProgramStatus(program)),
+    };
+  }
+}
+
+module.exports = new MCPRegistry();
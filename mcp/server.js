@@ -0,0 +1,424 @@
+// MCP (Model Context Protocol) Server Module
+// mcp-servers/* 실행 서버가 도구(tool)를 등록하고 stdio / Streamable HTTP로 노출하기 위한 JSON-RPC 2.0 서버
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const {
+  ErrorCodes,
+  SESSION_HEADER,
+  PROTOCOL_VERSION_HEADER,
+  PROTOCOL_VERSIONS,
+  MCPError,
+  createResult,
+  createError,
+  isRequest,
+  isNotification,
+  negotiateVersion,
+} = require('./protocol');
+
+const SESSION_IDLE_MS = 60 * 60 * 1000; // 1시간 동안 요청이 없으면 세션 정리
+
+const JSON_TYPES = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => !!value && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+};
+
+class MCPServer {
+  constructor(options = {}) {
+    this.name = options.name || 'mcp-server';
+    this.version = options.version || '1.0.0';
+    this.instructions = options.instructions || null;
+    this.logPrefix = options.logPrefix || `[${this.name}]`;
+    this.tools = new Map();
+    this.sessions = new Map();
+  }
+
+  // 도구 등록: { name, title, description, inputSchema, handler(args, context) }
+  registerTool(tool) {
+    if (!tool || !tool.name || typeof tool.handler !== 'function') {
+      throw new Error('Tool requires a name and a handler');
+    }
+    this.tools.set(tool.name, {
+      name: tool.name,
+      title: tool.title,
+      description: tool.description || '',
+      inputSchema: tool.inputSchema || { type: 'object', properties: {} },
+      handler: tool.handler,
+    });
+    return this;
+  }
+
+  listTools() {
+    return Array.from(this.tools.values()).map(tool => {
+      const definition = { name: tool.name, description: tool.description, inputSchema: tool.inputSchema };
+      if (tool.title) {
+        definition.title = tool.title;
+      }
+      return definition;
+    });
+  }
+
+  // inputSchema의 required / type / enum 검사 (간단한 JSON Schema 부분 집합)
+  validateArguments(schema, args) {
+    if (!JSON_TYPES.object(args)) {
+      return 'arguments must be an object';
+    }
+    for (const key of schema.required || []) {
+      if (args[key] === undefined || args[key] === null || args[key] === '') {
+        return `"${key}" is required`;
+      }
+    }
+    const properties = schema.properties || {};
+    for (const [key, value] of Object.entries(args)) {
+      const property = properties[key];
+      if (!property || value === undefined || value === null) {
+        continue;
+      }
+      if (property.type && JSON_TYPES[property.type] && !JSON_TYPES[property.type](value)) {
+        return `"${key}" must be of type ${property.type}`;
+      }
+      if (property.enum && !property.enum.includes(value)) {
+        return `"${key}" must be one of ${property.enum.join(', ')}`;
+      }
+    }
+    return null;
+  }
+
+  // 도구 결과({ success, ... })를 MCP CallToolResult로 변환
+  toToolResult(result) {
+    const structured = result && typeof result === 'object' && !Array.isArray(result) ? result : { result };
+    return {
+      content: [{ type: 'text', text: JSON.stringify(structured, null, 2) }],
+      structuredContent: structured,
+      isError: structured.success === false,
+    };
+  }
+
+  async callTool(params = {}, context = {}) {
+    const tool = this.tools.get(params.name);
+    if (!tool) {
+      throw new MCPError(ErrorCodes.INVALID_PARAMS, `Unknown tool: ${params.name}`);
+    }
+
+    const args = params.arguments || {};
+    // 인자 오류는 프로토콜 에러가 아니라 isError 결과로 돌려줘서 모델이 고칠 수 있게 함
+    const validationError = this.validateArguments(tool.inputSchema, args);
+    if (validationError) {
+      return this.toToolResult({ success: false, error: `Invalid arguments for ${tool.name}: ${validationError}` });
+    }
+
+    try {
+      // context: { session, signal } - signal 은 클라이언트가 notifications/cancelled 를 보내면 abort
+      return this.toToolResult(await tool.handler(args, context));
+    } catch (error) {
+      console.error(`${this.logPrefix} Tool ${tool.name} failed:`, error.message);
+      return this.toToolResult({ success: false, error: error.message });
+    }
+  }
+
+  // JSON-RPC 메시지 하나 처리 - 요청이면 응답 객체, 알림이면 null
+  async handleMessage(message, session = {}) {
+    if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0') {
+      return createError(message && message.id, ErrorCodes.INVALID_REQUEST, 'Invalid JSON-RPC message');
+    }
+
+    if (isNotification(message)) {
+      if (message.method === 'notifications/initialized') {
+        session.initialized = true;
+      } else if (message.method === 'notifications/cancelled') {
+        // 실행 중인 도구 호출 취소 (이미 끝났거나 모르는 요청이면 무시)
+        const controller = session.inflight && session.inflight.get((message.params || {}).requestId);
+        if (controller) {
+          controller.abort();
+        }
+      }
+      // 나머지 알림은 무시
+      return null;
+    }
+
+    if (!isRequest(message)) {
+      // 서버는 클라이언트에 요청을 보내지 않으므로 응답 메시지는 무시
+      return null;
+    }
+
+    // 요청 ID별 AbortController - notifications/cancelled 로 취소
+    const controller = new AbortController();
+    if (!session.inflight) {
+      session.inflight = new Map();
+    }
+    session.inflight.set(message.id, controller);
+
+    try {
+      const result = await this.dispatch(message.method, message.params || {}, session, controller.signal);
+      return createResult(message.id, result);
+    } catch (error) {
+      if (error instanceof MCPError) {
+        return createError(message.id, error.code, error.message, error.data);
+      }
+      console.error(`${this.logPrefix} ${message.method} failed:`, error.message);
+      return createError(message.id, ErrorCodes.INTERNAL_ERROR, error.message);
+    } finally {
+      session.inflight.delete(message.id);
+    }
+  }
+
+  async dispatch(method, params, session, signal = null) {
+    switch (method) {
+      case 'initialize': {
+        session.protocolVersion = negotiateVersion(params.protocolVersion);
+        session.clientInfo = params.clientInfo || null;
+        const result = {
+          protocolVersion: session.protocolVersion,
+          capabilities: { tools: { listChanged: false } },
+          serverInfo: { name: this.name, version: this.version },
+        };
+        if (this.instructions) {
+          result.instructions = this.instructions;
+        }
+        return result;
+      }
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return { tools: this.listTools() };
+      case 'tools/call':
+        if (!params.name || typeof params.name !== 'string') {
+          throw new MCPError(ErrorCodes.INVALID_PARAMS, 'tools/call requires a tool name');
+        }
+        return this.callTool(params, { session, signal });
+      default:
+        throw new MCPError(ErrorCodes.METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  // 단일 메시지 또는 배치 처리 - 보낼 응답이 없으면 null
+  async handlePayload(payload, session) {
+    if (Array.isArray(payload)) {
+      if (payload.length === 0) {
+        return createError(null, ErrorCodes.INVALID_REQUEST, 'Empty batch');
+      }
+      const responses = (await Promise.all(payload.map(message => this.handleMessage(message, session))))
+        .filter(Boolean);
+      return responses.length > 0 ? responses : null;
+    }
+    return this.handleMessage(payload, session);
+  }
+
+  // Streamable HTTP 전송: POST로 JSON-RPC 메시지를 받고 application/json으로 응답
+  mountHttp(app, route = '/mcp') {
+    app.post(route, async (req, res) => {
+      const payload = req.body;
+      const messages = Array.isArray(payload) ? payload : [payload];
+      const isInitialize = messages.some(message => message && message.method === 'initialize');
+
+      const protocolVersion = req.get(PROTOCOL_VERSION_HEADER);
+      if (protocolVersion && !PROTOCOL_VERSIONS.includes(protocolVersion)) {
+        return res.status(400).json(createError(null, ErrorCodes.INVALID_REQUEST, `Unsupported protocol version: ${protocolVersion}`));
+      }
+
+      let session;
+      if (isInitialize) {
+        if (messages.length > 1) {
+          return res.status(400).json(createError(null, ErrorCodes.INVALID_REQUEST, 'initialize must not be batched'));
+        }
+        session = this.createSession();
+        res.set(SESSION_HEADER, session.id);
+      } else {
+        const sessionId = req.get(SESSION_HEADER);
+        if (!sessionId) {
+          return res.status(400).json(createError(null, ErrorCodes.INVALID_REQUEST, `Missing ${SESSION_HEADER} header`));
+        }
+        session = this.sessions.get(sessionId);
+        if (!session) {
+          return res.status(404).json(createError(null, ErrorCodes.INVALID_REQUEST, 'Session not found'));
+        }
+        session.lastSeen = Date.now();
+      }
+
+      const response = await this.handlePayload(payload, session);
+      if (!response) {
+        // 알림/응답만 있으면 본문 없이 202
+        return res.status(202).end();
+      }
+      res.json(response);
+    });
+
+    // 서버 -> 클라이언트 SSE 스트림은 제공하지 않음
+    app.get(route, (req, res) => {
+      res.set('Allow', 'POST, DELETE').status(405).end();
+    });
+
+    app.delete(route, (req, res) => {
+      const sessionId = req.get(SESSION_HEADER);
+      if (!sessionId || !this.sessions.delete(sessionId)) {
+        return res.status(404).end();
+      }
+      res.status(204).end();
+    });
+
+    // 잘못된 JSON 본문 -> JSON-RPC Parse error
+    app.use(route, (err, req, res, next) => {
+      if (err && err.type === 'entity.parse.failed') {
+        return res.status(400).json(createError(null, ErrorCodes.PARSE_ERROR, 'Parse error'));
+      }
+      next(err);
+    });
+
+    return this;
+  }
+
+  createSession() {
+    const now = Date.now();
+    for (const [id, session] of this.sessions) {
+      if (now - session.lastSeen > SESSION_IDLE_MS) {
+        this.sessions.delete(id);
+      }
+    }
+    const session = { id: crypto.randomUUID(), initialized: false, createdAt: now, lastSeen: now };
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  // stdio 전송: 한 줄에 JSON-RPC 메시지 하나 (stdout은 프로토콜 전용이므로 로그는 stderr로)
+  serveStdio(input = process.stdin, output = process.stdout) {
+    console.log = (...args) => console.error(...args);
+    console.info = (...args) => console.error(...args);
+
+    const session = { id: 'stdio', initialized: false };
+    const send = message => output.write(`${JSON.stringify(message)}\n`);
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    lines.on('line', (line) => {
+      if (!line.trim()) {
+        return;
+      }
+      let payload;
+      try {
+        payload = JSON.parse(line);
+      } catch (error) {
+        send(createError(null, ErrorCodes.PARSE_ERROR, 'Parse error'));
+        return;
+      }
+      // 오래 걸리는 도구 실행 중에도 ping 등을 처리하도록 메시지마다 따로 처리
+      this.handlePayload(payload, session)
+        .then(response => response && send(response))
+        .catch(error => console.error(`${this.logPrefix} stdio message failed:`, error.message));
+    });
+
+    lines.on('close', () => {
+      console.error(`${this.logPrefix} stdin closed, exiting`);
+      process.exit(0);
+    });
+
+    console.error(`${this.logPrefix} MCP server running on stdio`);
+    return this;
+  }
+}
+
+// render_scene 인자를 실행 코드에 넘길 RENDER_* 환경 변수로 변환
+function buildRenderEnv(render = {}) {
+  const env = {};
+  if (typeof render.scene === 'string' && /^\w+$/.test(render.scene)) {
+    env.RENDER_SCENE = render.scene;
+  }
+  if (['low', 'medium', 'high'].includes(render.quality)) {
+    env.RENDER_QUALITY = render.quality;
+  }
+  for (const key of ['width', 'height', 'fps', 'duration']) {
+    const value = Number(render[key]);
+    if (Number.isFinite(value) && value > 0) {
+      env[`RENDER_${key.toUpperCase()}`] = String(value);
+    }
+  }
+  return env;
+}
+
+// 실행 서버 공통 도구: execute_code / list_outputs / render_scene
+// options: { label, outputDir, urlPrefix, extensions, execute(code, options) -> Promise<result>, renderDescription }
+function registerExecutionTools(server, options) {
+  const label = options.label;
+  const outputDir = options.outputDir;
+  const urlPrefix = options.urlPrefix || '/outputs/simulations';
+  const extensions = options.extensions || ['.mp4', '.gif', '.avi', '.mov'];
+
+  server.registerTool({
+    name: 'execute_code',
+    title: `Execute ${label} code`,
+    description: `Run ${label} code in the sandbox. The code must save its animation to the path in the OUTPUT_PATH environment variable. Returns the output file URL, stdout and stderr.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        code: { type: 'string', description: `${label} source code` },
+        options: { type: 'object', description: 'Executor options, e.g. { "artifacts": ["<artifactId>"] } to copy uploaded input files next to the code' },
+      },
+      required: ['code'],
+    },
+    handler: (args, context) => options.execute(args.code, args.options || {}, context.signal),
+  });
+
+  server.registerTool({
+    name: 'list_outputs',
+    title: 'List rendered outputs',
+    description: 'List rendered files in the output directory, newest first.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', description: 'Maximum number of files (default 20)' },
+        extension: { type: 'string', description: 'Only files with this extension, e.g. ".mp4"' },
+      },
+    },
+    handler: async (args) => {
+      const limit = Math.max(1, Math.min(args.limit || 20, 200));
+      const filter = args.extension ? [args.extension.startsWith('.') ? args.extension : `.${args.extension}`] : extensions;
+      const files = fs.existsSync(outputDir)
+        ? fs.readdirSync(outputDir)
+          .filter(name => filter.includes(path.extname(name).toLowerCase()))
+          .map(name => {
+            const stat = fs.statSync(path.join(outputDir, name));
+            return { name, url: `${urlPrefix}/${name}`, size: stat.size, modified: stat.mtime.toISOString() };
+          })
+          .sort((a, b) => b.modified.localeCompare(a.modified))
+        : [];
+      return { success: true, total: files.length, outputs: files.slice(0, limit) };
+    },
+  });
+
+  server.registerTool({
+    name: 'render_scene',
+    title: `Render a ${label} scene`,
+    description: options.renderDescription
+      || `Render an animation from ${label} code. Render settings are passed to the code as RENDER_SCENE, RENDER_QUALITY, RENDER_WIDTH, RENDER_HEIGHT, RENDER_FPS and RENDER_DURATION environment variables; the video must be saved to OUTPUT_PATH.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        code: { type: 'string', description: `${label} source code` },
+        scene: { type: 'string', description: 'Scene name to render' },
+        quality: { type: 'string', enum: ['low', 'medium', 'high'] },
+        width: { type: 'integer' },
+        height: { type: 'integer' },
+        fps: { type: 'integer' },
+        duration: { type: 'number', description: 'Target length in seconds' },
+        artifacts: { type: 'array', description: 'Uploaded input file IDs to copy next to the code' },
+      },
+      required: ['code'],
+    },
+    handler: (args, context) => {
+      const { code, artifacts, ...render } = args;
+      return options.execute(code, { render, artifacts }, context.signal);
+    },
+  });
+
+  return server;
+}
+
+module.exports = {
+  MCPServer,
+  registerExecutionTools,
+  buildRenderEnv,
+};
@@ -87,7 +87,70 @@ async function setupDatabase(rootPassword = null) {
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
     `);
     console.log('✅ Users table ready');
-    
+
+    // 채팅 대화 테이블 생성 (AI 도구별 대화, 비로그인 사용자는 user_id NULL)
+    console.log('📋 Creating chat_conversations table if not exists...');
+    await dbConnection.query(`
+      CREATE TABLE IF NOT EXISTS chat_conversations (
+        id CHAR(32) PRIMARY KEY,
+        user_id INT DEFAULT NULL,
+        tool VARCHAR(50) NOT NULL,
+        title VARCHAR(255) DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_chat_conversations_user_tool (user_id, tool, updated_at),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    console.log('✅ Chat conversations table ready');
+
+    // 채팅 메시지 테이블 생성
+    console.log('📋 Creating chat_messages table if not exists...');
+    await dbConnection.query(`
+      CREATE TABLE IF NOT EXISTS chat_messages (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        conversation_id CHAR(32) NOT NULL,
+        role VARCHAR(20) NOT NULL,
+        content MEDIUMTEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_chat_messages_conversation (conversation_id, id),
+        FOREIGN KEY (conversation_id) REFERENCES chat_conversations(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    console.log('✅ Chat messages table ready');
+
+    // 아티팩트 테이블 생성 (outputs/ 파일을 만든 사용자, 대화, 작업 기록)
+    console.log('📋 Creating artifacts table if not exists...');
+    await dbConnection.query(`
+      CREATE TABLE IF NOT EXISTS artifacts (
+        id CHAR(32) PRIMARY KEY,
+        kind VARCHAR(30) NOT NULL,
+        url VARCHAR(512) NOT NULL UNIQUE,
+        user_id INT DEFAULT NULL,
+        guest_id CHAR(32) DEFAULT NULL,
+        conversation_id CHAR(32) DEFAULT NULL,
+        job_id VARCHAR(100) DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_artifacts_user_kind (user_id, kind, created_at),
+        INDEX idx_artifacts_guest (guest_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (conversation_id) REFERENCES chat_conversations(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    // 이전 버전 테이블에는 guest_id 가 없음 (비로그인 사용자의 아티팩트 소유자)
+    const [guestColumn] = await dbConnection.query(
+      `SELECT COLUMN_NAME FROM information_schema.COLUMNS
+       WHERE TABLE_SCHEMA = ? AND TABLE_NAME = 'artifacts' AND COLUMN_NAME = 'guest_id'`,
+      [DB_NAME]
+    );
+    if (guestColumn.length === 0) {
+      await dbConnection.query(
+        'ALTER TABLE artifacts ADD COLUMN guest_id CHAR(32) DEFAULT NULL AFTER user_id, ADD INDEX idx_artifacts_guest (guest_id)'
+      );
+      console.log('✅ Added artifacts.guest_id');
+    }
+    console.log('✅ Artifacts table ready');
+
     await dbConnection.end();
     console.log('\n🎉 Database setup completed successfully!');
     console.log(`\n📝 Database Information:`);
@@ -10,10 +10,20 @@ const bcrypt = require('bcrypt');
 const LocalAIApi = require('./ai/LocalAIApi');
 const PromptManager = require('./ai/PromptManager');
 const ScriptGenerator = require('./workers/script-generator');
+const ScriptSchema = require('./workers/script-schema');
 const SimulationRunner = require('./workers/simulation-runner');
 const VideoComposer = require('./workers/video-composer');
 const AIVideoGenerator = require('./workers/ai-video-generator');
+const ProjectRenderer = require('./workers/project-renderer');
+const SubtitleGenerator = require('./workers/subtitle-generator');
+const SpeechMarkup = require('./workers/speech-markup');
+const FormulaRenderer = require('./workers/formula-renderer');
+const AudioMixer = require('./workers/audio-mixer');
+const JobQueue = require('./workers/job-queue');
+const MCPRegistry = require('./mcp/registry');
 const { db, DB_USER, DB_NAME, DB_PASS } = require('./db/config');
+const ChatHistory = require('./db/chat-history');
+const ArtifactRegistry = require('./db/artifact-registry');
 
 const app = express();
 const PORT = process.env.PORT || 8000;
@@ -138,58 +148,140 @@ const courses = [
   },
 ];
 
-// In-memory chat history per session ID (using cookies)
-const promptHistories = new Map();
-const simulationHistories = new Map();
-const scriptHistories = new Map();
-const videoHistories = new Map();
+// 도구별 채팅 기록은 MySQL(chat_conversations/chat_messages)에 저장
+// 현재 대화 ID는 <tool>_session_id 쿠키에 보관 (비로그인 사용자는 쿠키로만 대화에 접근)
+function getConversationCookieName(toolType) {
+  return `${toolType}_session_id`;
+}
 
-function getSessionId(req, res, toolType = 'prompt') {
-  const cookieName = `${toolType}_session_id`;
-  let sessionId = req.cookies?.[cookieName];
-  const historyMap = getHistoryMap(toolType);
-  
-  if (!sessionId || !historyMap.has(sessionId)) {
-    sessionId = crypto.randomBytes(16).toString('hex');
-    res.cookie(cookieName, sessionId, { 
-      maxAge: 24 * 60 * 60 * 1000, // 24 hours
-      httpOnly: true 
-    });
-    historyMap.set(sessionId, []);
+function setConversationCookie(req, res, toolType, conversationId) {
+  const cookieName = getConversationCookieName(toolType);
+  res.cookie(cookieName, conversationId, {
+    maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
+    httpOnly: true
+  });
+  // 같은 요청 안에서 이어지는 조회/저장이 새 대화를 보도록 반영
+  req.cookies = { ...req.cookies, [cookieName]: conversationId };
+}
+
+/**
+ * 쿠키의 현재 대화 조회 (접근 권한이 없거나 다른 도구의 대화면 null)
+ * 로그인 전에 시작한 대화는 로그인한 사용자 계정으로 연결
+ */
+async function getCurrentConversation(req, toolType) {
+  const conversationId = req.cookies?.[getConversationCookieName(toolType)];
+  const conversation = await ChatHistory.getConversation(conversationId);
+  const userId = req.session.user_id || null;
+
+  if (!conversation || conversation.tool !== toolType || !ChatHistory.canAccess(conversation, userId)) {
+    return null;
+  }
+  if (userId && conversation.user_id == null) {
+    await ChatHistory.claimConversation(conversation.id, userId);
+    conversation.user_id = userId;
   }
-  return sessionId;
+  return conversation;
 }
 
-function getHistoryMap(toolType) {
-  switch (toolType) {
-    case 'simulation': return simulationHistories;
-    case 'script': return scriptHistories;
-    case 'video': return videoHistories;
-    default: return promptHistories;
+async function getToolHistory(req, toolType) {
+  try {
+    const conversation = await getCurrentConversation(req, toolType);
+    return conversation ? await ChatHistory.getMessages(conversation.id) : [];
+  } catch (error) {
+    console.error(`[ChatHistory] ${toolType} 대화 기록 조회 실패:`, error.message);
+    return [];
   }
 }
 
-function getToolHistory(req, res, toolType) {
-  const sessionId = getSessionId(req, res, toolType);
-  const historyMap = getHistoryMap(toolType);
-  return historyMap.get(sessionId);
+/**
+ * 현재 대화에 메시지 저장 - 대화가 없으면 첫 메시지에서 새로 생성
+ */
+async function appendToolMessage(req, res, toolType, role, content) {
+  try {
+    let conversation = await getCurrentConversation(req, toolType);
+    if (!conversation) {
+      const conversationId = await ChatHistory.createConversation(toolType, req.session.user_id || null);
+      setConversationCookie(req, res, toolType, conversationId);
+      conversation = { id: conversationId };
+    }
+    await ChatHistory.appendMessage(conversation.id, role, content);
+    return true;
+  } catch (error) {
+    console.error(`[ChatHistory] ${toolType} 메시지 저장 실패:`, error.message);
+    return false;
+  }
 }
 
+/**
+ * 새 채팅 시작 - 이전 대화는 DB에 남겨 두고 쿠키만 해제
+ */
 function clearToolHistory(req, res, toolType) {
-  const cookieName = `${toolType}_session_id`;
-  const sessionId = req.cookies?.[cookieName];
-  const historyMap = getHistoryMap(toolType);
-  
-  if (sessionId) {
-    historyMap.delete(sessionId);
+  const cookieName = getConversationCookieName(toolType);
+  res.clearCookie(cookieName);
+  req.cookies = { ...req.cookies, [cookieName]: undefined };
+  return [];
+}
+
+/**
+ * 작업 결과 아티팩트의 소유 정보 (사용자, 현재 대화)
+ */
+async function getArtifactOwner(req, toolType = null) {
+  let conversation = null;
+  if (toolType) {
+    try {
+      conversation = await getCurrentConversation(req, toolType);
+    } catch (error) {
+      console.error(`[ChatHistory] ${toolType} 현재 대화 조회 실패:`, error.message);
+    }
+  }
+  return {
+    userId: req.session.user_id || null,
+    conversationId: conversation ? conversation.id : null,
+    guestId: req.session.user_id ? null : getGuestId(req),
+  };
+}
+
+/**
+ * 비로그인 사용자의 세션별 임의 ID (작업 소유자 구분용, 세션에 저장해 쿠키가 유지됨)
+ */
+function getGuestId(req) {
+  if (!req.session.guestId) {
+    req.session.guestId = crypto.randomBytes(16).toString('hex');
+  }
+  return req.session.guestId;
+}
+
+/**
+ * 요청한 사용자 (JobQueue.isOwnedBy, listJobs 의 owner 로 사용)
+ */
+function getJobOwner(req) {
+  return {
+    userId: req.session.user_id || null,
+    guestId: req.session.guestId || null,
+  };
+}
+
+/**
+ * 요청한 사용자의 작업만 반환, 없거나 다른 사용자의 작업이면 null (라우트는 404)
+ */
+function getOwnedJob(req, jobId) {
+  const job = JobQueue.getJob(jobId);
+  return job && JobQueue.isOwnedBy(job, getJobOwner(req)) ? job : null;
+}
+
+/**
+ * 로그인 사용자의 이전 대화 목록 (비로그인이거나 조회 실패 시 빈 배열)
+ */
+async function getToolConversations(req, toolType) {
+  if (!isLoggedIn(req)) {
+    return [];
+  }
+  try {
+    return await ChatHistory.listConversations(req.session.user_id, toolType);
+  } catch (error) {
+    console.error(`[ChatHistory] ${toolType} 대화 목록 조회 실패:`, error.message);
+    return [];
   }
-  const newSessionId = crypto.randomBytes(16).toString('hex');
-  res.cookie(cookieName, newSessionId, { 
-    maxAge: 24 * 60 * 60 * 1000,
-    httpOnly: true 
-  });
-  historyMap.set(newSessionId, []);
-  return historyMap.get(newSessionId);
 }
 
 
@@ -386,6 +478,358 @@ const aiTools = [
   },
 ];
 
+/**
+ * 생성 요청의 입력 아티팩트(scriptId, simulationId, audioId) 확인
+ * 지정하지 않은 입력은 null - 다른 사용자의 최근 파일을 임의로 고르지 않음
+ * projectId 가 있으면 편집 프로젝트에 저장된 오디오 믹스 설정(timeline.audioMix)을 사용
+ */
+async function resolveGenerationInputs(options, owner = {}) {
+  const inputs = { success: true, scriptPath: null, simulationPath: null, audioPath: null, audioMix: null };
+
+  if (options.projectId) {
+    const project = ProjectRenderer.loadProject(String(options.projectId));
+    if (!project) {
+      return { success: false, error: `Project not found: ${options.projectId}` };
+    }
+    inputs.audioMix = (project.timeline && project.timeline.audioMix) || null;
+  }
+
+  const fields = [
+    { option: 'scriptId', kind: 'script', key: 'scriptPath' },
+    { option: 'simulationId', kind: 'simulation', key: 'simulationPath' },
+    { option: 'audioId', kind: 'audio', key: 'audioPath' },
+  ];
+
+  for (const field of fields) {
+    if (!options[field.option]) continue;
+    try {
+      const resolved = await ArtifactRegistry.resolve(String(options[field.option]), {
+        kind: field.kind,
+        userId: owner.userId || null,
+        guestId: owner.guestId || null,
+      });
+      if (!resolved.success) {
+        return resolved;
+      }
+      inputs[field.key] = resolved.filePath;
+    } catch (error) {
+      console.error(`[Generate] ${field.option} 조회 실패:`, error.message);
+      return { success: false, error: `Failed to resolve ${field.option}: ${error.message}` };
+    }
+  }
+  return inputs;
+}
+
+/**
+ * 도구별 생성 작업 실행 (JobQueue 핸들러)
+ * HTTP 요청과 분리되어 실행되므로 대화 기록과 옵션은 제출 시점의 값을 사용
+ */
+async function runToolGeneration(toolName, history, options, context, owner = {}) {
+  let result;
+  
+  if (toolName === 'script') {
+    context.reportProgress({ status: 'generating', message: 'Generating script...', progress: 10 });
+    result = await ScriptGenerator.generateScriptFromHistory(history, {
+      repairAttempts: options.repairAttempts,
+      signal: context.signal,
+    });
+  } else if (toolName === 'simulation') {
+    result = await SimulationRunner.generateAndRun(history, {
+      jobId: context.jobId,
+      repairAttempts: options.repairAttempts,
+      signal: context.signal,
+    });
+  } else if (toolName === 'video') {
+    // Video generation from conversation history
+    // 채팅 히스토리를 반영해서 비디오 생성
+    const fs = require('fs');
+    
+    console.log('[Video Generation] 채팅 히스토리 기반 비디오 생성 시작...');
+    console.log('[Video Generation] 히스토리 길이:', history.length);
+    
+    // Step 1: 입력 아티팩트 확인 (scriptId / simulationId / audioId 로 명시적으로 지정)
+    const inputs = await resolveGenerationInputs(options, owner);
+    if (!inputs.success) {
+      return inputs;
+    }
+    let scriptPath = inputs.scriptPath;
+    
+    // 대본이 없으면 채팅 히스토리에서 생성
+    if (!scriptPath || !fs.existsSync(scriptPath)) {
+      console.log('[Video Generation] 대본이 없어서 채팅 히스토리에서 생성...');
+      try {
+        context.reportProgress({ status: 'generating', message: 'Generating script...', progress: 5 });
+        const scriptResult = await ScriptGenerator.generateScriptFromHistory(history, { signal: context.signal });
+        if (scriptResult.success && scriptResult.url) {
+          // URL에서 파일 경로 추출, 중간 생성물도 이 작업의 아티팩트로 등록
+          scriptPath = ArtifactRegistry.toFilePath(scriptResult.url);
+          await ArtifactRegistry.registerResult(scriptResult, owner, context.jobId);
+          console.log('[Video Generation] 대본 생성 완료:', scriptPath);
+        } else {
+          console.error('[Video Generation] 대본 생성 실패:', scriptResult.error);
+        }
+      } catch (error) {
+        console.error('[Video Generation] 대본 생성 오류:', error);
+      }
+    }
+    
+    // Step 2: 시뮬레이션 비디오 (지정되지 않았으면 생성)
+    let simulationVideoPath = inputs.simulationPath;
+    
+    // 시뮬레이션 비디오가 없으면 채팅 히스토리에서 생성
+    if (!simulationVideoPath || !fs.existsSync(simulationVideoPath)) {
+      console.log('[Video Generation] 시뮬레이션 비디오가 없어서 채팅 히스토리에서 생성...');
+      try {
+        const simulationResult = await SimulationRunner.generateAndRun(history, {
+          jobId: context.jobId,
+          repairAttempts: options.repairAttempts,
+          signal: context.signal,
+        });
+        if (simulationResult.success && simulationResult.url) {
+          // URL에서 파일 경로 추출, 중간 생성물도 이 작업의 아티팩트로 등록
+          simulationVideoPath = ArtifactRegistry.toFilePath(simulationResult.url);
+          await ArtifactRegistry.registerResult(simulationResult, owner, context.jobId);
+          console.log('[Video Generation] 시뮬레이션 비디오 생성 완료:', simulationVideoPath);
+        } else {
+          console.error('[Video Generation] 시뮬레이션 비디오 생성 실패:', simulationResult.error);
+        }
+      } catch (error) {
+        console.error('[Video Generation] 시뮬레이션 비디오 생성 오류:', error);
+      }
+    }
+    
+    console.log('[Video Generation] 최종 파일 확인:', {
+      script: scriptPath,
+      simulation: simulationVideoPath,
+      scriptExists: scriptPath ? fs.existsSync(scriptPath) : false,
+      simulationExists: simulationVideoPath ? fs.existsSync(simulationVideoPath) : false,
+    });
+    
+    // 대본과 시뮬레이션 비디오가 모두 있으면 비디오 생성
+    if (scriptPath && fs.existsSync(scriptPath) && simulationVideoPath && fs.existsSync(simulationVideoPath)) {
+      console.log('[Video Generation] VideoComposer 호출 시작...');
+      try {
+        result = await VideoComposer.createVideoFromResources(scriptPath, simulationVideoPath, history, {
+          audioFile: inputs.audioPath || undefined,
+          audioMix: inputs.audioMix || undefined,
+          userId: owner.userId || null,
+          guestId: owner.guestId || null,
+          jobId: context.jobId,
+          signal: context.signal,
+        });
+        console.log('[Video Generation] VideoComposer 결과:', {
+          success: result.success,
+          error: result.error,
+          url: result.url,
+        });
+      } catch (error) {
+        console.error('[Video Generation] VideoComposer 오류:', error);
+        result = {
+          success: false,
+          error: 'Video composition failed: ' + error.message,
+        };
+      }
+    } else {
+      // 파일이 없으면 채팅 히스토리만으로 AI 비디오 생성 시도
+      console.log('[Video Generation] 파일이 없어서 채팅 히스토리만으로 AI 비디오 생성 시도...');
+      try {
+        // 채팅 히스토리에서 비디오 프롬프트 추출
+        const lastUserMessage = history.filter(m => m.role === 'user').pop();
+        if (lastUserMessage) {
+          const videoPrompt = lastUserMessage.content;
+          console.log('[Video Generation] AI 비디오 생성 프롬프트:', videoPrompt.substring(0, 100));
+          result = await AIVideoGenerator.generateVideo(videoPrompt, {
+            model: options.model || 'cerspense/zeroscope_v2_576w',
+            steps: options.steps || 50,
+            frames: options.frames || 24,
+            height: options.height || 320,
+            width: options.width || 576,
+            jobId: context.jobId,
+            signal: context.signal,
+          });
+        } else {
+          result = {
+            success: false,
+            error: '채팅 히스토리가 없습니다. 비디오에 대한 설명을 입력해주세요.',
+          };
+        }
+      } catch (error) {
+        console.error('[Video Generation] AI 비디오 생성 오류:', error);
+        result = {
+          success: false,
+          error: 'AI video generation failed: ' + error.message,
+        };
+      }
+    }
+  } else if (toolName === 'ai-video') {
+    // AI Video generation from script or direct prompt
+    // 대본은 scriptId 로 지정된 경우에만 사용
+    const inputs = await resolveGenerationInputs(options, owner);
+    if (!inputs.success) {
+      return inputs;
+    }
+    const scriptPath = inputs.scriptPath;
+    
+    if (scriptPath) {
+      // Generate AI video from script
+      result = await AIVideoGenerator.generateVideoFromScript(scriptPath, history, {
+        model: options.model || 'cerspense/zeroscope_v2_576w',
+        steps: options.steps || 50,
+        frames: options.frames || 24,
+        height: options.height || 320,
+        width: options.width || 576,
+        device: options.device || undefined,
+        jobId: context.jobId,
+        signal: context.signal,
+      });
+    } else {
+      // Generate from conversation history (extract prompt from last message)
+      const lastUserMessage = history.filter(m => m.role === 'user').pop();
+      if (lastUserMessage) {
+        result = await AIVideoGenerator.generateVideo(lastUserMessage.content, {
+          model: options.model || 'cerspense/zeroscope_v2_576w',
+          steps: options.steps || 50,
+          frames: options.frames || 24,
+          height: options.height || 320,
+          width: options.width || 576,
+          device: options.device || undefined,
+          jobId: context.jobId,
+          signal: context.signal,
+        });
+      } else {
+        result = {
+          success: false,
+          error: 'AI video generation requires a script or a text prompt. Please generate a script first or provide a video description in the chat.',
+          instructions: '1. Generate a script using the Script tool, or\n2. Describe what video you want to generate in the chat',
+        };
+      }
+    }
+  } else {
+    result = {
+      success: false,
+      error: 'Unknown tool',
+    };
+  }
+
+  return result;
+}
+
+// 생성 작업 유형 등록 (동시 실행 수는 JOB_CONCURRENCY_<TYPE> 환경 변수로 조정)
+[
+  { type: 'script', concurrency: 2 },
+  { type: 'simulation', concurrency: 1 },
+  { type: 'video', concurrency: 1 },
+].forEach(({ type, concurrency }) => {
+  JobQueue.registerHandler(type, async (payload, context) => {
+    const result = await runToolGeneration(type, payload.history, payload.options || {}, context, payload.owner);
+    return ArtifactRegistry.registerResult(result, payload.owner, context.jobId);
+  }, { concurrency });
+});
+
+// AI 비디오는 대화 기록 기반 생성과 프롬프트 직접 생성(/video/generate-from-chat)이 같은 GPU를 공유
+JobQueue.registerHandler('ai-video', async (payload, context) => {
+  let result;
+  if (payload.prompt) {
+    result = await AIVideoGenerator.generateVideo(payload.prompt, {
+      ...payload.options,
+      jobId: context.jobId,
+      signal: context.signal,
+    });
+  } else {
+    result = await runToolGeneration('ai-video', payload.history, payload.options || {}, context, payload.owner);
+  }
+  return ArtifactRegistry.registerResult(result, payload.owner, context.jobId);
+}, { concurrency: 1 });
+
+/**
+ * 채팅 응답 텍스트 - 실패 시 할당량/API 키/기타 오류 안내 메시지
+ */
+function formatChatReply(resp) {
+  if (resp && resp.success) {
+    let text = LocalAIApi.extractText(resp);
+    if (!text) {
+      const decoded = LocalAIApi.decodeJsonFromResponse(resp);
+      if (decoded) {
+        text = JSON.stringify(decoded);
+      } else if (resp.data != null) {
+        text = String(resp.data);
+      } else {
+        text = '';
+      }
+    }
+    return text || 'Sorry, I could not generate a response.';
+  } else {
+    const error = (resp && resp.error) || 'Unknown error';
+    const status = resp && resp.status;
+    const responseData = resp && resp.response;
+    
+    // 실제 API 응답 로깅 (디버깅용)
+    console.log('[Chat API Error]', {
+      error: error,
+      status: status,
+      response: responseData,
+      fullResp: JSON.stringify(resp, null, 2)
+    });
+    
+    // 실제 오류 메시지 추출
+    let errorMsg = error;
+    let errorCode = null;
+    if (responseData && typeof responseData === 'object') {
+      if (responseData.error) {
+        if (typeof responseData.error === 'object') {
+          errorMsg = responseData.error.message || errorMsg;
+          errorCode = responseData.error.code || responseData.error.status;
+        } else {
+          errorMsg = responseData.error || errorMsg;
+        }
+      } else if (responseData.message) {
+        errorMsg = responseData.message;
+      }
+    }
+    
+    const errorStr = String(errorMsg).toLowerCase();
+    const responseStr = responseData ? String(JSON.stringify(responseData)).toLowerCase() : '';
+    
+    // 실제 할당량 오류인지 더 정확하게 확인 (할당량 관련 키워드가 명확히 있어야 함)
+    const isQuotaError = (errorStr.includes('quota') && (errorStr.includes('exceeded') || errorStr.includes('limit') || errorStr.includes('reached'))) || 
+                        errorStr.includes('resource_exhausted') ||
+                        errorCode === 429 ||
+                        (status === 429) || // Too Many Requests
+                        (status === 403 && errorStr.includes('quota') && (errorStr.includes('exceeded') || errorStr.includes('limit'))) ||
+                        (responseStr.includes('quota') && (responseStr.includes('exceeded') || responseStr.includes('limit')));
+    
+    // API 키 관련 오류인지 확인
+    const isApiKeyError = errorStr.includes('api key') || 
+                         errorStr.includes('invalid api key') ||
+                         errorStr.includes('unauthorized') ||
+                         errorStr.includes('permission denied') ||
+                         errorCode === 401 ||
+                         status === 401 ||
+                         (status === 403 && !isQuotaError);
+    
+    if (isQuotaError) {
+      return `⚠️ **Gemini API 할당량 초과 오류**\n\n` +
+        `현재 Gemini API 할당량이 초과되었습니다. 다음을 확인해주세요:\n\n` +
+        `1. **Google AI Studio 확인**: https://aistudio.google.com/\n` +
+        `2. **API 키 확인**: .env 파일의 GEMINI_API_KEY가 올바른지 확인하세요\n` +
+        `3. **할당량 확인**: Google AI Studio에서 사용량을 확인하세요\n\n` +
+        `**오류 상세**: ${errorMsg}${status ? ` (HTTP ${status})` : ''}`;
+    } else if (isApiKeyError) {
+      return `⚠️ **API 키 오류**\n\n` +
+        `API 키에 문제가 있습니다:\n\n` +
+        `1. **API 키 확인**: .env 파일의 GEMINI_API_KEY가 올바른지 확인하세요\n` +
+        `2. **Google AI Studio**: https://aistudio.google.com/ 에서 API 키가 활성화되어 있는지 확인하세요\n` +
+        `3. **서버 재시작**: API 키를 변경했다면 서버를 재시작하세요\n\n` +
+        `**오류 상세**: ${errorMsg}${status ? ` (HTTP ${status})` : ''}`;
+    } else {
+      return `⚠️ **API 오류**\n\n` +
+        `오류가 발생했습니다:\n\n` +
+        `**오류 메시지**: ${errorMsg}${status ? ` (HTTP ${status})` : ''}\n\n` +
+        `서버 콘솔에서 자세한 오류 정보를 확인하세요.`;
+    }
+  }
+}
+
 // Create routes for each AI tool
 aiTools.forEach((tool) => {
   // GET route
@@ -394,9 +838,25 @@ aiTools.forEach((tool) => {
     res.setHeader('Pragma', 'no-cache');
     res.setHeader('Expires', '0');
     res.setHeader('Content-Type', 'text/html; charset=utf-8');
-    const history = getToolHistory(req, res, tool.name);
+    const history = await getToolHistory(req, tool.name);
+    const conversations = await getToolConversations(req, tool.name);
     const isDev = await isDeveloper(req);
-    res.send(renderAIToolPage(tool, history, isLoggedIn(req), isDev));
+    res.send(renderAIToolPage(tool, history, isLoggedIn(req), isDev, conversations));
+  });
+
+  // 이전 대화 이어하기 (로그인 사용자 본인의 대화만)
+  app.get(`/${tool.name}/conversations/:conversationId`, requireLogin, async (req, res) => {
+    try {
+      const conversation = await ChatHistory.getConversation(req.params.conversationId);
+      if (!conversation || conversation.tool !== tool.name || conversation.user_id !== req.session.user_id) {
+        return res.status(404).send(renderNotFoundPage());
+      }
+      setConversationCookie(req, res, tool.name, conversation.id);
+      res.redirect(`/${tool.name}`);
+    } catch (error) {
+      console.error(`[ChatHistory] ${tool.name} 대화 불러오기 실패:`, error.message);
+      res.status(500).send('Failed to load conversation.');
+    }
   });
 
   // POST route for chat
@@ -406,11 +866,12 @@ aiTools.forEach((tool) => {
     res.setHeader('Expires', '0');
     res.setHeader('Content-Type', 'text/html; charset=utf-8');
     
-    const history = getToolHistory(req, res, tool.name);
+    const history = await getToolHistory(req, tool.name);
     const prompt = (req.body && req.body.prompt) ? String(req.body.prompt).trim() : '';
 
     if (prompt) {
       history.push({ role: 'user', content: prompt });
+      await appendToolMessage(req, res, tool.name, 'user', prompt);
 
       // Build conversation history for context
       const conversationHistory = history.slice(-10).map((msg) => ({
@@ -423,98 +884,78 @@ aiTools.forEach((tool) => {
           { role: 'system', content: tool.systemPrompt },
           ...conversationHistory,
         ],
+        tool: tool.name,
       });
 
-      let aiReply;
-      if (resp && resp.success) {
-        let text = LocalAIApi.extractText(resp);
-        if (!text) {
-          const decoded = LocalAIApi.decodeJsonFromResponse(resp);
-          if (decoded) {
-            text = JSON.stringify(decoded);
-          } else if (resp.data != null) {
-            text = String(resp.data);
-          } else {
-            text = '';
-          }
-        }
-        aiReply = text || 'Sorry, I could not generate a response.';
-      } else {
-        const error = (resp && resp.error) || 'Unknown error';
-        const status = resp && resp.status;
-        const responseData = resp && resp.response;
-        
-        // 실제 API 응답 로깅 (디버깅용)
-        console.log('[Chat API Error]', {
-          error: error,
-          status: status,
-          response: responseData,
-          fullResp: JSON.stringify(resp, null, 2)
-        });
-        
-        // 실제 오류 메시지 추출
-        let errorMsg = error;
-        let errorCode = null;
-        if (responseData && typeof responseData === 'object') {
-          if (responseData.error) {
-            if (typeof responseData.error === 'object') {
-              errorMsg = responseData.error.message || errorMsg;
-              errorCode = responseData.error.code || responseData.error.status;
-            } else {
-              errorMsg = responseData.error || errorMsg;
-            }
-          } else if (responseData.message) {
-            errorMsg = responseData.message;
-          }
-        }
-        
-        const errorStr = String(errorMsg).toLowerCase();
-        const responseStr = responseData ? String(JSON.stringify(responseData)).toLowerCase() : '';
-        
-        // 실제 할당량 오류인지 더 정확하게 확인 (할당량 관련 키워드가 명확히 있어야 함)
-        const isQuotaError = (errorStr.includes('quota') && (errorStr.includes('exceeded') || errorStr.includes('limit') || errorStr.includes('reached'))) || 
-                            errorStr.includes('resource_exhausted') ||
-                            errorCode === 429 ||
-                            (status === 429) || // Too Many Requests
-                            (status === 403 && errorStr.includes('quota') && (errorStr.includes('exceeded') || errorStr.includes('limit'))) ||
-                            (responseStr.includes('quota') && (responseStr.includes('exceeded') || responseStr.includes('limit')));
-        
-        // API 키 관련 오류인지 확인
-        const isApiKeyError = errorStr.includes('api key') || 
-                             errorStr.includes('invalid api key') ||
-                             errorStr.includes('unauthorized') ||
-                             errorStr.includes('permission denied') ||
-                             errorCode === 401 ||
-                             status === 401 ||
-                             (status === 403 && !isQuotaError);
-        
-        if (isQuotaError) {
-          aiReply = `⚠️ **Gemini API 할당량 초과 오류**\n\n` +
-            `현재 Gemini API 할당량이 초과되었습니다. 다음을 확인해주세요:\n\n` +
-            `1. **Google AI Studio 확인**: https://aistudio.google.com/\n` +
-            `2. **API 키 확인**: .env 파일의 GEMINI_API_KEY가 올바른지 확인하세요\n` +
-            `3. **할당량 확인**: Google AI Studio에서 사용량을 확인하세요\n\n` +
-            `**오류 상세**: ${errorMsg}${status ? ` (HTTP ${status})` : ''}`;
-        } else if (isApiKeyError) {
-          aiReply = `⚠️ **API 키 오류**\n\n` +
-            `API 키에 문제가 있습니다:\n\n` +
-            `1. **API 키 확인**: .env 파일의 GEMINI_API_KEY가 올바른지 확인하세요\n` +
-            `2. **Google AI Studio**: https://aistudio.google.com/ 에서 API 키가 활성화되어 있는지 확인하세요\n` +
-            `3. **서버 재시작**: API 키를 변경했다면 서버를 재시작하세요\n\n` +
-            `**오류 상세**: ${errorMsg}${status ? ` (HTTP ${status})` : ''}`;
-        } else {
-          aiReply = `⚠️ **API 오류**\n\n` +
-            `오류가 발생했습니다:\n\n` +
-            `**오류 메시지**: ${errorMsg}${status ? ` (HTTP ${status})` : ''}\n\n` +
-            `서버 콘솔에서 자세한 오류 정보를 확인하세요.`;
-        }
-      }
+      const aiReply = formatChatReply(resp);
 
       history.push({ role: 'assistant', content: aiReply });
+      await appendToolMessage(req, res, tool.name, 'assistant', aiReply);
     }
 
+    const conversations = await getToolConversations(req, tool.name);
     const isDev = await isDeveloper(req);
-    res.send(renderAIToolPage(tool, history, isLoggedIn(req), isDev));
+    res.send(renderAIToolPage(tool, history, isLoggedIn(req), isDev, conversations));
+  });
+
+  // 스트리밍 채팅 (Server-Sent Events)
+  // 이벤트: token (응답 조각), done (최종 응답, 대화 기록에 저장됨), error (오류 안내 메시지)
+  app.post(`/${tool.name}/stream`, async (req, res) => {
+    const prompt = (req.body && req.body.prompt) ? String(req.body.prompt).trim() : '';
+    if (!prompt) {
+      return res.status(400).json({
+        success: false,
+        error: 'Prompt is required',
+      });
+    }
+
+    const history = await getToolHistory(req, tool.name);
+    history.push({ role: 'user', content: prompt });
+    // 새 대화면 쿠키가 설정되므로 헤더 전송 전에 저장
+    await appendToolMessage(req, res, tool.name, 'user', prompt);
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // 브라우저가 연결을 끊으면 AI 요청도 중단
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
+    });
+
+    const conversationHistory = history.slice(-10).map((msg) => ({
+      role: msg.role,
+      content: msg.content,
+    }));
+
+    const resp = await LocalAIApi.streamResponse({
+      input: [
+        { role: 'system', content: tool.systemPrompt },
+        ...conversationHistory,
+      ],
+      tool: tool.name,
+    }, (text) => send('token', { text }), { signal: controller.signal });
+
+    let aiReply;
+    if (resp && !resp.success && resp.partialText) {
+      // 응답 도중 끊긴 경우 받은 부분까지 저장
+      aiReply = `${resp.partialText}\n\n⚠️ 응답이 중단되었습니다: ${resp.message || resp.error}`;
+    } else {
+      aiReply = formatChatReply(resp);
+    }
+    await appendToolMessage(req, res, tool.name, 'assistant', aiReply);
+
+    if (!controller.signal.aborted) {
+      send(resp && resp.success ? 'done' : 'error', { message: aiReply });
+      res.end();
+    }
   });
 
   // POST route for clearing history
@@ -524,14 +965,15 @@ aiTools.forEach((tool) => {
     res.setHeader('Expires', '0');
     res.setHeader('Content-Type', 'text/html; charset=utf-8');
     const history = clearToolHistory(req, res, tool.name);
+    const conversations = await getToolConversations(req, tool.name);
     const isDev = await isDeveloper(req);
-    res.send(renderAIToolPage(tool, history, isLoggedIn(req), isDev));
+    res.send(renderAIToolPage(tool, history, isLoggedIn(req), isDev, conversations));
   });
 
   // POST route for generating actual output
   app.post(`/${tool.name}/generate`, async (req, res) => {
     res.setHeader('Content-Type', 'application/json');
-    const history = getToolHistory(req, res, tool.name);
+    const history = await getToolHistory(req, tool.name);
 
     if (!history || history.length < 1) {
       return res.json({
@@ -541,223 +983,18 @@ aiTools.forEach((tool) => {
     }
 
     try {
-      let result;
-      
-      if (tool.name === 'script') {
-        result = await ScriptGenerator.generateScriptFromHistory(history);
-      } else if (tool.name === 'simulation') {
-        result = await SimulationRunner.generateAndRun(history);
-      } else if (tool.name === 'video') {
-        // Video generation from conversation history
-        // 채팅 히스토리를 반영해서 비디오 생성
-        const fs = require('fs');
-        const path = require('path');
-        
-        console.log('[Video Generation] 채팅 히스토리 기반 비디오 생성 시작...');
-        console.log('[Video Generation] 히스토리 길이:', history.length);
-        
-        // Step 1: 대본 생성 (없으면)
-        const scriptsDir = path.join(__dirname, 'outputs', 'scripts');
-        let scriptPath = null;
-        if (fs.existsSync(scriptsDir)) {
-          // JSON 파일 우선, 없으면 TXT 파일
-          const jsonFiles = fs.readdirSync(scriptsDir)
-            .filter(f => f.endsWith('.json'))
-            .map(f => ({
-              name: f,
-              path: path.join(scriptsDir, f),
-              time: fs.statSync(path.join(scriptsDir, f)).mtime.getTime()
-            }))
-            .sort((a, b) => b.time - a.time);
-          
-          if (jsonFiles.length > 0) {
-            scriptPath = jsonFiles[0].path;
-          } else {
-            // JSON이 없으면 TXT 파일 사용
-            const txtFiles = fs.readdirSync(scriptsDir)
-            .filter(f => f.endsWith('.txt'))
-            .map(f => ({
-              name: f,
-              path: path.join(scriptsDir, f),
-              time: fs.statSync(path.join(scriptsDir, f)).mtime.getTime()
-            }))
-            .sort((a, b) => b.time - a.time);
-          
-            if (txtFiles.length > 0) {
-              scriptPath = txtFiles[0].path;
-            }
-          }
-        }
-        
-        // 대본이 없으면 채팅 히스토리에서 생성
-        if (!scriptPath || !fs.existsSync(scriptPath)) {
-          console.log('[Video Generation] 대본이 없어서 채팅 히스토리에서 생성...');
-          try {
-            const scriptResult = await ScriptGenerator.generateScriptFromHistory(history);
-            if (scriptResult.success && scriptResult.url) {
-              // URL에서 파일 경로 추출
-              const urlPath = scriptResult.url.replace('/outputs/', '');
-              scriptPath = path.join(__dirname, urlPath);
-              console.log('[Video Generation] 대본 생성 완료:', scriptPath);
-            } else {
-              console.error('[Video Generation] 대본 생성 실패:', scriptResult.error);
-            }
-          } catch (error) {
-            console.error('[Video Generation] 대본 생성 오류:', error);
-          }
-        }
-        
-        // Step 2: 시뮬레이션 비디오 생성 (없으면)
-        const simulationsDir = path.join(__dirname, 'outputs', 'simulations');
-        let simulationVideoPath = null;
-        if (fs.existsSync(simulationsDir)) {
-          const videoFiles = fs.readdirSync(simulationsDir)
-            .filter(f => f.endsWith('.mp4') || f.endsWith('.avi') || f.endsWith('.mov') || f.endsWith('.gif'))
-            .map(f => ({
-              name: f,
-              path: path.join(simulationsDir, f),
-              time: fs.statSync(path.join(simulationsDir, f)).mtime.getTime()
-            }))
-            .sort((a, b) => b.time - a.time);
-          
-          if (videoFiles.length > 0) {
-            simulationVideoPath = videoFiles[0].path;
-          }
-        }
-        
-        // 시뮬레이션 비디오가 없으면 채팅 히스토리에서 생성
-        if (!simulationVideoPath || !fs.existsSync(simulationVideoPath)) {
-          console.log('[Video Generation] 시뮬레이션 비디오가 없어서 채팅 히스토리에서 생성...');
-          try {
-            const simulationResult = await SimulationRunner.generateAndRun(history);
-            if (simulationResult.success && simulationResult.url) {
-              // URL에서 파일 경로 추출
-              const urlPath = simulationResult.url.replace('/outputs/', '');
-              simulationVideoPath = path.join(__dirname, urlPath);
-              console.log('[Video Generation] 시뮬레이션 비디오 생성 완료:', simulationVideoPath);
-            } else {
-              console.error('[Video Generation] 시뮬레이션 비디오 생성 실패:', simulationResult.error);
-            }
-          } catch (error) {
-            console.error('[Video Generation] 시뮬레이션 비디오 생성 오류:', error);
-          }
-        }
-        
-        console.log('[Video Generation] 최종 파일 확인:', {
-          script: scriptPath,
-          simulation: simulationVideoPath,
-          scriptExists: scriptPath ? fs.existsSync(scriptPath) : false,
-          simulationExists: simulationVideoPath ? fs.existsSync(simulationVideoPath) : false,
-        });
-        
-        // 대본과 시뮬레이션 비디오가 모두 있으면 비디오 생성
-        if (scriptPath && fs.existsSync(scriptPath) && simulationVideoPath && fs.existsSync(simulationVideoPath)) {
-          console.log('[Video Generation] VideoComposer 호출 시작...');
-          try {
-            result = await VideoComposer.createVideoFromResources(scriptPath, simulationVideoPath, history);
-            console.log('[Video Generation] VideoComposer 결과:', {
-              success: result.success,
-              error: result.error,
-              url: result.url,
-            });
-          } catch (error) {
-            console.error('[Video Generation] VideoComposer 오류:', error);
-            result = {
-              success: false,
-              error: 'Video composition failed: ' + error.message,
-            };
-          }
-        } else {
-          // 파일이 없으면 채팅 히스토리만으로 AI 비디오 생성 시도
-          console.log('[Video Generation] 파일이 없어서 채팅 히스토리만으로 AI 비디오 생성 시도...');
-          try {
-            // 채팅 히스토리에서 비디오 프롬프트 추출
-            const lastUserMessage = history.filter(m => m.role === 'user').pop();
-            if (lastUserMessage) {
-              const videoPrompt = lastUserMessage.content;
-              console.log('[Video Generation] AI 비디오 생성 프롬프트:', videoPrompt.substring(0, 100));
-              result = await AIVideoGenerator.generateVideo(videoPrompt, {
-                model: req.body.model || 'cerspense/zeroscope_v2_576w',
-                steps: req.body.steps || 50,
-                frames: req.body.frames || 24,
-                height: req.body.height || 320,
-                width: req.body.width || 576,
-              });
-            } else {
-              result = {
-                success: false,
-                error: '채팅 히스토리가 없습니다. 비디오에 대한 설명을 입력해주세요.',
-              };
-            }
-          } catch (error) {
-            console.error('[Video Generation] AI 비디오 생성 오류:', error);
-            result = {
-              success: false,
-              error: 'AI video generation failed: ' + error.message,
-            };
-          }
-        }
-      } else if (tool.name === 'ai-video') {
-        // AI Video generation from script or direct prompt
-        const fs = require('fs');
-        const path = require('path');
-        
-        // Try to find the most recent script
-        const scriptsDir = path.join(__dirname, 'outputs', 'scripts');
-        let scriptPath = null;
-        if (fs.existsSync(scriptsDir)) {
-          const scriptFiles = fs.readdirSync(scriptsDir)
-            .filter(f => f.endsWith('.txt'))
-            .map(f => ({
-              name: f,
-              path: path.join(scriptsDir, f),
-              time: fs.statSync(path.join(scriptsDir, f)).mtime.getTime()
-            }))
-            .sort((a, b) => b.time - a.time);
-          
-          if (scriptFiles.length > 0) {
-            scriptPath = scriptFiles[0].path;
-          }
-        }
-        
-        if (scriptPath) {
-          // Generate AI video from script
-          result = await AIVideoGenerator.generateVideoFromScript(scriptPath, history, {
-            model: req.body.model || 'cerspense/zeroscope_v2_576w',
-            steps: req.body.steps || 50,
-            frames: req.body.frames || 24,
-            height: req.body.height || 320,
-            width: req.body.width || 576,
-            device: req.body.device || undefined,
-          });
-        } else {
-          // Generate from conversation history (extract prompt from last message)
-          const lastUserMessage = history.filter(m => m.role === 'user').pop();
-          if (lastUserMessage) {
-            result = await AIVideoGenerator.generateVideo(lastUserMessage.content, {
-              model: req.body.model || 'cerspense/zeroscope_v2_576w',
-              steps: req.body.steps || 50,
-              frames: req.body.frames || 24,
-              height: req.body.height || 320,
-              width: req.body.width || 576,
-              device: req.body.device || undefined,
-            });
-          } else {
-            result = {
-              success: false,
-              error: 'AI video generation requires a script or a text prompt. Please generate a script first or provide a video description in the chat.',
-              instructions: '1. Generate a script using the Script tool, or\n2. Describe what video you want to generate in the chat',
-            };
-          }
-        }
-      } else {
-        result = {
-          success: false,
-          error: 'Unknown tool',
-        };
-      }
+      const job = JobQueue.submit(tool.name, {
+        history: [...history],
+        options: req.body || {},
+        owner: await getArtifactOwner(req, tool.name),
+      });
 
-      res.json(result);
+      res.json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`,
+      });
     } catch (error) {
       console.error(`[${tool.name}/generate] 오류 발생:`, error);
       console.error(`[${tool.name}/generate] 오류 스택:`, error.stack);
@@ -774,7 +1011,7 @@ aiTools.forEach((tool) => {
 app.get('/video/edit', async (req, res) => {
   res.setHeader('Content-Type', 'text/html; charset=utf-8');
   const isDev = await isDeveloper(req);
-  const history = getToolHistory(req, res, 'video');
+  const history = await getToolHistory(req, 'video');
   res.send(renderVideoEditorPage(isLoggedIn(req), isDev, history));
 });
 
@@ -788,12 +1025,22 @@ app.get('/api/video-editor/media', async (req, res) => {
     const simulationsDir = path.join(__dirname, 'outputs', 'simulations');
     const videosDir = path.join(__dirname, 'outputs', 'videos');
     const aiVideosDir = path.join(__dirname, 'outputs', 'ai-videos');
+    const audioDir = path.join(__dirname, 'outputs', 'audio');
+    
+    // ?owner=me 면 요청한 사용자(로그인 사용자 또는 비로그인 세션)의 파일만 - 다른 사용자 기준 필터는 받지 않음
+    if (req.query.owner && req.query.owner !== 'me') {
+      return res.status(400).json({ success: false, error: 'Invalid owner (only owner=me is supported)' });
+    }
+    const mineOnly = req.query.owner === 'me';
+    const requester = getJobOwner(req);
     
     const media = {
       scripts: [],
       simulations: [],
       videos: [],
-      aiVideos: []
+      aiVideos: [],
+      audio: [],
+      music: AudioMixer.listMusic()
     };
     
     // 대본 파일들 (JSON 우선, TXT도 포함)
@@ -935,6 +1182,60 @@ app.get('/api/video-editor/media', async (req, res) => {
       media.aiVideos = files;
     }
     
+    // 내레이션 오디오 (TTS 결과)
+    if (fs.existsSync(audioDir)) {
+      media.audio = fs.readdirSync(audioDir)
+        .filter(f => f.endsWith('.mp3') || f.endsWith('.wav'))
+        .map(f => {
+          try {
+            const stats = fs.statSync(path.join(audioDir, f));
+            if (!stats.isFile()) {
+              return null;
+            }
+            return {
+              name: f,
+              url: `/outputs/audio/${f}`,
+              size: stats.size,
+              modified: stats.mtime,
+              type: 'audio'
+            };
+          } catch (error) {
+            console.error('[API] 파일 정보 읽기 오류:', f, error.message);
+            return null;
+          }
+        })
+        .filter(f => f !== null)
+        .sort((a, b) => b.modified - a.modified);
+    }
+    
+    // 아티팩트 정보 추가 (생성 API의 scriptId/simulationId/audioId 로 사용)
+    let artifacts = new Map();
+    try {
+      artifacts = await ArtifactRegistry.findByUrls(Object.values(media).flat().map(f => f.url));
+    } catch (error) {
+      if (mineOnly) {
+        throw error;
+      }
+      console.warn('[API] 아티팩트 정보 조회 실패:', error.message);
+    }
+    
+    // 아티팩트 ID와 출처는 요청한 사용자의 파일에만 포함 (다른 사용자의 파일을 생성 입력으로 쓸 수 없도록)
+    Object.keys(media).forEach((key) => {
+      media[key] = media[key]
+        .map((f) => {
+          const artifact = artifacts.get(f.url);
+          const owned = ArtifactRegistry.isOwnedBy(artifact, requester);
+          return {
+            ...f,
+            artifactId: owned ? artifact.id : null,
+            owned,
+            conversationId: owned ? artifact.conversation_id : null,
+            jobId: owned ? artifact.job_id : null
+          };
+        })
+        .filter(f => !mineOnly || f.owned);
+    });
+    
     res.json({ success: true, media });
   } catch (error) {
     console.error('[API] 미디어 목록 가져오기 오류:', error);
@@ -944,7 +1245,7 @@ app.get('/api/video-editor/media', async (req, res) => {
 
 // 편집 페이지용 API - 채팅 히스토리 가져오기
 app.get('/api/video-editor/history', async (req, res) => {
-  const history = getToolHistory(req, res, 'video');
+  const history = await getToolHistory(req, 'video');
   res.json({ success: true, history: history || [] });
 });
 
@@ -1060,7 +1361,7 @@ Return a JSON structure with your suggestions.`;
     
     const aiResponse = await LocalAIApi.createResponse({
       input: messages,
-      model: require('./ai/config').default_model,
+      tool: 'editor',
     });
     
     if (aiResponse && aiResponse.success) {
@@ -1111,7 +1412,7 @@ Return a JSON structure with the editing instructions.`;
     
     const aiResponse = await LocalAIApi.createResponse({
       input: messages,
-      model: require('./ai/config').default_model,
+      tool: 'editor',
     });
     
     if (aiResponse && aiResponse.success) {
@@ -1126,13 +1427,16 @@ Return a JSON structure with the editing instructions.`;
       
       // 특정 작업에 대한 처리
       if (action === 'generate-subtitles' && context?.script) {
-        // 대본 기반 자막 생성
-        const scriptLines = context.script.split('\n').filter(line => line.trim());
-        result.subtitles = scriptLines.map((line, index) => ({
+        // 대본 기반 자막 생성 (구조화된 대본 JSON 이면 세그먼트 시간, 텍스트면 글자 수로 길이 추정)
+        const parsedScript = ScriptSchema.parse(context.script);
+        const cues = parsedScript.success
+          ? SubtitleGenerator.fromScript(parsedScript.data)
+          : SubtitleGenerator.fromText(context.script);
+        result.subtitles = cues.map((cue, index) => ({
           id: `subtitle-${index}`,
-          text: line.trim(),
-          startTime: index * 5,
-          duration: 5
+          text: cue.lines.join('\n'),
+          startTime: cue.start,
+          duration: cue.end - cue.start
         }));
       }
       
@@ -1178,7 +1482,7 @@ Be conversational, helpful, and proactive. If the user asks for something, try t
     
     const aiResponse = await LocalAIApi.createResponse({
       input: messages,
-      model: require('./ai/config').default_model,
+      tool: 'editor',
     });
     
     if (aiResponse && aiResponse.success) {
@@ -1215,12 +1519,18 @@ app.post('/api/video-editor/project/save', async (req, res) => {
     const projectId = projectData.id || `project-${Date.now()}`;
     const projectFile = path.join(projectsDir, `${projectId}.json`);
     
+    // 오디오 믹스 설정은 정규화해서 저장 (배경 음악, 더킹, 라우드니스 - 렌더링과 비디오 생성에서 사용)
+    const timeline = projectData.timeline || {};
+    if (timeline.audioMix) {
+      timeline.audioMix = AudioMixer.normalize(timeline.audioMix);
+    }
+    
     const project = {
       id: projectId,
       name: projectData.name || 'Untitled Project',
       createdAt: projectData.createdAt || new Date().toISOString(),
       updatedAt: new Date().toISOString(),
-      timeline: projectData.timeline || {},
+      timeline,
       clips: projectData.clips || [],
       effects: projectData.effects || [],
       context: projectData.context || {}
@@ -1239,11 +1549,113 @@ app.post('/api/video-editor/project/save', async (req, res) => {
   }
 });
 
+// 구조화된 대본 TTS 생성 및 타임라인 구성 (JobQueue 핸들러)
+// scriptPath 가 있으면 측정한 오디오 길이로 다시 계산한 대본을 수정본(script_xxx_r2.json)으로 저장
+async function buildStructuredScriptTimeline(scriptData, context, scriptPath = null) {
+  const fs = require('fs');
+  const path = require('path');
+  const TTSGenerator = require('./workers/tts-generator');
+
+  // TTS 오디오 생성
+  console.log('[API] TTS 오디오 생성 시작...');
+  let audioFiles;
+  try {
+    audioFiles = await TTSGenerator.generateFromStructuredScript(scriptData, { jobId: context.jobId });
+  } catch (error) {
+    console.error('[API] TTS 생성 오류:', error);
+    return {
+      success: false,
+      error: '오디오 생성 실패: ' + error.message
+    };
+  }
+  
+  if (!audioFiles || audioFiles.length === 0) {
+    return {
+      success: false,
+      error: '오디오 파일이 생성되지 않았습니다. TTS 서비스가 작동하지 않거나 세그먼트에 문제가 있을 수 있습니다.'
+    };
+  }
+  
+  console.log('[API] TTS 생성 완료:', audioFiles.length, '개 파일 생성됨');
+  
+  // 실제 오디오 길이로 세그먼트 시간 재계산
+  scriptData = TTSGenerator.retimeScript(scriptData, audioFiles);
+  let revision = null;
+  if (scriptData.metadata.measuredSegments === 0) {
+    console.warn('[API] 오디오 길이를 측정하지 못해 대본의 시간을 그대로 사용합니다 (ffprobe 확인)');
+  } else if (scriptPath) {
+    try {
+      revision = ScriptGenerator.saveRevision(scriptData, scriptPath);
+      scriptData = revision.script;
+    } catch (error) {
+      console.error('[API] 대본 수정본 저장 실패:', error.message);
+    }
+  }
+  
+  // 타임라인 구조 생성
+  const timeline = scriptData.segments.map((segment) => {
+    const audioFile = audioFiles.find(af => af.segmentId === segment.id);
+    
+    // 오디오 파일 URL 생성
+    let audioUrl = null;
+    if (audioFile && audioFile.audioFile) {
+      const relativePath = path.relative(
+        path.join(__dirname, 'outputs'),
+        audioFile.audioFile
+      );
+      audioUrl = `/outputs/${relativePath.replace(/\\/g, '/')}`;
+    }
+    
+    return {
+      id: segment.id,
+      startTime: segment.startTime,
+      endTime: segment.endTime,
+      duration: segment.endTime - segment.startTime,
+      audioFile: audioFile ? audioFile.audioFile : null,
+      audioUrl: audioUrl,
+      text: segment.text,
+      subtitle: {
+        text: SpeechMarkup.stripMarkup(segment.text),
+        startTime: segment.startTime,
+        endTime: segment.endTime
+      },
+      tts: segment.tts || {}
+    };
+  });
+  
+  console.log('[API] 타임라인 생성 완료:', timeline.length, '개 세그먼트');
+  
+  return {
+    success: true,
+    timeline: timeline,
+    audioFiles: audioFiles.map(af => ({
+      segmentId: af.segmentId,
+      url: path.relative(
+        path.join(__dirname, 'outputs'),
+        af.audioFile
+      ).replace(/\\/g, '/'),
+      startTime: af.startTime,
+      endTime: af.endTime
+    })),
+    script: {
+      metadata: scriptData.metadata || {},
+      totalSegments: scriptData.segments.length,
+      ...(revision ? { revision: revision.revision, url: revision.jsonUrl } : {})
+    },
+    // 수정본 대본도 아티팩트로 등록
+    ...(revision ? { jsonUrl: revision.jsonUrl, txtUrl: revision.txtUrl } : {})
+  };
+}
+
+JobQueue.registerHandler('tts', async (payload, context) => {
+  const result = await buildStructuredScriptTimeline(payload.scriptData, context, payload.scriptPath);
+  return ArtifactRegistry.registerResult(result, payload.owner, context.jobId);
+}, { concurrency: 1 });
+
 // 구조화된 대본 가져오기 및 TTS 생성 API
 app.post('/api/video-editor/import-structured-script', async (req, res) => {
   const fs = require('fs');
   const path = require('path');
-  const TTSGenerator = require('./workers/tts-generator');
   
   try {
     const { scriptPath } = req.body;
@@ -1300,102 +1712,26 @@ app.post('/api/video-editor/import-structured-script', async (req, res) => {
       });
     }
     
-    if (!scriptData.segments || !Array.isArray(scriptData.segments)) {
-      return res.json({
-        success: false,
-        error: 'Invalid script format: segments missing or not an array'
-      });
-    }
-    
-    if (scriptData.segments.length === 0) {
-      return res.json({
-        success: false,
-        error: '스크립트에 세그먼트가 없습니다. 세그먼트가 하나 이상 필요합니다.'
-      });
-    }
-    
-    // 유효한 세그먼트 수 확인
-    const validSegments = scriptData.segments.filter(s => s && s.text && typeof s.text === 'string' && s.text.trim().length > 0);
-    if (validSegments.length === 0) {
-      return res.json({
-        success: false,
-        error: '유효한 텍스트를 가진 세그먼트가 없습니다. 모든 세그먼트에 텍스트가 필요합니다.'
-      });
-    }
-    
-    console.log('[API] 유효한 세그먼트 수:', validSegments.length, '/', scriptData.segments.length);
-    
-    // TTS 오디오 생성
-    console.log('[API] TTS 오디오 생성 시작...');
-    let audioFiles;
-    try {
-      audioFiles = await TTSGenerator.generateFromStructuredScript(scriptData);
-    } catch (error) {
-      console.error('[API] TTS 생성 오류:', error);
-      return res.json({
-        success: false,
-        error: '오디오 생성 실패: ' + error.message
-      });
-    }
-    
-    if (!audioFiles || audioFiles.length === 0) {
+    // 대본 스키마 검증 (TTSGenerator, VideoComposer 와 같은 검증기)
+    const validation = ScriptSchema.validate(scriptData);
+    if (!validation.valid) {
       return res.json({
         success: false,
-        error: '오디오 파일이 생성되지 않았습니다. TTS 서비스가 작동하지 않거나 세그먼트에 문제가 있을 수 있습니다.'
+        error: 'Invalid script format: ' + ScriptSchema.formatErrors(validation.errors),
+        validationErrors: validation.errors
       });
     }
     
-    console.log('[API] TTS 생성 완료:', audioFiles.length, '개 파일 생성됨');
-    
-    // 타임라인 구조 생성
-    const timeline = scriptData.segments.map((segment) => {
-      const audioFile = audioFiles.find(af => af.segmentId === segment.id);
-      
-      // 오디오 파일 URL 생성
-      let audioUrl = null;
-      if (audioFile && audioFile.audioFile) {
-        const relativePath = path.relative(
-          path.join(__dirname, 'outputs'),
-          audioFile.audioFile
-        );
-        audioUrl = `/outputs/${relativePath.replace(/\\/g, '/')}`;
-      }
-      
-      return {
-        id: segment.id,
-        startTime: segment.startTime,
-        endTime: segment.endTime,
-        duration: segment.endTime - segment.startTime,
-        audioFile: audioFile ? audioFile.audioFile : null,
-        audioUrl: audioUrl,
-        text: segment.text,
-        subtitle: {
-          text: segment.text,
-          startTime: segment.startTime,
-          endTime: segment.endTime
-        },
-        tts: segment.tts || {}
-      };
-    });
+    console.log('[API] 세그먼트 수:', scriptData.segments.length);
     
-    console.log('[API] 타임라인 생성 완료:', timeline.length, '개 세그먼트');
+    // TTS 오디오 생성은 백그라운드 작업으로 실행
+    const job = JobQueue.submit('tts', { scriptData, scriptPath: actualPath, owner: await getArtifactOwner(req) });
     
     res.json({
       success: true,
-      timeline: timeline,
-      audioFiles: audioFiles.map(af => ({
-        segmentId: af.segmentId,
-        url: path.relative(
-          path.join(__dirname, 'outputs'),
-          af.audioFile
-        ).replace(/\\/g, '/'),
-        startTime: af.startTime,
-        endTime: af.endTime
-      })),
-      script: {
-        metadata: scriptData.metadata || {},
-        totalSegments: scriptData.segments.length
-      }
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
     });
   } catch (error) {
     console.error('[API] 구조화된 대본 가져오기 오류:', error);
@@ -1468,10 +1804,259 @@ app.get('/api/video-editor/project/list', async (req, res) => {
   }
 });
 
+// 편집 프로젝트 렌더링 API (저장된 프로젝트 -> MP4)
+app.post('/api/video-editor/project/:projectId/render', async (req, res) => {
+  try {
+    const result = ProjectRenderer.startRender(req.params.projectId, {
+      preset: req.body?.preset,
+      crf: req.body?.crf,
+    }, await getArtifactOwner(req));
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    res.json({
+      ...result,
+      statusUrl: `/api/jobs/${result.jobId}`,
+    });
+  } catch (error) {
+    console.error('[API] 프로젝트 렌더링 오류:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 자막 파일 응답 (format: srt | vtt | ass, download=1 이면 첨부 파일로)
+ */
+function sendSubtitles(req, res, cues, baseName) {
+  const rendered = SubtitleGenerator.render(cues, req.query.format || 'srt', {
+    fontName: req.query.font,
+    fontSize: req.query.fontSize,
+  });
+  if (!rendered.success) {
+    return res.status(400).json(rendered);
+  }
+  const disposition = req.query.download ? 'attachment' : 'inline';
+  res.setHeader('Content-Type', rendered.contentType);
+  res.setHeader('Content-Disposition', `${disposition}; filename="${baseName}.${rendered.extension}"`);
+  res.send(rendered.content);
+}
+
+// 구조화된 대본(아티팩트 ID)의 자막 - audioJobId 를 주면 TTS 작업의 실제 오디오 길이 사용
+app.get('/api/scripts/:id/subtitles', async (req, res) => {
+  const fs = require('fs');
+  
+  try {
+    if (!SubtitleGenerator.getFormat(req.query.format)) {
+      return res.status(400).json({ success: false, error: `Unsupported subtitle format: ${req.query.format}` });
+    }
+
+    const resolved = await ArtifactRegistry.resolve(req.params.id, {
+      kind: 'script',
+      ...getJobOwner(req),
+    });
+    if (!resolved.success) {
+      return res.status(404).json(resolved);
+    }
+    if (path.extname(resolved.filePath).toLowerCase() !== '.json') {
+      return res.status(400).json({ success: false, error: 'Subtitles require a structured (JSON) script' });
+    }
+
+    const scriptData = JSON.parse(fs.readFileSync(resolved.filePath, 'utf8'));
+    const validation = ScriptSchema.validate(scriptData);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid script format: ' + ScriptSchema.formatErrors(validation.errors),
+        validationErrors: validation.errors,
+      });
+    }
+
+    let durations = new Map();
+    if (req.query.audioJobId) {
+      const job = getOwnedJob(req, String(req.query.audioJobId));
+      if (!job || job.type !== 'tts' || !job.result || !job.result.success) {
+        return res.status(404).json({ success: false, error: `Completed TTS job not found: ${req.query.audioJobId}` });
+      }
+      durations = await SubtitleGenerator.getAudioDurations(job.result.timeline);
+    }
+
+    const cues = SubtitleGenerator.fromScript(scriptData, { durations });
+    sendSubtitles(req, res, cues, path.basename(resolved.filePath, '.json'));
+  } catch (error) {
+    console.error('[API] 자막 생성 오류:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 대본 세그먼트별 시뮬레이션 생성 (JobQueue 핸들러)
+// 성공한 시뮬레이션은 세그먼트의 visual 로 연결한 수정본(script_xxx_r2.json)으로 저장 -> 장면 단위 비디오 합성에 사용
+JobQueue.registerHandler('segment-simulations', async (payload, context) => {
+  const fs = require('fs');
+  const scriptData = JSON.parse(fs.readFileSync(payload.scriptPath, 'utf8'));
+
+  let durations = new Map();
+  if (payload.audioTimeline) {
+    durations = await SubtitleGenerator.getAudioDurations(payload.audioTimeline);
+  }
+
+  const result = await SimulationRunner.generateForSegments(scriptData, payload.history || [], {
+    ...payload.options,
+    durations,
+    jobId: context.jobId,
+    signal: context.signal,
+  });
+
+  const { script, ...report } = result;
+  if (script && result.summary && result.summary.succeeded > 0) {
+    const revision = ScriptGenerator.saveRevision(script, payload.scriptPath);
+    report.script = { revision: revision.revision, url: revision.jsonUrl };
+    report.jsonUrl = revision.jsonUrl;
+    report.txtUrl = revision.txtUrl;
+  }
+  return ArtifactRegistry.registerResult(report, payload.owner, context.jobId);
+}, { concurrency: 1 });
+
+// 대본 세그먼트별 시뮬레이션 생성 API
+// body: segmentIds (지정한 세그먼트만 다시 생성, 없으면 AI 가 필요한 세그먼트 선택), descriptions, program, repairAttempts,
+//       audioJobId (import-structured-script TTS 작업 - 측정한 내레이션 길이를 목표 길이로 사용)
+app.post('/api/scripts/:id/simulations', async (req, res) => {
+  try {
+    const resolved = await ArtifactRegistry.resolve(req.params.id, {
+      kind: 'script',
+      ...getJobOwner(req),
+    });
+    if (!resolved.success) {
+      return res.status(404).json(resolved);
+    }
+    if (path.extname(resolved.filePath).toLowerCase() !== '.json') {
+      return res.status(400).json({ success: false, error: 'Segment simulations require a structured (JSON) script' });
+    }
+
+    const fs = require('fs');
+    const scriptData = JSON.parse(fs.readFileSync(resolved.filePath, 'utf8'));
+    const validation = ScriptSchema.validate(scriptData);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid script format: ' + ScriptSchema.formatErrors(validation.errors),
+        validationErrors: validation.errors,
+      });
+    }
+
+    const { segmentIds, descriptions, program, repairAttempts, maxSimulations, audioJobId } = req.body || {};
+    if (segmentIds !== undefined && !(Array.isArray(segmentIds) && segmentIds.every(id => typeof id === 'string'))) {
+      return res.status(400).json({ success: false, error: 'segmentIds must be an array of segment ids' });
+    }
+    if (program && !SimulationRunner.programs[program]) {
+      return res.status(400).json({ success: false, error: `Unknown program: ${program}` });
+    }
+
+    let audioTimeline = null;
+    if (audioJobId) {
+      const job = getOwnedJob(req, String(audioJobId));
+      if (!job || job.type !== 'tts' || !job.result || !job.result.success) {
+        return res.status(404).json({ success: false, error: `Completed TTS job not found: ${audioJobId}` });
+      }
+      audioTimeline = job.result.timeline;
+    }
+
+    const job = JobQueue.submit('segment-simulations', {
+      scriptPath: resolved.filePath,
+      history: await getToolHistory(req, 'simulation'),
+      options: {
+        segmentIds,
+        descriptions: descriptions && typeof descriptions === 'object' ? descriptions : undefined,
+        program: program || undefined,
+        repairAttempts,
+        maxSimulations,
+      },
+      audioTimeline,
+      owner: await getArtifactOwner(req, 'simulation'),
+    });
+
+    res.json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+    });
+  } catch (error) {
+    console.error('[API] 세그먼트 시뮬레이션 요청 오류:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 저장된 편집 프로젝트의 자막 트랙
+app.get('/api/video-editor/project/:projectId/subtitles', (req, res) => {
+  try {
+    const project = ProjectRenderer.loadProject(req.params.projectId);
+    if (!project) {
+      return res.status(404).json({ success: false, error: 'Project not found' });
+    }
+    sendSubtitles(req, res, SubtitleGenerator.fromProject(project), project.id || req.params.projectId);
+  } catch (error) {
+    console.error('[API] 프로젝트 자막 생성 오류:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 수식이 포함된 자막/텍스트를 투명 PNG 로 렌더링 (편집기 미리보기용, 렌더링과 같은 이미지)
+app.get('/api/formulas/render', (req, res) => {
+  try {
+    const rendered = FormulaRenderer.renderToPng(req.query.text, {
+      fontSize: req.query.fontSize,
+      color: req.query.color,
+      box: req.query.box !== '0',
+    });
+    if (!rendered.success) {
+      return res.status(400).json(rendered);
+    }
+    res.setHeader('Cache-Control', 'public, max-age=86400');
+    res.sendFile(rendered.path);
+  } catch (error) {
+    console.error('[API] 수식 렌더링 오류:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 배경 음악 에셋 라이브러리 - 목록
+app.get('/api/assets/music', (req, res) => {
+  try {
+    res.json({ success: true, music: AudioMixer.listMusic() });
+  } catch (error) {
+    console.error('[API] 배경 음악 목록 오류:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 배경 음악 업로드 (요청 본문 = 오디오 파일, ?name=원본 파일 이름)
+app.post('/api/assets/music', express.raw({ type: ['audio/*', 'application/octet-stream'], limit: '50mb' }), async (req, res) => {
+  try {
+    const saved = AudioMixer.saveMusic(String(req.query.name || ''), req.body);
+    if (!saved.success) {
+      return res.status(400).json(saved);
+    }
+
+    let artifactId = null;
+    try {
+      artifactId = await ArtifactRegistry.register({ url: saved.url, kind: 'music', ...(await getArtifactOwner(req)) });
+    } catch (error) {
+      console.warn('[API] 배경 음악 아티팩트 등록 실패:', error.message);
+    }
+
+    res.json({ success: true, name: saved.name, url: saved.url, artifactId });
+  } catch (error) {
+    console.error('[API] 배경 음악 업로드 오류:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Hugging Face 모델로 채팅 히스토리 기반 비디오 생성 엔드포인트
 app.post('/video/generate-from-chat', async (req, res) => {
   res.setHeader('Content-Type', 'application/json');
-  const history = getToolHistory(req, res, 'video');
+  const history = await getToolHistory(req, 'video');
   
   if (!history || history.length < 1) {
     return res.json({
@@ -1509,18 +2094,27 @@ app.post('/video/generate-from-chat', async (req, res) => {
     
     console.log('[Video Generation] 추출된 비디오 프롬프트:', videoPrompt.substring(0, 200));
     
-    // Hugging Face 모델로 비디오 생성 (로컬 모델 사용)
-    const result = await AIVideoGenerator.generateVideo(videoPrompt, {
-      useReplicate: false, // Hugging Face 로컬 모델 사용
-      model: req.body.model || 'cerspense/zeroscope_v2_576w',
-      steps: req.body.steps || 50,
-      frames: req.body.frames || 24,
-      height: req.body.height || 320,
-      width: req.body.width || 576,
-      device: req.body.device || undefined,
+    // Hugging Face 모델로 비디오 생성 (로컬 모델 사용) - 백그라운드 작업으로 실행
+    const job = JobQueue.submit('ai-video', {
+      prompt: videoPrompt,
+      options: {
+        useReplicate: false, // Hugging Face 로컬 모델 사용
+        model: req.body.model || 'cerspense/zeroscope_v2_576w',
+        steps: req.body.steps || 50,
+        frames: req.body.frames || 24,
+        height: req.body.height || 320,
+        width: req.body.width || 576,
+        device: req.body.device || undefined,
+      },
+      owner: await getArtifactOwner(req, 'video'),
     });
     
-    res.json(result);
+    res.json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+    });
   } catch (error) {
     console.error('[Video Generation] 오류:', error);
     res.json({
@@ -1726,15 +2320,118 @@ app.post('/api/admin/prompts/:tool', requireDeveloper, (req, res) => {
   }
 });
 
-// AI Video Generation Progress API
+// Background Job APIs (생성/렌더링 작업 상태 조회, 목록, 취소) - 요청한 사용자의 작업만
+app.get('/api/jobs', (req, res) => {
+  const jobs = JobQueue.listJobs({
+    owner: getJobOwner(req),
+    type: req.query.type,
+    status: req.query.status,
+    limit: req.query.limit,
+  });
+  res.json({
+    success: true,
+    jobs: jobs.map(job => JobQueue.serialize(job)),
+  });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = getOwnedJob(req, req.params.id);
+
+  if (job) {
+    res.json({
+      success: true,
+      job: JobQueue.serialize(job),
+    });
+  } else {
+    res.status(404).json({
+      success: false,
+      error: 'Job not found',
+    });
+  }
+});
+
+// 작업 진행 상황 실시간 스트림 (Server-Sent Events)
+// 이벤트: job (상태/진행률 스냅샷), log (워커 출력 한 줄), end (종료 시 최종 스냅샷)
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = getOwnedJob(req, req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+    });
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const isFinished = (snapshot) => ['completed', 'failed', 'cancelled'].includes(snapshot.status);
+
+  // 현재 상태와 최근 로그 먼저 전송 (재접속 시에도 화면 복원)
+  send('job', JobQueue.serialize(job));
+  JobQueue.getLogs(job.id).forEach(line => send('log', { line }));
+
+  if (isFinished(job)) {
+    send('end', JobQueue.serialize(job));
+    return res.end();
+  }
+
+  // 프록시가 유휴 연결을 끊지 않도록 주기적으로 주석 전송
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  let unsubscribe = null;
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+  };
+
+  unsubscribe = JobQueue.subscribe(job.id, ({ event, data }) => {
+    send(event, data);
+    if (event === 'job' && isFinished(data)) {
+      send('end', data);
+      cleanup();
+      res.end();
+    }
+  });
+
+  req.on('close', cleanup);
+});
+
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  if (!getOwnedJob(req, req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+    });
+  }
+
+  const result = JobQueue.cancel(req.params.id);
+  res.json({
+    ...result,
+    job: JobQueue.serialize(result.job),
+  });
+});
+
+// AI Video Generation Progress API (이전 클라이언트 호환용, /api/jobs/:id 사용 권장)
 app.get('/api/ai-video/progress/:jobId', (req, res) => {
-  const jobId = req.params.jobId;
-  const progress = AIVideoGenerator.getProgress(jobId);
+  const job = getOwnedJob(req, req.params.jobId);
   
-  if (progress) {
+  if (job) {
     res.json({
       success: true,
-      progress: progress,
+      progress: {
+        status: job.status,
+        message: job.message,
+        progress: job.progress,
+        result: job.result,
+        error: job.error,
+      },
     });
   } else {
     res.json({
@@ -1745,14 +2442,27 @@ app.get('/api/ai-video/progress/:jobId', (req, res) => {
 });
 
 // MCP Status API
+// simulation: 등록된 모든 프로그램 서버, python/matlab/...: 해당 프로그램 서버, script/video: 단일 연결
 app.get('/api/mcp/status/:tool', async (req, res) => {
   const tool = req.params.tool;
+
+  if (tool === 'simulation' || MCPRegistry.getPrograms().includes(tool)) {
+    const programs = tool === 'simulation' ? MCPRegistry.getPrograms() : [tool];
+    // 주기적 확인이 꺼져 있으면 요청 시 확인
+    const statuses = MCPRegistry.getStatus().monitoring
+      ? programs.map(program => MCPRegistry.getProgramStatus(program))
+      : await Promise.all(programs.map(program => MCPRegistry.checkProgram(program)));
+    const connected = statuses.some(status => status.connected);
+    return res.json({
+      connected,
+      tool: tool,
+      message: connected ? 'MCP connected' : 'MCP disconnected',
+      programs: statuses.map(status => ({ program: status.program, healthy: status.healthy, total: status.total })),
+    });
+  }
+
   let mcpConnection;
-  
   switch (tool) {
-    case 'simulation':
-      mcpConnection = require('./mcp/connection').simulationMCP;
-      break;
     case 'script':
       mcpConnection = require('./mcp/connection').scriptMCP;
       break;
@@ -1777,9 +2487,32 @@ app.get('/api/mcp/status/:tool', async (req, res) => {
     connected: status.connected,
     tool: tool,
     message: status.connected ? 'MCP connected' : 'MCP disconnected',
+    serverInfo: status.serverInfo,
+    protocolVersion: status.protocolVersion,
+    error: status.lastError,
   });
 });
 
+// Admin routes - MCP server status (Developer only)
+app.get('/admin/mcp', requireDeveloper, (req, res) => {
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.send(renderAdminMCPPage());
+});
+
+// API: MCP 서버 목록과 상태 (지연 시간, 마지막 오류)
+app.get('/api/admin/mcp', requireDeveloper, (req, res) => {
+  res.json({ success: true, ...MCPRegistry.getStatus() });
+});
+
+// API: 모든 MCP 서버 즉시 확인
+app.post('/api/admin/mcp/check', requireDeveloper, async (req, res) => {
+  try {
+    res.json({ success: true, ...(await MCPRegistry.checkAll()) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Express 에러 핸들러 미들웨어 (모든 라우트 다음에 위치해야 함)
 app.use((err, req, res, next) => {
   console.error('Express error handler:', err);
@@ -1797,6 +2530,11 @@ app.listen(PORT, () => {
   console.log(`Node server running at http://localhost:${PORT}`);
 });
 
+// MCP 모드에서는 등록된 MCP 서버 상태를 주기적으로 확인 (장애 서버는 선택에서 제외)
+if (process.env.USE_MCP_SIMULATION === 'true') {
+  MCPRegistry.start();
+}
+
 function renderLandingPage(req, isLoggedInFlag, isDevFlag = false) {
   const now = new Date();
   const phpVersionLike = 'Node ' + process.version;
@@ -2363,7 +3101,7 @@ function getAuthNavItem(isLoggedInFlag, isDevFlag = false) {
   }
 }
 
-function renderAIToolPage(tool, history, isLoggedInFlag, isDevFlag = false) {
+function renderAIToolPage(tool, history, isLoggedInFlag, isDevFlag = false, conversations = []) {
   const messagesHtml = (history && history.length)
     ? history.map((m) => `
         <div class="message mb-3 ${m.role === 'user' ? 'user-message' : 'assistant-message'}">
@@ -2374,6 +3112,17 @@ function renderAIToolPage(tool, history, isLoggedInFlag, isDevFlag = false) {
       `).join('')
     : '<div class="text-center text-muted mt-5">Start the conversation by describing your requirements below.</div>';
 
+  // 로그인 사용자의 이전 대화 목록 (최근 대화순)
+  const conversationsHtml = (conversations && conversations.length)
+    ? conversations.map((c) => `
+                    <li>
+                      <a class="dropdown-item" href="/${tool.name}/conversations/${encodeURIComponent(c.id)}">
+                        <div class="text-truncate" style="max-width: 320px;">${escapeHtml(c.title || 'Untitled conversation')}</div>
+                        <small class="text-muted">${escapeHtml(new Date(c.updated_at).toLocaleString())} · ${Number(c.message_count) || 0} messages</small>
+                      </a>
+                    </li>`).join('')
+    : '<li><span class="dropdown-item-text text-muted small">No previous conversations</span></li>';
+
   const toolIcons = {
     simulation: '🔬',
     script: '📝',
@@ -2473,6 +3222,21 @@ function renderAIToolPage(tool, history, isLoggedInFlag, isDevFlag = false) {
         }
         console.log('[generateOutput] 결과:', result);
         
+        // 백그라운드 작업으로 제출된 경우 완료될 때까지 진행 상황 표시
+        if (result.success && result.statusUrl) {
+          let currentJob = { progress: 0, message: 'Waiting in queue...' };
+          let lastLog = '';
+          window.renderJobProgress(statusDiv, currentJob, lastLog);
+          result = await window.waitForJob(result.statusUrl, function(job) {
+            currentJob = job;
+            window.renderJobProgress(statusDiv, currentJob, lastLog);
+          }, function(line) {
+            lastLog = line;
+            window.renderJobProgress(statusDiv, currentJob, lastLog);
+          });
+          console.log('[generateOutput] 작업 결과:', result);
+        }
+        
         if (result.success) {
           statusDiv.className = 'alert alert-success';
           statusDiv.textContent = 'Successfully generated!';
@@ -2518,6 +3282,9 @@ function renderAIToolPage(tool, history, isLoggedInFlag, isDevFlag = false) {
             const codeLanguage = result.program === 'matlab' ? 'matlab' : result.program === 'blender' ? 'python' : 'python';
             resultHtml += '<div class="mt-3"><h6>Generated Code (' + (result.programName || 'Python') + '):</h6><pre class="bg-light p-3 rounded"><code class="language-' + codeLanguage + '">' + (window.escapeHtml ? window.escapeHtml(codePreview) : codePreview.replace(/</g, '&lt;').replace(/>/g, '&gt;')) + '</code></pre></div>';
           }
+          if (result.repairAttempts && window.renderRepairAttempts) {
+            resultHtml += window.renderRepairAttempts(result.repairAttempts);
+          }
           
           resultHtml += '</div></div>';
           resultDiv.innerHTML = resultHtml;
@@ -2554,6 +3321,9 @@ function renderAIToolPage(tool, history, isLoggedInFlag, isDevFlag = false) {
             statusDiv.className = 'alert alert-danger';
             statusDiv.textContent = 'Error: ' + errorMsg;
           }
+          if (result.repairAttempts && window.renderRepairAttempts) {
+            resultDiv.innerHTML = window.renderRepairAttempts(result.repairAttempts);
+          }
         }
         
         // 버튼 다시 활성화
@@ -2579,14 +3349,113 @@ function renderAIToolPage(tool, history, isLoggedInFlag, isDevFlag = false) {
           statusDiv.className = 'alert alert-danger';
           statusDiv.innerHTML = '<strong>오류 발생:</strong><br>' + (window.escapeHtml ? window.escapeHtml(error.message) : error.message.replace(/</g, '&lt;').replace(/>/g, '&gt;'));
         }
-      }
+      }
+    };
+    
+    // Helper function for HTML escaping
+    window.escapeHtml = function(text) {
+      const div = document.createElement('div');
+      div.textContent = text;
+      return div.innerHTML;
+    };
+
+    // 시뮬레이션 자동 수정 시도 목록 (시도별 코드, 로그, 이전 시도 대비 diff)
+    window.renderRepairAttempts = function(attempts) {
+      if (!attempts || attempts.length === 0) return '';
+      let html = '<div class="mt-3"><h6>자동 수정 시도 (' + (attempts.length - 1) + '회)</h6>';
+      attempts.forEach(function(item) {
+        const label = item.attempt === 0 ? '최초 코드' : '수정 ' + item.attempt;
+        const status = item.success
+          ? '<span class="badge bg-success ms-2">성공</span>'
+          : '<span class="badge bg-danger ms-2">실패</span>';
+        html += '<details class="mb-2"><summary>' + label + status;
+        if (item.error) html += ' <small class="text-muted">' + window.escapeHtml(item.error) + '</small>';
+        html += '</summary><div class="ms-3 mt-1">';
+        html += '<a href="' + window.escapeHtml(item.codeUrl) + '" target="_blank" class="me-3">코드</a>';
+        if (item.logUrl) html += '<a href="' + window.escapeHtml(item.logUrl) + '" target="_blank" class="me-3">실행 로그</a>';
+        if (item.diffUrl) html += '<a href="' + window.escapeHtml(item.diffUrl) + '" target="_blank">diff</a>';
+        if (item.diff) html += '<pre class="bg-light p-2 rounded mt-2 small">' + window.escapeHtml(item.diff) + '</pre>';
+        html += '</div></details>';
+      });
+      return html + '</div>';
+    };
+
+    // 백그라운드 작업 완료 대기 - /api/jobs/:id/events (SSE) 구독, 연결할 수 없으면 폴링
+    // onProgress(job): 상태/진행률 변경 시, onLog(line): 워커 출력 한 줄마다 호출. 작업 결과 객체 반환
+    window.waitForJob = function(statusUrl, onProgress, onLog) {
+      const isFinished = function(job) {
+        return job.status === 'completed' || job.status === 'failed' || job.status === 'cancelled';
+      };
+      const toResult = function(job) {
+        if (job.status === 'cancelled') return { success: false, error: 'Job cancelled' };
+        return job.result || { success: job.status === 'completed', error: job.error };
+      };
+
+      return new Promise((resolve) => {
+        const poll = function() {
+          const timer = setInterval(async () => {
+            try {
+              const response = await fetch(statusUrl, { credentials: 'same-origin' });
+              const data = await response.json();
+              if (!data.success) {
+                clearInterval(timer);
+                resolve({ success: false, error: data.error || 'Job not found' });
+              } else if (isFinished(data.job)) {
+                clearInterval(timer);
+                resolve(toResult(data.job));
+              } else if (typeof onProgress === 'function') {
+                onProgress(data.job);
+              }
+            } catch (error) {
+              console.error('[waitForJob] 상태 확인 오류:', error);
+            }
+          }, 2000);
+        };
+
+        if (!window.EventSource) {
+          poll();
+          return;
+        }
+
+        const source = new EventSource(statusUrl + '/events');
+        source.addEventListener('job', function(e) {
+          const job = JSON.parse(e.data);
+          if (!isFinished(job) && typeof onProgress === 'function') onProgress(job);
+        });
+        source.addEventListener('log', function(e) {
+          if (typeof onLog === 'function') onLog(JSON.parse(e.data).line);
+        });
+        source.addEventListener('end', function(e) {
+          source.close();
+          resolve(toResult(JSON.parse(e.data)));
+        });
+        source.onerror = function() {
+          // 일시적인 끊김은 EventSource가 자동 재접속, 완전히 닫힌 경우(404 등)에만 폴링으로 전환
+          if (source.readyState === EventSource.CLOSED) {
+            poll();
+          }
+        };
+      });
     };
-    
-    // Helper function for HTML escaping
-    window.escapeHtml = function(text) {
-      const div = document.createElement('div');
-      div.textContent = text;
-      return div.innerHTML;
+
+    // 작업 진행 표시줄 (현재 단계 메시지, 진행률, 최근 워커 출력)
+    window.renderJobProgress = function(container, job, lastLog) {
+      const percent = Math.max(0, Math.min(100, Math.round(job.progress || 0)));
+      container.className = 'alert alert-info';
+      container.innerHTML = 
+        '<div class="d-flex align-items-center">' +
+          '<div class="spinner-border spinner-border-sm me-2" role="status"></div>' +
+          '<div class="flex-grow-1">' +
+            '<div class="fw-bold">' + window.escapeHtml(job.message || 'Processing...') + '</div>' +
+            '<div class="progress mt-2" style="height: 20px;">' +
+              '<div class="progress-bar progress-bar-striped progress-bar-animated" role="progressbar" ' +
+                   'style="width: ' + percent + '%" aria-valuenow="' + percent + '" aria-valuemin="0" aria-valuemax="100">' +
+                percent + '%' +
+              '</div>' +
+            '</div>' +
+            (lastLog ? '<div class="small text-muted mt-2 text-truncate font-monospace">' + window.escapeHtml(lastLog) + '</div>' : '') +
+          '</div>' +
+        '</div>';
     };
     
     // 비디오 편집기로 내보내기 함수
@@ -2694,6 +3563,16 @@ function renderAIToolPage(tool, history, isLoggedInFlag, isDevFlag = false) {
                   🎥 비디오 편집하기
                 </a>
                 ` : ''}
+                ${isLoggedInFlag ? `
+                <div class="dropdown d-inline-block me-2">
+                  <button type="button" class="btn btn-outline-primary btn-sm dropdown-toggle" data-bs-toggle="dropdown" aria-expanded="false">
+                    📂 이전 대화
+                  </button>
+                  <ul class="dropdown-menu dropdown-menu-end">
+                    ${conversationsHtml}
+                  </ul>
+                </div>
+                ` : ''}
                 ${history && history.length > 0 ? `
                 <form method="POST" action="/${tool.name}/clear" style="display: inline;">
                   <button type="submit" class="btn btn-outline-secondary btn-sm">새 채팅 시작</button>
@@ -2707,7 +3586,7 @@ function renderAIToolPage(tool, history, isLoggedInFlag, isDevFlag = false) {
                  style="height: 450px; overflow-y: scroll; border: 1px solid #e5e7eb; border-radius: 0.5rem;">
               ${messagesHtml}
             </div>
-            <form method="POST" action="/${tool.name}">
+            <form id="chatForm" method="POST" action="/${tool.name}">
               <div class="mb-3">
                 <label for="prompt" class="form-label">Your Requirements</label>
                 <textarea class="form-control" id="prompt" name="prompt" rows="3" 
@@ -2768,7 +3647,20 @@ function renderAIToolPage(tool, history, isLoggedInFlag, isDevFlag = false) {
           throw new Error('HTTP ' + response.status + ': ' + await response.text());
         }
         
-        const result = await response.json();
+        let result = await response.json();
+        
+        if (result.success && result.statusUrl) {
+          let currentJob = { progress: 0, message: 'Waiting in queue...' };
+          let lastLog = '';
+          window.renderJobProgress(statusDiv, currentJob, lastLog);
+          result = await window.waitForJob(result.statusUrl, function(job) {
+            currentJob = job;
+            window.renderJobProgress(statusDiv, currentJob, lastLog);
+          }, function(line) {
+            lastLog = line;
+            window.renderJobProgress(statusDiv, currentJob, lastLog);
+          });
+        }
         
         if (result.success) {
           statusDiv.className = 'alert alert-success';
@@ -2811,6 +3703,9 @@ function renderAIToolPage(tool, history, isLoggedInFlag, isDevFlag = false) {
             const codeLanguage = result.program === 'matlab' ? 'matlab' : result.program === 'blender' ? 'python' : 'python';
             resultHtml += '<div class="mt-3"><h6>Generated Code (' + (result.programName || 'Python') + '):</h6><pre class="bg-light p-3 rounded"><code class="language-' + codeLanguage + '">' + (window.escapeHtml ? window.escapeHtml(codePreview) : codePreview.replace(/</g, '&lt;').replace(/>/g, '&gt;')) + '</code></pre></div>';
           }
+          if (result.repairAttempts && window.renderRepairAttempts) {
+            resultHtml += window.renderRepairAttempts(result.repairAttempts);
+          }
           
           resultHtml += '</div></div>';
           resultDiv.innerHTML = resultHtml;
@@ -2834,6 +3729,9 @@ function renderAIToolPage(tool, history, isLoggedInFlag, isDevFlag = false) {
           const errorMsg = result.error || 'Failed to generate';
           statusDiv.className = 'alert alert-danger';
           statusDiv.textContent = 'Error: ' + errorMsg;
+          if (result.repairAttempts && window.renderRepairAttempts) {
+            resultDiv.innerHTML = window.renderRepairAttempts(result.repairAttempts);
+          }
         }
         
         generateBtn.disabled = false;
@@ -2929,7 +3827,21 @@ function renderAIToolPage(tool, history, isLoggedInFlag, isDevFlag = false) {
           },
         });
         
-        const data = await response.json();
+        let data = await response.json();
+        
+        // 백그라운드 작업 진행 상황을 실시간으로 표시하며 완료 대기
+        if (data.success && data.statusUrl) {
+          let currentJob = { progress: 0, message: '비디오 생성 작업이 대기열에 추가되었습니다...' };
+          let lastLog = '';
+          window.renderJobProgress(statusDiv, currentJob, lastLog);
+          data = await window.waitForJob(data.statusUrl, function(job) {
+            currentJob = job;
+            window.renderJobProgress(statusDiv, currentJob, lastLog);
+          }, function(line) {
+            lastLog = line;
+            window.renderJobProgress(statusDiv, currentJob, lastLog);
+          });
+        }
         
         if (data.success) {
           statusDiv.className = 'alert alert-success';
@@ -2948,73 +3860,9 @@ function renderAIToolPage(tool, history, isLoggedInFlag, isDevFlag = false) {
                   '<a href="' + videoUrl + '" download class="btn btn-sm btn-outline-primary">비디오 다운로드</a>' +
                 '</div>' +
               '</div>';
-          } else if (data.jobId) {
-            // 진행 상황 폴링
-            const pollProgress = setInterval(async () => {
-              try {
-                const progressRes = await fetch('/api/ai-video/progress/' + data.jobId);
-            const progressData = await progressRes.json();
-            
-            if (progressData.success && progressData.progress) {
-              const progress = progressData.progress;
-              const progressPercent = progress.progress || 0;
-                  const message = progress.message || '처리 중...';
-              
-                  const escapedMessage = escapeHtml(message);
-              statusDiv.innerHTML = 
-                '<div class="d-flex align-items-center">' +
-                  '<div class="spinner-border spinner-border-sm me-2" role="status"></div>' +
-                  '<div class="flex-grow-1">' +
-                        '<div class="fw-bold">' + escapedMessage + '</div>' +
-                    '<div class="progress mt-2" style="height: 20px;">' +
-                      '<div class="progress-bar progress-bar-striped progress-bar-animated" ' +
-                           'role="progressbar" ' +
-                           'style="width: ' + progressPercent + '%" ' +
-                           'aria-valuenow="' + progressPercent + '" ' +
-                           'aria-valuemin="0" ' +
-                           'aria-valuemax="100">' +
-                        progressPercent + '%' +
-                      '</div>' +
-                    '</div>' +
-                  '</div>' +
-                '</div>';
-              
-                if (progress.status === 'completed' && progress.result) {
-                    clearInterval(pollProgress);
-                  statusDiv.className = 'alert alert-success';
-                    statusDiv.innerHTML = '비디오 생성이 완료되었습니다!';
-                    if (progress.result.url) {
-                      const videoUrl = escapeHtml(progress.result.url);
-                      resultDiv.innerHTML = 
-                        '<div class="mt-3">' +
-                          '<h5>생성된 비디오:</h5>' +
-                          '<video controls class="w-100 mt-2" style="max-height: 500px;">' +
-                            '<source src="' + videoUrl + '" type="video/mp4">' +
-                            '브라우저가 비디오 태그를 지원하지 않습니다.' +
-                          '</video>' +
-                          '<div class="mt-2">' +
-                            '<a href="' + videoUrl + '" download class="btn btn-sm btn-outline-primary">비디오 다운로드</a>' +
-                          '</div>' +
-                        '</div>';
-                    }
-                } else if (progress.status === 'failed') {
-                    clearInterval(pollProgress);
-                  statusDiv.className = 'alert alert-danger';
-                    statusDiv.innerHTML = '비디오 생성 실패: ' + escapeHtml(progress.message || progress.error || '알 수 없는 오류');
-              }
-            }
-          } catch (e) {
-                console.error('진행 상황 확인 오류:', e);
-              }
-            }, 2000);
-            
-            // 30분 후 타임아웃
-            setTimeout(() => {
-              clearInterval(pollProgress);
-            }, 30 * 60 * 1000);
           }
-          } else {
-            statusDiv.className = 'alert alert-danger';
+        } else {
+          statusDiv.className = 'alert alert-danger';
           statusDiv.innerHTML = '오류: ' + escapeHtml(data.error || '알 수 없는 오류');
         }
       } catch (error) {
@@ -3040,6 +3888,87 @@ function renderAIToolPage(tool, history, isLoggedInFlag, isDevFlag = false) {
       chatWindow.scrollTop = chatWindow.scrollHeight;
     }
     
+    // 채팅 응답 스트리밍 - 지원하지 않는 브라우저는 기존 폼 전송 사용
+    (function() {
+      const chatForm = document.getElementById('chatForm');
+      if (!chatForm || !chatWindow || !window.fetch || !window.ReadableStream || !window.TextDecoder) {
+        return;
+      }
+      const promptInput = document.getElementById('prompt');
+      const sendBtn = chatForm.querySelector('button[type="submit"]');
+
+      function appendBubble(role, text) {
+        const placeholder = chatWindow.querySelector(':scope > .text-muted');
+        if (placeholder) placeholder.remove();
+        const message = document.createElement('div');
+        message.className = 'message mb-3 ' + (role === 'user' ? 'user-message' : 'assistant-message');
+        const bubble = document.createElement('div');
+        bubble.className = 'bubble';
+        bubble.style.whiteSpace = 'pre-wrap';
+        bubble.textContent = text;
+        message.appendChild(bubble);
+        chatWindow.appendChild(message);
+        chatWindow.scrollTop = chatWindow.scrollHeight;
+        return bubble;
+      }
+
+      chatForm.addEventListener('submit', async function(e) {
+        const prompt = promptInput.value.trim();
+        if (!prompt) return;
+        e.preventDefault();
+
+        sendBtn.disabled = true;
+        promptInput.value = '';
+        appendBubble('user', prompt);
+        const bubble = appendBubble('assistant', '...');
+        let received = '';
+
+        try {
+          const response = await fetch(chatForm.action + '/stream', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ prompt: prompt }),
+          });
+          if (!response.ok || !response.body) {
+            throw new Error('HTTP ' + response.status);
+          }
+
+          const reader = response.body.getReader();
+          const decoder = new TextDecoder();
+          let buffer = '';
+          while (true) {
+            const chunk = await reader.read();
+            if (chunk.done) break;
+            buffer += decoder.decode(chunk.value, { stream: true });
+            const blocks = buffer.split('\\n\\n');
+            buffer = blocks.pop();
+            blocks.forEach(function(block) {
+              let event = 'message';
+              let data = '';
+              block.split('\\n').forEach(function(line) {
+                if (line.indexOf('event:') === 0) event = line.slice(6).trim();
+                else if (line.indexOf('data:') === 0) data += line.slice(5).trim();
+              });
+              if (!data) return;
+              const payload = JSON.parse(data);
+              if (event === 'token') {
+                received += payload.text;
+                bubble.textContent = received;
+              } else if (event === 'done' || event === 'error') {
+                bubble.textContent = payload.message;
+              }
+            });
+            chatWindow.scrollTop = chatWindow.scrollHeight;
+          }
+        } catch (error) {
+          console.error('[Chat Stream] 오류:', error);
+          bubble.textContent = received + (received ? '\\n\\n' : '') + '⚠️ 응답을 받지 못했습니다: ' + error.message;
+        } finally {
+          sendBtn.disabled = false;
+        }
+      });
+    })();
+    
     // Generate 버튼에 이벤트 리스너 추가
     (function() {
       function attachButton() {
@@ -3312,6 +4241,7 @@ function renderAdminPromptsPage(req, isDevFlag) {
           <li class="nav-item"><a class="nav-link" href="/">Home</a></li>
           <li class="nav-item"><a class="nav-link" href="/courses">Courses</a></li>
           <li class="nav-item"><a class="nav-link active" href="/admin/prompts">⚙️ Admin</a></li>
+          <li class="nav-item"><a class="nav-link" href="/admin/mcp">🖥️ MCP Servers</a></li>
           <li class="nav-item">
             <form method="POST" action="/logout" style="display: inline;">
               <button type="submit" class="btn btn-link nav-link" style="border: none; background: none; padding: 0.5rem 1rem; color: rgba(255,255,255,0.75);">Logout</button>
@@ -3388,6 +4318,165 @@ function renderAdminPromptsPage(req, isDevFlag) {
 </html>`;
 }
 
+function renderAdminMCPPage() {
+  const status = MCPRegistry.getStatus();
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>MCP Servers - Admin Panel</title>
+  <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/css/bootstrap.min.css" rel="stylesheet">
+  <link rel="stylesheet" href="/assets/css/custom.css?v=${Date.now()}">
+  <link rel="preconnect" href="https://fonts.googleapis.com">
+  <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+  <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap" rel="stylesheet">
+  <style>
+    .mcp-table td, .mcp-table th {
+      vertical-align: middle;
+      font-size: 0.9rem;
+    }
+    .mcp-error {
+      max-width: 360px;
+      white-space: normal;
+      word-break: break-word;
+    }
+  </style>
+</head>
+<body class="bg-light">
+  <nav class="navbar navbar-expand-lg navbar-dark bg-dark shadow-sm">
+    <div class="container-fluid">
+      <a class="navbar-brand" href="/">AI Video Platform</a>
+      <button class="navbar-toggler" type="button" data-bs-toggle="collapse" data-bs-target="#navbarNav"
+        aria-controls="navbarNav" aria-expanded="false" aria-label="Toggle navigation">
+        <span class="navbar-toggler-icon"></span>
+      </button>
+      <div class="collapse navbar-collapse" id="navbarNav">
+        <ul class="navbar-nav ms-auto">
+          <li class="nav-item"><a class="nav-link" href="/">Home</a></li>
+          <li class="nav-item"><a class="nav-link" href="/courses">Courses</a></li>
+          <li class="nav-item"><a class="nav-link" href="/admin/prompts">⚙️ Admin</a></li>
+          <li class="nav-item"><a class="nav-link active" href="/admin/mcp">🖥️ MCP Servers</a></li>
+          <li class="nav-item">
+            <form method="POST" action="/logout" style="display: inline;">
+              <button type="submit" class="btn btn-link nav-link" style="border: none; background: none; padding: 0.5rem 1rem; color: rgba(255,255,255,0.75);">Logout</button>
+            </form>
+          </li>
+        </ul>
+      </div>
+    </div>
+  </nav>
+  <main class="container my-5">
+    <div class="d-flex justify-content-between align-items-center mb-4">
+      <div>
+        <h1 class="fw-bold">MCP Servers</h1>
+        <p class="text-muted mb-0">시뮬레이션 실행에 사용하는 MCP 서버 목록과 상태입니다. 비정상 서버는 선택에서 제외되고 요청은 다음 정상 서버로 넘어갑니다.</p>
+      </div>
+      <button type="button" class="btn btn-primary" id="checkButton" onclick="checkNow()">🔄 지금 확인</button>
+    </div>
+
+    <div class="alert alert-info" role="alert">
+      <strong>💡 안내:</strong>
+      선택 방식 <strong>${status.strategy}</strong> (<code>MCP_SELECTION</code>),
+      ${status.monitoring ? 'health 확인 ' + Math.round(status.healthIntervalMs / 1000) + '초마다' : '주기적 health 확인 꺼짐 (<code>USE_MCP_SIMULATION=true</code> 일 때 동작)'}.
+      서버 목록은 <code>PYTHON_MCP_ENDPOINTS=http://host-1:8001*2,http://host-2:8001</code> 처럼 설정합니다 (<code>*숫자</code> = 가중치).
+    </div>
+
+    <div id="mcpStatus"><p class="text-muted">Loading...</p></div>
+    <p class="text-muted small" id="updatedAt"></p>
+  </main>
+  <footer class="text-center py-4 text-muted border-top mt-5">
+    &copy; ${new Date().getFullYear()} AI Video Platform. All Rights Reserved.
+  </footer>
+  <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/js/bootstrap.bundle.min.js"></script>
+  <script>
+    function esc(value) {
+      return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    function formatTime(iso) {
+      return iso ? new Date(iso).toLocaleTimeString() : '-';
+    }
+
+    function statusBadge(endpoint) {
+      if (endpoint.healthy === true) return '<span class="badge bg-success">healthy</span>';
+      if (endpoint.healthy === false) return '<span class="badge bg-danger">down</span>';
+      return '<span class="badge bg-secondary">unknown</span>';
+    }
+
+    function renderStatus(data) {
+      const container = document.getElementById('mcpStatus');
+      if (!data.programs || data.programs.length === 0) {
+        container.innerHTML = '<p class="text-muted">등록된 MCP 서버가 없습니다.</p>';
+        return;
+      }
+      container.innerHTML = data.programs.map(function(program) {
+        const rows = program.endpoints.map(function(endpoint) {
+          const load = endpoint.load ? endpoint.load.running + '/' + endpoint.load.max + ' (대기 ' + endpoint.load.queued + ')' : '-';
+          return '<tr>' +
+            '<td><code>' + esc(endpoint.id) + '</code></td>' +
+            '<td>' + esc(endpoint.target) + ' <span class="text-muted small">' + esc(endpoint.transport) + '</span></td>' +
+            '<td>' + esc(endpoint.weight) + '</td>' +
+            '<td>' + statusBadge(endpoint) + '</td>' +
+            '<td>' + (endpoint.latencyMs !== null ? esc(endpoint.latencyMs) + ' ms' : '-') + '</td>' +
+            '<td>' + esc(endpoint.version || '-') + '</td>' +
+            '<td>' + esc(load) + '</td>' +
+            '<td>' + esc(endpoint.requests) + ' / <span class="' + (endpoint.failures ? 'text-danger' : '') + '">' + esc(endpoint.failures) + '</span></td>' +
+            '<td>' + formatTime(endpoint.lastCheck) + '</td>' +
+            '<td class="mcp-error">' + (endpoint.lastError ? '<span class="text-danger">' + esc(endpoint.lastError) + '</span><br><small class="text-muted">' + formatTime(endpoint.lastErrorAt) + '</small>' : '-') + '</td>' +
+            '</tr>';
+        }).join('');
+        return '<div class="card mb-4 shadow-sm">' +
+          '<div class="card-header d-flex justify-content-between">' +
+          '<h5 class="mb-0">' + esc(program.program) + '</h5>' +
+          '<span class="' + (program.connected ? 'text-success' : 'text-danger') + '">' + program.healthy + ' / ' + program.total + ' healthy</span>' +
+          '</div>' +
+          '<div class="card-body p-0"><div class="table-responsive"><table class="table table-sm mb-0 mcp-table">' +
+          '<thead><tr><th>ID</th><th>Server</th><th>Weight</th><th>Status</th><th>Latency</th><th>Version</th><th>Running</th><th>Requests / Failures</th><th>Last check</th><th>Last error</th></tr></thead>' +
+          '<tbody>' + rows + '</tbody></table></div></div></div>';
+      }).join('');
+      document.getElementById('updatedAt').textContent = 'Updated ' + new Date().toLocaleTimeString();
+    }
+
+    async function loadStatus() {
+      try {
+        const response = await fetch('/api/admin/mcp');
+        const data = await response.json();
+        if (data.success) {
+          renderStatus(data);
+        }
+      } catch (error) {
+        document.getElementById('updatedAt').textContent = 'Error: ' + error.message;
+      }
+    }
+
+    async function checkNow() {
+      const button = document.getElementById('checkButton');
+      button.disabled = true;
+      try {
+        const response = await fetch('/api/admin/mcp/check', { method: 'POST' });
+        const data = await response.json();
+        if (data.success) {
+          renderStatus(data);
+        } else {
+          document.getElementById('updatedAt').textContent = 'Error: ' + (data.error || 'Check failed');
+        }
+      } catch (error) {
+        document.getElementById('updatedAt').textContent = 'Error: ' + error.message;
+      } finally {
+        button.disabled = false;
+      }
+    }
+
+    loadStatus();
+    setInterval(loadStatus, 10000);
+  </script>
+</body>
+</html>`;
+}
+
 function escapeHtml(str) {
   return String(str)
     .replace(/&/g, '&amp;')
@@ -3736,6 +4825,28 @@ function renderVideoEditorPage(isLoggedInFlag, isDevFlag = false, history = [])
       font-size: 10px;
       color: #999;
     }
+    .audio-mix-section {
+      margin-top: 20px;
+      padding-top: 15px;
+      border-top: 1px solid #555;
+      font-size: 12px;
+      color: #ccc;
+    }
+    .audio-mix-row {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 8px;
+      margin-bottom: 8px;
+    }
+    .audio-mix-row input[type="number"], .audio-mix-row select {
+      width: 110px;
+      background-color: #3d3d3d;
+      color: #e0e0e0;
+      border: 1px solid #555;
+      border-radius: 4px;
+      padding: 2px 6px;
+    }
     .script-item, .conversation-item {
       background-color: #3d3d3d;
       padding: 10px;
@@ -4020,6 +5131,79 @@ function renderVideoEditorPage(isLoggedInFlag, isDevFlag = false, history = [])
       }
     };
     
+    // 백그라운드 작업 완료 대기 - /api/jobs/:id/events (SSE) 구독, 연결할 수 없으면 폴링
+    // onProgress(job): 상태/진행률 변경 시 호출. 작업 결과 객체 반환
+    window.waitForJob = function(statusUrl, onProgress) {
+      const isFinished = function(job) {
+        return job.status === 'completed' || job.status === 'failed' || job.status === 'cancelled';
+      };
+      const toResult = function(job) {
+        if (job.status === 'cancelled') return { success: false, error: 'Job cancelled' };
+        return job.result || { success: job.status === 'completed', error: job.error };
+      };
+
+      return new Promise((resolve) => {
+        const poll = function() {
+          const timer = setInterval(async () => {
+            try {
+              const response = await fetch(statusUrl);
+              const data = await response.json();
+              if (!data.success) {
+                clearInterval(timer);
+                resolve({ success: false, error: data.error || 'Job not found' });
+              } else if (isFinished(data.job)) {
+                clearInterval(timer);
+                resolve(toResult(data.job));
+              } else if (typeof onProgress === 'function') {
+                onProgress(data.job);
+              }
+            } catch (error) {
+              console.error('[waitForJob] 상태 확인 오류:', error);
+            }
+          }, 2000);
+        };
+
+        if (!window.EventSource) {
+          poll();
+          return;
+        }
+
+        const source = new EventSource(statusUrl + '/events');
+        source.addEventListener('job', function(e) {
+          const job = JSON.parse(e.data);
+          if (!isFinished(job) && typeof onProgress === 'function') onProgress(job);
+        });
+        source.addEventListener('end', function(e) {
+          source.close();
+          resolve(toResult(JSON.parse(e.data)));
+        });
+        source.onerror = function() {
+          if (source.readyState === EventSource.CLOSED) {
+            poll();
+          }
+        };
+      });
+    };
+
+    // 작업 진행 표시줄 HTML (편집기 오버레이용)
+    window.renderJobProgress = function(title, job) {
+      const percent = Math.max(0, Math.min(100, Math.round(job.progress || 0)));
+      const message = document.createElement('div');
+      message.textContent = job.message || '';
+      return '<div style="color: #e0e0e0; margin-bottom: 10px;">' + title + ' ' + percent + '%</div>' +
+        '<div style="background: #1a1a1a; border-radius: 4px; height: 8px; overflow: hidden; margin-bottom: 8px;">' +
+          '<div style="background: #007bff; height: 100%; width: ' + percent + '%; transition: width 0.3s;"></div>' +
+        '</div>' +
+        '<div style="color: #999; font-size: 12px;">' + message.innerHTML + '</div>';
+    };
+
+    // 서버/작업에서 받은 문자열을 innerHTML 에 넣기 전 이스케이프
+    window.escapeHtml = function(text) {
+      const div = document.createElement('div');
+      div.textContent = text;
+      return div.innerHTML;
+    };
+    
     // 구조화된 대본 가져오기 함수 - head에 정의하여 동적으로 생성된 버튼에서 사용 가능하도록 함
     window.importStructuredScript = async function(scriptUrl) {
       try {
@@ -4036,7 +5220,14 @@ function renderVideoEditorPage(isLoggedInFlag, isDevFlag = false, history = [])
           body: JSON.stringify({ scriptPath: scriptUrl })
         });
 
-        const result = await response.json();
+        let result = await response.json();
+
+        // TTS 생성은 백그라운드 작업으로 실행됨
+        if (result.success && result.statusUrl) {
+          result = await window.waitForJob(result.statusUrl, function(job) {
+            progressDiv.innerHTML = window.renderJobProgress('TTS 오디오 생성 중...', job);
+          });
+        }
 
         if (result.success) {
           progressDiv.innerHTML = '<div style="color: #0f0; margin-bottom: 10px;">✅ 오디오 생성 완료!</div><div style="color: #999; font-size: 12px;">타임라인에 배치 중...</div>';
@@ -4323,6 +5514,43 @@ function renderVideoEditorPage(isLoggedInFlag, isDevFlag = false, history = [])
           <div id="mediaLibrary">
             <div style="color: #999; text-align: center; padding: 20px;">로딩 중...</div>
           </div>
+          
+          <!-- 오디오 믹스 (배경 음악, 더킹, 라우드니스, 세그먼트 페이드) - 프로젝트 timeline.audioMix 로 저장 -->
+          <div class="audio-mix-section">
+            <h6 style="color: #e0e0e0; margin-bottom: 10px;">🎵 오디오 믹스</h6>
+            <div class="audio-mix-row">
+              <label for="mixMusic">배경 음악</label>
+              <select id="mixMusic"><option value="">없음</option></select>
+            </div>
+            <div class="audio-mix-row">
+              <label for="mixMusicUpload">음악 업로드</label>
+              <input type="file" id="mixMusicUpload" accept="audio/*" style="width: 110px; font-size: 10px;" onchange="uploadMusic(this)">
+            </div>
+            <div class="audio-mix-row">
+              <label for="mixMusicVolume">음악 볼륨</label>
+              <input type="number" id="mixMusicVolume" min="0" max="2" step="0.05" value="0.25">
+            </div>
+            <div class="audio-mix-row">
+              <label for="mixDucking">내레이션 중 음악 줄이기 (더킹)</label>
+              <input type="checkbox" id="mixDucking" checked>
+            </div>
+            <div class="audio-mix-row">
+              <label for="mixLoudness">라우드니스 정규화</label>
+              <input type="checkbox" id="mixLoudness" checked>
+            </div>
+            <div class="audio-mix-row">
+              <label for="mixLoudnessTarget">목표 (LUFS)</label>
+              <input type="number" id="mixLoudnessTarget" min="-36" max="-6" step="1" value="-16">
+            </div>
+            <div class="audio-mix-row">
+              <label for="mixFadeIn">세그먼트 페이드 인 (초)</label>
+              <input type="number" id="mixFadeIn" min="0" max="5" step="0.01" value="0.02">
+            </div>
+            <div class="audio-mix-row">
+              <label for="mixFadeOut">세그먼트 페이드 아웃 (초)</label>
+              <input type="number" id="mixFadeOut" min="0" max="5" step="0.01" value="0.05">
+            </div>
+          </div>
         </div>
         
         <!-- 템플릿 패널 (대본 & 대화) -->
@@ -4449,6 +5677,7 @@ function renderVideoEditorPage(isLoggedInFlag, isDevFlag = false, history = [])
     let clips = [];
     let audioClips = []; // 오디오 클립 정보 저장
     let subtitleClips = []; // 자막 클립 정보 저장
+    const formulaImages = new Map(); // 수식 자막 텍스트 -> 렌더링된 이미지
     let currentAudioPlayer = null; // 현재 재생 중인 오디오
     let playbackInterval = null; // 재생 시간 업데이트 인터벌
     
@@ -4689,6 +5918,9 @@ function renderVideoEditorPage(isLoggedInFlag, isDevFlag = false, history = [])
         if (typeof window.loadMediaLibrary === 'function') {
           window.loadMediaLibrary();
         }
+        if (typeof loadMusicLibrary === 'function') {
+          loadMusicLibrary();
+        }
         if (typeof loadTemplates === 'function') {
           loadTemplates();
         }
@@ -4811,6 +6043,31 @@ function renderVideoEditorPage(isLoggedInFlag, isDevFlag = false, history = [])
       }
     }
     
+    // 수식($...$, \\(...\\)) 이 있는 자막인지 확인
+    function hasFormula(text) {
+      return /[$][^$]+[$]/.test(text) || text.indexOf('\\\\(') !== -1 || text.indexOf('\\\\[') !== -1;
+    }
+    
+    // 수식 자막 이미지 (서버에서 렌더링, 로드되면 다시 그림)
+    function getFormulaImage(text) {
+      let entry = formulaImages.get(text);
+      if (!entry) {
+        const img = new Image();
+        entry = { img: img, ready: false, failed: false };
+        img.onload = function() {
+          entry.ready = true;
+          updateSubtitleDisplay();
+        };
+        img.onerror = function() {
+          entry.failed = true;
+          console.warn('[updateSubtitleDisplay] 수식 렌더링 실패:', text);
+        };
+        img.src = '/api/formulas/render?fontSize=36&text=' + encodeURIComponent(text);
+        formulaImages.set(text, entry);
+      }
+      return entry;
+    }
+    
     // 현재 시간에 맞는 자막 표시
     function updateSubtitleDisplay() {
       const overlay = document.getElementById('previewOverlay');
@@ -4846,8 +6103,26 @@ function renderVideoEditorPage(isLoggedInFlag, isDevFlag = false, history = [])
         currentTime >= sub.startTime && currentTime <= sub.endTime
       );
       
-      if (currentSubtitle) {
-        // Canvas에 자막 그리기
+      const formula = currentSubtitle && hasFormula(currentSubtitle.text) ? getFormulaImage(currentSubtitle.text) : null;
+      
+      if (formula && formula.ready) {
+        // 수식 자막은 렌더링된 이미지 (반투명 배경 포함), 화면보다 넓으면 축소
+        const img = formula.img;
+        const scale = Math.min(1, (canvas.width * 0.9) / img.width);
+        const drawWidth = img.width * scale;
+        const drawHeight = img.height * scale;
+        ctx.drawImage(img, (canvas.width - drawWidth) / 2, canvas.height - 120 - drawHeight / 2, drawWidth, drawHeight);
+        
+        if (overlay) {
+          const subtitleImg = document.createElement('img');
+          subtitleImg.src = img.src;
+          subtitleImg.alt = currentSubtitle.text;
+          subtitleImg.style.cssText = 'position: absolute; bottom: 120px; left: 50%; transform: translateX(-50%); max-width: 90%; z-index: 1000; pointer-events: none;';
+          overlay.innerHTML = '';
+          overlay.appendChild(subtitleImg);
+        }
+      } else if (currentSubtitle) {
+        // Canvas에 자막 그리기 (수식 이미지가 로드되기 전에는 원문)
         const text = currentSubtitle.text;
         
         // 자막 텍스트 스타일 설정
@@ -5387,8 +6662,149 @@ function renderVideoEditorPage(isLoggedInFlag, isDevFlag = false, history = [])
         currentTime: currentTime,
         zoomLevel: zoomLevel
       };
+      editState.audioMix = getAudioMix();
     }
     
+    // 배경 음악 목록 (에셋 라이브러리) -> 오디오 믹스 선택 목록
+    async function loadMusicLibrary(selectedUrl) {
+      const select = document.getElementById('mixMusic');
+      if (!select) return;
+      try {
+        const response = await fetch('/api/assets/music');
+        const result = await response.json();
+        if (!result.success) return;
+        const current = selectedUrl !== undefined ? selectedUrl : select.value;
+        select.innerHTML = '<option value="">없음</option>';
+        result.music.forEach(function(music) {
+          const option = document.createElement('option');
+          option.value = music.url;
+          option.textContent = music.name.replace(/^\\d+_/, '');
+          select.appendChild(option);
+        });
+        select.value = current || '';
+      } catch (error) {
+        console.error('배경 음악 목록 로드 오류:', error);
+      }
+    }
+
+    // 배경 음악 업로드 후 목록을 다시 불러와 업로드한 파일 선택
+    window.uploadMusic = async function(input) {
+      const file = input.files && input.files[0];
+      if (!file) return;
+      try {
+        const response = await fetch('/api/assets/music?name=' + encodeURIComponent(file.name), {
+          method: 'POST',
+          headers: { 'Content-Type': file.type || 'application/octet-stream' },
+          body: file
+        });
+        const result = await response.json();
+        if (!result.success) {
+          throw new Error(result.error || '업로드 실패');
+        }
+        await loadMusicLibrary(result.url);
+      } catch (error) {
+        alert('배경 음악 업로드 실패: ' + error.message);
+      } finally {
+        input.value = '';
+      }
+    };
+
+    // 오디오 믹스 설정 (서버에서 AudioMixer.normalize 로 범위 확인)
+    function getAudioMix() {
+      const value = function(id) { return document.getElementById(id).value; };
+      const checked = function(id) { return document.getElementById(id).checked; };
+      const musicUrl = value('mixMusic');
+      return {
+        narration: { fadeIn: parseFloat(value('mixFadeIn')), fadeOut: parseFloat(value('mixFadeOut')) },
+        music: musicUrl ? { url: musicUrl, volume: parseFloat(value('mixMusicVolume')) } : null,
+        ducking: { enabled: checked('mixDucking') },
+        loudness: { enabled: checked('mixLoudness'), target: parseFloat(value('mixLoudnessTarget')) }
+      };
+    }
+
+    // 현재 편집 중인 프로젝트 ID (저장 후 설정)
+    let currentProjectId = null;
+
+    // 현재 타임라인을 프로젝트로 저장 후 서버에서 MP4 렌더링
+    window.exportVideo = async function() {
+      collectTimelineClips();
+      await updateAIContext();
+
+      const projectData = {
+        id: currentProjectId || undefined,
+        name: 'Editor Export',
+        timeline: {
+          duration: duration,
+          audioClips: audioClips.map(clip => ({
+            url: clip.url,
+            startTime: clip.startTime,
+            endTime: clip.endTime
+          })),
+          subtitles: subtitleClips.map(sub => ({
+            text: sub.text,
+            startTime: sub.startTime,
+            endTime: sub.endTime
+          })),
+          audioMix: editState.audioMix
+        },
+        clips: editState.clips
+          .filter(clip => clip.url)
+          .map(clip => ({
+            url: clip.url,
+            name: clip.name,
+            startTime: clip.duration ? clip.startTime : undefined,
+            duration: clip.duration || undefined
+          })),
+        effects: editState.effects
+      };
+
+      const progressDiv = document.createElement('div');
+      progressDiv.id = 'renderProgress';
+      progressDiv.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); background: #2d2d2d; padding: 20px; border-radius: 8px; z-index: 10000; border: 2px solid #28a745; min-width: 320px;';
+      progressDiv.innerHTML = '<div style="color: #e0e0e0; margin-bottom: 10px;">프로젝트 저장 중...</div>';
+      document.body.appendChild(progressDiv);
+
+      try {
+        const saveResponse = await fetch('/api/video-editor/project/save', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ projectData: projectData })
+        });
+        const saveResult = await saveResponse.json();
+        if (!saveResult.success) {
+          throw new Error(saveResult.error || '프로젝트 저장 실패');
+        }
+        currentProjectId = saveResult.projectId;
+
+        const renderResponse = await fetch('/api/video-editor/project/' + encodeURIComponent(currentProjectId) + '/render', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({})
+        });
+        const renderResult = await renderResponse.json();
+        if (!renderResult.success) {
+          throw new Error(renderResult.error || '렌더링 시작 실패');
+        }
+
+        const result = await window.waitForJob(renderResult.statusUrl, function(job) {
+          progressDiv.innerHTML = window.renderJobProgress('비디오 렌더링 중...', job);
+        });
+
+        if (result.success) {
+          progressDiv.innerHTML = '<div style="color: #0f0; margin-bottom: 10px;">✅ 렌더링 완료!</div>' +
+            '<a href="' + window.escapeHtml(result.url) + '" target="_blank" style="color: #4facfe;">' + window.escapeHtml(result.url) + '</a>' +
+            '<div style="margin-top: 10px;"><button class="toolbar-btn" onclick="document.getElementById(\\'renderProgress\\').remove()">닫기</button></div>';
+        } else {
+          progressDiv.innerHTML = '<div style="color: #f00; margin-bottom: 10px;">❌ 렌더링 실패</div><div style="color: #999; font-size: 12px;">' + window.escapeHtml(result.error || '알 수 없는 오류') + '</div>';
+          setTimeout(() => progressDiv.remove(), 5000);
+        }
+      } catch (error) {
+        console.error('[exportVideo] 오류:', error);
+        progressDiv.innerHTML = '<div style="color: #f00; margin-bottom: 10px;">❌ 오류 발생</div><div style="color: #999; font-size: 12px;">' + window.escapeHtml(error.message) + '</div>';
+        setTimeout(() => progressDiv.remove(), 5000);
+      }
+    };
+
     // 컨텍스트 분석 및 제안
     async function analyzeContext() {
       const statusDiv = document.getElementById('aiChatMessages');
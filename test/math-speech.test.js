@@ -0,0 +1,76 @@
+// MathSpeech - 수식 읽기 입력/출력 (node --test)
+// 기대값은 docs/STRUCTURED_SCRIPT_GUIDE.md 의 "수식 읽기" 표와 같은 형식
+const test = require('node:test');
+const assert = require('node:assert');
+const MathSpeech = require('../workers/math-speech');
+
+// [수식, 한국어, 영어]
+function check(cases) {
+  for (const [expression, ko, en] of cases) {
+    assert.strictEqual(MathSpeech.speak(expression, 'ko'), ko, `ko: ${expression}`);
+    assert.strictEqual(MathSpeech.speak(expression, 'en'), en, `en: ${expression}`);
+  }
+}
+
+test('미적분: 미분, 적분, 극한', () => {
+  check([
+    ['\\frac{d}{dx} x^2 = 2x', '엑스 제곱을 엑스에 대해 미분한 값은 2 엑스', 'the derivative of x squared with respect to x equals 2 x'],
+    ['\\frac{dy}{dx}', '와이를 엑스에 대해 미분한 값', 'the derivative of y with respect to x'],
+    ['\\frac{d^2y}{dx^2}', '와이를 엑스에 대해 두 번 미분한 값', 'the second derivative of y with respect to x'],
+    ['\\frac{\\partial f}{\\partial x}', '에프를 엑스에 대해 편미분한 값', 'the partial derivative of f with respect to x'],
+    ['\\int_0^1 x^2 \\, dx = \\frac{1}{3}', '인테그랄 0부터 1까지 엑스 제곱 디 엑스는 3 분의 1', 'the integral from 0 to 1 of x squared d x equals 1 over 3'],
+    ['∫_0^1 f(x)dx', '인테그랄 0부터 1까지 에프 엑스 디 엑스', 'the integral from 0 to 1 of f of x d x'],
+    ['\\lim_{x \\to 0} \\frac{\\sin x}{x} = 1', '엑스가 0으로 갈 때 엑스 분의 사인 엑스의 극한은 1', 'the limit as x approaches 0 of sine of x over x equals 1'],
+  ]);
+});
+
+test('미적분: 합과 곱은 범위의 변수를 한 번만 읽음', () => {
+  check([
+    ['\\sum_{i=1}^{n} i^2', '아이가 1부터 엔까지 아이 제곱의 합', 'the sum from i equals 1 to n of i squared'],
+    ['\\sum_{i=1}^{n} i = \\frac{n(n+1)}{2}', '아이가 1부터 엔까지 아이의 합은 2 분의 엔 괄호 엔 플러스 1 괄호 닫고',
+      'the sum from i equals 1 to n of i equals n open paren n plus 1 close paren over 2'],
+    ['∑_{k=0}^{\\infty} a_k', '케이가 0부터 무한대까지 에이 케이의 합', 'the sum from k equals 0 to infinity of a sub k'],
+    ['\\sum_i a_i', '아이에 대한 에이 아이의 합', 'the sum over i of a sub i'],
+    ['\\prod_{i=1}^{n} x_i', '아이가 1부터 엔까지 엑스 아이의 곱', 'the product from i equals 1 to n of x sub i'],
+  ]);
+  assert.doesNotMatch(MathSpeech.speak('\\sum_{i=1}^{n} i = \\frac{n(n+1)}{2}', 'ko'), /아이는.*아이는/);
+});
+
+test('선형대수: 전치, 역행렬, 행렬식, 행렬', () => {
+  check([
+    ['A^T', '에이 전치', 'A transpose'],
+    ['A^{-1}', '에이의 역행렬', 'A inverse'],
+    ['\\det(A) = ad - bc', '에이의 행렬식은 에이 디 마이너스 비 씨', 'the determinant of A equals a d minus b c'],
+    ['\\begin{pmatrix} a & b \\\\ c & d \\end{pmatrix}', '행렬 1행 에이, 비, 2행 씨, 디', 'the matrix with rows a, b; c, d'],
+    ['\\begin{vmatrix} 1 & 2 \\\\ 3 & 4 \\end{vmatrix}', '행렬식 1행 1, 2, 2행 3, 4', 'the determinant with rows 1, 2; 3, 4'],
+    ['\\lVert v \\rVert', '브이의 노름', 'the norm of v'],
+    ['A\\mathbf{x} = \\mathbf{b}', '에이 엑스는 비', 'A x equals b'],
+  ]);
+});
+
+test('확률: 조건부 확률, 사건, 기댓값, 분포', () => {
+  check([
+    ['P(A|B)', '비가 주어졌을 때 에이의 확률', 'the probability of A given B'],
+    ['P(A \\mid B)', '비가 주어졌을 때 에이의 확률', 'the probability of A given B'],
+    ['P(X = 1)', '엑스가 1일 확률', 'the probability of X equals 1'],
+    ['P(X \\le 2)', '엑스가 2 이하일 확률', 'the probability of X is less than or equal to 2'],
+    ['E[X] = \\mu', '엑스의 기댓값은 뮤', 'the expected value of X equals mu'],
+    ['\\mathrm{Var}(X) = \\sigma^2', '엑스의 분산은 시그마 제곱', 'the variance of X equals sigma squared'],
+    ['X \\sim N(0, 1)', '엑스는 엔 0, 1을 따른다', 'X is distributed as N 0, 1'],
+    ['\\binom{n}{k}', '엔 씨 케이', 'n choose k'],
+  ]);
+});
+
+test('문장 안의 수식: 구분자, 조사, 구분자 없는 수식', () => {
+  assert.strictEqual(MathSpeech.toSpeech('$x^2$를 미분하면 $2x$입니다.', 'ko'), '엑스 제곱을 미분하면 2 엑스입니다.');
+  assert.strictEqual(MathSpeech.toSpeech('The sum $\\sum_{i=1}^{n} i$ grows quickly.', 'en'), 'The sum the sum from i equals 1 to n of i grows quickly.');
+  assert.strictEqual(MathSpeech.toSpeech('sin²θ + cos²θ = 1 입니다', 'ko'), '사인 제곱 세타 플러스 코사인 제곱 세타는 1 입니다');
+  assert.strictEqual(MathSpeech.toSpeech('수식이 없는 문장', 'ko'), '수식이 없는 문장');
+});
+
+test('annotate: 직접 적은 pronunciation 은 유지', () => {
+  const segment = { text: '$x^2$', tts: { pronunciation: '엑스의 제곱' } };
+  assert.deepStrictEqual(MathSpeech.annotate(segment, 'ko'), { pronunciation: '엑스의 제곱' });
+  assert.deepStrictEqual(MathSpeech.annotate({ text: '$x^2$', tts: { speed: 1 } }, 'ko'), { speed: 1, pronunciation: '엑스 제곱' });
+  assert.deepStrictEqual(MathSpeech.annotate({ text: '안녕하세요', tts: {} }, 'ko'), {});
+});
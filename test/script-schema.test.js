@@ -0,0 +1,20 @@
+// ScriptSchema - normalize 결과가 validate 를 통과하는지 (node --test)
+const test = require('node:test');
+const assert = require('node:assert');
+const ScriptSchema = require('../workers/script-schema');
+
+test('normalize: 중복 id 를 쓰이지 않은 segment-N 으로 바꿈', () => {
+  const cases = [
+    [{ id: 'segment-2', text: 'a' }, { text: 'b' }],
+    [{ id: 'segment-2', text: 'a' }, { id: 'segment-2', text: 'b' }, { id: 'segment-3', text: 'c' }],
+    [{ text: 'a' }, { id: 'segment-1', text: 'b' }, { id: 'segment-1', text: 'c' }],
+  ];
+  for (const segments of cases) {
+    for (const lenient of [false, true]) {
+      const normalized = ScriptSchema.normalize({ segments }, { lenient });
+      const ids = normalized.segments.map(seg => seg.id);
+      assert.strictEqual(new Set(ids).size, ids.length, `ids: ${ids.join(', ')}`);
+      assert.deepStrictEqual(ScriptSchema.validate(normalized).errors, []);
+    }
+  }
+});
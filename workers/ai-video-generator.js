@@ -1,7 +1,9 @@
 // AI Video Generator - Replicate API 기반 AI 비디오 생성
 const LocalAIApi = require('../ai/LocalAIApi');
 const PromptManager = require('../ai/PromptManager');
+const JobQueue = require('./job-queue');
 const Replicate = require('replicate');
+const { spawn } = require('child_process');
 const https = require('https');
 const http = require('http');
 const fs = require('fs');
@@ -10,11 +12,7 @@ const path = require('path');
 class AIVideoGenerator {
   constructor() {
     this.outputDir = path.join(__dirname, '..', 'outputs', 'ai-videos');
-    this.progressDir = path.join(__dirname, '..', 'outputs', 'temp', 'progress');
     this.ensureOutputDir();
-    this.ensureProgressDir();
-    // 진행 상황 저장소 (메모리)
-    this.progressStore = new Map();
     
     // Replicate 클라이언트 초기화
     const replicateToken = process.env.REPLICATE_API_TOKEN;
@@ -35,39 +33,9 @@ class AIVideoGenerator {
     }
   }
 
-  ensureProgressDir() {
-    if (!fs.existsSync(this.progressDir)) {
-      fs.mkdirSync(this.progressDir, { recursive: true });
-    }
-  }
-
-  // 진행 상황 저장
+  // 진행 상황 저장 - JobQueue 작업으로 실행 중일 때만 기록됨 (GET /api/jobs/:id)
   saveProgress(jobId, progress) {
-    this.progressStore.set(jobId, {
-      ...progress,
-      timestamp: Date.now(),
-    });
-    // 파일에도 저장 (선택사항)
-    const progressFile = path.join(this.progressDir, `${jobId}.json`);
-    try {
-      fs.writeFileSync(progressFile, JSON.stringify(progress, null, 2));
-    } catch (e) {
-      // 파일 저장 실패해도 메모리에는 있음
-    }
-  }
-
-  // 진행 상황 조회
-  getProgress(jobId) {
-    const progress = this.progressStore.get(jobId);
-    if (progress) {
-      // 5분 이상 된 진행 상황은 삭제
-      if (Date.now() - progress.timestamp > 5 * 60 * 1000) {
-        this.progressStore.delete(jobId);
-        return null;
-      }
-      return progress;
-    }
-    return null;
+    JobQueue.reportProgress(jobId, progress);
   }
 
   /**
@@ -92,10 +60,9 @@ Return only the prompt, no explanations.`;
         }
       ];
 
-      const config = require('../ai/config');
       const resp = await LocalAIApi.createResponse({
         input: messages,
-        model: config.default_model,
+        tool: 'ai-video',
       });
 
       if (resp && resp.success) {
@@ -144,8 +111,8 @@ Return only the prompt, no explanations.`;
     
     console.log('[AIVideoGenerator] Replicate API 사용');
 
-    // 작업 ID 생성
-    const jobId = `ai-video-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    // 작업 ID (JobQueue에서 실행 시 해당 작업 ID로 진행 상황 보고)
+    const jobId = options.jobId || `ai-video-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     
     // 초기 진행 상황 저장
     this.saveProgress(jobId, {
@@ -303,8 +270,8 @@ Return only the prompt, no explanations.`;
       };
     }
 
-    // 작업 ID 생성
-    const jobId = `ai-video-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    // 작업 ID (JobQueue에서 실행 시 해당 작업 ID로 진행 상황 보고)
+    const jobId = options.jobId || `ai-video-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     
     // 초기 진행 상황 저장
     this.saveProgress(jobId, {
@@ -357,6 +324,13 @@ Return only the prompt, no explanations.`;
         stdio: ['pipe', 'pipe', 'pipe'], // Windows에서 출력 캡처를 위해 명시적으로 설정
       });
 
+      // 작업 취소 시 Python 프로세스 종료
+      if (options.signal) {
+        options.signal.addEventListener('abort', () => {
+          pythonProcess.kill('SIGTERM');
+        }, { once: true });
+      }
+
       let stdout = '';
       let stderr = '';
 
@@ -380,18 +354,37 @@ Return only the prompt, no explanations.`;
         }
       });
 
+      // 모델 로딩 진행 표시줄과 구분하기 위해 생성 시작 이후의 단계만 추론 단계로 취급
+      let diffusionStarted = false;
+
       pythonProcess.stderr.on('data', (data) => {
         const text = data.toString();
         stderr += text;
         
+        // diffusers 진행 표시줄 (예: " 40%|████      | 20/50 [00:10<00:15, 2.00it/s]") 에서 추론 단계 추출
+        const stepMatch = diffusionStarted && text.match(/(\d+)\/(\d+) \[/);
+        if (stepMatch) {
+          const step = Number(stepMatch[1]);
+          const totalSteps = Number(stepMatch[2]);
+          if (totalSteps > 0) {
+            this.saveProgress(jobId, {
+              status: 'generating',
+              message: `Diffusion step ${step}/${totalSteps}`,
+              progress: 40 + Math.round((step / totalSteps) * 50),
+            });
+          }
+        }
+        
         // 진행 상황 메시지 파싱
         if (text.includes('[AIVideoGenerator]')) {
+          JobQueue.appendLog(jobId, text);
           process.stdout.write(text);
           
           // 진행 상황 업데이트
-          let status = 'processing';
-          let message = 'Processing...';
-          let progress = 0;
+          // 알려진 단계가 아니면 현재 진행률/메시지를 유지 (추론 단계 진행률이 0으로 돌아가지 않도록)
+          let status;
+          let message;
+          let progress;
           
           if (text.includes('Loading model')) {
             status = 'loading_model';
@@ -402,6 +395,7 @@ Return only the prompt, no explanations.`;
             message = 'Model loaded, starting generation...';
             progress = 30;
           } else if (text.includes('Starting video generation')) {
+            diffusionStarted = true;
             status = 'generating';
             message = 'Generating video frames...';
             progress = 40;
@@ -0,0 +1,318 @@
+// Audio Mixer - 내레이션 + 배경 음악 + 기타 오디오를 하나의 트랙으로 믹스 (FFmpeg filter graph)
+// 세그먼트별 페이드 인/아웃 -> 내레이션 버스, 배경 음악은 반복/페이드 후 내레이션에 맞춰 더킹(sidechaincompress)
+// -> 전체 믹스를 목표 라우드니스(LUFS, loudnorm)로 정규화
+// 믹스 설정 (편집 프로젝트 timeline.audioMix 에 저장, VideoComposer 는 projectId 로 불러옴):
+//   { narration: { volume, fadeIn, fadeOut },
+//     music:     { url, volume, fadeIn, fadeOut, startOffset } | null,
+//     ducking:   { enabled, threshold, ratio, attack, release },
+//     loudness:  { enabled, target, truePeak, lra } }
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+// 모든 입력을 같은 형식으로 맞춰야 amix / sidechaincompress 가 동작
+const AUDIO_FORMAT = 'aformat=sample_fmts=fltp:sample_rates=48000:channel_layouts=stereo';
+const MUSIC_EXTENSIONS = ['.mp3', '.wav', '.m4a', '.aac', '.ogg', '.flac'];
+
+class AudioMixer {
+  constructor() {
+    this.outputsRoot = path.join(__dirname, '..', 'outputs');
+    // 업로드한 배경 음악 (에셋 라이브러리)
+    this.musicDir = path.join(this.outputsRoot, 'assets', 'music');
+    this.defaults = {
+      narration: { volume: 1, fadeIn: 0.02, fadeOut: 0.05 },
+      music: { volume: 0.25, fadeIn: 2, fadeOut: 3, startOffset: 0 },
+      ducking: { enabled: true, threshold: 0.03, ratio: 8, attack: 20, release: 400 },
+      loudness: {
+        enabled: process.env.AUDIO_LOUDNORM !== 'false',
+        target: parseFloat(process.env.AUDIO_TARGET_LUFS) || -16,
+        truePeak: -1.5,
+        lra: 11,
+      },
+    };
+  }
+
+  ensureMusicDir() {
+    if (!fs.existsSync(this.musicDir)) {
+      fs.mkdirSync(this.musicDir, { recursive: true });
+    }
+  }
+
+  isMusicFile(filename) {
+    return MUSIC_EXTENSIONS.includes(path.extname(String(filename || '')).toLowerCase());
+  }
+
+  /**
+   * 믹스 설정 정규화 - 빠진 값은 기본값, 숫자는 FFmpeg 필터 범위로 제한
+   */
+  normalize(mix = {}) {
+    const source = mix && typeof mix === 'object' ? mix : {};
+    const num = (value, fallback, min, max) => {
+      const n = parseFloat(value);
+      return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+    };
+    const flag = (value, fallback) => (typeof value === 'boolean' ? value : fallback);
+    const section = name => (source[name] && typeof source[name] === 'object' ? source[name] : {});
+    const { narration, music, ducking, loudness } = this.defaults;
+
+    const narrationIn = section('narration');
+    const musicIn = section('music');
+    const duckingIn = section('ducking');
+    const loudnessIn = section('loudness');
+
+    return {
+      narration: {
+        volume: num(narrationIn.volume, narration.volume, 0, 4),
+        fadeIn: num(narrationIn.fadeIn, narration.fadeIn, 0, 5),
+        fadeOut: num(narrationIn.fadeOut, narration.fadeOut, 0, 5),
+      },
+      music: typeof musicIn.url === 'string' && musicIn.url.trim() ? {
+        url: musicIn.url.trim(),
+        volume: num(musicIn.volume, music.volume, 0, 2),
+        fadeIn: num(musicIn.fadeIn, music.fadeIn, 0, 30),
+        fadeOut: num(musicIn.fadeOut, music.fadeOut, 0, 30),
+        startOffset: num(musicIn.startOffset, music.startOffset, 0, 3600),
+      } : null,
+      ducking: {
+        enabled: flag(duckingIn.enabled, ducking.enabled),
+        threshold: num(duckingIn.threshold, ducking.threshold, 0.001, 1),
+        ratio: num(duckingIn.ratio, ducking.ratio, 1, 20),
+        attack: num(duckingIn.attack, ducking.attack, 0.01, 2000),
+        release: num(duckingIn.release, ducking.release, 0.01, 9000),
+      },
+      loudness: {
+        enabled: flag(loudnessIn.enabled, loudness.enabled),
+        target: num(loudnessIn.target, loudness.target, -70, -5),
+        truePeak: num(loudnessIn.truePeak, loudness.truePeak, -9, 0),
+        lra: num(loudnessIn.lra, loudness.lra, 1, 50),
+      },
+    };
+  }
+
+  /**
+   * 배경 음악 URL(/outputs/assets/music/...) -> 파일 경로
+   * 에셋 라이브러리(musicDir) 밖, 잘못된 URL 인코딩, 없는 파일은 null (다른 사용자의 TTS 등 outputs 의 다른 파일은 사용하지 않음)
+   */
+  resolveMusicPath(url) {
+    if (!url || typeof url !== 'string') return null;
+    const relativePath = url.replace(/^\/?outputs\//, '').split('?')[0];
+    let decoded;
+    try {
+      decoded = decodeURIComponent(relativePath);
+    } catch (error) {
+      return null;
+    }
+    const resolved = path.normalize(path.join(this.outputsRoot, decoded));
+    if (!resolved.startsWith(this.musicDir + path.sep) || !this.isMusicFile(resolved)) {
+      return null;
+    }
+    return fs.existsSync(resolved) ? resolved : null;
+  }
+
+  /**
+   * 오디오 믹스 필터 생성
+   * narration / other: [{ input, startTime, duration, trimStart, volume, fadeIn, fadeOut }] (input = FFmpeg 입력 번호)
+   * musicInput: 배경 음악 입력 번호 (-stream_loop -1 로 추가, getMusicInputArgs), 없으면 null
+   * duration: 전체 길이 (초), 결과 트랙은 이 길이까지 무음으로 채움 (apad whole_dur, FFmpeg 4.2+)
+   * 반환: { filters, label } (label 이 최종 오디오), 오디오가 없으면 null
+   */
+  buildFilters({ narration = [], other = [], musicInput = null, duration, mix, prefix = 'mx' }) {
+    const settings = this.normalize(mix);
+    const filters = [];
+
+    const clipChain = (clip, label, defaults = {}) => {
+      const clipDuration = Math.max(0.01, clip.duration);
+      const fadeIn = Math.min(clip.fadeIn != null ? clip.fadeIn : (defaults.fadeIn || 0), clipDuration / 2);
+      const fadeOut = Math.min(clip.fadeOut != null ? clip.fadeOut : (defaults.fadeOut || 0), clipDuration / 2);
+      const volume = (clip.volume != null ? clip.volume : 1) * (defaults.volume != null ? defaults.volume : 1);
+      const chain = [
+        `atrim=start=${clip.trimStart || 0}:duration=${clipDuration}`,
+        'asetpts=PTS-STARTPTS',
+        AUDIO_FORMAT,
+        `volume=${volume}`,
+      ];
+      if (fadeIn > 0) chain.push(`afade=t=in:st=0:d=${fadeIn}`);
+      if (fadeOut > 0) chain.push(`afade=t=out:st=${(clipDuration - fadeOut).toFixed(3)}:d=${fadeOut}`);
+      const delayMs = Math.round((clip.startTime || 0) * 1000);
+      chain.push(`adelay=${delayMs}|${delayMs}`);
+      filters.push(`[${clip.input}:a]${chain.join(',')}[${label}]`);
+      return label;
+    };
+
+    const mixLabels = (labels, outLabel) => {
+      if (labels.length === 1) {
+        filters.push(`[${labels[0]}]anull[${outLabel}]`);
+      } else {
+        filters.push(`${labels.map(l => `[${l}]`).join('')}amix=inputs=${labels.length}:duration=longest:normalize=0[${outLabel}]`);
+      }
+      return outLabel;
+    };
+
+    // 1. 내레이션 버스 (세그먼트별 페이드)
+    const busLabels = [];
+    let narrationLabel = null;
+    if (narration.length > 0) {
+      const labels = narration.map((clip, i) => clipChain(clip, `${prefix}n${i}`, settings.narration));
+      narrationLabel = mixLabels(labels, `${prefix}narr`);
+    }
+
+    // 2. 배경 음악: 전체 길이로 자르고 페이드, 내레이션이 있으면 더킹
+    if (musicInput != null && settings.music && duration > 0) {
+      const { volume, fadeIn, fadeOut, startOffset } = settings.music;
+      const chain = [
+        `atrim=start=${startOffset}:duration=${duration}`,
+        'asetpts=PTS-STARTPTS',
+        AUDIO_FORMAT,
+        `volume=${volume}`,
+      ];
+      if (fadeIn > 0) chain.push(`afade=t=in:st=0:d=${Math.min(fadeIn, duration / 2)}`);
+      if (fadeOut > 0) {
+        const d = Math.min(fadeOut, duration / 2);
+        chain.push(`afade=t=out:st=${(duration - d).toFixed(3)}:d=${d}`);
+      }
+      filters.push(`[${musicInput}:a]${chain.join(',')}[${prefix}music]`);
+
+      if (narrationLabel && settings.ducking.enabled) {
+        const { threshold, ratio, attack, release } = settings.ducking;
+        // sidechain 입력이 먼저 끝나면 필터가 종료되므로 음악 길이만큼 무음으로 채움
+        filters.push(`[${narrationLabel}]asplit=2[${prefix}narrmix][${prefix}narrkey]`);
+        filters.push(`[${prefix}narrkey]apad=whole_dur=${duration}[${prefix}key]`);
+        filters.push(`[${prefix}music][${prefix}key]sidechaincompress=threshold=${threshold}:ratio=${ratio}:attack=${attack}:release=${release}[${prefix}duck]`);
+        busLabels.push(`${prefix}narrmix`, `${prefix}duck`);
+      } else {
+        if (narrationLabel) busLabels.push(narrationLabel);
+        busLabels.push(`${prefix}music`);
+      }
+    } else if (narrationLabel) {
+      busLabels.push(narrationLabel);
+    }
+
+    // 3. 기타 오디오 (비디오 클립 소리 등) - 더킹 기준에는 포함하지 않음
+    other.forEach((clip, i) => busLabels.push(clipChain(clip, `${prefix}o${i}`)));
+
+    if (busLabels.length === 0) {
+      return null;
+    }
+
+    // 4. 최종 믹스 -> 라우드니스 정규화 -> 길이 맞춤
+    const post = [];
+    if (settings.loudness.enabled) {
+      const { target, truePeak, lra } = settings.loudness;
+      // loudnorm 은 내부적으로 192kHz 로 처리하므로 다시 48kHz 로
+      post.push(`loudnorm=I=${target}:TP=${truePeak}:LRA=${lra}`, 'aresample=48000');
+    }
+    if (duration > 0) {
+      post.push(`apad=whole_dur=${duration}`);
+    }
+    const mixed = mixLabels(busLabels, `${prefix}bus`);
+    const label = `${prefix}out`;
+    filters.push(`[${mixed}]${post.length > 0 ? post.join(',') : 'anull'}[${label}]`);
+    return { filters, label };
+  }
+
+  getMusicInputArgs(musicPath) {
+    return ['-stream_loop', '-1', '-i', musicPath];
+  }
+
+  /**
+   * 세그먼트 오디오 파일들을 믹스해 하나의 파일로 저장 (VideoComposer 용)
+   * narration: [{ path, startTime, duration }], 반환: 출력 파일 경로 (실패 시 Error)
+   */
+  mixToFile({ narration, musicPath = null, mix, duration, outputPath, onProgress }) {
+    const settings = this.normalize(mix);
+    const inputArgs = [];
+    narration.forEach(clip => inputArgs.push('-i', clip.path));
+    let musicInput = null;
+    if (musicPath && settings.music) {
+      inputArgs.push(...this.getMusicInputArgs(musicPath));
+      musicInput = narration.length;
+    }
+
+    const graph = this.buildFilters({
+      narration: narration.map((clip, i) => ({ ...clip, input: i })),
+      musicInput,
+      duration,
+      mix: settings,
+    });
+    if (!graph) {
+      return Promise.reject(new Error('No audio to mix'));
+    }
+
+    const args = [
+      '-y',
+      ...inputArgs,
+      '-filter_complex', graph.filters.join(';'),
+      '-map', `[${graph.label}]`,
+      '-t', String(duration),
+      '-codec:a', 'libmp3lame',
+      '-q:a', '2',
+      outputPath,
+    ];
+
+    return new Promise((resolve, reject) => {
+      const ffmpegProcess = spawn(process.env.FFMPEG_PATH || 'ffmpeg', args);
+      let stderr = '';
+
+      ffmpegProcess.stderr.on('data', (data) => {
+        const text = data.toString();
+        stderr = (stderr + text).slice(-20000);
+        if (typeof onProgress === 'function') onProgress(text);
+      });
+      ffmpegProcess.on('close', (code) => {
+        if (code === 0 && fs.existsSync(outputPath)) {
+          resolve(outputPath);
+        } else {
+          reject(new Error(`FFmpeg audio mix failed (code ${code}): ${stderr.slice(-2000)}`));
+        }
+      });
+      ffmpegProcess.on('error', reject);
+    });
+  }
+
+  /**
+   * 에셋 라이브러리의 배경 음악 목록
+   */
+  listMusic() {
+    if (!fs.existsSync(this.musicDir)) return [];
+    return fs.readdirSync(this.musicDir)
+      .filter(f => this.isMusicFile(f))
+      .map((f) => {
+        const stats = fs.statSync(path.join(this.musicDir, f));
+        return {
+          name: f,
+          url: `/outputs/assets/music/${f}`,
+          size: stats.size,
+          modified: stats.mtime,
+          type: 'music',
+        };
+      })
+      .sort((a, b) => b.modified - a.modified);
+  }
+
+  /**
+   * 배경 음악 업로드 저장 (파일 이름은 영문/숫자/한글만 남기고 시간 접두어로 중복 방지)
+   * 반환: { success, name, url, path } 또는 { success: false, error }
+   */
+  saveMusic(originalName, data) {
+    if (!this.isMusicFile(originalName)) {
+      return { success: false, error: `Unsupported music format (use ${MUSIC_EXTENSIONS.join(', ')})` };
+    }
+    if (!Buffer.isBuffer(data) || data.length === 0) {
+      return { success: false, error: 'Empty upload' };
+    }
+
+    const ext = path.extname(originalName).toLowerCase();
+    const base = path.basename(originalName, path.extname(originalName))
+      .replace(/[^\w가-힣-]+/g, '_')
+      .replace(/^_+|_+$/g, '')
+      .substring(0, 60) || 'music';
+    const name = `${Date.now()}_${base}${ext}`;
+
+    this.ensureMusicDir();
+    const filePath = path.join(this.musicDir, name);
+    fs.writeFileSync(filePath, data);
+    return { success: true, name, url: `/outputs/assets/music/${name}`, path: filePath };
+  }
+}
+
+module.exports = new AudioMixer();
@@ -0,0 +1,228 @@
+// Formula Renderer - 자막/텍스트의 수식을 투명 PNG 로 렌더링 (MathJax SVG -> resvg, 모두 오프라인)
+// $...$, $$...$$, \(...\), \[...\] 안은 수식 (MathSpeech 와 같은 구분자), 나머지 글자는 \text{} 로 같은 줄에 배치
+// 편집기 미리보기 (/api/formulas/render), ProjectRenderer, VideoComposer 가 같은 이미지를 오버레이로 사용
+//   renderToPng(text, { fontSize, color, box }) -> { success, path, url, width, height }
+// 결과는 outputs/formulas/<hash>.png 에 캐시, 글꼴은 SUBTITLE_FONT / SUBTITLE_FONT_PATH (drawtext 와 같은 설정)
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DELIMITED = /\$\$([\s\S]+?)\$\$|\$(?!\s)([^$\n]+?)(?<!\s)\$(?!\d)|\\\(([\s\S]+?)\\\)|\\\[([\s\S]+?)\\\]/g;
+// \text{} 안에서 그대로 쓸 수 없는 글자 -> 수식 모드 표기
+const TEXT_ESCAPES = { '{': '\\{', '}': '\\}', '$': '\\$', '\\': '\\backslash ' };
+const BOX_PADDING = 0.35; // em
+const MAX_TEXT_LENGTH = 1000;
+
+class FormulaRenderer {
+  constructor() {
+    this.outputDir = path.join(__dirname, '..', 'outputs', 'formulas');
+    this.fontFamily = process.env.SUBTITLE_FONT || 'Noto Sans CJK KR';
+    this.fontFile = process.env.SUBTITLE_FONT_PATH || null;
+    this.engine = null;
+  }
+
+  ensureOutputDir() {
+    if (!fs.existsSync(this.outputDir)) {
+      fs.mkdirSync(this.outputDir, { recursive: true });
+    }
+  }
+
+  /**
+   * MathJax / resvg 지연 로드 (서버 시작 시간과 메모리를 아끼기 위해 첫 렌더링 때만)
+   */
+  load() {
+    if (this.engine) return { success: true };
+    try {
+      const { mathjax } = require('mathjax-full/js/mathjax.js');
+      const { TeX } = require('mathjax-full/js/input/tex.js');
+      const { SVG } = require('mathjax-full/js/output/svg.js');
+      const { liteAdaptor } = require('mathjax-full/js/adaptors/liteAdaptor.js');
+      const { RegisterHTMLHandler } = require('mathjax-full/js/handlers/html.js');
+      const { AllPackages } = require('mathjax-full/js/input/tex/AllPackages.js');
+      const { Resvg } = require('@resvg/resvg-js');
+
+      const adaptor = liteAdaptor();
+      RegisterHTMLHandler(adaptor);
+      // textmacros 는 \text{} 안의 따옴표/대시를 바꾸므로 제외 (자막 글자는 그대로 표시)
+      const document = mathjax.document('', {
+        InputJax: new TeX({ packages: AllPackages.filter(name => name !== 'textmacros') }),
+        OutputJax: new SVG({ fontCache: 'none' }),
+      });
+      this.engine = { adaptor, document, Resvg };
+      return { success: true };
+    } catch (error) {
+      console.error('[FormulaRenderer] 모듈 로드 실패:', error.message);
+      return { success: false, error: `Formula rendering requires mathjax-full and @resvg/resvg-js (npm install): ${error.message}` };
+    }
+  }
+
+  hasMath(text) {
+    DELIMITED.lastIndex = 0;
+    return DELIMITED.test(String(text || ''));
+  }
+
+  /**
+   * 텍스트 -> [{ type: 'text', text } | { type: 'math', tex, display }]
+   */
+  parse(text) {
+    const source = String(text || '');
+    const parts = [];
+    let lastIndex = 0;
+    let match;
+    DELIMITED.lastIndex = 0;
+    while ((match = DELIMITED.exec(source)) !== null) {
+      if (match.index > lastIndex) {
+        parts.push({ type: 'text', text: source.slice(lastIndex, match.index) });
+      }
+      const tex = match[1] || match[2] || match[3] || match[4];
+      parts.push({ type: 'math', tex: tex.trim(), display: match[1] !== undefined || match[4] !== undefined });
+      lastIndex = DELIMITED.lastIndex;
+    }
+    if (lastIndex < source.length) {
+      parts.push({ type: 'text', text: source.slice(lastIndex) });
+    }
+    return parts;
+  }
+
+  /**
+   * 한 자막 전체를 하나의 TeX 식으로 (글자는 \text{}, 여러 줄은 가운데 정렬 array)
+   */
+  toTeX(text) {
+    const lines = [[]];
+    for (const part of this.parse(text)) {
+      if (part.type === 'math') {
+        lines[lines.length - 1].push(part.display ? `{\\displaystyle ${part.tex}}` : `{${part.tex}}`);
+        continue;
+      }
+      part.text.split('\n').forEach((line, index) => {
+        if (index > 0) lines.push([]);
+        lines[lines.length - 1].push(this.textToTeX(line));
+      });
+    }
+
+    const rows = lines.map(row => row.join('')).filter(row => row);
+    return rows.length > 1 ? `\\begin{array}{c}${rows.join('\\\\')}\\end{array}` : (rows[0] || '');
+  }
+
+  textToTeX(text) {
+    let result = '';
+    let run = '';
+    for (const char of text) {
+      if (TEXT_ESCAPES[char]) {
+        if (run) result += `\\text{${run}}`;
+        run = '';
+        result += TEXT_ESCAPES[char];
+      } else {
+        run += char;
+      }
+    }
+    if (run) result += `\\text{${run}}`;
+    return result;
+  }
+
+  /**
+   * TeX -> 배경 상자가 포함된 SVG 문자열과 픽셀 크기
+   * MathJax SVG 는 1em = 1000 단위이므로 fontSize / 1000 배로 크기 결정
+   */
+  toSVG(text, options = {}) {
+    const { adaptor, document } = this.engine;
+    const fontSize = options.fontSize;
+    const node = document.convert(this.toTeX(text), { display: true, em: fontSize, ex: fontSize / 2, containerWidth: 80 * fontSize });
+    let inner = adaptor.innerHTML(node);
+
+    const error = inner.match(/data-mjx-error="([^"]*)"/);
+    if (error) {
+      return { success: false, error: `Invalid formula: ${error[1]}` };
+    }
+    const viewBox = inner.match(/viewBox="([-\d.]+) ([-\d.]+) ([\d.]+) ([\d.]+)"/);
+    if (!viewBox) {
+      return { success: false, error: 'Formula rendering produced no output' };
+    }
+
+    const scale = fontSize / 1000;
+    const width = Math.ceil(parseFloat(viewBox[3]) * scale);
+    const height = Math.ceil(parseFloat(viewBox[4]) * scale);
+    const padding = options.box === false ? 2 : Math.round(fontSize * BOX_PADDING);
+
+    inner = inner
+      .replace(/^<svg[^>]*?>/, match => match
+        .replace(/\s(?:style|width|height)="[^"]*"/g, '')
+        .replace('<svg', `<svg x="${padding}" y="${padding}" width="${width}" height="${height}"`))
+      .replace(/currentColor/g, options.color)
+      .replace(/font-family="[^"]*"/g, `font-family="${this.fontFamily.replace(/["<>&]/g, '')}"`);
+
+    const totalWidth = width + padding * 2;
+    const totalHeight = height + padding * 2;
+    const box = options.box === false
+      ? ''
+      : `<rect width="${totalWidth}" height="${totalHeight}" rx="${Math.round(padding / 3)}" fill="black" fill-opacity="0.6"/>`;
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${totalWidth}" height="${totalHeight}" viewBox="0 0 ${totalWidth} ${totalHeight}">${box}${inner}</svg>`;
+    return { success: true, svg, width: totalWidth, height: totalHeight };
+  }
+
+  /**
+   * 수식이 포함된 텍스트를 투명 PNG 로 렌더링 (같은 텍스트/스타일은 캐시 파일 재사용)
+   * options: fontSize (px, 기본 36), color (기본 white), box (반투명 배경, 기본 true)
+   */
+  renderToPng(text, options = {}) {
+    const source = String(text || '').trim();
+    if (!source) {
+      return { success: false, error: 'Text is required' };
+    }
+    if (source.length > MAX_TEXT_LENGTH) {
+      return { success: false, error: `Text is too long (max ${MAX_TEXT_LENGTH} characters)` };
+    }
+
+    const style = {
+      fontSize: Math.min(200, Math.max(12, parseInt(options.fontSize, 10) || 36)),
+      color: /^(#[0-9a-fA-F]{3,8}|[a-zA-Z]+)$/.test(String(options.color || '')) ? options.color : 'white',
+      box: options.box !== false,
+    };
+    const hash = crypto.createHash('sha1').update(JSON.stringify([source, style, this.fontFamily])).digest('hex').slice(0, 20);
+    const filename = `${hash}.png`;
+    const filePath = path.join(this.outputDir, filename);
+    const url = `/outputs/formulas/${filename}`;
+
+    if (fs.existsSync(filePath)) {
+      return { success: true, path: filePath, url, ...this.readPngSize(filePath) };
+    }
+
+    const loaded = this.load();
+    if (!loaded.success) return loaded;
+
+    try {
+      const rendered = this.toSVG(source, style);
+      if (!rendered.success) return rendered;
+
+      const resvg = new this.engine.Resvg(rendered.svg, {
+        fitTo: { mode: 'original' },
+        font: {
+          loadSystemFonts: true,
+          defaultFontFamily: this.fontFamily,
+          ...(this.fontFile ? { fontFiles: [this.fontFile] } : {}),
+        },
+      });
+      const image = resvg.render();
+      this.ensureOutputDir();
+      fs.writeFileSync(filePath, image.asPng());
+      return { success: true, path: filePath, url, width: image.width, height: image.height };
+    } catch (error) {
+      console.error('[FormulaRenderer] 렌더링 오류:', error.message);
+      return { success: false, error: `Formula rendering failed: ${error.message}` };
+    }
+  }
+
+  // PNG IHDR 의 가로/세로 (캐시된 파일용)
+  readPngSize(filePath) {
+    const header = Buffer.alloc(24);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      fs.readSync(fd, header, 0, 24, 0);
+    } finally {
+      fs.closeSync(fd);
+    }
+    return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+  }
+}
+
+module.exports = new FormulaRenderer();
@@ -0,0 +1,365 @@
+// Job Queue - 장시간 작업(시뮬레이션, 비디오 합성, TTS, 렌더링)을 HTTP 요청 밖에서 실행
+// 작업 상태는 outputs/jobs/<jobId>.json 에 저장되어 서버 재시작 후에도 유지됨
+// 상태/진행률/출력 로그 변경은 이벤트로 발행 (GET /api/jobs/:id/events SSE 스트림)
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+const MAX_LOG_LINES = 200;
+// 보관 기간이 지난 완료 작업 정리 주기
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+class JobQueue {
+  constructor() {
+    this.jobsDir = path.join(__dirname, '..', 'outputs', 'jobs');
+    this.ensureJobsDir();
+    // 작업 레코드 (jobId -> job)
+    this.jobs = new Map();
+    // 작업 유형별 핸들러 (type -> { handler, concurrency })
+    this.handlers = new Map();
+    // 작업 유형별 실행 중인 개수
+    this.running = new Map();
+    // 실행 중인 작업의 취소 컨트롤러
+    this.controllers = new Map();
+    // 진행 상황 파일 저장 시각 (저장 빈도 제한용)
+    this.lastPersist = new Map();
+    // 작업별 최근 출력 로그 (메모리, SSE 재접속 시 재전송용)
+    this.logs = new Map();
+    // 작업 이벤트 (이벤트 이름 = jobId)
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+    // 완료된 작업 보관 기간 (기본 24시간)
+    this.retentionMs = (parseInt(process.env.JOB_RETENTION_HOURS, 10) || 24) * 60 * 60 * 1000;
+    this.loadJobs();
+    this.pruneTimer = setInterval(() => this.pruneJobs(), PRUNE_INTERVAL_MS);
+    this.pruneTimer.unref();
+  }
+
+  ensureJobsDir() {
+    if (!fs.existsSync(this.jobsDir)) {
+      fs.mkdirSync(this.jobsDir, { recursive: true });
+    }
+  }
+
+  /**
+   * 저장된 작업 복원
+   * 재시작 전에 실행 중이던 작업은 다시 대기열에 넣고, 오래된 완료 작업은 삭제
+   */
+  loadJobs() {
+    let files = [];
+    try {
+      files = fs.readdirSync(this.jobsDir).filter(f => f.endsWith('.json'));
+    } catch (e) {
+      console.warn('[JobQueue] 작업 디렉토리 읽기 실패:', e.message);
+      return;
+    }
+
+    const now = Date.now();
+    for (const file of files) {
+      const filePath = path.join(this.jobsDir, file);
+      let job;
+      try {
+        job = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (e) {
+        console.warn('[JobQueue] 작업 파일 파싱 실패:', file, e.message);
+        continue;
+      }
+
+      if (FINISHED_STATUSES.includes(job.status)) {
+        if (now - (job.finishedAt || job.updatedAt || 0) > this.retentionMs) {
+          fs.unlink(filePath, () => {});
+          continue;
+        }
+      } else if (job.cancelRequested) {
+        job.status = 'cancelled';
+        job.message = 'Cancelled';
+        job.finishedAt = now;
+        this.persist(job);
+      } else if (job.status === 'running') {
+        job.status = 'queued';
+        job.message = 'Re-queued after server restart';
+        job.startedAt = null;
+        this.persist(job);
+      }
+
+      this.jobs.set(job.id, job);
+    }
+
+    const pending = [...this.jobs.values()].filter(j => j.status === 'queued').length;
+    if (pending > 0) {
+      console.log(`[JobQueue] 대기 중인 작업 ${pending}개 복원`);
+    }
+  }
+
+  /**
+   * 보관 기간(retentionMs)이 지난 완료 작업을 메모리와 outputs/jobs 에서 삭제
+   */
+  pruneJobs() {
+    const now = Date.now();
+    let pruned = 0;
+    for (const job of this.jobs.values()) {
+      if (FINISHED_STATUSES.includes(job.status) && now - (job.finishedAt || job.updatedAt || 0) > this.retentionMs) {
+        this.jobs.delete(job.id);
+        this.logs.delete(job.id);
+        fs.unlink(path.join(this.jobsDir, `${job.id}.json`), () => {});
+        pruned++;
+      }
+    }
+    if (pruned > 0) {
+      console.log(`[JobQueue] 보관 기간이 지난 작업 ${pruned}개 삭제`);
+    }
+    return pruned;
+  }
+
+  persist(job) {
+    job.updatedAt = Date.now();
+    const filePath = path.join(this.jobsDir, `${job.id}.json`);
+    const tempPath = `${filePath}.tmp`;
+    try {
+      fs.writeFileSync(tempPath, JSON.stringify(job, null, 2));
+      fs.renameSync(tempPath, filePath);
+    } catch (e) {
+      console.error('[JobQueue] 작업 저장 실패:', job.id, e.message);
+    }
+    this.notify(job);
+  }
+
+  notify(job) {
+    this.events.emit(job.id, { event: 'job', data: this.serialize(job) });
+  }
+
+  /**
+   * 작업 이벤트 구독 - listener({ event: 'job'|'log', data }), 구독 해제 함수 반환
+   */
+  subscribe(jobId, listener) {
+    this.events.on(jobId, listener);
+    return () => this.events.removeListener(jobId, listener);
+  }
+
+  /**
+   * 작업 유형 등록
+   * handler(payload, context) 는 { success, error, ... } 결과 객체를 반환
+   * context: { jobId, signal, isCancelled(), reportProgress({ progress, message, status }), log(text) }
+   */
+  registerHandler(type, handler, options = {}) {
+    const envKey = `JOB_CONCURRENCY_${type.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+    const concurrency = parseInt(process.env[envKey], 10) || options.concurrency || 1;
+    this.handlers.set(type, { handler, concurrency });
+    if (!this.running.has(type)) {
+      this.running.set(type, 0);
+    }
+    // 재시작 전에 대기 중이던 작업 실행
+    this.processQueue(type);
+  }
+
+  /**
+   * 작업 제출 - 즉시 대기열에 넣고 작업 레코드 반환
+   */
+  submit(type, payload = {}, options = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const now = Date.now();
+    const job = {
+      id: options.jobId || `${type}-${now}-${Math.random().toString(36).substr(2, 9)}`,
+      type,
+      status: 'queued',
+      stage: null,
+      progress: 0,
+      message: 'Waiting in queue...',
+      payload,
+      result: null,
+      error: null,
+      cancelRequested: false,
+      createdAt: now,
+      startedAt: null,
+      finishedAt: null,
+      updatedAt: now,
+    };
+
+    this.jobs.set(job.id, job);
+    this.persist(job);
+    console.log(`[JobQueue] 작업 제출: ${job.id}`);
+
+    this.processQueue(type);
+    return job;
+  }
+
+  processQueue(type) {
+    const entry = this.handlers.get(type);
+    if (!entry) return;
+
+    while (this.running.get(type) < entry.concurrency) {
+      const next = [...this.jobs.values()]
+        .filter(j => j.type === type && j.status === 'queued')
+        .sort((a, b) => a.createdAt - b.createdAt)[0];
+      if (!next) break;
+      this.runJob(next, entry.handler);
+    }
+  }
+
+  async runJob(job, handler) {
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+    this.running.set(job.type, this.running.get(job.type) + 1);
+
+    job.status = 'running';
+    job.message = 'Started';
+    job.startedAt = Date.now();
+    this.persist(job);
+
+    const context = {
+      jobId: job.id,
+      signal: controller.signal,
+      isCancelled: () => controller.signal.aborted,
+      reportProgress: (progress) => this.reportProgress(job.id, progress),
+      log: (text) => this.appendLog(job.id, text),
+    };
+
+    try {
+      const result = await handler(job.payload, context);
+
+      if (controller.signal.aborted) {
+        job.status = 'cancelled';
+        job.message = 'Cancelled';
+      } else if (result && result.success === false) {
+        job.status = 'failed';
+        job.error = result.error || 'Job failed';
+        job.message = job.error;
+      } else {
+        job.status = 'completed';
+        job.progress = 100;
+        job.message = 'Completed';
+      }
+      job.result = result || null;
+    } catch (error) {
+      console.error(`[JobQueue] 작업 실패: ${job.id}`, error);
+      job.status = controller.signal.aborted ? 'cancelled' : 'failed';
+      job.error = error.message;
+      job.message = job.status === 'cancelled' ? 'Cancelled' : error.message;
+    } finally {
+      job.finishedAt = Date.now();
+      this.persist(job);
+      this.controllers.delete(job.id);
+      this.lastPersist.delete(job.id);
+      // 출력 로그는 실행 중 SSE 재접속용 - 종료된 작업은 결과만 보관
+      this.logs.delete(job.id);
+      this.running.set(job.type, this.running.get(job.type) - 1);
+      console.log(`[JobQueue] 작업 종료: ${job.id} (${job.status})`);
+      this.processQueue(job.type);
+    }
+  }
+
+  /**
+   * 실행 중인 작업의 진행 상황 갱신
+   * 워커의 세부 상태(loading_model 등)는 stage 로 저장하고 수명 주기 status 는 큐가 관리
+   */
+  reportProgress(jobId, progress = {}) {
+    const job = this.jobs.get(jobId);
+    if (!job || FINISHED_STATUSES.includes(job.status)) return;
+
+    if (progress.status) job.stage = progress.status;
+    if (typeof progress.progress === 'number') job.progress = progress.progress;
+    if (progress.message) job.message = progress.message;
+
+    // ffmpeg 등은 초당 여러 번 보고하므로 파일 저장은 1초에 한 번으로 제한
+    const now = Date.now();
+    if (now - (this.lastPersist.get(jobId) || 0) > 1000) {
+      this.lastPersist.set(jobId, now);
+      this.persist(job);
+    } else {
+      this.notify(job);
+    }
+  }
+
+  /**
+   * 작업 출력 로그 추가 (시뮬레이션 stdout 등), 최근 MAX_LOG_LINES 줄만 보관
+   */
+  appendLog(jobId, text) {
+    const job = this.jobs.get(jobId);
+    if (!job || FINISHED_STATUSES.includes(job.status)) return;
+
+    const lines = String(text).split(/\r?\n|\r/).map(l => l.trimEnd()).filter(Boolean);
+    if (lines.length === 0) return;
+
+    const log = this.logs.get(jobId) || [];
+    log.push(...lines);
+    this.logs.set(jobId, log.slice(-MAX_LOG_LINES));
+
+    lines.forEach(line => this.events.emit(jobId, { event: 'log', data: { line } }));
+  }
+
+  getLogs(jobId) {
+    return this.logs.get(jobId) || [];
+  }
+
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * 작업 소유 여부 - owner: { userId, guestId } (비로그인은 세션별 guestId 로 구분)
+   * 제출할 때 payload.owner 에 기록한 값과 비교
+   */
+  isOwnedBy(job, owner = {}) {
+    const jobOwner = (job && job.payload && job.payload.owner) || {};
+    if (owner.userId) {
+      return jobOwner.userId === owner.userId;
+    }
+    return !jobOwner.userId && !!owner.guestId && jobOwner.guestId === owner.guestId;
+  }
+
+  /**
+   * 작업 목록 (최신순), filter.owner 가 있으면 그 소유자의 작업만
+   */
+  listJobs(filter = {}) {
+    const limit = Math.min(parseInt(filter.limit, 10) || 50, 500);
+    return [...this.jobs.values()]
+      .filter(j => !filter.owner || this.isOwnedBy(j, filter.owner))
+      .filter(j => !filter.type || j.type === filter.type)
+      .filter(j => !filter.status || j.status === filter.status)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit);
+  }
+
+  /**
+   * 작업 취소
+   * 대기 중인 작업은 즉시 취소, 실행 중인 작업은 signal 을 통해 중단 요청
+   */
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      return { success: false, error: 'Job not found' };
+    }
+    if (FINISHED_STATUSES.includes(job.status)) {
+      return { success: false, error: `Job already ${job.status}`, job };
+    }
+
+    job.cancelRequested = true;
+    if (job.status === 'queued') {
+      job.status = 'cancelled';
+      job.message = 'Cancelled';
+      job.finishedAt = Date.now();
+    } else {
+      job.message = 'Cancelling...';
+      const controller = this.controllers.get(jobId);
+      if (controller) controller.abort();
+    }
+    this.persist(job);
+    console.log(`[JobQueue] 작업 취소 요청: ${jobId}`);
+    return { success: true, job };
+  }
+
+  /**
+   * API 응답용 작업 정보 (payload 제외)
+   */
+  serialize(job) {
+    if (!job) return null;
+    const { payload, ...rest } = job;
+    return rest;
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,956 @@
+// Math Speech - 수식(LaTeX, 유니코드 수학 기호)을 읽는 문장으로 변환
+// TTSGenerator 가 세그먼트 text 의 수식을 읽는 문장으로 바꿔 tts.pronunciation 으로 사용 (화면/자막은 수식 그대로)
+//   $...$, $$...$$, \(...\), \[...\] 안은 항상 수식
+//   구분자가 없으면 \명령, ^, _, =, <, >, 수학 기호(∫, √, ² ...)가 있는 단어와 그 옆의 변수/숫자/연산자를 수식으로 판단
+//   language: ko 는 한국어 읽기 (x 제곱, b 분의 a), 그 외는 영어 (x squared, a over b)
+// 읽기 예시: docs/STRUCTURED_SCRIPT_GUIDE.md 의 "수식 읽기"
+
+const HANGUL = /[ㄱ-ㆎ가-힣]/;
+// 낭독 표시 ([pause], **강조**) 는 수식으로 보지 않음 - SpeechMarkup 과 같은 표기
+const MARKUP_SPLIT = /(\[(?:pause|쉼)[^\]]*\]|\*\*)/i;
+const DELIMITED = /\$\$([\s\S]+?)\$\$|\$(?!\s)([^$\n]+?)(?<!\s)\$(?!\d)|\\\(([\s\S]+?)\\\)|\\\[([\s\S]+?)\\\]/g;
+
+const KO_LETTERS = {
+  a: '에이', b: '비', c: '씨', d: '디', e: '이', f: '에프', g: '지', h: '에이치', i: '아이', j: '제이', k: '케이', l: '엘', m: '엠',
+  n: '엔', o: '오', p: '피', q: '큐', r: '알', s: '에스', t: '티', u: '유', v: '브이', w: '더블유', x: '엑스', y: '와이', z: '제트',
+};
+
+// [한국어, 영어]
+const GREEK = {
+  alpha: ['알파', 'alpha'], beta: ['베타', 'beta'], gamma: ['감마', 'gamma'], delta: ['델타', 'delta'],
+  epsilon: ['엡실론', 'epsilon'], varepsilon: ['엡실론', 'epsilon'], zeta: ['제타', 'zeta'], eta: ['에타', 'eta'],
+  theta: ['세타', 'theta'], vartheta: ['세타', 'theta'], iota: ['이오타', 'iota'], kappa: ['카파', 'kappa'],
+  lambda: ['람다', 'lambda'], mu: ['뮤', 'mu'], nu: ['뉴', 'nu'], xi: ['크사이', 'xi'], pi: ['파이', 'pi'],
+  rho: ['로', 'rho'], sigma: ['시그마', 'sigma'], tau: ['타우', 'tau'], phi: ['파이', 'phi'], varphi: ['파이', 'phi'],
+  chi: ['카이', 'chi'], psi: ['프사이', 'psi'], omega: ['오메가', 'omega'],
+  Gamma: ['감마', 'gamma'], Delta: ['델타', 'delta'], Theta: ['세타', 'theta'], Lambda: ['람다', 'lambda'],
+  Xi: ['크사이', 'xi'], Pi: ['파이', 'pi'], Sigma: ['시그마', 'sigma'], Phi: ['파이', 'phi'], Psi: ['프사이', 'psi'],
+  Omega: ['오메가', 'omega'],
+};
+
+const SYMBOLS = {
+  infty: ['무한대', 'infinity'], partial: ['라운드', 'partial'], nabla: ['나블라', 'del'],
+  emptyset: ['공집합', 'the empty set'], varnothing: ['공집합', 'the empty set'],
+  forall: ['모든', 'for all'], exists: ['존재하는', 'there exists'], neg: ['부정', 'not'], lnot: ['부정', 'not'],
+  land: ['그리고', 'and'], wedge: ['그리고', 'and'], lor: ['또는', 'or'], vee: ['또는', 'or'],
+  ldots: ['점점점', 'dot dot dot'], cdots: ['점점점', 'dot dot dot'], dots: ['점점점', 'dot dot dot'],
+  angle: ['각', 'angle'], triangle: ['삼각형', 'triangle'], hbar: ['에이치 바', 'h bar'], ell: ['엘', 'l'],
+  therefore: ['그러므로', 'therefore'], because: ['왜냐하면', 'because'],
+};
+
+const BINARY_OPS = {
+  '+': ['플러스', 'plus'], '-': ['마이너스', 'minus'], '*': ['곱하기', 'times'], '/': ['나누기', 'divided by'],
+  pm: ['플러스 마이너스', 'plus or minus'], mp: ['마이너스 플러스', 'minus or plus'],
+  times: ['곱하기', 'times'], cdot: ['곱하기', 'times'], ast: ['곱하기', 'times'], div: ['나누기', 'divided by'],
+  cup: ['합집합', 'union'], cap: ['교집합', 'intersection'], setminus: ['차집합', 'minus'],
+  circ: ['합성', 'composed with'], oplus: ['직합', 'direct sum'], otimes: ['텐서곱', 'tensor'],
+};
+// 큰 연산자(적분, 합)의 피연산자는 덧셈/뺄셈 앞에서 끝남
+const ADDITIVE_OPS = ['+', '-', 'pm', 'mp'];
+
+const RELATION_ALIASES = {
+  '=': 'eq', '<': 'lt', '>': 'gt', ne: 'ne', neq: 'ne', lt: 'lt', gt: 'gt', le: 'le', leq: 'le', leqslant: 'le',
+  ge: 'ge', geq: 'ge', geqslant: 'ge', approx: 'approx', equiv: 'equiv', sim: 'sim', cong: 'equiv',
+  in: 'in', notin: 'notin', subset: 'subset', subseteq: 'subset', supset: 'supset', supseteq: 'supset',
+  to: 'to', rightarrow: 'to', Rightarrow: 'implies', implies: 'implies', iff: 'iff', Leftrightarrow: 'iff',
+  propto: 'propto',
+};
+
+const EN_RELATIONS = {
+  eq: 'equals', ne: 'is not equal to', lt: 'is less than', gt: 'is greater than',
+  le: 'is less than or equal to', ge: 'is greater than or equal to', approx: 'is approximately',
+  equiv: 'is equivalent to', sim: 'is distributed as', in: 'is in', notin: 'is not in',
+  subset: 'is a subset of', supset: 'is a superset of', to: 'approaches', implies: 'implies',
+  iff: 'if and only if', propto: 'is proportional to',
+};
+
+// 함수 이름 - name 은 "사인 x" 처럼 앞에 읽고, template 는 {x} 자리에 인자
+const FUNCTIONS = {
+  sin: { name: ['사인', 'sine'] }, cos: { name: ['코사인', 'cosine'] }, tan: { name: ['탄젠트', 'tangent'] },
+  sec: { name: ['시컨트', 'secant'] }, csc: { name: ['코시컨트', 'cosecant'] }, cot: { name: ['코탄젠트', 'cotangent'] },
+  arcsin: { name: ['아크사인', 'arc sine'] }, arccos: { name: ['아크코사인', 'arc cosine'] }, arctan: { name: ['아크탄젠트', 'arc tangent'] },
+  sinh: { name: ['하이퍼볼릭 사인', 'hyperbolic sine'] }, cosh: { name: ['하이퍼볼릭 코사인', 'hyperbolic cosine'] },
+  tanh: { name: ['하이퍼볼릭 탄젠트', 'hyperbolic tangent'] },
+  log: { name: ['로그', 'log'] }, ln: { name: ['자연로그', 'natural log'] }, exp: { name: ['익스포넨셜', 'exponential'] },
+  det: { template: ['{x}의 행렬식', 'the determinant of {x}'] }, rank: { template: ['{x}의 랭크', 'the rank of {x}'] },
+  tr: { template: ['{x}의 대각합', 'the trace of {x}'] },
+  max: { template: ['{x} 중 최댓값', 'the maximum of {x}'] }, min: { template: ['{x} 중 최솟값', 'the minimum of {x}'] },
+  gcd: { template: ['{x}의 최대공약수', 'the greatest common divisor of {x}'] },
+  Var: { template: ['{x}의 분산', 'the variance of {x}'] }, Cov: { template: ['{x}의 공분산', 'the covariance of {x}'] },
+};
+const TRIG = ['sin', 'cos', 'tan', 'sec', 'csc', 'cot'];
+// 백슬래시 없이 써도 함수로 읽는 이름 (3글자 이상은 뒤에 변수가 붙어도 인식: sinx = sin x)
+const BARE_FUNCTIONS = ['arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh', 'sin', 'cos', 'tan', 'sec', 'csc', 'cot', 'log', 'exp', 'det', 'max', 'min', 'gcd', 'lim', 'Var', 'Cov', 'ln', 'Pr'];
+
+const BIG_OPERATORS = {
+  int: ['인테그랄', 'integral'], iint: ['이중 인테그랄', 'double integral'], oint: ['폐곡선 인테그랄', 'contour integral'],
+  sum: ['시그마', 'sum'], prod: ['대문자 파이', 'product'], lim: ['리미트', 'limit'],
+};
+
+const ACCENTS = {
+  vec: ['벡터 {x}', 'vector {x}'], bar: ['{x} 바', '{x} bar'], overline: ['{x} 바', '{x} bar'],
+  hat: ['{x} 햇', '{x} hat'], dot: ['{x} 닷', '{x} dot'], ddot: ['{x} 더블 닷', '{x} double dot'], tilde: ['{x} 틸드', '{x} tilde'],
+};
+const SETS = {
+  R: ['실수 전체', 'the real numbers'], N: ['자연수 전체', 'the natural numbers'], Z: ['정수 전체', 'the integers'],
+  Q: ['유리수 전체', 'the rational numbers'], C: ['복소수 전체', 'the complex numbers'],
+};
+// 인자 내용을 그대로 읽는 명령 (\text{if }, \mathrm{d})
+const TEXT_COMMANDS = ['text', 'mbox', 'textrm', 'mathrm', 'operatorname'];
+const STYLE_COMMANDS = ['mathbf', 'mathit', 'mathcal', 'boldsymbol', 'mathsf'];
+const IGNORED_COMMANDS = [',', ';', ':', '!', ' ', 'quad', 'qquad', 'displaystyle', 'textstyle', 'limits', 'nolimits', 'left', 'big', 'Big', 'bigg', 'Bigg'];
+
+// 유니코드 수학 기호 -> LaTeX
+const UNICODE_MATH = {
+  '∫': '\\int', '∬': '\\iint', '∮': '\\oint', '∑': '\\sum', '∏': '\\prod', '√': '\\sqrt', '∛': '\\sqrt[3]',
+  '∞': '\\infty', '∂': '\\partial', '∇': '\\nabla', '±': '\\pm', '∓': '\\mp', '×': '\\times', '·': '\\cdot',
+  '⋅': '\\cdot', '÷': '\\div', '≤': '\\le', '≥': '\\ge', '≠': '\\ne', '≈': '\\approx', '≡': '\\equiv',
+  '∼': '\\sim', '∈': '\\in', '∉': '\\notin', '⊂': '\\subset', '⊆': '\\subseteq', '⊃': '\\supset', '⊇': '\\supseteq',
+  '∪': '\\cup', '∩': '\\cap', '∅': '\\emptyset', '∀': '\\forall', '∃': '\\exists', '→': '\\to', '⇒': '\\Rightarrow',
+  '⇔': '\\iff', '∝': '\\propto', '∘': '\\circ', '°': '^\\circ', '…': '\\ldots', '⋯': '\\cdots', '−': '-',
+  '′': "'", '″': "''", '∠': '\\angle', '△': '\\triangle', '‖': '\\|', '⊤': '\\top', 'ℝ': '\\mathbb{R}',
+  'ℕ': '\\mathbb{N}', 'ℤ': '\\mathbb{Z}', 'ℚ': '\\mathbb{Q}', 'ℂ': '\\mathbb{C}',
+  'α': '\\alpha', 'β': '\\beta', 'γ': '\\gamma', 'δ': '\\delta', 'ε': '\\epsilon', 'ζ': '\\zeta', 'η': '\\eta',
+  'θ': '\\theta', 'ι': '\\iota', 'κ': '\\kappa', 'λ': '\\lambda', 'μ': '\\mu', 'ν': '\\nu', 'ξ': '\\xi',
+  'π': '\\pi', 'ρ': '\\rho', 'σ': '\\sigma', 'τ': '\\tau', 'φ': '\\phi', 'χ': '\\chi', 'ψ': '\\psi', 'ω': '\\omega',
+  'Γ': '\\Gamma', 'Δ': '\\Delta', 'Θ': '\\Theta', 'Λ': '\\Lambda', 'Ξ': '\\Xi', 'Π': '\\Pi', 'Σ': '\\Sigma',
+  'Φ': '\\Phi', 'Ψ': '\\Psi', 'Ω': '\\Omega',
+};
+const SUPERSCRIPTS = { '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9', '⁺': '+', '⁻': '-', 'ⁿ': 'n', 'ⁱ': 'i', 'ᵀ': 'T' };
+const SUBSCRIPTS = { '₀': '0', '₁': '1', '₂': '2', '₃': '3', '₄': '4', '₅': '5', '₆': '6', '₇': '7', '₈': '8', '₉': '9', '₊': '+', '₋': '-', 'ₙ': 'n', 'ᵢ': 'i', 'ⱼ': 'j', 'ₖ': 'k', 'ₓ': 'x' };
+const UNICODE_CHARS = Object.keys(UNICODE_MATH).concat(Object.keys(SUPERSCRIPTS), Object.keys(SUBSCRIPTS)).join('');
+
+// 숫자 끝 글자의 받침 (0 영, 1 일, 3 삼, 6 육, 7 칠, 8 팔)
+const DIGIT_HAS_FINAL = { 0: true, 1: true, 2: false, 3: true, 4: false, 5: false, 6: true, 7: true, 8: true, 9: false };
+const RIEUL_FINAL = 8;
+
+class MathSpeech {
+  /**
+   * 문장 안의 수식을 읽는 문장으로 변환 (수식이 없으면 원문 그대로)
+   */
+  toSpeech(text, language = 'ko') {
+    const lang = this.getLanguage(language);
+    return String(text || '')
+      .split(MARKUP_SPLIT)
+      .map((piece, index) => (index % 2 === 1 ? piece : this.convertPiece(piece, lang)))
+      .join('');
+  }
+
+  /**
+   * 수식 하나 (구분자 없는 LaTeX / 유니코드) -> 읽는 문장, 해석하지 못하면 원문
+   */
+  speak(expression, language = 'ko') {
+    const lang = this.getLanguage(language);
+    try {
+      const reader = new MathReader(this.tokenize(this.normalizeUnicode(expression)), lang);
+      return this.tidy(reader.readAll()) || String(expression);
+    } catch (error) {
+      console.warn('[MathSpeech] 수식 해석 실패:', error.message);
+      return String(expression);
+    }
+  }
+
+  hasMath(text) {
+    return this.toSpeech(text) !== String(text || '');
+  }
+
+  /**
+   * 세그먼트의 tts 에 수식 읽기를 pronunciation 으로 채움
+   * pronunciation 을 직접 적은 경우(text 와 다른 값)는 그대로 둠
+   */
+  annotate(segment, language = 'ko') {
+    const tts = segment.tts || {};
+    const text = String(segment.text || '');
+    const custom = typeof tts.pronunciation === 'string' && tts.pronunciation.trim() && tts.pronunciation.trim() !== text.trim();
+    if (custom) {
+      return tts;
+    }
+    const spoken = this.toSpeech(text, language);
+    return spoken === text ? tts : { ...tts, pronunciation: spoken };
+  }
+
+  getLanguage(language) {
+    return String(language || 'ko').toLowerCase().startsWith('ko') ? 'ko' : 'en';
+  }
+
+  // 구분자가 있는 수식은 그대로 변환하고, 나머지 부분에서 구분자 없는 수식을 찾음
+  convertPiece(piece, lang) {
+    let result = '';
+    let lastIndex = 0;
+    let match;
+    DELIMITED.lastIndex = 0;
+    while ((match = DELIMITED.exec(piece)) !== null) {
+      result += this.convertBare(piece.slice(lastIndex, match.index), lang);
+      const expression = match[1] || match[2] || match[3] || match[4];
+      const spoken = this.attachParticle(this.speak(expression, lang), piece, DELIMITED.lastIndex, lang);
+      result += spoken.text;
+      lastIndex = spoken.end;
+      DELIMITED.lastIndex = spoken.end;
+    }
+    return result + this.convertBare(piece.slice(lastIndex), lang);
+  }
+
+  /**
+   * 구분자 없는 수식 찾기
+   * 공백/한글 경계로 나눈 단위 중 수식 표시가 있는 단위(strong)와 그 옆의 변수, 숫자, 연산자(weak)를 묶어 변환
+   */
+  convertBare(text, lang) {
+    const units = this.splitUnits(text);
+    const spans = [];
+    let current = null;
+
+    units.forEach((unit) => {
+      const kind = unit.hangul ? 'none' : this.classifyUnit(unit.core);
+      if (kind === 'none') {
+        if (current && current.strong) spans.push(current);
+        current = null;
+        return;
+      }
+      if (!current) current = { start: unit.start, end: unit.coreEnd, strong: false };
+      current.end = unit.coreEnd;
+      current.strong = current.strong || kind === 'strong';
+      // 단위 끝의 문장 부호(마침표, 쉼표)는 수식에 넣지 않고 묶음도 끝냄
+      if (unit.coreEnd < unit.end) {
+        if (current.strong) spans.push(current);
+        current = null;
+      }
+    });
+    if (current && current.strong) spans.push(current);
+
+    let result = '';
+    let lastIndex = 0;
+    spans.forEach((span) => {
+      result += text.slice(lastIndex, span.start);
+      const spoken = this.attachParticle(this.speak(text.slice(span.start, span.end), lang), text, span.end, lang);
+      result += spoken.text;
+      lastIndex = spoken.end;
+    });
+    return result + text.slice(lastIndex);
+  }
+
+  // 공백으로 나누되 { } 안의 공백은 유지, 한글이 시작되는 곳에서도 나눔 (x^2를 -> x^2 | 를)
+  splitUnits(text) {
+    const units = [];
+    const pattern = /\S+/g;
+    let match;
+    let pending = null;
+    while ((match = pattern.exec(text)) !== null) {
+      const word = pending ? { start: pending.start, value: text.slice(pending.start, match.index + match[0].length) } : { start: match.index, value: match[0] };
+      const depth = (word.value.match(/\{/g) || []).length - (word.value.match(/\}/g) || []).length;
+      if (depth > 0) {
+        pending = word;
+        continue;
+      }
+      pending = null;
+
+      const runs = word.value.match(/[ㄱ-ㆎ가-힣]+|[^ㄱ-ㆎ가-힣]+/g);
+      let offset = word.start;
+      runs.forEach((run) => {
+        const hangul = HANGUL.test(run);
+        const core = hangul ? run : run.replace(/[.,;:?]+$/, '');
+        units.push({ start: offset, end: offset + run.length, coreEnd: offset + core.length, core, hangul });
+        offset += run.length;
+      });
+    }
+    if (pending) {
+      units.push({ start: pending.start, end: pending.start + pending.value.length, coreEnd: pending.start + pending.value.length, core: pending.value, hangul: false });
+    }
+    return units;
+  }
+
+  classifyUnit(unit) {
+    if (!unit) return 'none';
+    const unicode = [...unit].some(char => UNICODE_CHARS.includes(char));
+    if (unicode || /\\[a-zA-Z|{]|[\^_=<>]|^[a-zA-Z]'*\([^()]*\)(d[a-z])?$/.test(unit)) {
+      return 'strong';
+    }
+    // 변수, 숫자, 연산자, 2x, dx, (x+1) - 영어 단어(두 글자 이상)는 제외
+    if (/^[0-9a-zA-Z+\-*/()[\].,!|']+$/.test(unit) && !/[a-zA-Z]{2,}/.test(unit.replace(/d[a-z](?![a-zA-Z])/g, ''))) {
+      return 'weak';
+    }
+    return 'none';
+  }
+
+  /**
+   * 수식 바로 뒤의 조사를 읽는 소리에 맞춤 (x^2를 -> 엑스 제곱을)
+   * 반환: { text: 읽기 + 조사, end: 원문에서 조사 다음 위치 }
+   */
+  attachParticle(spoken, source, end, lang) {
+    const next = lang === 'ko' && source.slice(end).match(/^(을|를|은|는|이|가|과|와|으로|로)(?![가-힣])/);
+    if (!next) {
+      return { text: spoken, end };
+    }
+    const pairs = { 을: ['을', '를'], 를: ['을', '를'], 은: ['은', '는'], 는: ['은', '는'], 이: ['이', '가'], 가: ['이', '가'], 과: ['과', '와'], 와: ['과', '와'], 으로: ['으로', '로'], 로: ['으로', '로'] };
+    return { text: josa(spoken, ...pairs[next[1]]), end: end + next[1].length };
+  }
+
+  // ², ⁻¹ 같은 위/아래 첨자 문자와 수학 기호를 LaTeX 로
+  normalizeUnicode(expression) {
+    let source = String(expression || '');
+    source = source.replace(new RegExp(`[${Object.keys(SUPERSCRIPTS).join('')}]+`, 'g'), run => `^{${[...run].map(c => SUPERSCRIPTS[c]).join('')}}`);
+    source = source.replace(new RegExp(`[${Object.keys(SUBSCRIPTS).join('')}]+`, 'g'), run => `_{${[...run].map(c => SUBSCRIPTS[c]).join('')}}`);
+    return [...source].map(char => (UNICODE_MATH[char] ? ` ${UNICODE_MATH[char]} ` : char)).join('');
+  }
+
+  /**
+   * LaTeX -> 토큰 [{ type: 'cmd' | 'num' | 'letter' | 'sym' | 'text', value }]
+   */
+  tokenize(source) {
+    const tokens = [];
+    let i = 0;
+    while (i < source.length) {
+      const rest = source.slice(i);
+      const char = source[i];
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+      if (char === '\\') {
+        const command = rest.match(/^\\([a-zA-Z]+|.)/);
+        if (!command) break;
+        const textArg = TEXT_COMMANDS.includes(command[1]) && rest.slice(command[0].length).match(/^\s*\{([^{}]*)\}/);
+        if (textArg) {
+          // \mathrm{Var}, \operatorname{tr} 처럼 함수 이름이면 함수로 읽음
+          const value = textArg[1].trim();
+          tokens.push(FUNCTIONS[value] ? { type: 'cmd', value } : { type: 'text', value });
+          i += command[0].length + textArg[0].length;
+        } else {
+          tokens.push({ type: 'cmd', value: command[1] });
+          i += command[0].length;
+        }
+        continue;
+      }
+      const number = rest.match(/^\d+(?:\.\d+)?/);
+      if (number) {
+        tokens.push({ type: 'num', value: number[0] });
+        i += number[0].length;
+        continue;
+      }
+      const letters = rest.match(/^[a-zA-Z]+/);
+      if (letters) {
+        const word = letters[0];
+        const name = BARE_FUNCTIONS.find(fn => word === fn || (fn.length >= 3 && word.startsWith(fn)));
+        if (name) {
+          tokens.push({ type: 'cmd', value: name });
+          i += name.length;
+        } else {
+          tokens.push({ type: 'letter', value: char });
+          i++;
+        }
+        continue;
+      }
+      tokens.push({ type: 'sym', value: char });
+      i++;
+    }
+    return tokens;
+  }
+
+  tidy(text) {
+    return text.replace(/\s+/g, ' ').replace(/\s+([,;])/g, '$1').replace(/([,;])(?=\S)/g, '$1 ').trim();
+  }
+}
+
+/**
+ * 한국어 조사 - 앞 말의 받침에 따라 선택 (으로/로 는 ㄹ 받침이면 로)
+ */
+function josa(word, withFinal, withoutFinal) {
+  const text = String(word).trim();
+  const last = text.slice(-1);
+  let final = 0;
+  const code = last.charCodeAt(0);
+  if (code >= 0xAC00 && code <= 0xD7A3) {
+    final = (code - 0xAC00) % 28;
+  } else if (/[0-9]/.test(last)) {
+    // 10, 100 처럼 0 으로 끝나면 십/백/천 (모두 받침 있음)
+    final = DIGIT_HAS_FINAL[last] || (last === '0' && text.length > 1) ? 1 : 0;
+    if (last === '1' || last === '7' || last === '8') final = RIEUL_FINAL;
+  } else if (/[a-zA-Z]/.test(last)) {
+    const name = KO_LETTERS[last.toLowerCase()];
+    final = name ? (name.charCodeAt(name.length - 1) - 0xAC00) % 28 : 0;
+  }
+  if (withFinal === '으로') {
+    return text + (final && final !== RIEUL_FINAL ? '으로' : '로');
+  }
+  return text + (final ? withFinal : withoutFinal);
+}
+
+/**
+ * 토큰 -> 읽는 문장 (재귀 하강)
+ * sequence := relation (',' relation)*
+ * relation := expression (관계 연산자 expression)*
+ * expression := (이항 연산자 | postfix)*
+ * postfix  := primary (^ 인자 | _ 인자 | ! | ' | 함수 적용)*
+ */
+class MathReader {
+  constructor(tokens, lang) {
+    this.tokens = tokens;
+    this.pos = 0;
+    this.lang = lang;
+    this.ko = lang === 'ko';
+  }
+
+  pick(pair) {
+    return this.ko ? pair[0] : pair[1];
+  }
+
+  fill(template, value) {
+    return this.pick(template).replace('{x}', value);
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  is(token, type, value) {
+    return !!token && token.type === type && (value === undefined || token.value === value);
+  }
+
+  // 해석하지 못한 토큰은 건너뛰며 끝까지 읽음
+  readAll() {
+    const parts = [];
+    while (this.pos < this.tokens.length) {
+      const start = this.pos;
+      parts.push(this.readSequence([]));
+      if (this.pos === start) this.pos++;
+    }
+    return parts.filter(Boolean).join(' ');
+  }
+
+  isStop(token, stops) {
+    if (!token) return true;
+    if (token.type === 'sym' && [')', ']', '}', '&'].includes(token.value)) return true;
+    if (token.type === 'cmd' && ['\\', 'end', 'right', 'rVert', '}'].includes(token.value)) return true;
+    return stops.includes(`${token.type}:${token.value}`);
+  }
+
+  relationOf(token) {
+    if (!token || (token.type !== 'sym' && token.type !== 'cmd')) return null;
+    return RELATION_ALIASES[token.value] || null;
+  }
+
+  binaryOf(token) {
+    if (!token || (token.type !== 'sym' && token.type !== 'cmd')) return null;
+    return BINARY_OPS[token.value] ? token.value : null;
+  }
+
+  readSequence(stops) {
+    return this.readItems(stops).join(', ');
+  }
+
+  readItems(stops) {
+    const items = [this.readRelation(stops)];
+    while (this.is(this.peek(), 'sym', ',') && !stops.includes('sym:,')) {
+      this.next();
+      items.push(this.readRelation(stops));
+    }
+    return items.filter(Boolean);
+  }
+
+  readRelation(stops) {
+    let left = this.readExpression(stops);
+    let relation;
+    while (!this.isStop(this.peek(), stops) && (relation = this.relationOf(this.peek()))) {
+      this.next();
+      const right = this.readExpression(stops);
+      left = this.relation(relation, left, right);
+    }
+    return left;
+  }
+
+  relation(kind, left, right) {
+    if (!this.ko) {
+      return `${left} ${EN_RELATIONS[kind]} ${right}`;
+    }
+    const topic = josa(left, '은', '는');
+    switch (kind) {
+      case 'eq': return this.inBound ? `${josa(left, '이', '가')} ${right}` : `${topic} ${right}`;
+      case 'ne': return `${topic} ${josa(right, '과', '와')} 같지 않다`;
+      case 'lt': return `${topic} ${right}보다 작다`;
+      case 'gt': return `${topic} ${right}보다 크다`;
+      case 'le': return `${topic} ${right}보다 작거나 같다`;
+      case 'ge': return `${topic} ${right}보다 크거나 같다`;
+      case 'approx': return `${topic} 약 ${right}`;
+      case 'equiv': return `${topic} ${josa(right, '과', '와')} 합동`;
+      case 'sim': return `${topic} ${josa(right, '을', '를')} 따른다`;
+      case 'in': return `${topic} ${right}의 원소`;
+      case 'notin': return `${topic} ${right}의 원소가 아니다`;
+      case 'subset': return `${topic} ${right}의 부분집합`;
+      case 'supset': return `${topic} ${josa(right, '을', '를')} 포함한다`;
+      case 'to': return `${josa(left, '이', '가')} ${josa(right, '으로', '로')} 갈 때`;
+      case 'implies': return `${left}이면 ${right}`;
+      case 'iff': return `${topic} ${josa(right, '과', '와')} 동치`;
+      case 'propto': return `${topic} ${right}에 비례`;
+      default: return `${left} ${right}`;
+    }
+  }
+
+  readExpression(stops, additiveStop = false) {
+    const parts = [];
+    while (!this.isStop(this.peek(), stops)) {
+      const token = this.peek();
+      if (this.relationOf(token) || this.is(token, 'sym', ',')) break;
+      const op = this.binaryOf(token);
+      if (op) {
+        if (additiveStop && ADDITIVE_OPS.includes(op) && parts.length > 0) break;
+        this.next();
+        parts.push(this.pick(BINARY_OPS[op]));
+        continue;
+      }
+      const start = this.pos;
+      const factor = this.readPostfix(stops);
+      if (factor && factor.text) parts.push(factor.text);
+      if (this.pos === start) break;
+    }
+    return parts.join(' ');
+  }
+
+  readPostfix(stops) {
+    let base = this.readPrimary(stops);
+    if (!base) return null;
+
+    for (;;) {
+      const token = this.peek();
+      if (this.is(token, 'sym', '^')) {
+        this.next();
+        base = this.power(base, this.readArgument());
+      } else if (this.is(token, 'sym', '_')) {
+        this.next();
+        const sub = this.readArgument();
+        base = { text: this.ko ? `${base.text} ${sub.text}` : `${base.text} sub ${sub.text}`, kind: base.kind, func: base.func };
+      } else if (this.is(token, 'sym', '!')) {
+        this.next();
+        base = { text: `${base.text} ${this.ko ? '팩토리얼' : 'factorial'}` };
+      } else if (this.is(token, 'sym', "'")) {
+        this.next();
+        base = { text: `${base.text} ${this.ko ? '프라임' : 'prime'}`, kind: base.kind, func: true };
+      } else if (base.func && this.is(token, 'sym', '(')) {
+        this.next();
+        const args = this.readSequence([]);
+        this.close(')');
+        base = { text: this.ko ? `${base.text} ${args}` : `${base.text} of ${args}` };
+      } else {
+        return base;
+      }
+    }
+  }
+
+  // ^, _ 의 인자: { } 묶음 또는 토큰 하나 -> { text, raw }
+  readArgument() {
+    const start = this.pos;
+    if (this.is(this.peek(), 'sym', '{')) {
+      this.next();
+      const text = this.readSequence([]);
+      const raw = this.raw(start + 1, this.pos);
+      this.close('}');
+      return { text, raw };
+    }
+    const primary = this.readPrimary([]) || { text: '' };
+    return { text: primary.text, raw: this.raw(start, this.pos) };
+  }
+
+  raw(from, to) {
+    return this.tokens.slice(from, to).map(token => token.value).join('');
+  }
+
+  close(value) {
+    if (this.is(this.peek(), 'cmd', 'right')) this.next();
+    const token = this.peek();
+    if (token && token.value === value) this.next();
+  }
+
+  power(base, exponent) {
+    const raw = exponent.raw;
+    const complex = base.kind === 'group';
+    const subject = complex ? base.inner : base.text;
+    let text;
+    if (raw === '2') {
+      text = this.ko ? `${subject}${complex ? '의' : ''} 제곱` : `${complex ? `the quantity ${subject},` : subject} squared`;
+    } else if (raw === '3') {
+      text = this.ko ? `${subject}${complex ? '의' : ''} 세제곱` : `${complex ? `the quantity ${subject},` : subject} cubed`;
+    } else if (raw === 'T' || raw === 'top') {
+      text = this.ko ? `${subject} 전치` : `${subject} transpose`;
+    } else if (raw === '-1' && base.kind === 'letter' && /^[A-Z]$/.test(base.value)) {
+      text = this.ko ? `${subject}의 역행렬` : `${subject} inverse`;
+    } else if (raw === 'circ') {
+      text = this.ko ? `${subject}도` : `${subject} degrees`;
+    } else if (raw === '+' || raw === '-') {
+      text = `${subject} ${this.pick(BINARY_OPS[raw])}`;
+    } else {
+      text = this.ko ? `${subject}의 ${exponent.text} 제곱` : `${complex ? `the quantity ${subject},` : subject} to the power of ${exponent.text}`;
+    }
+    return { text, kind: 'power' };
+  }
+
+  readPrimary(stops) {
+    const token = this.peek();
+    if (this.isStop(token, stops)) return null;
+    if (this.relationOf(token) || this.binaryOf(token)) return null;
+    this.next();
+
+    switch (token.type) {
+      case 'num':
+        return { text: token.value, kind: 'number' };
+      case 'text':
+        return { text: token.value, kind: 'text' };
+      case 'letter':
+        return this.readLetter(token);
+      case 'sym':
+        return this.readSymbol(token, stops);
+      default:
+        return this.readCommand(token.value, stops);
+    }
+  }
+
+  readLetter(token) {
+    const value = token.value;
+    const next = this.peek();
+    if (value === 'P' && this.is(next, 'sym', '(')) {
+      this.next();
+      return { text: this.probability() };
+    }
+    if (value === 'E' && (this.is(next, 'sym', '[') || this.is(next, 'sym', '('))) {
+      const close = this.next().value === '[' ? ']' : ')';
+      const inner = this.readSequence([]);
+      this.close(close);
+      return { text: this.ko ? `${inner}의 기댓값` : `the expected value of ${inner}` };
+    }
+    const text = this.ko ? (KO_LETTERS[value.toLowerCase()] || value) : value;
+    return { text, kind: 'letter', value, func: ['f', 'g', 'h', 'F', 'G', 'H'].includes(value) };
+  }
+
+  // P(A), P(A|B), P(X = 1), P(X ≤ 2 | Y = 0)
+  probability() {
+    const event = this.probabilityEvent(['sym:|']);
+    let given = null;
+    if (this.is(this.peek(), 'sym', '|') || this.is(this.peek(), 'cmd', 'mid')) {
+      this.next();
+      given = this.probabilityEvent([]);
+    }
+    this.close(')');
+    if (!this.ko) {
+      return `the probability of ${event.text}${given ? ` given ${given.text}` : ''}`;
+    }
+    const condition = given ? `${given.condition ? `${given.text}` : josa(given.text, '이', '가')} 주어졌을 때 ` : '';
+    return event.condition ? `${condition}${event.text} 확률` : `${condition}${event.text}의 확률`;
+  }
+
+  // 한국어 사건 표현: X = 1 -> "엑스가 1일", X ≤ 2 -> "엑스가 2 이하일"
+  probabilityEvent(stops) {
+    const start = this.pos;
+    const left = this.readExpression(stops.concat(['cmd:mid']));
+    const kind = this.relationOf(this.peek());
+    const forms = { eq: '{x}일', ne: '{x}이 아닐', lt: '{x} 미만일', gt: '{x} 초과일', le: '{x} 이하일', ge: '{x} 이상일' };
+    if (!kind || !forms[kind]) {
+      return { text: left || this.raw(start, this.pos), condition: false };
+    }
+    this.next();
+    const right = this.readExpression(stops.concat(['cmd:mid']));
+    if (!this.ko) {
+      return { text: this.relation(kind, left, right), condition: true };
+    }
+    return { text: `${josa(left, '이', '가')} ${forms[kind].replace('{x}', right)}`, condition: true };
+  }
+
+  readSymbol(token, stops) {
+    switch (token.value) {
+      case '(':
+      case '[': {
+        const items = this.readItems([]);
+        const inner = items.join(', ');
+        this.close(token.value === '(' ? ')' : ']');
+        // 한 단어이거나 (0, 1) 같은 목록은 괄호를 읽지 않음
+        const simple = items.length > 1 || !/\s/.test(inner);
+        return simple
+          ? { text: inner, kind: 'number', inner }
+          : { text: this.ko ? `괄호 ${inner} 괄호 닫고` : `open paren ${inner} close paren`, kind: 'group', inner };
+      }
+      case '{': {
+        const inner = this.readSequence([]);
+        this.close('}');
+        return { text: inner, kind: /\s/.test(inner) ? 'group' : 'number', inner };
+      }
+      case '|': {
+        const inner = this.readSequence(stops.concat(['sym:|']));
+        this.close('|');
+        return { text: this.ko ? `${inner}의 절댓값` : `the absolute value of ${inner}` };
+      }
+      default:
+        return { text: '' };
+    }
+  }
+
+  readCommand(name, stops) {
+    if (GREEK[name]) {
+      return { text: this.pick(GREEK[name]), kind: 'letter', value: name, func: name === 'phi' || name === 'psi' };
+    }
+    if (SYMBOLS[name]) {
+      return { text: this.pick(SYMBOLS[name]) };
+    }
+    if (IGNORED_COMMANDS.includes(name)) {
+      return { text: '' };
+    }
+    if (FUNCTIONS[name]) {
+      return { text: this.readFunction(name) };
+    }
+    if (BIG_OPERATORS[name]) {
+      return { text: this.readBigOperator(name, stops) };
+    }
+    if (ACCENTS[name]) {
+      return { text: this.fill(ACCENTS[name], this.readArgument().text), kind: 'letter' };
+    }
+    if (STYLE_COMMANDS.includes(name)) {
+      const argument = this.readArgument();
+      return { text: argument.text, kind: 'letter', value: argument.raw };
+    }
+
+    switch (name) {
+      case 'frac':
+      case 'dfrac':
+      case 'tfrac':
+        return { text: this.readFraction() };
+      case 'sqrt':
+        return { text: this.readRoot() };
+      case 'binom': {
+        const n = this.readArgument().text;
+        const k = this.readArgument().text;
+        return { text: this.ko ? `${n} 씨 ${k}` : `${n} choose ${k}` };
+      }
+      case 'mathbb': {
+        const argument = this.readArgument();
+        return { text: SETS[argument.raw] ? this.pick(SETS[argument.raw]) : argument.text };
+      }
+      case 'Pr':
+        if (this.is(this.peek(), 'sym', '(')) {
+          this.next();
+          return { text: this.probability() };
+        }
+        return { text: this.ko ? '확률' : 'the probability' };
+      case 'lVert':
+      case 'Vert':
+      case '|': {
+        const inner = this.readSequence(stops.concat(['cmd:|', 'cmd:Vert']));
+        if (['|', 'Vert', 'rVert'].includes((this.peek() || {}).value)) this.next();
+        return { text: this.ko ? `${inner}의 노름` : `the norm of ${inner}` };
+      }
+      case '{': {
+        const inner = this.readSequence(['sym:|', 'sym::']);
+        if (this.is(this.peek(), 'sym', '|') || this.is(this.peek(), 'sym', ':')) {
+          this.next();
+          const condition = this.readSequence([]);
+          this.close('}');
+          return { text: this.ko ? `${inner}의 집합, 단 ${condition}` : `the set of ${inner} such that ${condition}` };
+        }
+        this.close('}');
+        return { text: this.ko ? `집합 ${inner}` : `the set ${inner}` };
+      }
+      case 'begin':
+        return { text: this.readEnvironment() };
+      default:
+        return { text: name };
+    }
+  }
+
+  // \sin x, \sin^2 x, \sin^{-1} x, \log_2 x, \det(A)
+  readFunction(name) {
+    let exponent = null;
+    let base = null;
+    for (;;) {
+      if (this.is(this.peek(), 'sym', '^')) {
+        this.next();
+        exponent = this.readArgument();
+      } else if (this.is(this.peek(), 'sym', '_')) {
+        this.next();
+        base = this.readArgument();
+      } else {
+        break;
+      }
+    }
+
+    let argument = '';
+    if (this.is(this.peek(), 'sym', '(')) {
+      this.next();
+      argument = this.readSequence([]);
+      this.close(')');
+    } else {
+      const operand = this.readPostfix([]);
+      argument = operand ? operand.text : '';
+    }
+
+    const fn = FUNCTIONS[name];
+    if (fn.template) {
+      return this.fill(fn.template, argument);
+    }
+
+    let label = this.pick(fn.name);
+    if (exponent && exponent.raw === '-1' && TRIG.includes(name)) {
+      label = this.ko ? `아크${label}` : `inverse ${label}`;
+    } else if (exponent) {
+      label = this.power({ text: label }, exponent).text;
+    }
+    if (base) {
+      return this.ko ? `${label} ${base.text}의 ${argument}` : `${label} base ${base.text} of ${argument}`;
+    }
+    return this.ko ? `${label} ${argument}` : `${label} of ${argument}`;
+  }
+
+  // \int_a^b, \sum_{i=1}^{n}, \prod, \lim_{x \to 0}
+  readBigOperator(name, stops) {
+    let lower = null;
+    let upper = null;
+    for (;;) {
+      if (this.is(this.peek(), 'cmd', 'limits')) {
+        this.next();
+      } else if (this.is(this.peek(), 'sym', '_')) {
+        this.next();
+        // 아래 끝 i=1 은 "아이는 1" 이 아니라 "아이가 1" (범위의 시작)
+        this.inBound = true;
+        lower = this.readArgument().text;
+        this.inBound = false;
+      } else if (this.is(this.peek(), 'sym', '^')) {
+        this.next();
+        upper = this.readArgument().text;
+      } else {
+        break;
+      }
+    }
+
+    const operand = this.readExpression(stops, true);
+    const label = this.pick(BIG_OPERATORS[name]);
+
+    if (name === 'lim') {
+      if (this.ko) return lower ? `${lower} ${operand}의 극한` : `${label} ${operand}`;
+      return lower ? `the limit as ${lower} of ${operand}` : `the limit of ${operand}`;
+    }
+    if (this.ko && (name === 'sum' || name === 'prod') && operand) {
+      // 아이가 1부터 엔까지 아이 제곱의 합 - 뒤에 관계가 오면 "합은" 으로 이어짐
+      const total = `${operand}의 ${name === 'sum' ? '합' : '곱'}`;
+      if (lower && upper) return `${lower}부터 ${upper}까지 ${total}`;
+      if (lower) return `${lower}에 대한 ${total}`;
+      return total;
+    }
+    if (this.ko) {
+      if (lower && upper) return `${label} ${lower}부터 ${upper}까지 ${operand}`;
+      if (lower) return `${label} ${lower}에 대해 ${operand}`;
+      return `${label} ${operand}`;
+    }
+    if (lower && upper) return `the ${label} from ${lower} to ${upper} of ${operand}`;
+    if (lower) return `the ${label} over ${lower} of ${operand}`;
+    return `the ${label} of ${operand}`;
+  }
+
+  readFraction() {
+    const numerator = this.readArgument();
+    const denominator = this.readArgument();
+
+    // 미분: \frac{d}{dx}, \frac{dy}{dx}, \frac{d^2y}{dx^2}, \frac{\partial f}{\partial x}
+    const top = numerator.raw.match(/^(d|partial)(?:\^\{?(\d)\}?)?([a-zA-Z]*)$/);
+    const bottom = denominator.raw.match(/^(d|partial)([a-zA-Z])(?:\^\{?\d\}?)?$/);
+    if (top && bottom && top[1] === bottom[1]) {
+      const partial = top[1] === 'partial';
+      const order = parseInt(top[2], 10) || 1;
+      const variable = new MathReader([{ type: 'letter', value: bottom[2] }], this.lang).readAll();
+      let target = top[3] ? new MathReader(top[3].split('').map(value => ({ type: 'letter', value })), this.lang).readAll() : '';
+      if (!target) {
+        const operand = this.readPostfix([]);
+        target = operand ? (operand.inner || operand.text) : '';
+      }
+      return this.derivative(target, variable, order, partial);
+    }
+
+    if (this.ko) {
+      return `${denominator.text} 분의 ${numerator.text}`;
+    }
+    return `${numerator.text} over ${denominator.text}`;
+  }
+
+  derivative(target, variable, order, partial) {
+    if (this.ko) {
+      const times = order === 1 ? '' : `${order === 2 ? '두' : order === 3 ? '세' : order} 번 `;
+      const verb = partial ? '편미분' : '미분';
+      if (!target) return `${variable}에 대한 ${times}${verb}`;
+      return `${josa(target, '을', '를')} ${variable}에 대해 ${times}${verb}한 값`;
+    }
+    const ordinal = order === 1 ? '' : `${order === 2 ? 'second' : order === 3 ? 'third' : `${order}th`} `;
+    const kind = `${ordinal}${partial ? 'partial ' : ''}derivative`;
+    if (!target) return `the ${kind} with respect to ${variable}`;
+    return `the ${kind} of ${target} with respect to ${variable}`;
+  }
+
+  // \sqrt{x}, \sqrt[3]{x}, √(x+1)
+  readRoot() {
+    let index = null;
+    if (this.is(this.peek(), 'sym', '[')) {
+      this.next();
+      index = this.readSequence([]);
+      this.close(']');
+    }
+    const operand = this.is(this.peek(), 'sym', '{') ? this.readArgument() : (this.readPostfix([]) || { text: '' });
+    const value = operand.inner || operand.text;
+
+    if (this.ko) {
+      if (!index || index === '2') return `루트 ${value}`;
+      return `${value}의 ${index === '3' ? '세제곱근' : `${index} 제곱근`}`;
+    }
+    if (!index || index === '2') return `the square root of ${value}`;
+    if (index === '3') return `the cube root of ${value}`;
+    return `the ${index}th root of ${value}`;
+  }
+
+  // 행렬 (pmatrix, bmatrix, vmatrix ...) 과 cases
+  readEnvironment() {
+    let env = '';
+    if (this.is(this.peek(), 'sym', '{')) {
+      this.next();
+      while (this.peek() && !this.is(this.peek(), 'sym', '}')) env += this.next().value;
+      this.next();
+    }
+
+    const rows = [];
+    let row = [];
+    while (this.peek()) {
+      const token = this.peek();
+      if (this.is(token, 'cmd', 'end')) {
+        this.next();
+        if (this.is(this.peek(), 'sym', '{')) {
+          while (this.peek() && !this.is(this.peek(), 'sym', '}')) this.next();
+          this.next();
+        }
+        break;
+      }
+      if (this.is(token, 'sym', '&')) {
+        this.next();
+        continue;
+      }
+      if (this.is(token, 'cmd', '\\')) {
+        this.next();
+        rows.push(row);
+        row = [];
+        continue;
+      }
+      const start = this.pos;
+      row.push(this.readSequence([]));
+      if (this.pos === start) this.next();
+    }
+    if (row.length > 0) rows.push(row);
+
+    if (env === 'cases') {
+      const cases = rows.map(([value, condition]) => {
+        if (!condition) return value;
+        return this.ko ? `${condition}일 때 ${value}` : `${value} if ${condition}`;
+      });
+      return cases.join(', ');
+    }
+
+    const determinant = env === 'vmatrix';
+    if (this.ko) {
+      return `${determinant ? '행렬식' : '행렬'} ${rows.map((cells, index) => `${index + 1}행 ${cells.join(', ')}`).join(', ')}`;
+    }
+    return `the ${determinant ? 'determinant' : 'matrix'} with rows ${rows.map(cells => cells.join(', ')).join('; ')}`;
+  }
+}
+
+module.exports = new MathSpeech();
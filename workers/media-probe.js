@@ -0,0 +1,164 @@
+// Media Probe - ffprobe 기반 미디어 정보 조회 (길이, 스트림 유무)
+const { spawn, spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+class MediaProbe {
+  constructor() {
+    this.ffprobePath = process.env.FFPROBE_PATH || 'ffprobe';
+  }
+
+  /**
+   * ffprobe로 포맷/스트림 정보 조회
+   * 실패 시 null 반환 (호출 측에서 기본값 사용)
+   */
+  async probe(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) {
+      return null;
+    }
+
+    return new Promise((resolve) => {
+      const args = [
+        '-v', 'error',
+        '-print_format', 'json',
+        '-show_format',
+        '-show_streams',
+        filePath,
+      ];
+
+      const probeProcess = spawn(this.ffprobePath, args);
+
+      let stdout = '';
+      let stderr = '';
+
+      probeProcess.stdout.on('data', (data) => {
+        stdout += data.toString();
+      });
+
+      probeProcess.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      probeProcess.on('close', (code) => {
+        clearTimeout(timer);
+        if (code !== 0) {
+          console.warn('[MediaProbe] ffprobe 실패:', filePath, stderr.substring(0, 300));
+          resolve(null);
+          return;
+        }
+        try {
+          resolve(JSON.parse(stdout));
+        } catch (e) {
+          console.warn('[MediaProbe] ffprobe 출력 파싱 실패:', e.message);
+          resolve(null);
+        }
+      });
+
+      probeProcess.on('error', (error) => {
+        clearTimeout(timer);
+        console.warn('[MediaProbe] ffprobe 실행 오류:', error.message);
+        resolve(null);
+      });
+
+      const timer = setTimeout(() => {
+        probeProcess.kill();
+        resolve(null);
+      }, 30 * 1000);
+    });
+  }
+
+  /**
+   * 미디어 길이(초) 조회, 알 수 없으면 null
+   */
+  async getDuration(filePath) {
+    return this.readDuration(await this.probe(filePath));
+  }
+
+  /**
+   * probe() 결과에서 길이(초) 추출, 없으면 null
+   */
+  readDuration(info) {
+    if (!info) return null;
+
+    const formatDuration = parseFloat(info.format?.duration);
+    if (Number.isFinite(formatDuration) && formatDuration > 0) {
+      return formatDuration;
+    }
+
+    // 일부 컨테이너(GIF 등)는 format.duration이 없고 스트림에만 있음
+    const streamDurations = (info.streams || [])
+      .map(s => parseFloat(s.duration))
+      .filter(d => Number.isFinite(d) && d > 0);
+    return streamDurations.length > 0 ? Math.max(...streamDurations) : null;
+  }
+
+  /**
+   * ffprobe 실행 가능 여부 (처음 한 번만 확인)
+   */
+  isAvailable() {
+    if (this.available === undefined) {
+      const check = spawnSync(this.ffprobePath, ['-version'], { stdio: 'ignore', timeout: 10 * 1000 });
+      this.available = !check.error && check.status === 0;
+      if (!this.available) {
+        console.warn('[MediaProbe] ffprobe를 찾을 수 없습니다 (FFPROBE_PATH 확인):', this.ffprobePath);
+      }
+    }
+    return this.available;
+  }
+
+  /**
+   * 시뮬레이션 결과 파일 검사 - 비어 있지 않고, ffprobe 로 디코딩되고, 영상이면 길이가 있는지
+   * 로컬 실행, MCP 서버 실행, MCP 결과 전송 모두 같은 검사를 사용
+   * ffprobe 가 없으면 검사하지 않고 통과시키지 않음 (output_unverified)
+   * 반환: { success: true, duration } 또는 { success: false, errorType: 'output_missing' | 'output_invalid' | 'output_unverified', error }
+   */
+  async validateOutput(filePath) {
+    const name = path.basename(String(filePath || ''));
+    if (!filePath || !fs.existsSync(filePath)) {
+      return { success: false, errorType: 'output_missing', error: `Output file ${name} does not exist` };
+    }
+    if (fs.statSync(filePath).size === 0) {
+      return { success: false, errorType: 'output_invalid', error: `Output file ${name} is empty` };
+    }
+    if (!this.isAvailable()) {
+      return {
+        success: false,
+        errorType: 'output_unverified',
+        error: `Output file ${name} could not be verified: ffprobe is not available (set FFPROBE_PATH)`,
+      };
+    }
+
+    const info = await this.probe(filePath);
+    if (!info || !(info.streams || []).some(stream => stream.codec_type === 'video')) {
+      return { success: false, errorType: 'output_invalid', error: `Output file ${name} could not be decoded (corrupt or unfinished file)` };
+    }
+    // PNG (Graphviz 등) 는 정지 이미지
+    if (path.extname(filePath).toLowerCase() === '.png') {
+      return { success: true, duration: null };
+    }
+    const duration = this.readDuration(info);
+    if (!duration) {
+      return { success: false, errorType: 'output_invalid', error: `Output file ${name} has no duration (a single frame or an unfinished video)` };
+    }
+    return { success: true, duration };
+  }
+
+  /**
+   * 오디오 스트림 포함 여부
+   */
+  async hasAudio(filePath) {
+    const info = await this.probe(filePath);
+    return !!(info && (info.streams || []).some(s => s.codec_type === 'audio'));
+  }
+
+  /**
+   * FFmpeg stderr 진행 출력(time=HH:MM:SS.xx)에서 처리된 시간(초) 추출, 없으면 null
+   */
+  parseFFmpegTime(text) {
+    const match = String(text).match(/time=(\d+):(\d+):(\d+(?:\.\d+)?)/);
+    if (!match) return null;
+    return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+  }
+}
+
+module.exports = new MediaProbe();
@@ -0,0 +1,686 @@
+// Project Renderer - Renders saved video-editor projects (outputs/projects/<id>.json) to MP4
+// FFmpeg filter graph: trim -> concat (video track) -> overlay -> burned-in subtitles/text -> audio mix
+//
+// Project format (see /api/video-editor/project/save):
+//   clips:    [{ url, name, startTime, duration, trimStart, track: 'video'|'overlay', x, y, width, height, volume, includeAudio }]
+//   timeline: { duration, width, height, fps, audioClips: [{ url, startTime, endTime, trimStart, volume, fadeIn, fadeOut }],
+//               subtitles: [{ text, startTime, endTime }], audioMix (AudioMixer 설정: 배경 음악, 더킹, 라우드니스) }
+//   effects:  [{ type: 'fadeIn'|'fadeOut'|'text'|'overlay', startTime, endTime, duration, text, url, x, y, fontsize, color }]
+// 수식($...$)이 있는 자막/텍스트 효과는 FormulaRenderer 의 투명 PNG 를 오버레이 (drawtext 는 LaTeX 를 그대로 표시하므로)
+const MediaProbe = require('./media-probe');
+const FormulaRenderer = require('./formula-renderer');
+const AudioMixer = require('./audio-mixer');
+const JobQueue = require('./job-queue');
+const ArtifactRegistry = require('../db/artifact-registry');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.bmp', '.webp'];
+// 위치 식(x, y)에 허용하는 문자 - 필터 구분자(, ; : [ ] ')가 들어가면 다른 필터를 끼워 넣을 수 있음
+const POSITION_PATTERN = /^[\w\s.+\-*/()]{1,64}$/;
+// 색 이름 또는 #RRGGBB[AA], 선택적으로 @투명도
+const COLOR_PATTERN = /^(#[0-9a-fA-F]{6}([0-9a-fA-F]{2})?|[a-zA-Z]+)(@(0(\.\d+)?|1(\.0+)?))?$/;
+const X264_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+
+class ProjectRenderer {
+  constructor() {
+    this.outputsRoot = path.join(__dirname, '..', 'outputs');
+    this.projectsDir = path.join(this.outputsRoot, 'projects');
+    this.outputDir = path.join(this.outputsRoot, 'videos');
+    this.tempDir = path.join(this.outputsRoot, 'temp');
+    this.ensureOutputDirs();
+
+    this.defaults = {
+      width: 1280,
+      height: 720,
+      fps: 30,
+      fontsize: 36,
+    };
+
+    JobQueue.registerHandler('render', (payload, context) => this.runRenderJob(payload, context), { concurrency: 1 });
+  }
+
+  ensureOutputDirs() {
+    [this.outputDir, this.tempDir].forEach(dir => {
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+    });
+  }
+
+  /**
+   * 저장된 프로젝트 로드 (프로젝트 ID는 파일명으로 쓰이므로 형식 검사)
+   */
+  loadProject(projectId) {
+    if (!/^[\w-]+$/.test(String(projectId || ''))) {
+      return null;
+    }
+    const projectFile = path.join(this.projectsDir, `${projectId}.json`);
+    if (!fs.existsSync(projectFile)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(projectFile, 'utf8'));
+  }
+
+  /**
+   * /outputs/... URL을 실제 파일 경로로 변환 (outputs 밖, 잘못된 URL 인코딩은 null)
+   */
+  resolveMediaPath(url) {
+    if (!url || typeof url !== 'string') return null;
+    const relativePath = url.replace(/^\/?outputs\//, '').split('?')[0];
+    let decoded;
+    try {
+      decoded = decodeURIComponent(relativePath);
+    } catch (error) {
+      return null;
+    }
+    const resolved = path.normalize(path.join(this.outputsRoot, decoded));
+    if (!resolved.startsWith(this.outputsRoot + path.sep)) {
+      return null;
+    }
+    return fs.existsSync(resolved) ? resolved : null;
+  }
+
+  isImage(filePath) {
+    return IMAGE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+  }
+
+  toNumber(value, fallback) {
+    const n = parseFloat(value);
+    return Number.isFinite(n) ? n : fallback;
+  }
+
+  /**
+   * 프로젝트 JSON 의 위치 값 - 숫자 또는 허용 문자로만 된 식((W-w)/2 등), 아니면 fallback
+   */
+  toPosition(value, fallback) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? String(value) : fallback;
+    }
+    return typeof value === 'string' && POSITION_PATTERN.test(value.trim()) ? value.trim() : fallback;
+  }
+
+  toColor(value, fallback) {
+    return typeof value === 'string' && COLOR_PATTERN.test(value) ? value : fallback;
+  }
+
+  toFontSize(value) {
+    return Math.round(Math.min(200, Math.max(8, this.toNumber(value, this.defaults.fontsize))));
+  }
+
+  /**
+   * 프로젝트를 렌더링용 구조로 정규화 (미디어 경로 확인, 길이 보정)
+   */
+  async normalizeProject(project) {
+    const timeline = project.timeline || {};
+    const width = Math.round(this.toNumber(timeline.width, this.defaults.width));
+    const height = Math.round(this.toNumber(timeline.height, this.defaults.height));
+    const fps = Math.round(this.toNumber(timeline.fps, this.defaults.fps));
+    const warnings = [];
+
+    const videoClips = [];
+    const overlayClips = [];
+    let nextStart = 0;
+
+    for (const clip of project.clips || []) {
+      const filePath = this.resolveMediaPath(clip.url);
+      if (!filePath) {
+        warnings.push(`Clip media not found: ${clip.url || clip.name || 'unknown'}`);
+        continue;
+      }
+
+      const image = this.isImage(filePath);
+      const trimStart = Math.max(0, this.toNumber(clip.trimStart, 0));
+      let duration = this.toNumber(clip.duration, 0);
+      if (duration <= 0) {
+        const sourceDuration = image ? null : await MediaProbe.getDuration(filePath);
+        duration = sourceDuration ? Math.max(0, sourceDuration - trimStart) : 5;
+      }
+
+      const track = clip.track === 'overlay' ? 'overlay' : 'video';
+      const startTime = clip.startTime != null
+        ? Math.max(0, this.toNumber(clip.startTime, 0))
+        : (track === 'video' ? nextStart : 0);
+
+      const normalized = {
+        path: filePath,
+        image,
+        startTime,
+        duration,
+        trimStart,
+        volume: this.toNumber(clip.volume, 1),
+        includeAudio: !image && clip.includeAudio === true && await MediaProbe.hasAudio(filePath),
+        x: this.toPosition(clip.x, '(W-w)/2'),
+        y: this.toPosition(clip.y, '(H-h)/2'),
+        width: clip.width ? Math.round(this.toNumber(clip.width, 0)) : null,
+        height: clip.height ? Math.round(this.toNumber(clip.height, 0)) : null,
+      };
+
+      if (track === 'overlay') {
+        overlayClips.push(normalized);
+      } else {
+        videoClips.push(normalized);
+        nextStart = Math.max(nextStart, startTime + duration);
+      }
+    }
+
+    // 이미지 오버레이 효과는 오버레이 클립으로 처리
+    const effects = [];
+    for (const effect of project.effects || []) {
+      if (effect && effect.type === 'overlay') {
+        const filePath = this.resolveMediaPath(effect.url);
+        if (!filePath) {
+          warnings.push(`Overlay media not found: ${effect.url || 'unknown'}`);
+          continue;
+        }
+        const startTime = Math.max(0, this.toNumber(effect.startTime, 0));
+        const endTime = this.toNumber(effect.endTime, startTime + this.toNumber(effect.duration, 5));
+        overlayClips.push({
+          path: filePath,
+          image: this.isImage(filePath),
+          startTime,
+          duration: Math.max(0.1, endTime - startTime),
+          trimStart: 0,
+          volume: 0,
+          includeAudio: false,
+          x: this.toPosition(effect.x, '(W-w)/2'),
+          y: this.toPosition(effect.y, '(H-h)/2'),
+          width: effect.width ? Math.round(this.toNumber(effect.width, 0)) : null,
+          height: effect.height ? Math.round(this.toNumber(effect.height, 0)) : null,
+        });
+      } else if (effect && effect.type === 'text' && FormulaRenderer.hasMath(effect.text)) {
+        const startTime = Math.max(0, this.toNumber(effect.startTime, 0));
+        // drawtext 식(text_w 등)은 오버레이에서 쓸 수 없으므로 숫자 좌표만 사용
+        const position = (value, fallback) => (value != null && value !== '' && Number.isFinite(Number(value)) ? String(value) : fallback);
+        const added = this.addFormulaOverlay(overlayClips, warnings, String(effect.text), {
+          startTime,
+          endTime: this.toNumber(effect.endTime, startTime + this.toNumber(effect.duration, 5)),
+          x: position(effect.x, '(W-w)/2'),
+          y: position(effect.y, '60'),
+          fontsize: effect.fontsize,
+          color: effect.color,
+          box: effect.box,
+        });
+        if (!added) effects.push(effect);
+      } else if (effect && effect.type) {
+        effects.push(effect);
+      }
+    }
+
+    const audioClips = [];
+    for (const clip of timeline.audioClips || []) {
+      const filePath = this.resolveMediaPath(clip.url);
+      if (!filePath) {
+        warnings.push(`Audio media not found: ${clip.url || 'unknown'}`);
+        continue;
+      }
+      const startTime = Math.max(0, this.toNumber(clip.startTime, 0));
+      const endTime = this.toNumber(clip.endTime, null);
+      let duration = endTime != null ? endTime - startTime : null;
+      if (!duration || duration <= 0) {
+        duration = await MediaProbe.getDuration(filePath) || 0;
+      }
+      if (duration <= 0) continue;
+      audioClips.push({
+        path: filePath,
+        startTime,
+        duration,
+        trimStart: Math.max(0, this.toNumber(clip.trimStart, 0)),
+        volume: this.toNumber(clip.volume, 1),
+        // 세그먼트별 페이드 (없으면 audioMix.narration 기본값)
+        fadeIn: clip.fadeIn != null ? Math.max(0, this.toNumber(clip.fadeIn, 0)) : null,
+        fadeOut: clip.fadeOut != null ? Math.max(0, this.toNumber(clip.fadeOut, 0)) : null,
+      });
+    }
+
+    const audioMix = AudioMixer.normalize(timeline.audioMix);
+    let musicPath = null;
+    if (audioMix.music) {
+      musicPath = AudioMixer.resolveMusicPath(audioMix.music.url);
+      if (!musicPath) {
+        warnings.push(`Background music not found: ${audioMix.music.url}`);
+      }
+    }
+
+    const subtitles = (timeline.subtitles || [])
+      .filter(s => s && typeof s.text === 'string' && s.text.trim())
+      .map(s => ({
+        text: s.text.trim(),
+        startTime: Math.max(0, this.toNumber(s.startTime, 0)),
+        endTime: this.toNumber(s.endTime, 0),
+      }))
+      .filter(s => s.endTime > s.startTime)
+      .filter(s => !this.addFormulaOverlay(overlayClips, warnings, s.text, {
+        startTime: s.startTime,
+        endTime: s.endTime,
+        x: '(W-w)/2',
+        y: 'H-h-60',
+      }));
+
+    // 전체 길이: 명시값이 없으면 모든 요소의 끝 시간 중 최댓값
+    const ends = [
+      ...videoClips.map(c => c.startTime + c.duration),
+      ...overlayClips.map(c => c.startTime + c.duration),
+      ...audioClips.map(c => c.startTime + c.duration),
+      ...subtitles.map(s => s.endTime),
+    ];
+    const duration = this.toNumber(timeline.duration, 0) || (ends.length > 0 ? Math.max(...ends) : 0);
+
+    return {
+      width,
+      height,
+      fps,
+      duration,
+      videoClips: videoClips.sort((a, b) => a.startTime - b.startTime),
+      overlayClips,
+      audioClips,
+      audioMix,
+      musicPath,
+      subtitles,
+      effects,
+      warnings,
+    };
+  }
+
+  /**
+   * 수식이 있는 텍스트를 PNG 로 렌더링해 오버레이 클립으로 추가
+   * 반환: 추가했으면 true (렌더링 실패 시 경고를 남기고 false -> drawtext 로 원문 표시)
+   */
+  addFormulaOverlay(overlayClips, warnings, text, options) {
+    if (!FormulaRenderer.hasMath(text) || !(options.endTime > options.startTime)) {
+      return false;
+    }
+    const rendered = FormulaRenderer.renderToPng(text, {
+      fontSize: this.toFontSize(options.fontsize),
+      color: options.color,
+      box: options.box,
+    });
+    if (!rendered.success) {
+      warnings.push(`Formula not rendered (${rendered.error}): ${text.substring(0, 50)}`);
+      return false;
+    }
+    overlayClips.push({
+      path: rendered.path,
+      image: true,
+      alpha: true,
+      startTime: options.startTime,
+      duration: options.endTime - options.startTime,
+      trimStart: 0,
+      volume: 0,
+      includeAudio: false,
+      x: options.x,
+      y: options.y,
+      width: null,
+      height: null,
+    });
+    return true;
+  }
+
+  /**
+   * drawtext용 텍스트 파일 작성 (텍스트 이스케이프 문제를 피하기 위해 textfile 사용)
+   */
+  writeTextFile(workDir, name, text) {
+    const filePath = path.join(workDir, `${name}.txt`);
+    fs.writeFileSync(filePath, text, 'utf8');
+    return filePath;
+  }
+
+  /**
+   * 필터 그래프 경로 이스케이프 (Windows 드라이브 문자, 작은따옴표)
+   */
+  escapeFilterPath(filePath) {
+    return filePath.replace(/\\/g, '/').replace(/:/g, '\\:').replace(/'/g, "\\'");
+  }
+
+  buildDrawtext(textFile, options) {
+    const fontFile = process.env.SUBTITLE_FONT_PATH;
+    const parts = [
+      `textfile='${this.escapeFilterPath(textFile)}'`,
+      // 자막의 % 와 \ 를 그대로 출력 (기본 텍스트 확장은 "50%" 같은 자막에서 렌더를 중단시킴)
+      'expansion=none',
+      `fontsize=${this.toFontSize(options.fontsize)}`,
+      `fontcolor=${this.toColor(options.color, 'white')}`,
+      `x=${this.toPosition(options.x, '(w-text_w)/2')}`,
+      `y=${this.toPosition(options.y, 'h-text_h-60')}`,
+    ];
+    if (fontFile) {
+      parts.push(`fontfile='${this.escapeFilterPath(fontFile)}'`);
+    }
+    if (options.box !== false) {
+      parts.push('box=1', 'boxcolor=black@0.6', 'boxborderw=12');
+    }
+    parts.push(`enable='between(t,${options.startTime},${options.endTime})'`);
+    return `drawtext=${parts.join(':')}`;
+  }
+
+  /**
+   * FFmpeg 인자와 filter_complex 생성
+   */
+  buildFilterGraph(normalized, workDir) {
+    const { width, height, fps, duration } = normalized;
+    const inputArgs = [];
+    const filters = [];
+    let inputIndex = 0;
+
+    const addInput = (clip) => {
+      if (clip.image) {
+        inputArgs.push('-loop', '1', '-t', String(clip.duration), '-i', clip.path);
+      } else {
+        inputArgs.push('-i', clip.path);
+      }
+      return inputIndex++;
+    };
+
+    const fitVideo = (label, clip, outLabel, fitToCanvas) => {
+      const chain = [];
+      if (!clip.image) {
+        chain.push(`trim=start=${clip.trimStart}:duration=${clip.duration}`);
+      }
+      chain.push('setpts=PTS-STARTPTS');
+      if (fitToCanvas) {
+        chain.push(
+          `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+          `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`,
+          'setsar=1'
+        );
+      } else if (clip.width || clip.height) {
+        chain.push(`scale=${clip.width || -1}:${clip.height || -1}`);
+      }
+      // 수식 이미지는 투명 배경 유지
+      chain.push(`fps=${fps}`, clip.alpha ? 'format=yuva420p' : 'format=yuv420p');
+      filters.push(`[${label}]${chain.join(',')}[${outLabel}]`);
+    };
+
+    // 1. 메인 비디오 트랙: 클립 사이 빈 구간은 검은 화면으로 채워서 concat
+    const segments = [];
+    let cursor = 0;
+    let gapIndex = 0;
+    const clipAudio = [];
+
+    normalized.videoClips.forEach((clip, i) => {
+      if (clip.startTime > cursor + 0.01) {
+        const gapLabel = `gap${gapIndex++}`;
+        filters.push(`color=c=black:s=${width}x${height}:r=${fps}:d=${(clip.startTime - cursor).toFixed(3)},format=yuv420p[${gapLabel}]`);
+        segments.push(gapLabel);
+      }
+      const idx = addInput(clip);
+      const outLabel = `v${i}`;
+      fitVideo(`${idx}:v`, clip, outLabel, true);
+      segments.push(outLabel);
+
+      if (clip.includeAudio) {
+        clipAudio.push({ ...clip, input: idx });
+      }
+      cursor = Math.max(cursor, clip.startTime) + clip.duration;
+    });
+
+    if (cursor < duration - 0.01) {
+      const gapLabel = `gap${gapIndex++}`;
+      filters.push(`color=c=black:s=${width}x${height}:r=${fps}:d=${(duration - cursor).toFixed(3)},format=yuv420p[${gapLabel}]`);
+      segments.push(gapLabel);
+    }
+
+    let videoLabel;
+    if (segments.length === 1) {
+      videoLabel = segments[0];
+    } else {
+      videoLabel = 'vmain';
+      filters.push(`${segments.map(s => `[${s}]`).join('')}concat=n=${segments.length}:v=1:a=0[${videoLabel}]`);
+    }
+
+    // 2. 오버레이 클립 (지정 시간에만 표시)
+    normalized.overlayClips.forEach((clip, i) => {
+      const idx = addInput(clip);
+      const fitted = `ov${i}`;
+      fitVideo(`${idx}:v`, clip, fitted, false);
+      const shifted = `ovs${i}`;
+      filters.push(`[${fitted}]setpts=PTS+${clip.startTime}/TB[${shifted}]`);
+      const outLabel = `vo${i}`;
+      const end = clip.startTime + clip.duration;
+      filters.push(`[${videoLabel}][${shifted}]overlay=x=${clip.x}:y=${clip.y}:eof_action=pass:enable='between(t,${clip.startTime},${end})'[${outLabel}]`);
+      videoLabel = outLabel;
+    });
+
+    // 3. 자막, 텍스트 효과, 페이드
+    const postFilters = [];
+    normalized.subtitles.forEach((subtitle, i) => {
+      const textFile = this.writeTextFile(workDir, `subtitle_${i}`, subtitle.text);
+      postFilters.push(this.buildDrawtext(textFile, {
+        startTime: subtitle.startTime,
+        endTime: subtitle.endTime,
+      }));
+    });
+
+    normalized.effects.forEach((effect, i) => {
+      if (effect.type === 'text' && effect.text) {
+        const startTime = this.toNumber(effect.startTime, 0);
+        const endTime = this.toNumber(effect.endTime, startTime + this.toNumber(effect.duration, 5));
+        const textFile = this.writeTextFile(workDir, `text_${i}`, String(effect.text));
+        postFilters.push(this.buildDrawtext(textFile, {
+          startTime,
+          endTime,
+          x: this.toPosition(effect.x, '(w-text_w)/2'),
+          y: this.toPosition(effect.y, '60'),
+          fontsize: effect.fontsize,
+          color: effect.color,
+          box: effect.box,
+        }));
+      } else if (effect.type === 'fadeIn') {
+        const d = this.toNumber(effect.duration, 1);
+        postFilters.push(`fade=t=in:st=${this.toNumber(effect.startTime, 0)}:d=${d}`);
+      } else if (effect.type === 'fadeOut') {
+        const d = this.toNumber(effect.duration, 1);
+        const st = effect.startTime != null ? this.toNumber(effect.startTime, 0) : Math.max(0, duration - d);
+        postFilters.push(`fade=t=out:st=${st}:d=${d}`);
+      }
+    });
+
+    if (postFilters.length > 0) {
+      filters.push(`[${videoLabel}]${postFilters.join(',')}[vout]`);
+    } else {
+      filters.push(`[${videoLabel}]null[vout]`);
+    }
+
+    // 4. 오디오 믹스: 내레이션(타임라인 오디오) + 배경 음악(더킹) + 비디오 클립 소리 -> 라우드니스 정규화
+    const narration = normalized.audioClips.map(clip => ({ ...clip, input: addInput(clip) }));
+    let musicInput = null;
+    if (normalized.musicPath) {
+      inputArgs.push(...AudioMixer.getMusicInputArgs(normalized.musicPath));
+      musicInput = inputIndex++;
+    }
+
+    const audioGraph = AudioMixer.buildFilters({
+      narration,
+      other: clipAudio,
+      musicInput,
+      duration,
+      mix: normalized.audioMix,
+    });
+    const hasAudio = !!audioGraph;
+    if (audioGraph) {
+      filters.push(...audioGraph.filters, `[${audioGraph.label}]anull[aout]`);
+    }
+
+    return {
+      inputArgs,
+      filterComplex: filters.join(';'),
+      hasAudio,
+    };
+  }
+
+  /**
+   * 렌더링 작업 제출, 작업 ID 즉시 반환 (진행 상황은 /api/jobs/:id)
+   */
+  startRender(projectId, options = {}, owner = {}) {
+    if (!this.loadProject(projectId)) {
+      return { success: false, error: 'Project not found' };
+    }
+
+    const job = JobQueue.submit('render', { projectId, options, owner });
+    return { success: true, jobId: job.id, projectId };
+  }
+
+  /**
+   * JobQueue 핸들러 - 제출 이후 프로젝트가 바뀌었을 수 있으므로 실행 시점에 다시 로드
+   */
+  async runRenderJob(payload, context) {
+    const project = this.loadProject(payload.projectId);
+    if (!project) {
+      return { success: false, error: 'Project not found' };
+    }
+    const result = await this.renderProject(project, context, payload.options || {});
+    return ArtifactRegistry.registerResult(result, payload.owner, context.jobId);
+  }
+
+  /**
+   * 프로젝트 렌더링 실행
+   */
+  async renderProject(project, context, options = {}) {
+    const normalized = await this.normalizeProject(project);
+
+    if (normalized.duration <= 0) {
+      return { success: false, error: 'Project timeline is empty', warnings: normalized.warnings };
+    }
+
+    const workDir = path.join(this.tempDir, context.jobId);
+    fs.mkdirSync(workDir, { recursive: true });
+
+    const { inputArgs, filterComplex, hasAudio } = this.buildFilterGraph(normalized, workDir);
+    const outputFilename = `render_${project.id}_${Date.now()}.mp4`;
+    const outputPath = path.join(this.outputDir, outputFilename);
+
+    // 필터 그래프가 길어질 수 있으므로 파일로 전달
+    const filterScriptPath = path.join(workDir, 'filter_complex.txt');
+    fs.writeFileSync(filterScriptPath, filterComplex, 'utf8');
+
+    const ffmpegArgs = [
+      '-y',
+      ...inputArgs,
+      '-filter_complex_script', filterScriptPath,
+      '-map', '[vout]',
+      ...(hasAudio ? ['-map', '[aout]', '-c:a', 'aac', '-b:a', '192k'] : []),
+      '-c:v', 'libx264',
+      '-preset', X264_PRESETS.includes(options.preset) ? options.preset : 'medium',
+      '-crf', String(Math.round(Math.min(51, Math.max(0, this.toNumber(options.crf, 23))))),
+      '-pix_fmt', 'yuv420p',
+      '-r', String(normalized.fps),
+      '-t', normalized.duration.toFixed(3),
+      '-movflags', '+faststart',
+      outputPath,
+    ];
+
+    console.log('[ProjectRenderer] 렌더링 시작:', project.id, `(${normalized.duration.toFixed(1)}s)`);
+    context.reportProgress({
+      status: 'rendering',
+      message: 'Rendering video...',
+      progress: 1,
+    });
+
+    const result = await this.runFFmpeg(ffmpegArgs, normalized.duration, context);
+
+    try {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    } catch (e) {}
+
+    if (result.success && fs.existsSync(outputPath)) {
+      const finalResult = {
+        success: true,
+        outputFile: outputFilename,
+        outputPath: outputPath,
+        url: `/outputs/videos/${outputFilename}`,
+        duration: normalized.duration,
+        warnings: normalized.warnings,
+      };
+      console.log('[ProjectRenderer] 렌더링 완료:', outputPath);
+      return finalResult;
+    }
+
+    return {
+      success: false,
+      error: result.error || 'FFmpeg render failed',
+      stderr: result.stderr,
+      warnings: normalized.warnings,
+    };
+  }
+
+  /**
+   * FFmpeg 실행 및 진행률 추적 (stderr의 time= 값 기준)
+   */
+  runFFmpeg(args, totalDuration, context) {
+    return new Promise((resolve) => {
+      if (context.isCancelled()) {
+        resolve({ success: false, error: 'Render cancelled' });
+        return;
+      }
+
+      const ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+      const ffmpegProcess = spawn(ffmpegPath, args);
+
+      let stderr = '';
+      let resolved = false;
+      let timeoutId;
+
+      const safeResolve = (result) => {
+        if (resolved) return;
+        resolved = true;
+        if (timeoutId) clearTimeout(timeoutId);
+        context.signal.removeEventListener('abort', onAbort);
+        resolve(result);
+      };
+
+      // 작업 취소 시 FFmpeg 종료
+      const onAbort = () => {
+        ffmpegProcess.kill('SIGTERM');
+        safeResolve({ success: false, error: 'Render cancelled' });
+      };
+      context.signal.addEventListener('abort', onAbort);
+
+      ffmpegProcess.stderr.on('data', (data) => {
+        const text = data.toString();
+        stderr = (stderr + text).slice(-20000);
+
+        const seconds = MediaProbe.parseFFmpegTime(text);
+        if (seconds !== null && totalDuration > 0) {
+          const progress = Math.min(99, Math.max(1, Math.round((seconds / totalDuration) * 100)));
+          context.reportProgress({
+            status: 'rendering',
+            message: `Rendering video... (${seconds.toFixed(1)}s / ${totalDuration.toFixed(1)}s)`,
+            progress,
+          });
+        }
+      });
+
+      ffmpegProcess.on('close', (code) => {
+        if (code === 0) {
+          safeResolve({ success: true });
+        } else {
+          console.error('[ProjectRenderer] FFmpeg 종료 코드:', code);
+          safeResolve({
+            success: false,
+            error: `FFmpeg process exited with code ${code}`,
+            stderr: stderr.substring(stderr.length - 2000),
+          });
+        }
+      });
+
+      ffmpegProcess.on('error', (error) => {
+        safeResolve({
+          success: false,
+          error: `FFmpeg execution error: ${error.message}`,
+        });
+      });
+
+      // 타임아웃: 30분
+      timeoutId = setTimeout(() => {
+        ffmpegProcess.kill('SIGTERM');
+        safeResolve({
+          success: false,
+          error: 'Render timeout (30 minutes)',
+        });
+      }, 30 * 60 * 1000);
+    });
+  }
+}
+
+module.exports = new ProjectRenderer();
@@ -0,0 +1,504 @@
+// Sandbox - AI가 생성한 시뮬레이션 코드를 제한된 환경에서 실행
+// - 정적 검사: 금지된 import/호출 (os.system, subprocess, shutil.rmtree 등)
+// - 환경 변수 정리: API 키, DB 정보 없이 허용 목록의 변수만 전달
+// - 실행마다 별도의 임시 작업 디렉토리
+// - CPU 시간 / 메모리 / 파일 크기 제한 (ulimit), stdout+stderr 크기 제한
+// - 네트워크 차단 + 파일 시스템 제한 (Linux: unshare 로 네트워크/마운트/PID 네임스페이스,
+//   앱 디렉토리(.env, DB 설정 등)는 빈 tmpfs 로 가리고 이 실행의 출력 디렉토리만 다시 연결)
+//   네임스페이스를 사용할 수 없으면 실행하지 않음 (SANDBOX_NETWORK=on, SANDBOX_FILESYSTEM=on 으로 해제)
+// 위반 시 예외 대신 { success: false, errorType, error, ... } 결과 객체 반환
+const { spawn, spawnSync } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 하위 프로세스에 전달할 환경 변수 (나머지는 모두 제거)
+const ENV_ALLOWLIST = [
+  'PATH', 'HOME', 'USER', 'LANG', 'LC_ALL', 'LC_CTYPE', 'TZ',
+  // Windows
+  'SYSTEMROOT', 'SystemRoot', 'WINDIR', 'COMSPEC', 'PATHEXT', 'USERPROFILE', 'APPDATA', 'LOCALAPPDATA',
+  'NUMBER_OF_PROCESSORS', 'PROCESSOR_ARCHITECTURE',
+  // 프로그램별 설치/라이선스 경로
+  'PYTHONPATH', 'VIRTUAL_ENV', 'CONDA_PREFIX', 'R_HOME', 'R_LIBS', 'R_LIBS_USER', 'JULIA_DEPOT_PATH',
+  'JAVA_HOME', 'MLM_LICENSE_FILE', 'LM_LICENSE_FILE', 'DISPLAY',
+];
+
+// 코드가 생성할 수 있는 결과 파일 (작업 디렉토리에서 outputs/simulations 로 이동)
+const MEDIA_EXTENSIONS = ['.mp4', '.gif', '.avi', '.mov', '.mkv', '.webm', '.png', '.svg'];
+
+// 샌드박스 안에서 보이지 않게 할 경로 기본값: 앱 디렉토리 (.env, config, 다른 사용자의 결과 파일)
+const APP_ROOT = path.resolve(__dirname, '..');
+
+// 마운트 준비 실패 시 종료 코드 (getLimitError 에서 sandbox_error 로 변환)
+const SETUP_FAILED_CODE = 125;
+
+// 언어별 금지 패턴 (한 줄 단위 검사, 주석 줄은 제외)
+const RULES = {
+  python: {
+    comment: '#',
+    // import a, b as c / from a.b import c - 쉼표로 나열한 모듈을 모두 확인 (checkImports)
+    blockedModules: ['subprocess', 'socket', 'ctypes', 'multiprocessing', 'pty', 'requests', 'urllib', 'urllib3', 'http', 'httpx', 'aiohttp', 'ftplib', 'smtplib', 'telnetlib', 'paramiko', 'importlib'],
+    rules: [
+      { pattern: /\bos\.(system|popen|exec\w*|spawn\w*|fork\w*|kill\w*|setuid|putenv)\s*\(/, message: 'os.$1() is not allowed' },
+      { pattern: /^\s*from\s+os\s+import\s+.*\b(system|popen|exec\w*|spawn\w*|fork\w*|kill\w*)\b/, message: 'importing os.$1 is not allowed' },
+      { pattern: /\bshutil\.(rmtree|chown)\s*\(/, message: 'shutil.$1() is not allowed' },
+      { pattern: /(?:^|[^.\w])(eval|exec|__import__)\s*\(/, message: '$1() is not allowed' },
+    ],
+  },
+  matlab: {
+    comment: '%',
+    rules: [
+      { pattern: /(?:^|[^.\w])(system|unix|dos|perl|python|pyrun|urlread|urlwrite|webread|webwrite|websave|ftp|tcpclient|tcpip|udpport)\s*\(/, message: '$1() is not allowed' },
+      { pattern: /\bjava\.lang\.(Runtime|ProcessBuilder)\b/, message: 'java.lang.$1 is not allowed' },
+      { pattern: /^\s*!/, message: 'shell escape (!) is not allowed' },
+      { pattern: /\brmdir\s*\([^)]*['"]s['"]/, message: 'recursive rmdir() is not allowed' },
+    ],
+  },
+  r: {
+    comment: '#',
+    rules: [
+      { pattern: /(?:^|[^.\w])(system|system2|shell|shell\.exec|pipe|download\.file|url|socketConnection|curl\w*)\s*\(/, message: '$1() is not allowed' },
+      { pattern: /\b(?:library|require|requireNamespace)\s*\(\s*['"]?(httr2?|curl|RCurl|processx|sys)\b/, message: 'package $1 is not allowed' },
+      { pattern: /\bunlink\s*\([^)]*recursive\s*=\s*T(?:RUE)?\b/, message: 'recursive unlink() is not allowed' },
+    ],
+  },
+  julia: {
+    comment: '#',
+    rules: [
+      { pattern: /(?:^|[^.\w])(run|pipeline|download|ccall)\s*\(/, message: '$1() is not allowed' },
+      { pattern: /`[^`]*`/, message: 'command literals (`...`) are not allowed' },
+      { pattern: /^\s*(?:using|import)\s+.*\b(Sockets|HTTP|Downloads|Distributed)\b/, message: 'package $1 is not allowed' },
+      { pattern: /\brm\s*\([^)]*recursive\s*=\s*true/, message: 'recursive rm() is not allowed' },
+    ],
+  },
+  gnuplot: {
+    comment: '#',
+    rules: [
+      { pattern: /\bsystem\s*\(/, message: 'system() is not allowed' },
+      { pattern: /^\s*(!|shell\b)/, message: 'shell commands are not allowed' },
+      { pattern: /`[^`]*`/, message: 'command substitution (`...`) is not allowed' },
+      { pattern: /['"]\s*[|<]/, message: 'piped input/output is not allowed' },
+    ],
+  },
+  processing: {
+    comment: '//',
+    rules: [
+      { pattern: /(?:^|[^.\w])(exec|launch)\s*\(/, message: '$1() is not allowed' },
+      { pattern: /\b(Runtime\.getRuntime|ProcessBuilder|java\.net)\b/, message: '$1 is not allowed' },
+      { pattern: /\b(loadStrings|loadBytes|loadJSONObject|loadJSONArray|loadXML|loadTable|createInput)\s*\(\s*["']https?:/, message: 'network access via $1() is not allowed' },
+    ],
+  },
+  graphviz: {
+    comment: '//',
+    rules: [],
+  },
+};
+
+class Sandbox {
+  constructor() {
+    this.rootDir = path.join(os.tmpdir(), 'simulation-sandbox');
+    this.limits = {
+      cpuSeconds: parseInt(process.env.SANDBOX_CPU_SECONDS, 10) || 300,
+      memoryMb: parseInt(process.env.SANDBOX_MEMORY_MB, 10) || 2048,
+      maxFileMb: parseInt(process.env.SANDBOX_MAX_FILE_MB, 10) || 500,
+      maxLogBytes: parseInt(process.env.SANDBOX_MAX_LOG_BYTES, 10) || 1024 * 1024,
+    };
+    this.allowNetwork = process.env.SANDBOX_NETWORK === 'on';
+    this.allowFilesystem = process.env.SANDBOX_FILESYSTEM === 'on';
+    const extraEnv = (process.env.SANDBOX_ENV_ALLOWLIST || '').split(',').map(k => k.trim()).filter(Boolean);
+    this.envAllowlist = [...ENV_ALLOWLIST, ...extraEnv];
+    // 가릴 경로 / 가린 경로 안에서 다시 보이게 할 경로 (읽기 전용, 예: 앱 디렉토리 안의 가상 환경)
+    this.hiddenPaths = [APP_ROOT, ...this.parsePaths(process.env.SANDBOX_HIDE_PATHS)];
+    this.exposedPaths = this.parsePaths(process.env.SANDBOX_EXPOSE_PATHS);
+    // unshare 사용 가능 여부 (첫 실행 시 확인)
+    this.isolation = null;
+  }
+
+  parsePaths(value) {
+    return (value || '').split(',').map(p => p.trim()).filter(Boolean).map(p => path.resolve(p));
+  }
+
+  /**
+   * Python import 문에서 금지된 모듈 찾기 (한 줄에 ; 로 이어진 문장, 쉼표로 나열한 모듈과 별칭 포함)
+   * 반환: 금지된 최상위 모듈 이름 목록
+   */
+  checkImports(line, blockedModules) {
+    const found = [];
+    for (const statement of line.split('#')[0].split(';')) {
+      const fromImport = statement.match(/^\s*from\s+([\w.]+)\s+import\b/);
+      const plainImport = statement.match(/^\s*import\s+(.+)$/);
+      let modules = [];
+      if (fromImport) {
+        modules = [fromImport[1]];
+      } else if (plainImport) {
+        modules = plainImport[1].replace(/[()\\]/g, ' ').split(',').map(item => item.trim().split(/\s+as\s+/)[0].trim());
+      }
+      for (const name of modules) {
+        const top = name.split('.')[0];
+        if (blockedModules.includes(top) && !found.includes(top)) {
+          found.push(top);
+        }
+      }
+    }
+    return found;
+  }
+
+  /**
+   * 생성된 코드 정적 검사
+   * 반환: { success: true } 또는 { success: false, errorType: 'sandbox_violation', violations: [{ line, message, snippet }] }
+   */
+  checkSource(code, language) {
+    const ruleSet = RULES[language] || RULES.python;
+    const violations = [];
+
+    const lines = String(code).split(/\r?\n/);
+    lines.forEach((line, index) => {
+      if (line.trim().startsWith(ruleSet.comment)) return;
+      if (ruleSet.blockedModules) {
+        // 백슬래시로 이어지는 import 문은 다음 줄까지 합쳐서 검사
+        let statement = line;
+        for (let next = index + 1; /\\\s*$/.test(statement) && next < lines.length; next++) {
+          statement = statement.replace(/\\\s*$/, ' ') + lines[next];
+        }
+        for (const name of this.checkImports(statement, ruleSet.blockedModules)) {
+          violations.push({
+            line: index + 1,
+            message: `import of ${name} is not allowed`,
+            snippet: line.trim().substring(0, 200),
+          });
+        }
+      }
+      for (const rule of ruleSet.rules) {
+        const match = line.match(rule.pattern);
+        if (match) {
+          violations.push({
+            line: index + 1,
+            message: rule.message.replace('$1', match[1] || match[0].trim()),
+            snippet: line.trim().substring(0, 200),
+          });
+        }
+      }
+    });
+
+    if (violations.length === 0) {
+      return { success: true };
+    }
+    return {
+      success: false,
+      errorType: 'sandbox_violation',
+      error: `Generated code uses disallowed operations: ${violations.map(v => `${v.message} (line ${v.line})`).join('; ')}`,
+      violations,
+    };
+  }
+
+  /**
+   * 실행 준비 - 정적 검사 후 임시 작업 디렉토리에 코드 복사
+   * options: { language, env, memoryLimit (false면 가상 메모리 제한 생략), subdir }
+   * 반환: run 객체 ({ success: true, runDir, codePath, ... }) 또는 위반 결과
+   */
+  prepare(codePath, options = {}) {
+    const language = options.language || 'python';
+    let code;
+    try {
+      code = fs.readFileSync(codePath, 'utf8');
+    } catch (error) {
+      return { success: false, errorType: 'sandbox_error', error: `Cannot read code file: ${error.message}` };
+    }
+
+    const check = this.checkSource(code, language);
+    if (!check.success) {
+      console.warn('[Sandbox] 코드 검사 실패:', check.error);
+      return check;
+    }
+
+    const isolationError = this.checkIsolation();
+    if (isolationError) {
+      return isolationError;
+    }
+
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const runDir = path.join(this.rootDir, id);
+    const codeDir = options.subdir ? path.join(runDir, options.subdir) : runDir;
+    try {
+      fs.mkdirSync(codeDir, { recursive: true });
+      fs.copyFileSync(codePath, path.join(codeDir, path.basename(codePath)));
+    } catch (error) {
+      return { success: false, errorType: 'sandbox_error', error: `Cannot create sandbox directory: ${error.message}` };
+    }
+
+    const env = this.buildEnv(runDir, options.env);
+    return {
+      success: true,
+      id,
+      language,
+      runDir,
+      codePath: path.join(codeDir, path.basename(codePath)),
+      env,
+      memoryLimit: options.memoryLimit !== false,
+      // 가린 경로 안에 있어도 보여야 하는 디렉토리 (OUTPUT_PATH 디렉토리는 쓰기 가능)
+      mounts: [
+        ...(env.OUTPUT_PATH ? [{ source: path.dirname(path.resolve(env.OUTPUT_PATH)), readOnly: false }] : []),
+        ...this.exposedPaths.map(source => ({ source, readOnly: true })),
+      ],
+      logBytes: 0,
+      violation: null,
+    };
+  }
+
+  /**
+   * 허용 목록의 환경 변수 + 실행별 변수 (API 키, DB 정보 등은 전달되지 않음)
+   */
+  buildEnv(runDir, extraEnv = {}) {
+    const env = {};
+    for (const key of this.envAllowlist) {
+      if (process.env[key] !== undefined) {
+        env[key] = process.env[key];
+      }
+    }
+
+    Object.assign(env, {
+      TMPDIR: runDir,
+      TEMP: runDir,
+      TMP: runDir,
+      MPLCONFIGDIR: runDir,
+      MPLBACKEND: 'Agg',
+      PYTHONUNBUFFERED: '1',
+      PYTHONDONTWRITEBYTECODE: '1',
+    });
+
+    return { ...env, ...extraEnv };
+  }
+
+  /**
+   * unshare 옵션: 사용자 네임스페이스 + 네트워크 차단(-n) + 파일 시스템 제한(마운트/PID 네임스페이스)
+   * 둘 다 허용(SANDBOX_NETWORK=on, SANDBOX_FILESYSTEM=on)이면 빈 배열
+   */
+  getIsolationArgs() {
+    const args = [];
+    if (!this.allowNetwork) {
+      args.push('-n');
+    }
+    if (!this.allowFilesystem) {
+      // 새 /proc 으로 서버 프로세스의 /proc/<pid>/environ 도 보이지 않게 함
+      // --kill-child: unshare 가 종료되면(시간 초과, 취소) 안의 프로세스도 종료
+      args.push('-m', '-p', '-f', '--kill-child', '--mount-proc');
+    }
+    return args.length > 0 ? ['-r', ...args] : [];
+  }
+
+  /**
+   * Linux에서 필요한 네임스페이스를 만들 수 있는지 확인 (첫 실행 시 한 번, tmpfs 마운트까지 시험)
+   */
+  canIsolate() {
+    if (this.isolation === null) {
+      const args = this.getIsolationArgs();
+      if (process.platform !== 'linux') {
+        this.isolation = false;
+      } else {
+        fs.mkdirSync(this.rootDir, { recursive: true });
+        const script = this.allowFilesystem ? 'true' : 'mount -t tmpfs tmpfs "$0"';
+        const result = spawnSync('unshare', [...args, '/bin/sh', '-c', script, this.rootDir], { stdio: 'ignore', timeout: 5000 });
+        this.isolation = result.status === 0;
+      }
+      if (!this.isolation) {
+        console.error(`[Sandbox] unshare ${args.join(' ')} 을(를) 사용할 수 없어 생성된 코드를 실행하지 않습니다 (SANDBOX_NETWORK=on, SANDBOX_FILESYSTEM=on 으로 해제)`);
+      }
+    }
+    return this.isolation;
+  }
+
+  /**
+   * 격리할 수 없으면 실행하지 않음 - 프록시 변수나 정적 검사만으로는 소켓/파일 접근을 막을 수 없음
+   * 반환: 오류 결과 객체 또는 null
+   */
+  checkIsolation() {
+    if (this.getIsolationArgs().length === 0 || this.canIsolate()) {
+      return null;
+    }
+    const missing = [
+      ...(!this.allowNetwork ? ['network (SANDBOX_NETWORK=on)'] : []),
+      ...(!this.allowFilesystem ? ['filesystem (SANDBOX_FILESYSTEM=on)'] : []),
+    ];
+    return {
+      success: false,
+      errorType: 'sandbox_error',
+      error: `Sandbox isolation is not available on this host (Linux unshare with user namespaces is required). ` +
+        `To run without it, explicitly allow: ${missing.join(', ')}`,
+    };
+  }
+
+  /**
+   * 마운트 네임스페이스 안에서 실행할 준비 스크립트
+   * 가릴 경로를 빈 tmpfs 로 덮고, 그 안에서 보여야 하는 디렉토리(run.mounts)는 덮기 전에
+   * 작업 디렉토리로 bind 해 두었다가 원래 위치에 다시 연결
+   */
+  buildMountScript(run) {
+    const quote = value => `'${String(value).replace(/'/g, `'\\''`)}'`;
+    const isInside = (child, parent) => child === parent || child.startsWith(parent + path.sep);
+    const hidden = this.hiddenPaths.filter(dir => fs.existsSync(dir) && !isInside(run.runDir, dir));
+    const mounts = (run.mounts || []).filter(mount => fs.existsSync(mount.source) && hidden.some(dir => isInside(mount.source, dir)));
+    const stageDir = path.join(run.runDir, '.sandbox-mounts');
+
+    const steps = [];
+    mounts.forEach((mount, index) => {
+      const stage = path.join(stageDir, String(index));
+      steps.push(`mkdir -p ${quote(stage)}`, `mount --bind ${quote(mount.source)} ${quote(stage)}`);
+    });
+    hidden.forEach(dir => steps.push(`mount -t tmpfs -o size=1m,mode=755 tmpfs ${quote(dir)}`));
+    mounts.forEach((mount, index) => {
+      const stage = path.join(stageDir, String(index));
+      steps.push(`mkdir -p ${quote(mount.source)}`, `mount --bind ${quote(stage)} ${quote(mount.source)}`);
+      if (mount.readOnly) {
+        steps.push(`mount -o remount,bind,ro ${quote(mount.source)}`);
+      }
+    });
+    if (steps.length === 0) {
+      return '';
+    }
+    return `{ ${steps.join(' && ')}; } || { echo '[Sandbox] filesystem setup failed' >&2; exit ${SETUP_FAILED_CODE}; }; `;
+  }
+
+  /**
+   * 리소스 제한을 적용한 명령 구성 (POSIX: sh ulimit, Windows: 제한 없이 실행)
+   */
+  buildCommand(run, cmd, args) {
+    // 실행 파일이 없으면 감싸지 않고 그대로 실행해 호출부의 'error' (ENOENT) 처리를 유지
+    if (process.platform === 'win32' || !this.commandExists(cmd, run.env.PATH)) {
+      return { cmd, args };
+    }
+
+    const limits = [
+      // soft 제한에서 SIGXCPU, 처리하지 않으면 hard 제한에서 SIGKILL
+      `ulimit -Ht ${this.limits.cpuSeconds + 5}`,
+      `ulimit -St ${this.limits.cpuSeconds}`,
+      // -f 단위: 512바이트 블록
+      `ulimit -f ${this.limits.maxFileMb * 2048}`,
+    ];
+    if (run.memoryLimit) {
+      limits.push(`ulimit -v ${this.limits.memoryMb * 1024}`);
+    }
+    // 일부 셸에서 지원하지 않는 제한은 건너뜀
+    const script = limits.map(l => `${l} 2>/dev/null`).join('; ') + '; exec "$0" "$@"';
+
+    const isolationArgs = this.getIsolationArgs();
+    if (isolationArgs.length > 0) {
+      const mountScript = this.allowFilesystem ? '' : this.buildMountScript(run);
+      return { cmd: 'unshare', args: [...isolationArgs, '/bin/sh', '-c', mountScript + script, cmd, ...args] };
+    }
+    return { cmd: '/bin/sh', args: ['-c', script, cmd, ...args] };
+  }
+
+  commandExists(cmd, searchPath = '') {
+    if (cmd.includes('/')) {
+      return fs.existsSync(cmd);
+    }
+    return searchPath.split(path.delimiter).some(dir => dir && fs.existsSync(path.join(dir, cmd)));
+  }
+
+  /**
+   * 샌드박스에서 프로세스 실행 (기본 작업 디렉토리: run.runDir)
+   * stdout+stderr 가 제한을 넘으면 프로세스를 종료하고 run.violation 기록
+   * options.signal: 작업이 취소되면 프로세스를 종료하고 run.cancelled 기록
+   */
+  spawn(run, cmd, args, options = {}) {
+    const { signal, ...spawnOptions } = options;
+    const command = this.buildCommand(run, cmd, args);
+    const child = spawn(command.cmd, command.args, {
+      ...spawnOptions,
+      cwd: spawnOptions.cwd || run.runDir,
+      env: run.env,
+    });
+
+    if (signal) {
+      const onAbort = () => {
+        run.cancelled = true;
+        child.kill('SIGKILL');
+      };
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+        child.on('close', () => signal.removeEventListener('abort', onAbort));
+      }
+    }
+
+    const countOutput = (data) => {
+      run.logBytes += data.length;
+      if (run.logBytes > this.limits.maxLogBytes && !run.violation) {
+        run.violation = {
+          limit: 'output_size',
+          error: `Console output exceeded ${this.limits.maxLogBytes} bytes`,
+        };
+        child.kill('SIGKILL');
+      }
+    };
+    if (child.stdout) child.stdout.on('data', countOutput);
+    if (child.stderr) child.stderr.on('data', countOutput);
+
+    return child;
+  }
+
+  /**
+   * 리소스 제한 위반(또는 취소)으로 종료되었는지 확인, 위반이면 결과 객체 반환 (아니면 null)
+   */
+  getLimitError(run, code, signal, stderr = '') {
+    if (run.cancelled) {
+      return { success: false, errorType: 'cancelled', error: 'Simulation cancelled' };
+    }
+    if (code === SETUP_FAILED_CODE && /\[Sandbox\] filesystem setup failed/.test(stderr)) {
+      return { success: false, errorType: 'sandbox_error', error: 'Sandbox filesystem setup failed', stderr };
+    }
+
+    let violation = run.violation;
+
+    if (!violation) {
+      if (signal === 'SIGXCPU' || /CPU time limit exceeded/i.test(stderr)) {
+        violation = { limit: 'cpu_time', error: `CPU time limit exceeded (${this.limits.cpuSeconds}s)` };
+      } else if (signal === 'SIGXFSZ' || /File too large/i.test(stderr)) {
+        violation = { limit: 'file_size', error: `Output file size limit exceeded (${this.limits.maxFileMb}MB)` };
+      } else if (code !== 0 && /MemoryError|Cannot allocate memory|std::bad_alloc|out of memory/i.test(stderr)) {
+        violation = { limit: 'memory', error: `Memory limit exceeded (${this.limits.memoryMb}MB)` };
+      }
+    }
+
+    if (!violation) return null;
+    return {
+      success: false,
+      errorType: 'resource_limit',
+      limit: violation.limit,
+      error: `Sandbox limit reached: ${violation.error}`,
+    };
+  }
+
+  /**
+   * 실행 종료 후 정리 - 작업 디렉토리에 생성된 결과 파일을 outputDir 로 옮기고 디렉토리 삭제
+   * 반환: 옮긴 파일명 목록
+   */
+  cleanup(run, outputDir = null) {
+    const moved = [];
+    if (!run || !run.runDir || !fs.existsSync(run.runDir)) {
+      return moved;
+    }
+
+    try {
+      if (outputDir) {
+        for (const entry of fs.readdirSync(run.runDir, { withFileTypes: true })) {
+          if (!entry.isFile() || !MEDIA_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) continue;
+          const target = path.join(outputDir, `simulation_${run.id}_${entry.name}`);
+          fs.copyFileSync(path.join(run.runDir, entry.name), target);
+          moved.push(path.basename(target));
+        }
+      }
+    } catch (error) {
+      console.error('[Sandbox] 결과 파일 이동 실패:', error.message);
+    }
+
+    fs.rm(run.runDir, { recursive: true, force: true }, (error) => {
+      if (error) console.error('[Sandbox] 작업 디렉토리 삭제 실패:', run.runDir, error.message);
+    });
+    return moved;
+  }
+}
+
+module.exports = new Sandbox();
@@ -0,0 +1,348 @@
+// Scene Composer - 구조화된 대본의 세그먼트별 화면(visual)을 내레이션 구간에 맞춰 장면 단위로 이어 붙임
+// visual: { type: simulation|ai-video|video|image|formula|slide, artifactId | url | text, title, background, fit, trimStart }
+//   영상: fit 에 따라 자르기(cut), 반복(loop), 마지막 프레임 정지(freeze), 속도 조절(speed)
+//         auto = 구간보다 길면 자르고, 조금 짧으면(SPEED_LIMIT 배까지) 느리게, 많이 짧으면 마지막 프레임 정지
+//   이미지: 구간 길이만큼 정지 화면, 수식/슬라이드: FormulaRenderer 로 렌더링한 글자를 단색 배경 위에 표시
+// visual 이 없거나 찾을 수 없는 세그먼트는 기본 화면(시뮬레이션 비디오)을 세그먼트 시작 시간 위치부터 사용
+const MediaProbe = require('./media-probe');
+const FormulaRenderer = require('./formula-renderer');
+const SpeechMarkup = require('./speech-markup');
+const ArtifactRegistry = require('../db/artifact-registry');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+// visual.type -> artifactId 로 지정할 때 확인하는 아티팩트 종류 (image 는 종류 제한 없음)
+const ARTIFACT_KINDS = { simulation: 'simulation', 'ai-video': 'ai-video', video: 'video' };
+const SPEED_LIMIT = 1.25;
+const MIN_SCENE_DURATION = 0.1;
+
+class SceneComposer {
+  constructor() {
+    this.outputDir = path.join(__dirname, '..', 'outputs', 'videos');
+    // ProjectRenderer 기본 출력 형식과 같음
+    this.width = 1280;
+    this.height = 720;
+    this.fps = 30;
+    this.background = '#1e1e2e';
+  }
+
+  ensureOutputDir() {
+    if (!fs.existsSync(this.outputDir)) {
+      fs.mkdirSync(this.outputDir, { recursive: true });
+    }
+  }
+
+  hasVisuals(scriptData) {
+    return !!(scriptData && Array.isArray(scriptData.segments) && scriptData.segments.some(s => s && s.visual));
+  }
+
+  /**
+   * 세그먼트 -> 장면 [{ segment, start, duration }]
+   * 장면은 다음 세그먼트 시작까지 이어지므로 세그먼트 사이 빈 구간(pauseAfter 등)도 앞 장면이 채움
+   */
+  planScenes(segments) {
+    const scenes = [];
+    segments.forEach((segment, index) => {
+      const start = index === 0 ? 0 : Number(segment.startTime) || 0;
+      const next = segments[index + 1];
+      const end = next ? Number(next.startTime) || 0 : Number(segment.endTime) || 0;
+      if (end - start >= MIN_SCENE_DURATION) {
+        scenes.push({ segment, start, duration: Math.round((end - start) * 1000) / 1000 });
+      }
+    });
+    return scenes;
+  }
+
+  /**
+   * visual 을 장면 원본으로 변환
+   * 반환: { success, source } - source.kind: 'video' (path, sourceDuration, trimStart, fit) | 'image' (path) | 'card' (background, layers)
+   */
+  async resolveVisual(visual, options = {}) {
+    const background = /^(#[0-9a-fA-F]{6}|[a-zA-Z]+)$/.test(String(visual.background || '')) ? visual.background : this.background;
+
+    if (visual.type === 'formula') {
+      const text = FormulaRenderer.hasMath(visual.text) ? visual.text : `$$${visual.text}$$`;
+      const rendered = FormulaRenderer.renderToPng(text, { fontSize: 64, box: false });
+      if (!rendered.success) return rendered;
+      return { success: true, source: { kind: 'card', background, layers: [{ ...rendered, position: 'center' }] } };
+    }
+
+    if (visual.type === 'slide') {
+      const layers = [];
+      if (visual.title && visual.title.trim()) {
+        const title = FormulaRenderer.renderToPng(visual.title, { fontSize: 56, box: false });
+        if (!title.success) return title;
+        layers.push({ ...title, position: 'top' });
+      }
+      if (visual.text) {
+        const body = FormulaRenderer.renderToPng(visual.text, { fontSize: 40, box: false });
+        if (!body.success) return body;
+        layers.push({ ...body, position: layers.length > 0 ? 'below-title' : 'center' });
+      }
+      return { success: true, source: { kind: 'card', background, layers } };
+    }
+
+    let filePath;
+    if (visual.artifactId) {
+      try {
+        const resolved = await ArtifactRegistry.resolve(String(visual.artifactId), {
+          kind: ARTIFACT_KINDS[visual.type],
+          userId: options.userId || null,
+          guestId: options.guestId || null,
+        });
+        if (!resolved.success) return resolved;
+        filePath = resolved.filePath;
+      } catch (error) {
+        return { success: false, error: `Failed to resolve artifact ${visual.artifactId}: ${error.message}` };
+      }
+    } else {
+      filePath = ArtifactRegistry.toFilePath(visual.url);
+      if (!filePath || !fs.existsSync(filePath)) {
+        return { success: false, error: `Visual file not found: ${visual.url}` };
+      }
+    }
+
+    if (visual.type === 'image') {
+      return { success: true, source: { kind: 'image', path: filePath } };
+    }
+    return {
+      success: true,
+      source: {
+        kind: 'video',
+        path: filePath,
+        sourceDuration: await MediaProbe.getDuration(filePath),
+        trimStart: Number(visual.trimStart) || 0,
+        fit: visual.fit || 'auto',
+      },
+    };
+  }
+
+  /**
+   * visual 이 없는 세그먼트의 화면: 기본 비디오를 장면 시작 시간 위치부터 (끝나면 마지막 프레임 정지)
+   * 기본 비디오도 없으면 세그먼트 글자를 슬라이드로 표시
+   */
+  async defaultSource(scene, defaultVideo) {
+    if (defaultVideo) {
+      return {
+        kind: 'video',
+        path: defaultVideo.path,
+        sourceDuration: defaultVideo.sourceDuration,
+        trimStart: scene.start,
+        fit: 'freeze',
+      };
+    }
+    const resolved = await this.resolveVisual({ type: 'slide', text: SpeechMarkup.stripMarkup(scene.segment.text) });
+    return resolved.success ? resolved.source : { kind: 'card', background: this.background, layers: [] };
+  }
+
+  /**
+   * 영상 길이와 구간 길이로 맞춤 방식 결정 (길이를 모르면 정지 화면으로 채움)
+   * 시작 위치가 영상 끝을 넘으면 마지막 1초부터 (빈 장면이 되지 않도록)
+   */
+  chooseFit(source, duration) {
+    const trimStart = source.sourceDuration ? Math.min(source.trimStart, Math.max(0, source.sourceDuration - 1)) : source.trimStart;
+    const available = source.sourceDuration ? source.sourceDuration - trimStart : null;
+    const result = fit => ({ fit, trimStart, available });
+    if (source.fit === 'loop') return result('loop');
+    if (!(available > 0)) return { fit: 'freeze', trimStart, available: null };
+    if (source.fit === 'speed') return result('speed');
+    if (source.fit === 'cut' || source.fit === 'freeze') {
+      return result(available >= duration ? 'cut' : 'freeze');
+    }
+    if (available >= duration) return result('cut');
+    return result(duration / available <= SPEED_LIMIT ? 'speed' : 'freeze');
+  }
+
+  /**
+   * 장면 목록 -> FFmpeg 입력 인자와 filter_complex (장면마다 정확히 구간 길이로 맞춘 뒤 concat)
+   */
+  buildFilterGraph(scenes, audioPath) {
+    const { width, height, fps } = this;
+    const inputArgs = [];
+    const filters = [];
+    let inputIndex = 0;
+    const canvas = [
+      `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+      `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`,
+      'setsar=1',
+      `fps=${fps}`,
+      'format=yuv420p',
+    ];
+
+    scenes.forEach((scene, i) => {
+      const { source, duration } = scene;
+      const label = `sc${i}`;
+      // 모든 장면을 구간 길이로 자르고 타임스탬프를 0부터 (concat 이 어긋나지 않도록)
+      const exact = `trim=duration=${duration},setpts=PTS-STARTPTS`;
+
+      if (source.kind === 'video') {
+        const { fit, trimStart, available } = this.chooseFit(source, duration);
+        scene.fit = fit;
+        if (fit === 'loop') inputArgs.push('-stream_loop', '-1');
+        inputArgs.push('-i', source.path);
+        const idx = inputIndex++;
+
+        const chain = [];
+        if (fit === 'speed') {
+          chain.push(`trim=start=${trimStart}:duration=${available}`, `setpts=(PTS-STARTPTS)*${(duration / available).toFixed(4)}`);
+        } else {
+          chain.push(`trim=start=${trimStart}:duration=${fit === 'loop' || !available ? duration : Math.min(available, duration)}`, 'setpts=PTS-STARTPTS');
+        }
+        chain.push(...canvas);
+        if (fit === 'freeze') chain.push(`tpad=stop_mode=clone:stop_duration=${duration}`);
+        filters.push(`[${idx}:v]${chain.join(',')},${exact}[${label}]`);
+        return;
+      }
+
+      if (source.kind === 'image') {
+        scene.fit = 'still';
+        inputArgs.push('-loop', '1', '-framerate', String(fps), '-t', String(duration), '-i', source.path);
+        filters.push(`[${inputIndex++}:v]${canvas.join(',')},${exact}[${label}]`);
+        return;
+      }
+
+      // card: 단색 배경 + 렌더링한 글자 (화면보다 크면 비율을 유지해 90% 폭/높이로 축소)
+      scene.fit = 'still';
+      filters.push(`color=c=${source.background}:s=${width}x${height}:r=${fps}:d=${duration}[${label}bg]`);
+      let current = `${label}bg`;
+      let titleBottom = 0;
+      source.layers.forEach((layer, j) => {
+        inputArgs.push('-loop', '1', '-framerate', String(fps), '-t', String(duration), '-i', layer.path);
+        const idx = inputIndex++;
+        const scale = Math.min(1, (width * 0.9) / layer.width, (height * (layer.position === 'center' ? 0.9 : 0.6)) / layer.height);
+        const w = Math.max(2, Math.round(layer.width * scale / 2) * 2);
+        const h = Math.max(2, Math.round(layer.height * scale / 2) * 2);
+        let y = '(H-h)/2';
+        if (layer.position === 'top') {
+          y = String(Math.round(height / 10));
+          titleBottom = Math.round(height / 10) + h;
+        } else if (layer.position === 'below-title') {
+          y = String(Math.max(titleBottom + 40, Math.round((height - h) / 2)));
+        }
+        filters.push(`[${idx}:v]scale=${w}:${h},format=yuva420p[${label}l${j}]`);
+        filters.push(`[${current}][${label}l${j}]overlay=x=(W-w)/2:y=${y}:eof_action=pass[${label}o${j}]`);
+        current = `${label}o${j}`;
+      });
+      filters.push(`[${current}]format=yuv420p,${exact}[${label}]`);
+    });
+
+    filters.push(`${scenes.map((_, i) => `[sc${i}]`).join('')}concat=n=${scenes.length}:v=1:a=0[vout]`);
+
+    let audioInput = null;
+    if (audioPath) {
+      inputArgs.push('-i', audioPath);
+      audioInput = inputIndex++;
+    }
+    return { inputArgs, filterComplex: filters.join(';'), audioInput };
+  }
+
+  /**
+   * 장면 합성
+   * options: audioPath (이어 붙인 내레이션), defaultVideoPath (visual 이 없는 세그먼트용), userId, guestId (artifactId 권한 확인), onProgress(text, totalDuration)
+   * 반환: { success, outputFile, outputPath, url, scenes: [{ segmentId, type, fit, start, duration }], warnings }
+   */
+  async compose(scriptData, options = {}) {
+    const scenes = this.planScenes(scriptData.segments || []);
+    if (scenes.length === 0) {
+      return { success: false, error: 'Script has no segments with a duration' };
+    }
+
+    const warnings = [];
+    let defaultVideo = null;
+    if (options.defaultVideoPath && fs.existsSync(options.defaultVideoPath)) {
+      defaultVideo = { path: options.defaultVideoPath, sourceDuration: await MediaProbe.getDuration(options.defaultVideoPath) };
+    }
+
+    for (const scene of scenes) {
+      const visual = scene.segment.visual;
+      if (visual) {
+        const resolved = await this.resolveVisual(visual, options);
+        if (resolved.success) {
+          scene.source = resolved.source;
+          scene.type = visual.type;
+          continue;
+        }
+        warnings.push(`${scene.segment.id}: ${resolved.error}`);
+      }
+      scene.source = await this.defaultSource(scene, defaultVideo);
+      scene.type = defaultVideo ? 'default' : 'slide';
+    }
+
+    const totalDuration = scenes.reduce((sum, scene) => sum + scene.duration, 0);
+    const graph = this.buildFilterGraph(scenes, options.audioPath);
+    this.ensureOutputDir();
+    const outputFilename = `video_${Date.now()}.mp4`;
+    const outputPath = path.join(this.outputDir, outputFilename);
+
+    const args = [
+      '-y',
+      ...graph.inputArgs,
+      '-filter_complex', graph.filterComplex,
+      '-map', '[vout]',
+      ...(graph.audioInput != null ? ['-map', `${graph.audioInput}:a:0`, '-c:a', 'aac', '-b:a', '192k'] : ['-an']),
+      '-c:v', 'libx264',
+      '-preset', 'medium',
+      '-crf', '23',
+      '-pix_fmt', 'yuv420p',
+      '-r', String(this.fps),
+      '-t', String(totalDuration),
+      '-movflags', '+faststart',
+      outputPath,
+    ];
+    console.log(`[SceneComposer] 장면 ${scenes.length}개 합성 (${totalDuration.toFixed(1)}s)`);
+
+    const result = await this.runFFmpeg(args, totalDuration, options);
+    if (!result.success) {
+      return { ...result, warnings };
+    }
+    return {
+      success: true,
+      outputFile: outputFilename,
+      outputPath,
+      url: `/outputs/videos/${outputFilename}`,
+      scenes: scenes.map(scene => ({
+        segmentId: scene.segment.id,
+        type: scene.type,
+        fit: scene.fit,
+        start: scene.start,
+        duration: scene.duration,
+      })),
+      warnings,
+    };
+  }
+
+  runFFmpeg(args, totalDuration, options) {
+    return new Promise((resolve) => {
+      const ffmpegProcess = spawn(process.env.FFMPEG_PATH || 'ffmpeg', args);
+      let stderr = '';
+
+      ffmpegProcess.stderr.on('data', (data) => {
+        const text = data.toString();
+        stderr = (stderr + text).slice(-20000);
+        if (typeof options.onProgress === 'function') options.onProgress(text, totalDuration);
+      });
+
+      // 10분 제한 (composeVideoWithFFmpeg 와 같음)
+      const timer = setTimeout(() => {
+        ffmpegProcess.kill();
+        resolve({ success: false, error: 'Scene composition timeout' });
+      }, 10 * 60 * 1000);
+
+      ffmpegProcess.on('close', (code) => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve({ success: true });
+        } else {
+          resolve({ success: false, error: `FFmpeg process exited with code ${code}`, stderr: stderr.slice(-2000) });
+        }
+      });
+      ffmpegProcess.on('error', (error) => {
+        clearTimeout(timer);
+        resolve({ success: false, error: `FFmpeg execution error: ${error.message}` });
+      });
+    });
+  }
+}
+
+module.exports = new SceneComposer();
@@ -1,12 +1,17 @@
 // Script Generator - Generates actual scripts from finalized prompts
 const LocalAIApi = require('../ai/LocalAIApi');
 const PromptManager = require('../ai/PromptManager');
+const ScriptSchema = require('./script-schema');
 const fs = require('fs');
 const path = require('path');
 
 class ScriptGenerator {
   constructor() {
     this.outputDir = path.join(__dirname, '..', 'outputs', 'scripts');
+    // 스키마 검증 실패 시 AI 수정 요청 횟수 (요청 옵션 repairAttempts 로 변경 가능)
+    this.repairAttempts = parseInt(process.env.SCRIPT_REPAIR_ATTEMPTS, 10);
+    if (Number.isNaN(this.repairAttempts)) this.repairAttempts = 1;
+    this.maxRepairAttempts = 3;
     this.ensureOutputDir();
   }
 
@@ -41,7 +46,9 @@ The script must be in this exact JSON format:
         "pitch": "low|normal|high|+10%|-10%",
         "volume": "quiet|normal|loud",
         "tone": "친근함|교육적|진지함|밝음|차분함|열정적",
-        "emotion": "welcoming|enthusiastic|calm|excited|serious|friendly"
+        "emotion": "welcoming|enthusiastic|calm|excited|serious|friendly",
+        "emphasis": ["key term to stress"],
+        "pauseAfter": 0.5
       }
     }
   ]
@@ -55,6 +62,9 @@ Important rules:
   * Important points: serious, normal speed, normal pitch
   * Transitions: friendly, normal speed
 - Use appropriate Korean tones and emotions
+- Mark pauses inside text with [pause] or [pause:700ms] and key terms with **term**; use pauseBefore/pauseAfter (seconds) for gaps around a segment
+- Write formulas in text as LaTeX between $...$ (e.g. $\\frac{d}{dx} x^2 = 2x$); keep pronunciation the same as text for formulas, the spoken form is generated automatically
+- Optionally add "visual" to a segment to change what is on screen: {"type": "formula", "text": "LaTeX"} for a derivation step or {"type": "slide", "title": "...", "text": "..."} for key points; segments without visual show the simulation
 - Return ONLY valid JSON, no explanations or markdown code blocks
 - Ensure all segments have sequential timing (endTime of one = startTime of next)`;
 
@@ -73,65 +83,18 @@ Important rules:
 
       const resp = await LocalAIApi.createResponse({
         input: messages,
-        model: options.model || require('../ai/config').default_model,
-      });
+        model: options.model,
+        tool: 'script',
+      }, { signal: options.signal });
+
+      if (options.signal && options.signal.aborted) {
+        return { success: false, errorType: 'cancelled', error: 'Script generation cancelled' };
+      }
 
       if (resp && resp.success) {
-        let scriptText = LocalAIApi.extractText(resp);
-        
-        // JSON 추출 (코드 블록 제거)
-        const jsonMatch = scriptText.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          scriptText = jsonMatch[0];
-        }
-        
-        // JSON 파싱 및 검증
-        let scriptData;
-        try {
-          scriptData = JSON.parse(scriptText);
-          
-          // 기본 검증 및 수정
-          if (!scriptData.segments || !Array.isArray(scriptData.segments)) {
-            throw new Error('Invalid script format: segments missing');
-          }
-          
-          // 각 세그먼트 검증 및 기본값 설정
-          scriptData.segments = scriptData.segments.map((seg, index) => {
-            if (!seg.tts) seg.tts = {};
-            return {
-              id: seg.id || `segment-${index + 1}`,
-              startTime: seg.startTime || 0,
-              endTime: seg.endTime || (seg.startTime || 0) + 5,
-              text: seg.text || '',
-              tts: {
-                pronunciation: seg.tts.pronunciation || seg.text || '',
-                speed: seg.tts.speed || 'normal',
-                pitch: seg.tts.pitch || 'normal',
-                volume: seg.tts.volume || 'normal',
-                tone: seg.tts.tone || 'normal',
-                emotion: seg.tts.emotion || 'neutral'
-              }
-            };
-          });
-          
-          // 시간 순서 정렬 및 연속성 보장
-          let currentTime = 0;
-          scriptData.segments = scriptData.segments.map(seg => {
-            seg.startTime = currentTime;
-            const duration = seg.endTime - seg.startTime || this.estimateDuration(seg.text);
-            seg.endTime = currentTime + duration;
-            currentTime = seg.endTime;
-            return seg;
-          });
-          
-          scriptData.metadata = scriptData.metadata || {};
-          scriptData.metadata.totalDuration = currentTime;
-          
-        } catch (e) {
-          console.warn('[ScriptGenerator] JSON 파싱 실패, 기본 형식으로 변환:', e.message);
-          // JSON 파싱 실패 시 기본 형식으로 변환
-          scriptData = this.convertToStructuredFormat(scriptText);
-        }
+        const { scriptData, validationErrors, repairAttempts } = await this.parseWithRepair(
+          messages, LocalAIApi.extractText(resp), options
+        );
         
         // JSON과 텍스트 버전 모두 저장
         const timestamp = Date.now();
@@ -162,6 +125,8 @@ Important rules:
           txtUrl: `/outputs/scripts/${txtFilename}`,
           filepath: path.join(this.outputDir, jsonFilename),
           url: `/outputs/scripts/${jsonFilename}`, // 기본은 JSON
+          repairAttempts,
+          ...(validationErrors.length > 0 ? { validationErrors } : {}),
         };
       }
 
@@ -178,6 +143,114 @@ Important rules:
     }
   }
   
+  // Number of repair requests for this run (request option overrides SCRIPT_REPAIR_ATTEMPTS)
+  getRepairAttempts(options = {}) {
+    const requested = parseInt(options.repairAttempts, 10);
+    const attempts = Number.isNaN(requested) ? this.repairAttempts : requested;
+    return Math.max(0, Math.min(attempts, this.maxRepairAttempts));
+  }
+
+  /**
+   * AI 응답을 스키마로 검증하고, 실패하면 검증 오류를 AI에 보내 수정 요청
+   * 수정 후에도 실패하면 잘못된 값을 기본값으로 보정, 그래도 안 되면 텍스트에서 대본 구성
+   * 반환: { scriptData, validationErrors (마지막 AI 응답의 오류), repairAttempts }
+   */
+  async parseWithRepair(messages, replyText, options = {}) {
+    const maxRepairAttempts = this.getRepairAttempts(options);
+    let text = replyText;
+    let parsed = ScriptSchema.parse(text);
+    let attempt = 0;
+
+    while (!parsed.success && attempt < maxRepairAttempts && !(options.signal && options.signal.aborted)) {
+      attempt++;
+      console.warn(`[ScriptGenerator] 대본 검증 실패, 수정 요청 ${attempt}/${maxRepairAttempts}:`, ScriptSchema.formatErrors(parsed.errors));
+
+      const resp = await LocalAIApi.createResponse({
+        input: [
+          ...messages,
+          { role: 'assistant', content: text },
+          {
+            role: 'user',
+            content: 'The JSON above does not match the required script format. Validation errors:\n' +
+              parsed.errors.map(error => `- ${error.path}: ${error.message}`).join('\n') +
+              '\n\nFix these errors and return the complete corrected script. Return only valid JSON.',
+          },
+        ],
+        model: options.model,
+        tool: 'script',
+      }, { signal: options.signal });
+
+      if (!resp || !resp.success) {
+        console.warn('[ScriptGenerator] 수정 요청 실패:', resp?.error);
+        break;
+      }
+      text = LocalAIApi.extractText(resp);
+      parsed = ScriptSchema.parse(text);
+    }
+
+    const estimateDuration = value => this.estimateDuration(value);
+    if (parsed.success) {
+      return {
+        scriptData: ScriptSchema.normalize(parsed.data, { estimateDuration }),
+        validationErrors: [],
+        repairAttempts: attempt,
+      };
+    }
+
+    console.warn('[ScriptGenerator] 대본 검증 실패:', ScriptSchema.formatErrors(parsed.errors));
+    if (parsed.data) {
+      // 잘못된 값만 기본값으로 보정
+      const scriptData = ScriptSchema.normalize(parsed.data, { estimateDuration, lenient: true });
+      if (ScriptSchema.validate(scriptData).valid) {
+        return { scriptData, validationErrors: parsed.errors, repairAttempts: attempt };
+      }
+    }
+
+    console.warn('[ScriptGenerator] JSON 사용 불가, 기본 형식으로 변환');
+    return {
+      scriptData: this.convertToStructuredFormat(text),
+      validationErrors: parsed.errors,
+      repairAttempts: attempt,
+    };
+  }
+
+  /**
+   * 대본 수정본 저장 - script_123.json -> script_123_r2.json (기존 수정본이 있으면 다음 번호)
+   * 원본은 그대로 두고, metadata.revision / metadata.revisionOf 기록
+   */
+  saveRevision(scriptData, sourcePath) {
+    const sourceName = path.basename(sourcePath, '.json');
+    const baseName = sourceName.replace(/_r\d+$/, '');
+    let revision = 2;
+    while (fs.existsSync(path.join(this.outputDir, `${baseName}_r${revision}.json`))) {
+      revision++;
+    }
+
+    const jsonFilename = `${baseName}_r${revision}.json`;
+    const txtFilename = `${baseName}_r${revision}.txt`;
+    const revisionData = {
+      ...scriptData,
+      metadata: {
+        ...(scriptData.metadata || {}),
+        revision,
+        revisionOf: `${sourceName}.json`,
+      },
+    };
+
+    fs.writeFileSync(path.join(this.outputDir, jsonFilename), JSON.stringify(revisionData, null, 2), 'utf8');
+    fs.writeFileSync(path.join(this.outputDir, txtFilename), this.formatScriptAsText(revisionData), 'utf8');
+    console.log(`[ScriptGenerator] 대본 수정본 저장: ${jsonFilename}`);
+
+    return {
+      script: revisionData,
+      revision,
+      jsonFile: jsonFilename,
+      jsonUrl: `/outputs/scripts/${jsonFilename}`,
+      txtUrl: `/outputs/scripts/${txtFilename}`,
+      filepath: path.join(this.outputDir, jsonFilename),
+    };
+  }
+
   // 구조화된 형식으로 변환 (JSON 파싱 실패 시)
   convertToStructuredFormat(text) {
     const lines = text.split('\n').filter(l => l.trim() && !l.trim().startsWith('#'));
@@ -261,10 +334,10 @@ Important rules:
     return `${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
   }
 
-  async generateScriptFromHistory(history) {
+  async generateScriptFromHistory(history, options = {}) {
     // Extract conversation history (last 20 messages)
     const conversationHistory = history.slice(-20);
-    return this.generateScript(conversationHistory);
+    return this.generateScript(conversationHistory, options);
   }
 }
 
@@ -0,0 +1,340 @@
+// Script Schema - 구조화된 대본(JSON) 스키마와 검증기
+// 형식 설명: docs/STRUCTURED_SCRIPT_GUIDE.md
+// ScriptGenerator, TTSGenerator, VideoComposer, 편집기 가져오기 API 가 같은 검증기를 사용
+//   validate(data) -> { valid, errors: [{ path, message }] }  (path 예: segments[2].tts.speed)
+//   parse(text)    -> AI 응답에서 JSON 추출 후 검증
+//   normalize(data) -> 기본값 채우기, 시간 순서 정리
+
+const SPEEDS = ['slow', 'normal', 'fast'];
+const PITCHES = ['low', 'normal', 'high'];
+const VOLUMES = ['quiet', 'normal', 'loud'];
+// pitch 는 '+10%', '-5.5%' 같은 상대값도 허용
+const PITCH_PERCENT = '^[+-]?\\d+(\\.\\d+)?%$';
+// 세그먼트 화면 (SceneComposer): 미디어는 artifactId 또는 url, formula/slide 는 text 로 렌더링
+const VISUAL_TYPES = ['simulation', 'ai-video', 'video', 'image', 'formula', 'slide'];
+const MEDIA_VISUALS = ['simulation', 'ai-video', 'video', 'image'];
+// 화면 길이를 내레이션 구간에 맞추는 방식 (auto = 길면 자르고, 조금 짧으면 속도 조절, 많이 짧으면 마지막 프레임 정지)
+const VISUAL_FITS = ['auto', 'cut', 'loop', 'freeze', 'speed'];
+
+const SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'Structured script',
+  type: 'object',
+  required: ['segments'],
+  properties: {
+    metadata: {
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        totalDuration: { type: 'number', minimum: 0 },
+        language: { type: 'string', minLength: 2 },
+        // TTS 엔진 (google, gtts, espeak, piper) 과 대본 전체 음성
+        ttsEngine: { type: 'string', minLength: 1 },
+        voice: { type: 'string', minLength: 1 },
+      },
+    },
+    segments: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['text'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          startTime: { type: 'number', minimum: 0 },
+          endTime: { type: 'number', minimum: 0 },
+          text: { type: 'string', minLength: 1, pattern: '\\S' },
+          tts: {
+            type: 'object',
+            properties: {
+              pronunciation: { type: 'string' },
+              speed: { type: 'string', enum: SPEEDS },
+              pitch: {
+                type: 'string',
+                anyOf: [{ enum: PITCHES }, { pattern: PITCH_PERCENT }],
+              },
+              volume: { type: 'string', enum: VOLUMES },
+              tone: { type: 'string' },
+              emotion: { type: 'string' },
+              voice: { type: 'string', minLength: 1 },
+              // 강조할 용어, 세그먼트 앞뒤 쉼(초) - 텍스트 안의 [pause:700ms], **용어** 표시와 같은 효과
+              emphasis: { type: 'array', items: { type: 'string', minLength: 1 } },
+              pauseBefore: { type: 'number', minimum: 0 },
+              pauseAfter: { type: 'number', minimum: 0 },
+            },
+          },
+          visual: {
+            type: 'object',
+            required: ['type'],
+            properties: {
+              type: { type: 'string', enum: VISUAL_TYPES },
+              artifactId: { type: 'string', minLength: 1 },
+              url: { type: 'string', minLength: 1 },
+              // formula: TeX (구분자 없으면 수식 전체), slide: 본문 (수식은 $...$)
+              text: { type: 'string', minLength: 1, pattern: '\\S' },
+              title: { type: 'string' },
+              background: { type: 'string', minLength: 1 },
+              fit: { type: 'string', enum: VISUAL_FITS },
+              trimStart: { type: 'number', minimum: 0 },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+class ScriptSchema {
+  constructor() {
+    this.schema = SCHEMA;
+  }
+
+  /**
+   * 구조화된 대본 검증
+   * 스키마 검사 후 스키마로 표현하기 어려운 규칙(endTime > startTime, id 중복, visual 필수 값) 확인
+   */
+  validate(data) {
+    const errors = [];
+    this.checkNode(data, this.schema, '', errors);
+
+    if (errors.length === 0) {
+      const ids = new Map();
+      data.segments.forEach((segment, index) => {
+        const segmentPath = `segments[${index}]`;
+        if (segment.startTime != null && segment.endTime != null && segment.endTime <= segment.startTime) {
+          errors.push({
+            path: `${segmentPath}.endTime`,
+            message: `must be greater than startTime (${segment.startTime})`,
+          });
+        }
+        if (segment.visual) {
+          const visualError = this.checkVisual(segment.visual);
+          if (visualError) {
+            errors.push({ path: `${segmentPath}.visual`, message: visualError });
+          }
+        }
+        if (segment.id != null) {
+          if (ids.has(segment.id)) {
+            errors.push({
+              path: `${segmentPath}.id`,
+              message: `duplicate id "${segment.id}" (also used by segments[${ids.get(segment.id)}])`,
+            });
+          } else {
+            ids.set(segment.id, index);
+          }
+        }
+      });
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  // 종류별 필수 값 (스키마 검사를 통과한 visual 기준), 문제가 없으면 null
+  checkVisual(visual) {
+    if (MEDIA_VISUALS.includes(visual.type) && !visual.artifactId && !visual.url) {
+      return `${visual.type} visual requires artifactId or url`;
+    }
+    if (visual.type === 'formula' && !visual.text) {
+      return 'formula visual requires text';
+    }
+    if (visual.type === 'slide' && !visual.text && !(visual.title && visual.title.trim())) {
+      return 'slide visual requires title or text';
+    }
+    return null;
+  }
+
+  // JSON Schema 중 이 스키마에서 쓰는 키워드만 처리 (type, required, properties, items, minItems, minLength, minimum, enum, pattern, anyOf)
+  checkNode(value, schema, path, errors) {
+    const where = path || '(root)';
+
+    if (schema.type && !this.matchesType(value, schema.type)) {
+      errors.push({ path: where, message: `must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}, got ${this.describeType(value)}` });
+      return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({ path: where, message: `must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}` });
+    }
+    if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: where, message: schema.pattern === '\\S' ? 'must not be blank' : `must match ${schema.pattern}, got ${JSON.stringify(value)}` });
+    }
+    if (schema.minLength != null && typeof value === 'string' && value.length < schema.minLength) {
+      errors.push({ path: where, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.minimum != null && typeof value === 'number' && value < schema.minimum) {
+      errors.push({ path: where, message: `must be >= ${schema.minimum}, got ${value}` });
+    }
+    if (schema.anyOf) {
+      const matched = schema.anyOf.some((option) => {
+        const optionErrors = [];
+        this.checkNode(value, option, path, optionErrors);
+        return optionErrors.length === 0;
+      });
+      if (!matched) {
+        const allowed = schema.anyOf.map(option => option.enum ? option.enum.join(', ') : `/${option.pattern}/`).join(' or ');
+        errors.push({ path: where, message: `must be ${allowed}, got ${JSON.stringify(value)}` });
+      }
+    }
+
+    if (schema.type === 'object') {
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) {
+          errors.push({ path: this.joinPath(path, key), message: 'is required' });
+        }
+      }
+      for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+        if (value[key] !== undefined) {
+          this.checkNode(value[key], propertySchema, this.joinPath(path, key), errors);
+        }
+      }
+    }
+
+    if (schema.type === 'array') {
+      if (schema.minItems != null && value.length < schema.minItems) {
+        errors.push({ path: where, message: `must contain at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+      }
+      if (schema.items) {
+        value.forEach((item, index) => this.checkNode(item, schema.items, `${path}[${index}]`, errors));
+      }
+    }
+  }
+
+  matchesType(value, type) {
+    switch (type) {
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'array':
+        return Array.isArray(value);
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value);
+      default:
+        return typeof value === type;
+    }
+  }
+
+  describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  joinPath(path, key) {
+    return path ? `${path}.${key}` : key;
+  }
+
+  /**
+   * AI 응답 텍스트에서 대본 JSON 추출 및 검증
+   * 반환: { success, data, errors }  (JSON 파싱 실패도 errors 에 경로 '(root)' 로 포함)
+   */
+  parse(text) {
+    const source = String(text || '')
+      .replace(/^\s*```(?:json)?\s*/i, '')
+      .replace(/\s*```\s*$/, '');
+    const start = source.indexOf('{');
+    const end = source.lastIndexOf('}');
+
+    if (start === -1 || end <= start) {
+      return { success: false, data: null, errors: [{ path: '(root)', message: 'no JSON object found in the response' }] };
+    }
+
+    let data;
+    try {
+      data = JSON.parse(source.slice(start, end + 1));
+    } catch (error) {
+      return { success: false, data: null, errors: [{ path: '(root)', message: `invalid JSON: ${error.message}` }] };
+    }
+
+    const { valid, errors } = this.validate(data);
+    return { success: valid, data, errors };
+  }
+
+  /**
+   * 기본값 채우기 및 시간 순서 정리 (검증 통과한 대본용)
+   * lenient: true 면 잘못된 값도 기본값으로 바꿔 검증을 통과하도록 보정 (AI 수정 실패 시 마지막 수단)
+   */
+  normalize(data, options = {}) {
+    const { estimateDuration = (text) => Math.max(2, Math.ceil(text.length * 0.3)), lenient = false } = options;
+    const pick = (value, allowed, fallback) => (!lenient || allowed(value) ? value : fallback);
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    const isText = value => typeof value === 'string' && value.trim().length > 0;
+
+    const rawSegments = Array.isArray(data && data.segments) ? data.segments : [];
+    const segments = rawSegments
+      .filter(seg => !lenient || (seg && isText(seg.text)))
+      .map((seg, index) => {
+        const tts = (seg.tts && typeof seg.tts === 'object') ? seg.tts : {};
+        const startTime = pick(seg.startTime, isNumber, undefined) || 0;
+        return {
+          id: pick(seg.id, isText, undefined) || `segment-${index + 1}`,
+          startTime,
+          endTime: pick(seg.endTime, isNumber, undefined) || startTime + 5,
+          text: seg.text || '',
+          tts: {
+            pronunciation: pick(tts.pronunciation, isText, undefined) || seg.text || '',
+            speed: pick(tts.speed, value => SPEEDS.includes(value), undefined) || 'normal',
+            pitch: pick(tts.pitch, value => PITCHES.includes(value) || new RegExp(PITCH_PERCENT).test(value), undefined) || 'normal',
+            volume: pick(tts.volume, value => VOLUMES.includes(value), undefined) || 'normal',
+            tone: pick(tts.tone, isText, undefined) || 'normal',
+            emotion: pick(tts.emotion, isText, undefined) || 'neutral',
+            ...(pick(tts.voice, isText, undefined) ? { voice: tts.voice } : {}),
+            ...(pick(tts.emphasis, value => Array.isArray(value) && value.every(isText), undefined) ? { emphasis: tts.emphasis } : {}),
+            ...(pick(tts.pauseBefore, isNumber, undefined) ? { pauseBefore: tts.pauseBefore } : {}),
+            ...(pick(tts.pauseAfter, isNumber, undefined) ? { pauseAfter: tts.pauseAfter } : {}),
+          },
+          ...(pick(seg.visual, value => this.isValidVisual(value), undefined) ? { visual: seg.visual } : {}),
+        };
+      });
+
+    // 시간 순서 정렬 및 연속성 보장
+    let currentTime = 0;
+    segments.forEach((seg) => {
+      const duration = seg.endTime - seg.startTime > 0 ? seg.endTime - seg.startTime : estimateDuration(seg.text);
+      seg.startTime = currentTime;
+      seg.endTime = currentTime + duration;
+      currentTime = seg.endTime;
+    });
+
+    // 중복 id 정리 - 새 id 는 다른 세그먼트가 쓰지 않는 segment-N (validate 의 중복 검사를 통과하도록)
+    const taken = new Set(segments.map(seg => seg.id));
+    const seen = new Set();
+    segments.forEach((seg, index) => {
+      if (seen.has(seg.id)) {
+        let number = index + 1;
+        while (taken.has(`segment-${number}`)) number++;
+        seg.id = `segment-${number}`;
+        taken.add(seg.id);
+      }
+      seen.add(seg.id);
+    });
+
+    const metadata = (data && data.metadata && typeof data.metadata === 'object' && !Array.isArray(data.metadata)) ? { ...data.metadata } : {};
+    if (lenient) {
+      if (typeof metadata.title !== 'string') delete metadata.title;
+      if (typeof metadata.language !== 'string' || metadata.language.length < 2) delete metadata.language;
+      if (typeof metadata.ttsEngine !== 'string' || !metadata.ttsEngine) delete metadata.ttsEngine;
+      if (typeof metadata.voice !== 'string' || !metadata.voice) delete metadata.voice;
+    }
+    metadata.totalDuration = currentTime;
+
+    return { ...data, metadata, segments };
+  }
+
+  isValidVisual(visual) {
+    const errors = [];
+    this.checkNode(visual, this.schema.properties.segments.items.properties.visual, 'visual', errors);
+    return errors.length === 0 && !this.checkVisual(visual);
+  }
+
+  /**
+   * 오류 목록을 한 줄 요약으로 (API 오류 메시지, 로그용)
+   */
+  formatErrors(errors, limit = 5) {
+    const shown = errors.slice(0, limit).map(error => `${error.path} ${error.message}`);
+    if (errors.length > limit) {
+      shown.push(`... (${errors.length - limit} more)`);
+    }
+    return shown.join('; ');
+  }
+}
+
+module.exports = new ScriptSchema();
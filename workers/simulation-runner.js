@@ -1,10 +1,16 @@
 // Simulation Runner - Generates and executes code for simulations
-// Supports: Python, MATLAB, R, Julia, Octave, Gnuplot, Graphviz, Processing, Manim
+// Supports: Python, MATLAB, Blender, R, Julia, Octave, Gnuplot, Graphviz, Processing, Manim
 // MCP mode: Can execute via MCP servers for Python, MATLAB, Manim
 const LocalAIApi = require('../ai/LocalAIApi');
 const PromptManager = require('../ai/PromptManager');
-const { pythonMCP, matlabMCP, manimMCP, octaveMCP } = require('../mcp/connection');
+const { MCPConnection } = require('../mcp/connection');
+const MCPRegistry = require('../mcp/registry');
+const JobQueue = require('./job-queue');
+const Sandbox = require('./sandbox');
+const MediaProbe = require('./media-probe');
+const SpeechMarkup = require('./speech-markup');
 const { spawn } = require('child_process');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
@@ -12,7 +18,14 @@ class SimulationRunner {
   constructor() {
     this.outputDir = path.join(__dirname, '..', 'outputs', 'simulations');
     this.codeDir = path.join(__dirname, '..', 'outputs', 'simulations', 'code');
+    // 실행마다 만드는 출력 디렉토리 (runs/<id>) - 확인이 끝난 결과만 outputDir 로 옮김
+    this.runsDir = path.join(this.outputDir, 'runs');
     this.ensureOutputDirs();
+    // 실행 실패 시 자동 수정 재시도 횟수 (0 = 사용 안 함, 요청 옵션 repairAttempts 로 변경 가능)
+    this.repairAttempts = parseInt(process.env.SIMULATION_REPAIR_ATTEMPTS, 10) || 0;
+    this.maxRepairAttempts = 5;
+    // 대본 세그먼트별 시뮬레이션 생성 시 최대 개수 (SIMULATION_BATCH_MAX)
+    this.maxBatchSimulations = parseInt(process.env.SIMULATION_BATCH_MAX, 10) || 10;
     
     // Supported programs configuration
     this.programs = {
@@ -22,6 +35,8 @@ class SimulationRunner {
         keywords: ['python', 'matplotlib', 'numpy', 'plotly', 'scipy', 'pandas'],
         cmd: process.env.PYTHON_PATH || 'python',
         args: ['-u'],
+        sandbox: { language: 'python' },
+        output: { extensions: ['.mp4', '.gif', '.avi'], access: "os.environ['OUTPUT_PATH']" },
       },
       matlab: {
         name: 'MATLAB',
@@ -29,6 +44,9 @@ class SimulationRunner {
         keywords: ['matlab', 'simulink', 'matlab engine'],
         cmd: process.env.MATLAB_PATH || 'matlab',
         args: ['-batch'],
+        // JVM은 큰 가상 메모리를 예약하므로 메모리 제한 생략
+        sandbox: { language: 'matlab', memoryLimit: false },
+        output: { extensions: ['.mp4', '.avi', '.mov'], access: "getenv('OUTPUT_PATH')" },
       },
       blender: {
         name: 'Blender',
@@ -36,6 +54,8 @@ class SimulationRunner {
         keywords: ['blender', '3d', 'animation', 'rendering', 'bpy'],
         cmd: process.env.BLENDER_PATH || 'blender',
         args: ['--background'],
+        sandbox: { language: 'python', memoryLimit: false },
+        output: { extensions: ['.mp4', '.avi', '.mov', '.mkv'], access: "os.environ['OUTPUT_PATH']" },
       },
       r: {
         name: 'R',
@@ -43,6 +63,8 @@ class SimulationRunner {
         keywords: ['r', 'r language', 'ggplot2', 'plotly', 'shiny', 'statistics', 'rscript'],
         cmd: process.env.R_PATH || 'Rscript',
         args: [],
+        sandbox: { language: 'r' },
+        output: { extensions: ['.mp4', '.gif', '.avi'], access: 'Sys.getenv("OUTPUT_PATH")' },
       },
       julia: {
         name: 'Julia',
@@ -50,6 +72,8 @@ class SimulationRunner {
         keywords: ['julia', 'julia language', 'pluto', 'plots', 'differential equations'],
         cmd: process.env.JULIA_PATH || 'julia',
         args: [],
+        sandbox: { language: 'julia', memoryLimit: false },
+        output: { extensions: ['.mp4', '.gif', '.avi'], access: 'ENV["OUTPUT_PATH"]' },
       },
       octave: {
         name: 'GNU Octave',
@@ -57,6 +81,8 @@ class SimulationRunner {
         keywords: ['octave', 'gnu octave', 'matlab alternative'],
         cmd: process.env.OCTAVE_PATH || 'octave',
         args: ['--no-gui'],
+        sandbox: { language: 'matlab' },
+        output: { extensions: ['.mp4', '.gif', '.avi'], access: "getenv('OUTPUT_PATH')" },
       },
       gnuplot: {
         name: 'Gnuplot',
@@ -64,6 +90,9 @@ class SimulationRunner {
         keywords: ['gnuplot', 'plotting', 'graph'],
         cmd: process.env.GNUPLOT_PATH || 'gnuplot',
         args: [],
+        sandbox: { language: 'gnuplot' },
+        // 출력 경로는 스크립트 인자 ARG1 로 전달 (gnuplot -c script <경로>)
+        output: { extensions: ['.gif', '.mp4', '.png'], access: 'ARG1 (e.g. set output ARG1)' },
       },
       graphviz: {
         name: 'Graphviz',
@@ -71,6 +100,9 @@ class SimulationRunner {
         keywords: ['graphviz', 'dot', 'diagram', 'graph', 'flowchart'],
         cmd: process.env.GRAPHVIZ_PATH || 'dot',
         args: [],
+        sandbox: { language: 'graphviz' },
+        // dot -o 로 실행기가 직접 저장
+        output: { extensions: ['.png'] },
       },
       processing: {
         name: 'Processing',
@@ -78,6 +110,8 @@ class SimulationRunner {
         keywords: ['processing', 'p5.js', 'interactive', 'creative coding'],
         cmd: process.env.PROCESSING_PATH || 'processing-java',
         args: [],
+        sandbox: { language: 'processing', memoryLimit: false },
+        output: { extensions: ['.mp4', '.gif', '.avi'], access: 'System.getenv("OUTPUT_PATH")' },
       },
       manim: {
         name: 'Manim',
@@ -85,12 +119,17 @@ class SimulationRunner {
         keywords: ['manim', 'mathematical animation', '3blue1brown', 'math animation'],
         cmd: process.env.MANIM_PATH || 'manim',
         args: ['-ql'],
+        sandbox: { language: 'python' },
+        // 렌더된 영상을 실행기가 media 디렉토리에서 OUTPUT_PATH 로 복사
+        output: { extensions: ['.mp4', '.mov', '.gif'] },
+        // 렌더링 품질 옵션 -> manim CLI 플래그
+        qualityFlags: { low: '-ql', medium: '-qm', high: '-qh' },
       },
     };
   }
 
   ensureOutputDirs() {
-    [this.outputDir, this.codeDir].forEach(dir => {
+    [this.outputDir, this.codeDir, this.runsDir].forEach(dir => {
       if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
       }
@@ -130,6 +169,7 @@ class SimulationRunner {
       
       const program = this.programs[programId] || this.programs.python;
       const generationPrompt = PromptManager.getGenerationPrompt('simulation');
+      const outputContract = this.getOutputContract(programId);
       
       // Program-specific code generation instructions
       const programInstructions = {
@@ -156,39 +196,20 @@ class SimulationRunner {
         })),
         {
           role: 'user',
-          content: programInstructions[programId] || programInstructions.python
+          content: (programInstructions[programId] || programInstructions.python) +
+            (outputContract ? `\n\n${outputContract}` : '') +
+            (options.targetDuration > 0 ? `\n\nThe output video should be about ${Math.round(options.targetDuration)} seconds long (it is shown while ${options.targetDuration.toFixed(1)}s of narration plays).` : '')
         }
       ];
 
       const resp = await LocalAIApi.createResponse({
         input: messages,
-        model: options.model || require('../ai/config').default_model,
-      });
+        model: options.model,
+        tool: 'simulation',
+      }, { signal: options.signal });
 
       if (resp && resp.success) {
-        let codeText = LocalAIApi.extractText(resp);
-        
-        // Clean up code (remove markdown code blocks if present)
-        const codeBlockPatterns = [
-          /```python\n?/g,
-          /```matlab\n?/g,
-          /```m\n?/g,
-          /```r\n?/g,
-          /```julia\n?/g,
-          /```jl\n?/g,
-          /```octave\n?/g,
-          /```gnuplot\n?/g,
-          /```plt\n?/g,
-          /```dot\n?/g,
-          /```graphviz\n?/g,
-          /```processing\n?/g,
-          /```pde\n?/g,
-          /```\n?/g,
-        ];
-        codeBlockPatterns.forEach(pattern => {
-          codeText = codeText.replace(pattern, '');
-        });
-        codeText = codeText.trim();
+        const codeText = this.cleanGeneratedCode(LocalAIApi.extractText(resp));
         
         if (codeText) {
           const timestamp = Date.now();
@@ -221,17 +242,156 @@ class SimulationRunner {
     }
   }
 
+  // Clean up generated code (remove markdown code blocks if present)
+  cleanGeneratedCode(text) {
+    let codeText = text || '';
+    const codeBlockPatterns = [
+      /```python\n?/g,
+      /```matlab\n?/g,
+      /```m\n?/g,
+      /```r\n?/g,
+      /```julia\n?/g,
+      /```jl\n?/g,
+      /```octave\n?/g,
+      /```gnuplot\n?/g,
+      /```plt\n?/g,
+      /```dot\n?/g,
+      /```graphviz\n?/g,
+      /```processing\n?/g,
+      /```pde\n?/g,
+      /```\n?/g,
+    ];
+    codeBlockPatterns.forEach(pattern => {
+      codeText = codeText.replace(pattern, '');
+    });
+    return codeText.trim();
+  }
+
+  // 생성 코드가 지켜야 할 출력 규약 - 실행할 때 넘겨주는 OUTPUT_PATH 에만 저장
+  // (Graphviz, Manim 은 실행기가 직접 파일을 쓰므로 규약 없음)
+  getOutputContract(programId) {
+    const program = this.programs[programId] || this.programs.python;
+    if (!program.output.access) {
+      return '';
+    }
+    const [primary, ...alternates] = program.output.extensions;
+    return `OUTPUT CONTRACT: The output file path is provided at run time in ${program.output.access}. ` +
+      `Save the final animation to exactly that path (a ${primary} file, the directory already exists) and do not choose your own file name or directory.` +
+      (alternates.length > 0 ? ` If you can only produce ${alternates.join('/')}, keep the same path and change only the extension.` : '') +
+      ' The run fails if that file is missing, empty, or not a playable animation.';
+  }
+
+  /**
+   * 실행마다 별도 출력 디렉토리 (outputs/simulations/runs/<id>) 와 OUTPUT_PATH 준비
+   * 동시에 실행해도 서로의 결과를 가져가지 않고, 이전 실행의 파일이 결과로 잡히지 않음
+   */
+  createRunOutput(programId) {
+    const program = this.programs[programId];
+    const id = `${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+    const dir = path.join(this.runsDir, id);
+    fs.mkdirSync(dir, { recursive: true });
+    return {
+      id,
+      dir,
+      path: path.join(dir, `output${program.output.extensions[0]}`),
+      extensions: program.output.extensions,
+    };
+  }
+
+  discardRunOutput(output) {
+    fs.rm(output.dir, { recursive: true, force: true }, (error) => {
+      if (error) console.error('[SimulationRunner] 실행 출력 디렉토리 삭제 실패:', output.dir, error.message);
+    });
+  }
+
+  /**
+   * 실행 후 결과 확인 - OUTPUT_PATH (확장자만 다른 경우 포함), 없으면 이 실행의 디렉토리에 남은 결과 파일을 찾아
+   * MediaProbe.validateOutput 으로 검사한 뒤 outputs/simulations 로 옮김
+   * 반환: { success, outputFile, outputPath, url, duration } 또는 { success: false, errorType: 'output_missing' | 'output_invalid' | 'output_unverified', error }
+   */
+  async collectRunOutput(output) {
+    const fail = (errorType, error) => {
+      this.discardRunOutput(output);
+      return { success: false, errorType, error };
+    };
+
+    const expectedName = path.basename(output.path);
+    let filePath = output.extensions
+      .map(extension => path.join(output.dir, `output${extension}`))
+      .find(candidate => fs.existsSync(candidate));
+    let note;
+
+    if (!filePath) {
+      // OUTPUT_PATH 대신 작업 디렉토리에 저장한 경우 (Sandbox.cleanup 이 이 실행의 디렉토리로 옮긴 파일)
+      const files = fs.readdirSync(output.dir)
+        .filter(name => output.extensions.includes(path.extname(name).toLowerCase()))
+        .map(name => ({
+          name,
+          rank: output.extensions.indexOf(path.extname(name).toLowerCase()),
+          size: fs.statSync(path.join(output.dir, name)).size,
+        }))
+        .sort((a, b) => a.rank - b.rank || b.size - a.size);
+      if (files.length === 0) {
+        return fail('output_missing', `No output file was written to OUTPUT_PATH (expected ${expectedName}, accepted: ${output.extensions.join(', ')})`);
+      }
+      filePath = path.join(output.dir, files[0].name);
+      note = `Output was saved as ${files[0].name} instead of OUTPUT_PATH`;
+      console.warn(`[SimulationRunner] ${note}`);
+    }
+
+    const name = path.basename(filePath);
+    const extension = path.extname(filePath).toLowerCase();
+    const check = await MediaProbe.validateOutput(filePath);
+    if (!check.success) {
+      return fail(check.errorType, check.error);
+    }
+    const duration = check.duration;
+
+    const outputFile = `simulation_${output.id}${extension}`;
+    const outputPath = path.join(this.outputDir, outputFile);
+    try {
+      fs.renameSync(filePath, outputPath);
+    } catch (error) {
+      return fail('output_invalid', `Failed to collect output file ${name}: ${error.message}`);
+    }
+    this.discardRunOutput(output);
+
+    const result = { success: true, outputFile, outputPath, url: `/outputs/simulations/${outputFile}`, duration };
+    if (note) {
+      result.note = note;
+    }
+    return result;
+  }
+
+  // 실행 종료 후 결과 확인 - 실패하면 종료 코드와 함께 원인을 반환
+  async finishRun(output, name, code, stdout, stderr) {
+    const result = await this.collectRunOutput(output);
+    if (result.success) {
+      return { ...result, stdout };
+    }
+    return {
+      ...result,
+      error: code === 0 ? result.error : `${name} process exited with code ${code}. ${result.error}`,
+      stdout,
+      stderr,
+    };
+  }
+
   // Execute Python simulation
   async executePython(codePath, options = {}) {
     return new Promise((resolve) => {
       const program = this.programs.python;
-      const outputFilename = `simulation_${Date.now()}.mp4`;
-      const outputPath = path.join(this.outputDir, outputFilename);
+      const output = this.createRunOutput('python');
       
-      const pythonProcess = spawn(program.cmd, [...program.args, codePath], {
-        cwd: path.dirname(codePath),
-        env: { ...process.env, OUTPUT_PATH: outputPath },
+      const run = Sandbox.prepare(codePath, { ...program.sandbox, env: { OUTPUT_PATH: output.path } });
+      if (!run.success) {
+        this.discardRunOutput(output);
+        return resolve(run);
+      }
+
+      const pythonProcess = Sandbox.spawn(run, program.cmd, [...program.args, run.codePath], {
         stdio: ['pipe', 'pipe', 'pipe'], // Windows에서 출력 캡처를 위해 명시적으로 설정
+        signal: options.signal,
       });
 
       let stdout = '';
@@ -240,6 +400,7 @@ class SimulationRunner {
       pythonProcess.stdout.on('data', (data) => {
         stdout += data.toString();
         console.log('Python stdout:', data.toString());
+        JobQueue.appendLog(options.jobId, data.toString());
       });
 
       pythonProcess.stderr.on('data', (data) => {
@@ -247,31 +408,18 @@ class SimulationRunner {
         console.error('Python stderr:', data.toString());
       });
 
-      pythonProcess.on('close', (code) => {
+      pythonProcess.on('close', (code, signal) => {
+        Sandbox.cleanup(run, output.dir);
+        const limitError = Sandbox.getLimitError(run, code, signal, stderr);
+        if (limitError) {
+          this.discardRunOutput(output);
+          return resolve({ ...limitError, stdout, stderr });
+        }
+
         if (code === 0) {
-          const files = fs.readdirSync(this.outputDir);
-          const videoFiles = files.filter(f => 
-            f.endsWith('.mp4') || f.endsWith('.gif') || f.endsWith('.avi')
-          );
-          
-          if (videoFiles.length > 0) {
-            const latestFile = videoFiles.sort().reverse()[0];
-            resolve({
-              success: true,
-              outputFile: latestFile,
-              outputPath: path.join(this.outputDir, latestFile),
-              url: `/outputs/simulations/${latestFile}`,
-              stdout: stdout,
-            });
-          } else {
-            resolve({
-              success: false,
-              error: 'No output file generated',
-              stdout: stdout,
-              stderr: stderr,
-            });
-          }
+          this.finishRun(output, 'Python', code, stdout, stderr).then(resolve);
         } else {
+          this.discardRunOutput(output);
           resolve({
             success: false,
             error: `Python process exited with code ${code}`,
@@ -295,20 +443,22 @@ class SimulationRunner {
   async executeMATLAB(codePath, options = {}) {
     return new Promise((resolve) => {
       const program = this.programs.matlab;
-      const outputFilename = `simulation_${Date.now()}.mp4`;
-      const outputPath = path.join(this.outputDir, outputFilename);
+      const output = this.createRunOutput('matlab');
       
       // MATLAB batch mode: matlab -batch "run('script.m')"
-      const scriptName = path.basename(codePath, '.m');
-      const matlabCommand = `try; cd('${path.dirname(codePath).replace(/\\/g, '/')}'); run('${scriptName}'); catch ME; disp(ME.message); end; exit;`;
+      const run = Sandbox.prepare(codePath, { ...program.sandbox, env: { OUTPUT_PATH: output.path } });
+      if (!run.success) {
+        this.discardRunOutput(output);
+        return resolve(run);
+      }
+
+      const scriptName = path.basename(run.codePath, '.m');
+      const matlabCommand = `try; cd('${run.runDir.replace(/\\/g, '/')}'); run('${scriptName}'); catch ME; disp(ME.message); end; exit;`;
       
-      const matlabProcess = spawn(program.cmd, [
+      const matlabProcess = Sandbox.spawn(run, program.cmd, [
         ...program.args,
         matlabCommand
-      ], {
-        cwd: path.dirname(codePath),
-        env: { ...process.env, OUTPUT_PATH: outputPath },
-      });
+      ], { signal: options.signal });
 
       let stdout = '';
       let stderr = '';
@@ -316,6 +466,7 @@ class SimulationRunner {
       matlabProcess.stdout.on('data', (data) => {
         stdout += data.toString();
         console.log('MATLAB stdout:', data.toString());
+        JobQueue.appendLog(options.jobId, data.toString());
       });
 
       matlabProcess.stderr.on('data', (data) => {
@@ -323,30 +474,16 @@ class SimulationRunner {
         console.error('MATLAB stderr:', data.toString());
       });
 
-      matlabProcess.on('close', (code) => {
-        // MATLAB may return non-zero even on success, so check for output files
-        const files = fs.readdirSync(this.outputDir);
-        const videoFiles = files.filter(f => 
-          f.endsWith('.mp4') || f.endsWith('.avi') || f.endsWith('.mov')
-        );
-        
-        if (videoFiles.length > 0) {
-          const latestFile = videoFiles.sort().reverse()[0];
-          resolve({
-            success: true,
-            outputFile: latestFile,
-            outputPath: path.join(this.outputDir, latestFile),
-            url: `/outputs/simulations/${latestFile}`,
-            stdout: stdout,
-          });
-        } else {
-          resolve({
-            success: false,
-            error: `MATLAB process exited with code ${code}. No output file generated.`,
-            stdout: stdout,
-            stderr: stderr,
-          });
+      matlabProcess.on('close', (code, signal) => {
+        Sandbox.cleanup(run, output.dir);
+        const limitError = Sandbox.getLimitError(run, code, signal, stderr);
+        if (limitError) {
+          this.discardRunOutput(output);
+          return resolve({ ...limitError, stdout, stderr });
         }
+
+        // MATLAB may return non-zero even on success, so check the output file
+        this.finishRun(output, 'MATLAB', code, stdout, stderr).then(resolve);
       });
 
       setTimeout(() => {
@@ -363,25 +500,28 @@ class SimulationRunner {
   async executeBlender(codePath, options = {}) {
     return new Promise((resolve) => {
       const program = this.programs.blender;
-      const timestamp = Date.now();
-      const outputFilename = `simulation_${timestamp}.mp4`;
-      const outputPath = path.join(this.outputDir, outputFilename);
-      const outputDir = path.dirname(outputPath);
-      
-      // Ensure output directory exists
-      if (!fs.existsSync(outputDir)) {
-        fs.mkdirSync(outputDir, { recursive: true });
-      }
+      const output = this.createRunOutput('blender');
       
       // Normalize path for Blender (use forward slashes)
-      const normalizedOutputPath = outputPath.replace(/\\/g, '/');
-      const normalizedCodePath = codePath.replace(/\\/g, '/');
+      const normalizedOutputPath = output.path.replace(/\\/g, '/');
+      const run = Sandbox.prepare(codePath, {
+        ...program.sandbox,
+        env: {
+          OUTPUT_PATH: normalizedOutputPath,
+          BLENDER_OUTPUT_PATH: normalizedOutputPath  // Additional env var for code
+        },
+      });
+      if (!run.success) {
+        this.discardRunOutput(output);
+        return resolve(run);
+      }
+      const normalizedCodePath = run.codePath.replace(/\\/g, '/');
       
       // Blender headless mode with optimized settings
       // --no-window-focus: Don't steal focus
       // --no-sound: Disable sound (faster)
       // --disable-autoexec: Skip startup scripts (faster)
-      const blenderProcess = spawn(program.cmd, [
+      const blenderProcess = Sandbox.spawn(run, program.cmd, [
         '--background',           // Headless mode
         '--no-window-focus',      // Don't steal focus
         '--no-sound',             // Disable sound
@@ -390,14 +530,7 @@ class SimulationRunner {
         '--render-output', normalizedOutputPath,
         '--render-format', 'FFMPEG',
         '--render-anim'
-      ], {
-        cwd: path.dirname(codePath),
-        env: { 
-          ...process.env, 
-          OUTPUT_PATH: normalizedOutputPath,
-          BLENDER_OUTPUT_PATH: normalizedOutputPath  // Additional env var for code
-        },
-      });
+      ], { signal: options.signal });
 
       let stdout = '';
       let stderr = '';
@@ -408,12 +541,17 @@ class SimulationRunner {
       blenderProcess.stdout.on('data', (data) => {
         const text = data.toString();
         stdout += text;
+        JobQueue.appendLog(options.jobId, text);
         
         // Extract render progress if available
         const progressMatch = text.match(/Fra:(\d+)/);
         if (progressMatch) {
           renderProgress = `Rendering frame ${progressMatch[1]}`;
           console.log(`[Blender] ${renderProgress}`);
+          JobQueue.reportProgress(options.jobId, {
+            status: 'rendering',
+            message: renderProgress,
+          });
         } else {
           console.log('[Blender stdout]:', text.trim());
         }
@@ -438,67 +576,35 @@ class SimulationRunner {
         resolve(result);
       };
 
-      blenderProcess.on('close', (code) => {
-        if (resolved) return;
-        
-        // First, check if the expected output file exists
-        if (fs.existsSync(outputPath)) {
-          safeResolve({
-            success: true,
-            outputFile: outputFilename,
-            outputPath: outputPath,
-            url: `/outputs/simulations/${outputFilename}`,
-            stdout: stdout,
-            renderProgress: renderProgress,
-          });
+      blenderProcess.on('close', (code, signal) => {
+        Sandbox.cleanup(run, output.dir);
+        if (resolved) {
+          this.discardRunOutput(output);
+          return;
+        }
+
+        const limitError = Sandbox.getLimitError(run, code, signal, stderr);
+        if (limitError) {
+          this.discardRunOutput(output);
+          safeResolve({ ...limitError, stdout, stderr });
           return;
         }
         
-        // If expected file doesn't exist, search for any video files created around this time
-        const files = fs.readdirSync(this.outputDir);
-        const videoFiles = files
-          .filter(f => {
-            const ext = path.extname(f).toLowerCase();
-            return ['.mp4', '.avi', '.mov', '.mkv'].includes(ext);
-          })
-          .map(f => {
-            const filePath = path.join(this.outputDir, f);
-            const stats = fs.statSync(filePath);
-            return {
-              name: f,
-              path: filePath,
-              time: stats.mtime.getTime(),
-              size: stats.size
-            };
-          })
-          .filter(f => {
-            // Only consider files created around the same time (within 10 seconds)
-            const timeDiff = Math.abs(f.time - timestamp);
-            return timeDiff < 10000 && f.size > 0; // File must have content
-          })
-          .sort((a, b) => b.time - a.time); // Most recent first
-        
-        if (videoFiles.length > 0) {
-          const latestFile = videoFiles[0];
-          safeResolve({
-            success: true,
-            outputFile: latestFile.name,
-            outputPath: latestFile.path,
-            url: `/outputs/simulations/${latestFile.name}`,
-            stdout: stdout,
-            renderProgress: renderProgress,
-            note: 'Output file found with different name',
-          });
-        } else {
+        // Blender 가 프레임 범위를 붙인 이름(output.mp40001-0120.mp4 등)으로 저장해도 이 실행의 디렉토리에서 찾음
+        this.collectRunOutput(output).then((result) => {
+          if (result.success) {
+            safeResolve({ ...result, stdout: stdout, renderProgress: renderProgress });
+            return;
+          }
           safeResolve({
-            success: false,
-            error: `Blender process exited with code ${code}. No output file generated.`,
+            ...result,
+            error: code === 0 ? result.error : `Blender process exited with code ${code}. ${result.error}`,
             stdout: stdout.substring(0, 2000), // Limit stdout size
             stderr: stderr.substring(0, 2000), // Limit stderr size
             exitCode: code,
             renderProgress: renderProgress,
           });
-        }
+        });
       });
 
       blenderProcess.on('error', (error) => {
@@ -537,17 +643,205 @@ class SimulationRunner {
     });
   }
 
+  // Find the Scene class to render in Manim code
+  // options.scene 이 코드에 있으면 사용, 없으면 마지막으로 정의된 Scene 하위 클래스
+  findManimScene(code, preferredScene = null) {
+    const sceneClasses = [];
+    const classPattern = /^class\s+(\w+)\s*\(([^)]*)\)\s*:/gm;
+    let match;
+    while ((match = classPattern.exec(code)) !== null) {
+      if (/Scene\b/.test(match[2])) {
+        sceneClasses.push(match[1]);
+      }
+    }
+
+    if (preferredScene && sceneClasses.includes(preferredScene)) {
+      return preferredScene;
+    }
+    return sceneClasses.length > 0 ? sceneClasses[sceneClasses.length - 1] : null;
+  }
+
+  // Find rendered videos under Manim's media/videos tree (most recent first)
+  findManimVideos(videosDir) {
+    if (!fs.existsSync(videosDir)) {
+      return [];
+    }
+
+    const videos = [];
+    const walk = (dir) => {
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          // 애니메이션별 중간 파일은 제외
+          if (entry.name !== 'partial_movie_files') {
+            walk(entryPath);
+          }
+        } else if (['.mp4', '.mov', '.gif'].includes(path.extname(entry.name).toLowerCase())) {
+          const stats = fs.statSync(entryPath);
+          if (stats.size > 0) {
+            videos.push({ name: entry.name, path: entryPath, time: stats.mtime.getTime() });
+          }
+        }
+      }
+    };
+    walk(videosDir);
+
+    return videos.sort((a, b) => b.time - a.time);
+  }
+
+  // Execute Manim simulation
+  async executeManim(codePath, options = {}) {
+    return new Promise((resolve) => {
+      const program = this.programs.manim;
+
+      const code = fs.readFileSync(codePath, 'utf8');
+      const sceneName = this.findManimScene(code, options.scene);
+      if (!sceneName) {
+        return resolve({
+          success: false,
+          error: 'No Manim Scene class found in generated code',
+        });
+      }
+
+      const output = this.createRunOutput('manim');
+
+      const run = Sandbox.prepare(codePath, { ...program.sandbox, env: { OUTPUT_PATH: output.path } });
+      if (!run.success) {
+        this.discardRunOutput(output);
+        return resolve(run);
+      }
+      // 실행마다 별도 media 디렉토리 사용 (동시 실행 시 결과가 섞이지 않도록)
+      const mediaDir = path.join(run.runDir, 'media');
+
+      const quality = options.quality || process.env.MANIM_QUALITY;
+      const qualityFlag = program.qualityFlags[quality] || program.args[0];
+
+      const manimProcess = Sandbox.spawn(run, program.cmd, [
+        qualityFlag,
+        '--media_dir', mediaDir,
+        '--disable_caching',
+        run.codePath,
+        sceneName,
+      ], { signal: options.signal });
+
+      let stdout = '';
+      let stderr = '';
+      let resolved = false;
+      let renderProgress = '';
+
+      manimProcess.stdout.on('data', (data) => {
+        const text = data.toString();
+        stdout += text;
+        console.log('[Manim stdout]:', text.trim());
+        JobQueue.appendLog(options.jobId, text);
+      });
+
+      // Manim은 애니메이션 진행 표시줄(예: "Animation 2: Create(Circle):  40%")을 stderr로 출력
+      manimProcess.stderr.on('data', (data) => {
+        const text = data.toString();
+        stderr += text;
+        JobQueue.appendLog(options.jobId, text);
+
+        const progressMatch = text.match(/Animation (\d+)/);
+        if (progressMatch) {
+          renderProgress = `Rendering animation ${Number(progressMatch[1]) + 1}`;
+          JobQueue.reportProgress(options.jobId, {
+            status: 'rendering',
+            message: `${sceneName}: ${renderProgress}`,
+          });
+        }
+      });
+
+      let timeoutId;
+      const safeResolve = (result) => {
+        if (resolved) return;
+        resolved = true;
+        if (timeoutId) clearTimeout(timeoutId);
+        // 샌드박스와 실행 출력 디렉토리 정리 (최종 파일은 outputs/simulations 로 옮겨짐)
+        Sandbox.cleanup(run);
+        this.discardRunOutput(output);
+        resolve(result);
+      };
+
+      manimProcess.on('close', (code, signal) => {
+        if (resolved) return;
+
+        const limitError = Sandbox.getLimitError(run, code, signal, stderr);
+        if (limitError) {
+          safeResolve({ ...limitError, scene: sceneName, stdout: stdout.substring(0, 2000), stderr: stderr.substring(0, 2000) });
+          return;
+        }
+
+        const videoFiles = code === 0 ? this.findManimVideos(path.join(mediaDir, 'videos')) : [];
+        if (videoFiles.length === 0) {
+          safeResolve({
+            success: false,
+            error: code === 0
+              ? `Manim finished but no video was found for scene ${sceneName}`
+              : `Manim process exited with code ${code}`,
+            scene: sceneName,
+            stdout: stdout.substring(0, 2000),
+            stderr: stderr.substring(0, 2000),
+            exitCode: code,
+          });
+          return;
+        }
+
+        // 렌더된 영상을 OUTPUT_PATH 로 복사한 뒤 다른 실행기와 같은 방식으로 확인
+        const rendered = videoFiles[0];
+        try {
+          fs.copyFileSync(rendered.path, path.join(output.dir, `output${path.extname(rendered.name).toLowerCase()}`));
+        } catch (error) {
+          safeResolve({
+            success: false,
+            error: `Failed to collect Manim output: ${error.message}`,
+            stdout: stdout.substring(0, 2000),
+          });
+          return;
+        }
+
+        this.collectRunOutput(output).then((result) => {
+          safeResolve(result.success
+            ? { ...result, scene: sceneName, stdout: stdout, renderProgress: renderProgress }
+            : { ...result, scene: sceneName, stdout: stdout.substring(0, 2000), stderr: stderr.substring(0, 2000), exitCode: code });
+        });
+      });
+
+      manimProcess.on('error', (error) => {
+        safeResolve({
+          success: false,
+          error: `Failed to start Manim: ${error.message}`,
+          suggestion: 'Install Manim Community Edition (pip install manim) or set MANIM_PATH',
+        });
+      });
+
+      timeoutId = setTimeout(() => {
+        if (resolved) return;
+        console.warn('[Manim] Execution timeout, terminating process...');
+        manimProcess.kill('SIGTERM');
+        safeResolve({
+          success: false,
+          error: 'Manim execution timeout (10 minutes)',
+          stdout: stdout.substring(0, 2000),
+          stderr: stderr.substring(0, 2000),
+        });
+      }, 10 * 60 * 1000);
+    });
+  }
+
   // Execute R simulation
   async executeR(codePath, options = {}) {
     return new Promise((resolve) => {
       const program = this.programs.r;
-      const outputFilename = `simulation_${Date.now()}.mp4`;
-      const outputPath = path.join(this.outputDir, outputFilename);
+      const output = this.createRunOutput('r');
       
-      const rProcess = spawn(program.cmd, [codePath], {
-        cwd: path.dirname(codePath),
-        env: { ...process.env, OUTPUT_PATH: outputPath },
-      });
+      const run = Sandbox.prepare(codePath, { ...program.sandbox, env: { OUTPUT_PATH: output.path } });
+      if (!run.success) {
+        this.discardRunOutput(output);
+        return resolve(run);
+      }
+
+      const rProcess = Sandbox.spawn(run, program.cmd, [run.codePath], { signal: options.signal });
 
       let stdout = '';
       let stderr = '';
@@ -555,6 +849,7 @@ class SimulationRunner {
       rProcess.stdout.on('data', (data) => {
         stdout += data.toString();
         console.log('R stdout:', data.toString());
+        JobQueue.appendLog(options.jobId, data.toString());
       });
 
       rProcess.stderr.on('data', (data) => {
@@ -562,29 +857,15 @@ class SimulationRunner {
         console.error('R stderr:', data.toString());
       });
 
-      rProcess.on('close', (code) => {
-        const files = fs.readdirSync(this.outputDir);
-        const videoFiles = files.filter(f => 
-          f.endsWith('.mp4') || f.endsWith('.gif') || f.endsWith('.avi')
-        );
-        
-        if (videoFiles.length > 0) {
-          const latestFile = videoFiles.sort().reverse()[0];
-          resolve({
-            success: true,
-            outputFile: latestFile,
-            outputPath: path.join(this.outputDir, latestFile),
-            url: `/outputs/simulations/${latestFile}`,
-            stdout: stdout,
-          });
-        } else {
-          resolve({
-            success: false,
-            error: `R process exited with code ${code}. No output file generated.`,
-            stdout: stdout,
-            stderr: stderr,
-          });
+      rProcess.on('close', (code, signal) => {
+        Sandbox.cleanup(run, output.dir);
+        const limitError = Sandbox.getLimitError(run, code, signal, stderr);
+        if (limitError) {
+          this.discardRunOutput(output);
+          return resolve({ ...limitError, stdout, stderr });
         }
+
+        this.finishRun(output, 'R', code, stdout, stderr).then(resolve);
       });
 
       setTimeout(() => {
@@ -601,13 +882,15 @@ class SimulationRunner {
   async executeJulia(codePath, options = {}) {
     return new Promise((resolve) => {
       const program = this.programs.julia;
-      const outputFilename = `simulation_${Date.now()}.mp4`;
-      const outputPath = path.join(this.outputDir, outputFilename);
+      const output = this.createRunOutput('julia');
       
-      const juliaProcess = spawn(program.cmd, [codePath], {
-        cwd: path.dirname(codePath),
-        env: { ...process.env, OUTPUT_PATH: outputPath },
-      });
+      const run = Sandbox.prepare(codePath, { ...program.sandbox, env: { OUTPUT_PATH: output.path } });
+      if (!run.success) {
+        this.discardRunOutput(output);
+        return resolve(run);
+      }
+
+      const juliaProcess = Sandbox.spawn(run, program.cmd, [run.codePath], { signal: options.signal });
 
       let stdout = '';
       let stderr = '';
@@ -615,6 +898,7 @@ class SimulationRunner {
       juliaProcess.stdout.on('data', (data) => {
         stdout += data.toString();
         console.log('Julia stdout:', data.toString());
+        JobQueue.appendLog(options.jobId, data.toString());
       });
 
       juliaProcess.stderr.on('data', (data) => {
@@ -622,29 +906,15 @@ class SimulationRunner {
         console.error('Julia stderr:', data.toString());
       });
 
-      juliaProcess.on('close', (code) => {
-        const files = fs.readdirSync(this.outputDir);
-        const videoFiles = files.filter(f => 
-          f.endsWith('.mp4') || f.endsWith('.gif') || f.endsWith('.avi')
-        );
-        
-        if (videoFiles.length > 0) {
-          const latestFile = videoFiles.sort().reverse()[0];
-          resolve({
-            success: true,
-            outputFile: latestFile,
-            outputPath: path.join(this.outputDir, latestFile),
-            url: `/outputs/simulations/${latestFile}`,
-            stdout: stdout,
-          });
-        } else {
-          resolve({
-            success: false,
-            error: `Julia process exited with code ${code}. No output file generated.`,
-            stdout: stdout,
-            stderr: stderr,
-          });
+      juliaProcess.on('close', (code, signal) => {
+        Sandbox.cleanup(run, output.dir);
+        const limitError = Sandbox.getLimitError(run, code, signal, stderr);
+        if (limitError) {
+          this.discardRunOutput(output);
+          return resolve({ ...limitError, stdout, stderr });
         }
+
+        this.finishRun(output, 'Julia', code, stdout, stderr).then(resolve);
       });
 
       setTimeout(() => {
@@ -661,19 +931,21 @@ class SimulationRunner {
   async executeOctave(codePath, options = {}) {
     return new Promise((resolve) => {
       const program = this.programs.octave;
-      const outputFilename = `simulation_${Date.now()}.mp4`;
-      const outputPath = path.join(this.outputDir, outputFilename);
+      const output = this.createRunOutput('octave');
       
-      const scriptName = path.basename(codePath);
+      const run = Sandbox.prepare(codePath, { ...program.sandbox, env: { OUTPUT_PATH: output.path } });
+      if (!run.success) {
+        this.discardRunOutput(output);
+        return resolve(run);
+      }
+
+      const scriptName = path.basename(run.codePath);
       const octaveCommand = `run('${scriptName}')`;
       
-      const octaveProcess = spawn(program.cmd, [
+      const octaveProcess = Sandbox.spawn(run, program.cmd, [
         ...program.args,
         '--eval', octaveCommand
-      ], {
-        cwd: path.dirname(codePath),
-        env: { ...process.env, OUTPUT_PATH: outputPath },
-      });
+      ], { signal: options.signal });
 
       let stdout = '';
       let stderr = '';
@@ -681,6 +953,7 @@ class SimulationRunner {
       octaveProcess.stdout.on('data', (data) => {
         stdout += data.toString();
         console.log('Octave stdout:', data.toString());
+        JobQueue.appendLog(options.jobId, data.toString());
       });
 
       octaveProcess.stderr.on('data', (data) => {
@@ -688,29 +961,15 @@ class SimulationRunner {
         console.error('Octave stderr:', data.toString());
       });
 
-      octaveProcess.on('close', (code) => {
-        const files = fs.readdirSync(this.outputDir);
-        const videoFiles = files.filter(f => 
-          f.endsWith('.mp4') || f.endsWith('.gif') || f.endsWith('.avi')
-        );
-        
-        if (videoFiles.length > 0) {
-          const latestFile = videoFiles.sort().reverse()[0];
-          resolve({
-            success: true,
-            outputFile: latestFile,
-            outputPath: path.join(this.outputDir, latestFile),
-            url: `/outputs/simulations/${latestFile}`,
-            stdout: stdout,
-          });
-        } else {
-          resolve({
-            success: false,
-            error: `Octave process exited with code ${code}. No output file generated.`,
-            stdout: stdout,
-            stderr: stderr,
-          });
+      octaveProcess.on('close', (code, signal) => {
+        Sandbox.cleanup(run, output.dir);
+        const limitError = Sandbox.getLimitError(run, code, signal, stderr);
+        if (limitError) {
+          this.discardRunOutput(output);
+          return resolve({ ...limitError, stdout, stderr });
         }
+
+        this.finishRun(output, 'Octave', code, stdout, stderr).then(resolve);
       });
 
       setTimeout(() => {
@@ -727,13 +986,16 @@ class SimulationRunner {
   async executeGnuplot(codePath, options = {}) {
     return new Promise((resolve) => {
       const program = this.programs.gnuplot;
-      const outputFilename = `simulation_${Date.now()}.gif`;
-      const outputPath = path.join(this.outputDir, outputFilename);
+      const output = this.createRunOutput('gnuplot');
       
-      const gnuplotProcess = spawn(program.cmd, ['-c', codePath], {
-        cwd: path.dirname(codePath),
-        env: { ...process.env, OUTPUT_PATH: outputPath },
-      });
+      const run = Sandbox.prepare(codePath, { ...program.sandbox, env: { OUTPUT_PATH: output.path } });
+      if (!run.success) {
+        this.discardRunOutput(output);
+        return resolve(run);
+      }
+
+      // 스크립트에서 ARG1 으로 출력 경로 사용 (gnuplot 은 환경 변수를 읽는 함수가 없음)
+      const gnuplotProcess = Sandbox.spawn(run, program.cmd, ['-c', run.codePath, output.path], { signal: options.signal });
 
       let stdout = '';
       let stderr = '';
@@ -741,6 +1003,7 @@ class SimulationRunner {
       gnuplotProcess.stdout.on('data', (data) => {
         stdout += data.toString();
         console.log('Gnuplot stdout:', data.toString());
+        JobQueue.appendLog(options.jobId, data.toString());
       });
 
       gnuplotProcess.stderr.on('data', (data) => {
@@ -748,29 +1011,15 @@ class SimulationRunner {
         console.error('Gnuplot stderr:', data.toString());
       });
 
-      gnuplotProcess.on('close', (code) => {
-        const files = fs.readdirSync(this.outputDir);
-        const outputFiles = files.filter(f => 
-          f.endsWith('.gif') || f.endsWith('.png') || f.endsWith('.mp4')
-        );
-        
-        if (outputFiles.length > 0) {
-          const latestFile = outputFiles.sort().reverse()[0];
-          resolve({
-            success: true,
-            outputFile: latestFile,
-            outputPath: path.join(this.outputDir, latestFile),
-            url: `/outputs/simulations/${latestFile}`,
-            stdout: stdout,
-          });
-        } else {
-          resolve({
-            success: false,
-            error: `Gnuplot process exited with code ${code}. No output file generated.`,
-            stdout: stdout,
-            stderr: stderr,
-          });
+      gnuplotProcess.on('close', (code, signal) => {
+        Sandbox.cleanup(run, output.dir);
+        const limitError = Sandbox.getLimitError(run, code, signal, stderr);
+        if (limitError) {
+          this.discardRunOutput(output);
+          return resolve({ ...limitError, stdout, stderr });
         }
+
+        this.finishRun(output, 'Gnuplot', code, stdout, stderr).then(resolve);
       });
 
       setTimeout(() => {
@@ -787,17 +1036,19 @@ class SimulationRunner {
   async executeGraphviz(codePath, options = {}) {
     return new Promise((resolve) => {
       const program = this.programs.graphviz;
-      const outputFilename = `simulation_${Date.now()}.png`;
-      const outputPath = path.join(this.outputDir, outputFilename);
+      const output = this.createRunOutput('graphviz');
       
-      const graphvizProcess = spawn(program.cmd, [
+      const run = Sandbox.prepare(codePath, { ...program.sandbox, env: { OUTPUT_PATH: output.path } });
+      if (!run.success) {
+        this.discardRunOutput(output);
+        return resolve(run);
+      }
+
+      const graphvizProcess = Sandbox.spawn(run, program.cmd, [
         '-Tpng',
-        '-o', outputPath,
-        codePath
-      ], {
-        cwd: path.dirname(codePath),
-        env: { ...process.env, OUTPUT_PATH: outputPath },
-      });
+        '-o', output.path,
+        run.codePath
+      ], { signal: options.signal });
 
       let stdout = '';
       let stderr = '';
@@ -805,6 +1056,7 @@ class SimulationRunner {
       graphvizProcess.stdout.on('data', (data) => {
         stdout += data.toString();
         console.log('Graphviz stdout:', data.toString());
+        JobQueue.appendLog(options.jobId, data.toString());
       });
 
       graphvizProcess.stderr.on('data', (data) => {
@@ -812,16 +1064,18 @@ class SimulationRunner {
         console.error('Graphviz stderr:', data.toString());
       });
 
-      graphvizProcess.on('close', (code) => {
-        if (code === 0 && fs.existsSync(outputPath)) {
-          resolve({
-            success: true,
-            outputFile: outputFilename,
-            outputPath: outputPath,
-            url: `/outputs/simulations/${outputFilename}`,
-            stdout: stdout,
-          });
+      graphvizProcess.on('close', (code, signal) => {
+        Sandbox.cleanup(run, output.dir);
+        const limitError = Sandbox.getLimitError(run, code, signal, stderr);
+        if (limitError) {
+          this.discardRunOutput(output);
+          return resolve({ ...limitError, stdout, stderr });
+        }
+
+        if (code === 0) {
+          this.finishRun(output, 'Graphviz', code, stdout, stderr).then(resolve);
         } else {
+          this.discardRunOutput(output);
           resolve({
             success: false,
             error: `Graphviz process exited with code ${code}. No output file generated.`,
@@ -845,16 +1099,26 @@ class SimulationRunner {
   async executeProcessing(codePath, options = {}) {
     return new Promise((resolve) => {
       const program = this.programs.processing;
-      const outputFilename = `simulation_${Date.now()}.mp4`;
-      const outputPath = path.join(this.outputDir, outputFilename);
+      const output = this.createRunOutput('processing');
       
-      const sketchDir = path.dirname(codePath);
-      const processingProcess = spawn(program.cmd, [
+      // processing-java 는 스케치 디렉토리 이름과 .pde 파일 이름이 같아야 함
+      const run = Sandbox.prepare(codePath, {
+        ...program.sandbox,
+        env: { OUTPUT_PATH: output.path },
+        subdir: path.basename(codePath, program.extension),
+      });
+      if (!run.success) {
+        this.discardRunOutput(output);
+        return resolve(run);
+      }
+
+      const sketchDir = path.dirname(run.codePath);
+      const processingProcess = Sandbox.spawn(run, program.cmd, [
         '--sketch=' + sketchDir,
         '--run'
       ], {
         cwd: sketchDir,
-        env: { ...process.env, OUTPUT_PATH: outputPath },
+        signal: options.signal,
       });
 
       let stdout = '';
@@ -863,6 +1127,7 @@ class SimulationRunner {
       processingProcess.stdout.on('data', (data) => {
         stdout += data.toString();
         console.log('Processing stdout:', data.toString());
+        JobQueue.appendLog(options.jobId, data.toString());
       });
 
       processingProcess.stderr.on('data', (data) => {
@@ -870,29 +1135,15 @@ class SimulationRunner {
         console.error('Processing stderr:', data.toString());
       });
 
-      processingProcess.on('close', (code) => {
-        const files = fs.readdirSync(this.outputDir);
-        const videoFiles = files.filter(f => 
-          f.endsWith('.mp4') || f.endsWith('.gif') || f.endsWith('.avi')
-        );
-        
-        if (videoFiles.length > 0) {
-          const latestFile = videoFiles.sort().reverse()[0];
-          resolve({
-            success: true,
-            outputFile: latestFile,
-            outputPath: path.join(this.outputDir, latestFile),
-            url: `/outputs/simulations/${latestFile}`,
-            stdout: stdout,
-          });
-        } else {
-          resolve({
-            success: false,
-            error: `Processing process exited with code ${code}. No output file generated.`,
-            stdout: stdout,
-            stderr: stderr,
-          });
+      processingProcess.on('close', (code, signal) => {
+        Sandbox.cleanup(run, output.dir);
+        const limitError = Sandbox.getLimitError(run, code, signal, stderr);
+        if (limitError) {
+          this.discardRunOutput(output);
+          return resolve({ ...limitError, stdout, stderr });
         }
+
+        this.finishRun(output, 'Processing', code, stdout, stderr).then(resolve);
       });
 
       setTimeout(() => {
@@ -909,43 +1160,108 @@ class SimulationRunner {
   async executeSimulationViaMCP(codePath, programId, options = {}) {
     const code = fs.readFileSync(codePath, 'utf8');
     
-    // Program to MCP connection mapping
-    const mcpMap = {
-      python: pythonMCP,
-      matlab: matlabMCP,
-      octave: octaveMCP, // GNU Octave (MATLAB 대체)
-      manim: manimMCP,
-    };
+    // 등록된 서버 중 하나를 골라 실행, 연결 실패/시간 초과면 다음 서버로 장애 조치
+    // 모든 서버가 실패하면 throw -> 로컬 실행으로 폴백
+    const { result: toolResult, endpoint } = await MCPRegistry.callTool(programId, 'execute_code', {
+      code: code,
+      options: { quality: options.quality, scene: options.scene }
+    }, { signal: options.signal });
+    console.log(`[SimulationRunner] Executed ${programId} via MCP ${endpoint.id} (${endpoint.target})`);
     
-    const mcpConnection = mcpMap[programId];
-    if (!mcpConnection) {
-      throw new Error(`No MCP connection configured for ${programId}`);
+    const result = MCPConnection.toResult(toolResult);
+    if (!result.success) {
+      return result;
     }
-    
-    console.log(`[SimulationRunner] Using MCP for ${programId} via ${mcpConnection.config.endpoint}`);
-    
-    // Execute via MCP
-    const result = await mcpConnection.executeCommand('execute', {
-      code: code,
-      options: options
+    // 결과 파일을 가져오지 못하면 throw -> 로컬 실행으로 폴백
+    return this.storeMCPOutput(result, endpoint);
+  }
+
+  hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
     });
-    
-    return result;
+  }
+
+  /**
+   * MCP 서버의 결과 파일을 outputs/simulations 에 저장하고 로컬 실행과 같은 형식으로 반환
+   * 파일 시스템을 공유하면(같은 경로에 같은 sha256) 그대로 사용, 아니면 artifactId 로 가져와 sha256 확인
+   * 가져온 파일은 로컬 실행과 같은 검사(MediaProbe.validateOutput)를 통과해야 성공
+   */
+  async storeMCPOutput(result, endpoint) {
+    const artifact = result.artifact;
+    if (!artifact) {
+      // artifact 를 돌려주지 않는 이전 서버는 파일 시스템을 공유할 때만 사용 가능
+      if (result.outputPath && fs.existsSync(result.outputPath)) {
+        return this.validateMCPOutput(result, result.outputPath);
+      }
+      throw new Error(`MCP server ${endpoint.id} returned no transferable output`);
+    }
+
+    const sharedPath = result.outputPath ? path.resolve(result.outputPath) : null;
+    if (sharedPath && path.dirname(sharedPath) === path.resolve(this.outputDir) && fs.existsSync(sharedPath)
+      && fs.statSync(sharedPath).size === artifact.size && await this.hashFile(sharedPath) === artifact.sha256) {
+      return this.validateMCPOutput({
+        ...result,
+        transfer: { endpoint: endpoint.id, artifactId: artifact.artifactId, method: 'shared', size: artifact.size, sha256: artifact.sha256 },
+      }, sharedPath);
+    }
+
+    const filename = `simulation_${Date.now()}_${artifact.artifactId.slice(0, 8)}${path.extname(artifact.name || '') || '.mp4'}`;
+    const localPath = path.join(this.outputDir, filename);
+    const transfer = await MCPRegistry.downloadArtifact(endpoint.id, artifact, localPath);
+    console.log(`[SimulationRunner] Transferred ${artifact.name} (${transfer.size} bytes, sha256 ok) from ${endpoint.id} via ${transfer.method}`);
+
+    return this.validateMCPOutput({
+      ...result,
+      outputFile: filename,
+      outputPath: localPath,
+      url: `/outputs/simulations/${filename}`,
+      transfer: { endpoint: endpoint.id, artifactId: artifact.artifactId, method: transfer.method, size: transfer.size, sha256: transfer.sha256, remoteUrl: result.url },
+    }, localPath);
+  }
+
+  // MCP 결과도 로컬 실행과 같은 검사 - 실패하면 파일을 지우고 로컬 실행과 같은 실패 결과로 반환 (로컬 실행으로 대체하지 않음)
+  async validateMCPOutput(result, filePath) {
+    const check = await MediaProbe.validateOutput(filePath);
+    if (!check.success) {
+      console.warn(`[SimulationRunner] MCP output rejected: ${check.error}`);
+      fs.rm(filePath, { force: true }, () => {});
+      const { outputFile, outputPath, url, duration, ...rest } = result;
+      return { ...rest, success: false, errorType: check.errorType, error: check.error };
+    }
+    return { ...result, duration: check.duration };
+  }
+
+  // 작업이 취소되었으면 결과 객체 반환 (아니면 null) - options.signal 은 JobQueue 작업의 signal
+  getCancelledResult(options = {}) {
+    if (options.signal && options.signal.aborted) {
+      return { success: false, errorType: 'cancelled', error: 'Simulation cancelled' };
+    }
+    return null;
   }
 
   // Main execution method - routes to appropriate executor
   async executeSimulation(codePath, programId, options = {}) {
+    const cancelled = this.getCancelledResult(options);
+    if (cancelled) {
+      return cancelled;
+    }
+
     // Check if MCP mode is enabled
     const useMCP = process.env.USE_MCP_SIMULATION === 'true' || options.useMCP === true;
     
-    // MCP supported programs
-    const mcpSupportedPrograms = ['python', 'matlab', 'octave', 'manim'];
-    
-    // Use MCP if enabled and program is supported
-    if (useMCP && mcpSupportedPrograms.includes(programId)) {
+    // Use MCP if enabled and servers are registered for the program
+    if (useMCP && MCPRegistry.getPrograms().includes(programId)) {
       try {
         return await this.executeSimulationViaMCP(codePath, programId, options);
       } catch (error) {
+        if (this.getCancelledResult(options)) {
+          return this.getCancelledResult(options);
+        }
         console.error(`[SimulationRunner] MCP execution failed for ${programId}:`, error.message);
         console.log(`[SimulationRunner] Falling back to local execution`);
         // Fall through to local execution
@@ -956,6 +1272,10 @@ class SimulationRunner {
     switch (programId) {
       case 'matlab':
         return this.executeMATLAB(codePath, options);
+      case 'blender':
+        return this.executeBlender(codePath, options);
+      case 'manim':
+        return this.executeManim(codePath, options);
       case 'r':
         return this.executeR(codePath, options);
       case 'julia':
@@ -974,27 +1294,431 @@ class SimulationRunner {
     }
   }
 
+  // Number of repair attempts for this run (request option overrides SIMULATION_REPAIR_ATTEMPTS)
+  getRepairAttempts(options = {}) {
+    const requested = parseInt(options.repairAttempts, 10);
+    const attempts = Number.isNaN(requested) ? this.repairAttempts : requested;
+    return Math.max(0, Math.min(attempts, this.maxRepairAttempts));
+  }
+
+  // 자동 수정 대상 - 코드 오류(비정상 종료, 출력 없음, 샌드박스 위반)만 재시도
+  // 시간 초과와 리소스 제한은 재시도해도 같은 시간이 다시 걸리므로 제외, 취소된 작업과 ffprobe 가 없어 확인하지 못한 결과도 제외
+  isRepairable(execResult) {
+    if (!execResult || execResult.success) return false;
+    if (['resource_limit', 'cancelled', 'output_unverified'].includes(execResult.errorType)) return false;
+    return !/timeout/i.test(execResult.error || '');
+  }
+
+  // Ask the model to fix failing code, save the fixed code as a new file
+  async repairSimulationCode(conversationHistory, codeResult, execResult, programId, attempt, options = {}) {
+    const program = this.programs[programId] || this.programs.python;
+    const outputContract = this.getOutputContract(programId);
+    const failure = [
+      `Error: ${execResult.error || 'Unknown error'}`,
+      execResult.violations ? `Sandbox violations:\n${execResult.violations.map(v => `line ${v.line}: ${v.message}`).join('\n')}` : '',
+      execResult.stderr ? `stderr (last 4000 chars):\n${String(execResult.stderr).slice(-4000)}` : '',
+      execResult.stdout ? `stdout (last 2000 chars):\n${String(execResult.stdout).slice(-2000)}` : '',
+    ].filter(Boolean).join('\n\n');
+
+    const messages = [
+      {
+        role: 'system',
+        content: `You fix ${program.name} simulation code that failed to run.\n` +
+          'Keep the simulation the user asked for, change only what is needed to make it run and produce the output file.\n' +
+          (outputContract ? `${outputContract}\n` : '') +
+          'Do not use shell commands, subprocesses or network access.\n' +
+          `Return only the complete fixed ${program.name} code, no explanations.`,
+      },
+      ...conversationHistory.map(msg => ({
+        role: msg.role,
+        content: msg.content,
+      })),
+      {
+        role: 'user',
+        content: `The following ${program.name} code failed (repair attempt ${attempt}).\n\n` +
+          `Code:\n${codeResult.code}\n\n${failure}\n\nReturn the fixed code.`,
+      },
+    ];
+
+    try {
+      const resp = await LocalAIApi.createResponse({
+        input: messages,
+        model: options.model,
+        tool: 'simulation',
+      }, { signal: options.signal });
+      const codeText = resp && resp.success ? this.cleanGeneratedCode(LocalAIApi.extractText(resp)) : '';
+      if (!codeText) {
+        return { success: false, error: resp?.error || 'Failed to generate fixed code' };
+      }
+
+      const baseName = path.basename(codeResult.originalFilename || codeResult.filename, program.extension);
+      const filename = `${baseName}_fix${attempt}${program.extension}`;
+      const filepath = path.join(this.codeDir, filename);
+      fs.writeFileSync(filepath, codeText, 'utf8');
+
+      return {
+        ...codeResult,
+        success: true,
+        code: codeText,
+        filename,
+        filepath,
+        originalFilename: codeResult.originalFilename || codeResult.filename,
+      };
+    } catch (error) {
+      console.error('[SimulationRunner] Code repair error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // 시도별 실행 로그와 이전 코드 대비 diff 저장 (outputs/simulations/code)
+  saveRepairAttempt(attempt, codeResult, execResult, previousCode = null) {
+    const baseName = path.basename(codeResult.filename, path.extname(codeResult.filename));
+    const record = {
+      attempt,
+      codeFile: codeResult.filename,
+      codeUrl: `/outputs/simulations/code/${codeResult.filename}`,
+      success: !!execResult.success,
+      error: execResult.success ? null : execResult.error,
+      errorType: execResult.errorType || null,
+    };
+
+    try {
+      const log = [
+        `# Attempt ${attempt}: ${execResult.success ? 'success' : `failed - ${execResult.error}`}`,
+        '',
+        '## stdout',
+        execResult.stdout || '',
+        '',
+        '## stderr',
+        execResult.stderr || '',
+      ].join('\n');
+      fs.writeFileSync(path.join(this.codeDir, `${baseName}.log`), log, 'utf8');
+      record.logUrl = `/outputs/simulations/code/${baseName}.log`;
+
+      if (previousCode !== null) {
+        const diff = this.diffCode(previousCode, codeResult.code, `attempt${attempt - 1}`, `attempt${attempt}`);
+        fs.writeFileSync(path.join(this.codeDir, `${baseName}.diff`), diff, 'utf8');
+        record.diffUrl = `/outputs/simulations/code/${baseName}.diff`;
+        record.diff = diff.length > 20000 ? diff.substring(0, 20000) + '\n... (truncated)' : diff;
+      }
+    } catch (error) {
+      console.error('[SimulationRunner] Failed to save repair attempt:', error.message);
+    }
+    return record;
+  }
+
+  // Unified diff (line based LCS, 3 lines of context)
+  diffCode(before, after, fromLabel = 'before', toLabel = 'after') {
+    const a = String(before).split('\n');
+    const b = String(after).split('\n');
+    const header = `--- ${fromLabel}\n+++ ${toLabel}\n`;
+
+    // 너무 큰 파일은 전체 교체로 표시
+    if (a.length * b.length > 4000000) {
+      return header + `@@ -1,${a.length} +1,${b.length} @@\n` +
+        a.map(l => '-' + l).concat(b.map(l => '+' + l)).join('\n') + '\n';
+    }
+
+    // lcs[i][j] = a[i..], b[j..] 의 최장 공통 부분 길이
+    const width = b.length + 1;
+    const lcs = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i * width + j] = a[i] === b[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        ops.push({ type: ' ', line: a[i], aIndex: i++, bIndex: j++ });
+      } else if (i < a.length && (j >= b.length || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+        ops.push({ type: '-', line: a[i], aIndex: i++, bIndex: j });
+      } else {
+        ops.push({ type: '+', line: b[j], aIndex: i, bIndex: j++ });
+      }
+    }
+
+    const context = 3;
+    const hunks = [];
+    let current = null;
+    ops.forEach((op, index) => {
+      if (op.type === ' ') return;
+      const start = Math.max(0, index - context);
+      if (current && start <= current.end) {
+        current.end = Math.min(ops.length, index + context + 1);
+      } else {
+        current = { start, end: Math.min(ops.length, index + context + 1) };
+        hunks.push(current);
+      }
+    });
+
+    if (hunks.length === 0) {
+      return header;
+    }
+
+    return header + hunks.map(hunk => {
+      const lines = ops.slice(hunk.start, hunk.end);
+      const first = lines[0];
+      const aCount = lines.filter(op => op.type !== '+').length;
+      const bCount = lines.filter(op => op.type !== '-').length;
+      const range = `@@ -${first.aIndex + (aCount ? 1 : 0)},${aCount} +${first.bIndex + (bCount ? 1 : 0)},${bCount} @@`;
+      return [range, ...lines.map(op => op.type + op.line)].join('\n');
+    }).join('\n') + '\n';
+  }
+
   // Main method: generate code and run simulation
+  // options.onProgress 가 있으면 진행 상황을 작업 대신 콜백으로 보고 (세그먼트별 생성에서 전체 진행률로 환산)
   async generateAndRun(conversationHistory, options = {}) {
+    const reportProgress = options.onProgress || (progress => JobQueue.reportProgress(options.jobId, progress));
+
     // Step 1: Detect or use specified program
     const programId = options.program || this.detectProgram(conversationHistory);
     
     // Step 2: Generate code
+    reportProgress({
+      status: 'generating_code',
+      message: `Generating ${this.programs[programId]?.name || programId} code...`,
+      progress: 10,
+    });
     const codeResult = await this.generateSimulationCode(conversationHistory, programId, options);
     
     if (!codeResult.success) {
-      return codeResult;
+      return this.getCancelledResult(options) || codeResult;
     }
 
     // Step 3: Execute code
-    const execResult = await this.executeSimulation(codeResult.filepath, programId, options);
+    reportProgress({
+      status: 'executing',
+      message: `Running ${codeResult.programName} simulation...`,
+      progress: 30,
+    });
+    let execResult = await this.executeSimulation(codeResult.filepath, programId, options);
+
+    // Step 4: Repair loop - 실패한 코드와 오류를 AI에 보내 수정 후 재실행
+    const maxRepairAttempts = this.getRepairAttempts(options);
+    let currentCode = codeResult;
+    const attempts = [];
+    if (maxRepairAttempts > 0) {
+      attempts.push(this.saveRepairAttempt(0, currentCode, execResult));
+    }
+
+    for (let attempt = 1; attempt <= maxRepairAttempts && this.isRepairable(execResult); attempt++) {
+      console.log(`[SimulationRunner] Execution failed, repair attempt ${attempt}/${maxRepairAttempts}:`, execResult.error);
+      reportProgress({
+        status: 'repairing',
+        message: `Fixing ${codeResult.programName} code (attempt ${attempt}/${maxRepairAttempts})...`,
+        progress: 30 + Math.round((attempt / (maxRepairAttempts + 1)) * 60),
+      });
+
+      const fixedCode = await this.repairSimulationCode(conversationHistory, currentCode, execResult, programId, attempt, options);
+      if (this.getCancelledResult(options)) {
+        execResult = this.getCancelledResult(options);
+        break;
+      }
+      if (!fixedCode.success) {
+        console.error('[SimulationRunner] Code repair failed:', fixedCode.error);
+        break;
+      }
+
+      const previousCode = currentCode.code;
+      currentCode = fixedCode;
+      execResult = await this.executeSimulation(currentCode.filepath, programId, options);
+      attempts.push(this.saveRepairAttempt(attempt, currentCode, execResult, previousCode));
+    }
     
     return {
       ...execResult,
-      code: codeResult.code,
-      codeFile: codeResult.filename,
+      code: currentCode.code,
+      codeFile: currentCode.filename,
       program: programId,
       programName: codeResult.programName,
+      ...(attempts.length > 0 ? { repairAttempts: attempts } : {}),
+    };
+  }
+
+  // 세그먼트 내레이션 길이 (durations: Map(segmentId -> 측정한 오디오 길이), 없으면 대본 시간)
+  getSegmentDuration(segment, durations = null) {
+    const measured = durations && durations.get(segment.id);
+    if (measured > 0) return measured;
+    const scripted = Number(segment.endTime) - Number(segment.startTime);
+    return scripted > 0 ? scripted : Math.max(2, Math.ceil(String(segment.text || '').length * 0.3));
+  }
+
+  /**
+   * Ask the model which segments of a structured script need a simulation
+   * 이미 visual 이 있는 세그먼트는 제외
+   * 반환: { success, plan: [{ segmentId, description }] }
+   */
+  async planSegmentSimulations(scriptData, conversationHistory = [], options = {}) {
+    const candidates = scriptData.segments.filter(segment => !segment.visual);
+    if (candidates.length === 0) {
+      return { success: true, plan: [] };
+    }
+
+    const limit = Math.max(1, Math.min(parseInt(options.maxSimulations, 10) || this.maxBatchSimulations, candidates.length));
+    const listing = candidates
+      .map(segment => `- ${segment.id} (${this.getSegmentDuration(segment, options.durations).toFixed(1)}s): ${SpeechMarkup.stripMarkup(segment.text)}`)
+      .join('\n');
+    const messages = [
+      {
+        role: 'system',
+        content: 'You plan visualizations for an educational video.\n' +
+          'Given the narration segments of a script, choose the segments where a simulation or animation ' +
+          '(plot, physical system, algorithm, phase portrait, ...) would help the viewer understand the narration.\n' +
+          'Skip greetings, summaries and segments that do not describe something that can be simulated.\n' +
+          'Return ONLY JSON: {"segments": [{"segmentId": "segment id", "description": "what the simulation should show"}]}',
+      },
+      ...conversationHistory.map(msg => ({
+        role: msg.role,
+        content: msg.content,
+      })),
+      {
+        role: 'user',
+        content: `Script segments:\n${listing}\n\nChoose at most ${limit} segments.`,
+      },
+    ];
+
+    try {
+      const resp = await LocalAIApi.createResponse({
+        input: messages,
+        model: options.model,
+        tool: 'simulation',
+      }, { signal: options.signal });
+      if (!resp || !resp.success) {
+        return { success: false, error: resp?.error || 'Failed to plan segment simulations' };
+      }
+
+      const text = LocalAIApi.extractText(resp) || '';
+      const start = text.indexOf('{');
+      const end = text.lastIndexOf('}');
+      if (start === -1 || end <= start) {
+        return { success: false, error: 'Segment plan is not valid JSON' };
+      }
+      const data = JSON.parse(text.slice(start, end + 1));
+      const ids = new Set(candidates.map(segment => segment.id));
+      const seen = new Set();
+      const plan = (Array.isArray(data.segments) ? data.segments : [])
+        .filter(item => item && ids.has(item.segmentId) && !seen.has(item.segmentId) && seen.add(item.segmentId))
+        .slice(0, limit)
+        .map(item => ({ segmentId: item.segmentId, description: typeof item.description === 'string' ? item.description.trim() : '' }));
+      return { success: true, plan };
+    } catch (error) {
+      console.error('[SimulationRunner] Segment plan error:', error);
+      return { success: false, error: `Failed to plan segment simulations: ${error.message}` };
+    }
+  }
+
+  /**
+   * Batch mode: 구조화된 대본의 세그먼트마다 시뮬레이션 하나씩 생성/실행
+   * options.segmentIds 가 있으면 계획 없이 그 세그먼트만 다시 생성 (descriptions: { segmentId: 설명 })
+   * options.durations: Map(segmentId -> 내레이션 길이), 각 시뮬레이션의 목표 길이로 사용
+   * 성공한 세그먼트에는 visual: { type: 'simulation', url } 을 연결한 대본(script)을 반환
+   * 반환: { success, segments: [{ segmentId, status, description, targetDuration, url, duration, error }], summary, script }
+   */
+  async generateForSegments(scriptData, conversationHistory = [], options = {}) {
+    const segments = scriptData.segments.map(segment => ({ ...segment }));
+    let plan;
+
+    if (Array.isArray(options.segmentIds) && options.segmentIds.length > 0) {
+      const unknown = options.segmentIds.filter(id => !segments.some(segment => segment.id === id));
+      if (unknown.length > 0) {
+        return { success: false, error: `Unknown segment id: ${unknown.join(', ')}` };
+      }
+      const descriptions = options.descriptions || {};
+      plan = [...new Set(options.segmentIds)].map(id => ({
+        segmentId: id,
+        description: typeof descriptions[id] === 'string' ? descriptions[id].trim() : '',
+      }));
+    } else {
+      JobQueue.reportProgress(options.jobId, {
+        status: 'planning',
+        message: 'Choosing segments to simulate...',
+        progress: 2,
+      });
+      const planned = await this.planSegmentSimulations(scriptData, conversationHistory, options);
+      if (!planned.success) {
+        return planned;
+      }
+      plan = planned.plan;
+    }
+
+    // 프로그램은 대화 기록 기준으로 한 번만 결정 (세그먼트 요청 문장은 키워드 감지에 쓰지 않음)
+    const programId = options.program || (conversationHistory.length > 0 ? this.detectProgram(conversationHistory) : 'python');
+    const report = [];
+    for (const [index, item] of plan.entries()) {
+      if (options.signal && options.signal.aborted) break;
+
+      const segment = segments.find(s => s.id === item.segmentId);
+      const targetDuration = this.getSegmentDuration(segment, options.durations);
+      const label = `Segment ${index + 1}/${plan.length} (${segment.id})`;
+      const history = [
+        ...conversationHistory,
+        {
+          role: 'user',
+          content: `Create a simulation for this part of the lecture narration:\n"${SpeechMarkup.stripMarkup(segment.text)}"` +
+            (item.description ? `\n\nThe simulation should show: ${item.description}` : '') +
+            `\n\nIt is shown while this narration plays, so it should last about ${Math.round(targetDuration)} seconds.`,
+        },
+      ];
+
+      console.log(`[SimulationRunner] ${label} 시뮬레이션 생성 (목표 ${targetDuration.toFixed(1)}s)`);
+      let result;
+      try {
+        result = await this.generateAndRun(history, {
+          program: programId,
+          model: options.model,
+          repairAttempts: options.repairAttempts,
+          useMCP: options.useMCP,
+          jobId: options.jobId,
+          signal: options.signal,
+          targetDuration,
+          onProgress: progress => JobQueue.reportProgress(options.jobId, {
+            ...progress,
+            message: `${label}: ${progress.message}`,
+            progress: Math.min(99, Math.round(5 + ((index + (progress.progress || 0) / 100) / plan.length) * 94)),
+          }),
+        });
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+
+      const entry = {
+        segmentId: segment.id,
+        status: result.success ? 'succeeded' : 'failed',
+        description: item.description,
+        targetDuration: Math.round(targetDuration * 1000) / 1000,
+        program: programId,
+      };
+      if (result.success && result.url) {
+        entry.url = result.url;
+        entry.codeFile = result.codeFile;
+        // 로컬 실행은 결과 확인 때 잰 길이를 함께 반환
+        entry.duration = result.duration || (result.outputPath ? await MediaProbe.getDuration(result.outputPath) : null);
+        segment.visual = { type: 'simulation', url: result.url };
+      } else {
+        entry.status = 'failed';
+        entry.error = result.error || 'Simulation produced no video';
+      }
+      report.push(entry);
+    }
+
+    const succeeded = report.filter(entry => entry.status === 'succeeded').length;
+    return {
+      success: report.length === 0 || succeeded > 0,
+      ...(report.length > 0 && succeeded === 0 ? { error: 'All segment simulations failed' } : {}),
+      segments: report,
+      summary: {
+        planned: plan.length,
+        succeeded,
+        failed: report.length - succeeded,
+        skipped: plan.length - report.length,
+      },
+      script: { ...scriptData, segments },
     };
   }
 
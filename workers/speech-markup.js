@@ -0,0 +1,177 @@
+// Speech Markup - 대본 텍스트의 낭독 표시와 tts 파라미터를 SSML / 엔진 옵션 / 오디오 후처리 값으로 변환
+// 텍스트 표시:
+//   [pause], [pause:700ms], [pause:1.5s]  -> 쉼 (기본 500ms), [쉼] 도 같은 의미
+//   **핵심 용어**                          -> 강조
+// tts 파라미터:
+//   speed, pitch, volume                  -> 기본 속도/음높이/볼륨
+//   tone, emotion                         -> 프리셋 (속도 배율, 음높이 % 를 더함)
+//   pronunciation                         -> 화면 텍스트와 다르면 <sub alias> (수식 읽기 등)
+//   emphasis: ['용어', ...]                -> 텍스트에서 찾아 강조
+//   pauseBefore, pauseAfter (초)           -> 세그먼트 앞뒤 쉼
+
+const PAUSE_PATTERN = /\[(?:pause|쉼)(?:\s*:\s*(\d+(?:\.\d+)?)\s*(ms|s)?)?\]/gi;
+const EMPHASIS_PATTERN = /\*\*(.+?)\*\*/g;
+const DEFAULT_PAUSE_MS = 500;
+
+const SPEED_RATE = { slow: 0.8, normal: 1.0, fast: 1.2 };
+const PITCH_PERCENT = { low: -10, normal: 0, high: 10 };
+const VOLUME_DB = { quiet: -6, normal: 0, loud: 6 };
+
+// tone / emotion 프리셋: rate 는 곱하고 pitch(%) 는 더함
+const TONE_PRESETS = {
+  '친근함': { rate: 1.0, pitch: 5 },
+  '교육적': { rate: 0.95, pitch: 0 },
+  '진지함': { rate: 0.9, pitch: -5 },
+  '밝음': { rate: 1.05, pitch: 10 },
+  '차분함': { rate: 0.9, pitch: -5 },
+  '열정적': { rate: 1.1, pitch: 8 },
+};
+const EMOTION_PRESETS = {
+  welcoming: { rate: 1.0, pitch: 5 },
+  enthusiastic: { rate: 1.08, pitch: 8 },
+  calm: { rate: 0.92, pitch: -3 },
+  excited: { rate: 1.12, pitch: 10 },
+  serious: { rate: 0.92, pitch: -6 },
+  friendly: { rate: 1.0, pitch: 4 },
+};
+
+class SpeechMarkup {
+  /**
+   * 최종 낭독 값 { rate (배율), pitch (%), volumeDb, pauseBefore, pauseAfter (초) }
+   */
+  getProsody(tts = {}) {
+    const tone = TONE_PRESETS[tts.tone] || { rate: 1, pitch: 0 };
+    const emotion = EMOTION_PRESETS[tts.emotion] || { rate: 1, pitch: 0 };
+
+    let basePitch = PITCH_PERCENT[tts.pitch] || 0;
+    if (typeof tts.pitch === 'string' && tts.pitch.endsWith('%')) {
+      basePitch = parseFloat(tts.pitch) || 0;
+    }
+
+    const rate = (SPEED_RATE[tts.speed] || 1) * tone.rate * emotion.rate;
+    const pitch = basePitch + tone.pitch + emotion.pitch;
+    return {
+      rate: Math.round(Math.min(2, Math.max(0.5, rate)) * 100) / 100,
+      pitch: Math.round(Math.min(30, Math.max(-30, pitch))),
+      volumeDb: VOLUME_DB[tts.volume] || 0,
+      pauseBefore: Math.max(0, Number(tts.pauseBefore) || 0),
+      pauseAfter: Math.max(0, Number(tts.pauseAfter) || 0),
+    };
+  }
+
+  /**
+   * 텍스트 -> [{ type: 'text' | 'emphasis', text } | { type: 'pause', ms }]
+   * emphasisTerms 는 텍스트에서 찾아 강조 표시로 바꿈
+   */
+  tokenize(text, emphasisTerms = []) {
+    let source = String(text || '');
+    for (const term of emphasisTerms) {
+      if (typeof term !== 'string' || !term.trim()) continue;
+      const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      source = source.replace(new RegExp(`(?<!\\*\\*)${escaped}(?!\\*\\*)`, 'g'), `**${term}**`);
+    }
+
+    const tokens = [];
+    const pushText = (value, type = 'text') => {
+      if (value) tokens.push({ type, text: value });
+    };
+
+    let lastIndex = 0;
+    const pattern = new RegExp(`${PAUSE_PATTERN.source}|${EMPHASIS_PATTERN.source}`, 'gi');
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+      pushText(source.slice(lastIndex, match.index));
+      if (match[3] !== undefined) {
+        pushText(match[3], 'emphasis');
+      } else {
+        const value = match[1] !== undefined ? parseFloat(match[1]) : null;
+        const ms = value === null ? DEFAULT_PAUSE_MS : (match[2] && match[2].toLowerCase() === 's' ? value * 1000 : value);
+        tokens.push({ type: 'pause', ms: Math.round(ms) });
+      }
+      lastIndex = pattern.lastIndex;
+    }
+    pushText(source.slice(lastIndex));
+    return tokens;
+  }
+
+  /**
+   * 화면/자막용 텍스트 (낭독 표시 제거)
+   */
+  stripMarkup(text) {
+    return String(text || '')
+      .replace(PAUSE_PATTERN, ' ')
+      .replace(EMPHASIS_PATTERN, '$1')
+      .replace(/[ \t]{2,}/g, ' ')
+      .trim();
+  }
+
+  /**
+   * 실제로 읽을 문장 - pronunciation 이 화면 텍스트와 다르면 pronunciation
+   */
+  getSpokenSource(text, tts = {}) {
+    const pronunciation = tts.pronunciation;
+    if (typeof pronunciation === 'string' && pronunciation.trim() && this.stripMarkup(pronunciation) !== this.stripMarkup(text)) {
+      return pronunciation;
+    }
+    return text;
+  }
+
+  /**
+   * SSML 미지원 엔진용 평문 - 쉼은 문장 부호로 대신하고, 정확한 길이는 오디오 후처리에서 맞춤
+   */
+  toPlainText(text, tts = {}) {
+    return this.tokenize(this.getSpokenSource(text, tts), tts.emphasis)
+      .map((token) => {
+        if (token.type === 'pause') return token.ms >= 800 ? '. ' : ', ';
+        return token.text;
+      })
+      .join('')
+      .replace(/\s+([,.])/g, '$1')
+      .replace(/([,.])\1+/g, '$1')
+      .replace(/\s{2,}/g, ' ')
+      .trim();
+  }
+
+  /**
+   * SSML 생성 - <prosody>, <break>, <emphasis>, <sub alias>
+   * pronunciation 이 다르면 화면 텍스트 전체를 <sub alias="읽는 문장"> 으로 감쌈 (alias 안의 쉼/강조 표시는 제거)
+   */
+  buildSSML(text, tts = {}) {
+    const prosody = this.getProsody(tts);
+    const spoken = this.getSpokenSource(text, tts);
+
+    let body;
+    if (spoken !== text) {
+      body = `<sub alias="${this.escapeXml(this.stripMarkup(spoken))}">${this.escapeXml(this.stripMarkup(text))}</sub>`;
+    } else {
+      body = this.tokenize(text, tts.emphasis).map((token) => {
+        if (token.type === 'pause') return `<break time="${token.ms}ms"/>`;
+        if (token.type === 'emphasis') return `<emphasis level="strong">${this.escapeXml(token.text)}</emphasis>`;
+        return this.escapeXml(token.text);
+      }).join('');
+    }
+
+    const attrs = [];
+    if (prosody.rate !== 1) attrs.push(`rate="${Math.round(prosody.rate * 100)}%"`);
+    if (prosody.pitch !== 0) attrs.push(`pitch="${prosody.pitch > 0 ? '+' : ''}${prosody.pitch}%"`);
+    if (prosody.volumeDb !== 0) attrs.push(`volume="${prosody.volumeDb > 0 ? '+' : ''}${prosody.volumeDb}dB"`);
+    if (attrs.length > 0) {
+      body = `<prosody ${attrs.join(' ')}>${body}</prosody>`;
+    }
+
+    const before = prosody.pauseBefore > 0 ? `<break time="${Math.round(prosody.pauseBefore * 1000)}ms"/>` : '';
+    const after = prosody.pauseAfter > 0 ? `<break time="${Math.round(prosody.pauseAfter * 1000)}ms"/>` : '';
+    return `<speak>${before}${body}${after}</speak>`;
+  }
+
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
+
+module.exports = new SpeechMarkup();
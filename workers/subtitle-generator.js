@@ -0,0 +1,276 @@
+// Subtitle Generator - 구조화된 대본 / 편집기 프로젝트에서 SRT, WebVTT, ASS 자막 생성
+// 시간: TTS 오디오 실제 길이가 있으면 그 길이로 세그먼트를 순서대로 배치, 없으면 대본의 startTime/endTime
+// 긴 줄은 화면 표시 폭(한글/CJK 2칸, 그 외 1칸) 기준으로 나누고, 최대 줄 수를 넘으면 여러 자막으로 분할
+// 대본의 낭독 표시([pause], **강조**)는 자막에서 제거
+const MediaProbe = require('./media-probe');
+const SpeechMarkup = require('./speech-markup');
+
+const FORMATS = {
+  srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt' },
+  vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt' },
+  ass: { contentType: 'text/x-ssa; charset=utf-8', extension: 'ass' },
+};
+
+class SubtitleGenerator {
+  constructor() {
+    this.maxLineWidth = parseInt(process.env.SUBTITLE_MAX_LINE_WIDTH, 10) || 40; // 한글 약 20자
+    this.maxLines = parseInt(process.env.SUBTITLE_MAX_LINES, 10) || 2;
+    this.style = {
+      fontName: process.env.SUBTITLE_FONT || 'Noto Sans CJK KR',
+      fontSize: parseInt(process.env.SUBTITLE_FONT_SIZE, 10) || 56,
+      width: 1920,
+      height: 1080,
+    };
+  }
+
+  getFormat(format) {
+    return FORMATS[String(format || 'srt').toLowerCase()] || null;
+  }
+
+  /**
+   * 구조화된 대본 -> 자막 cue 목록 [{ start, end, lines, segmentId }]
+   * options.durations: Map(segmentId -> 오디오 길이(초)), 있으면 세그먼트를 이어 붙인 내레이션 기준으로 배치
+   */
+  fromScript(scriptData, options = {}) {
+    const durations = options.durations || new Map();
+    const useAudio = durations.size > 0;
+    let cursor = 0;
+
+    const cues = [];
+    (scriptData.segments || []).forEach((segment, index) => {
+      const id = segment.id || `segment-${index + 1}`;
+      let start = Number(segment.startTime) || 0;
+      let end = Number(segment.endTime) || start + this.estimateDuration(segment.text);
+
+      if (useAudio) {
+        // 내레이션 오디오는 세그먼트 순서대로 이어 붙여 합성됨
+        const audioDuration = durations.get(id);
+        start = cursor;
+        end = cursor + (audioDuration > 0 ? audioDuration : Math.max(0, end - (Number(segment.startTime) || 0)));
+        cursor = end;
+      }
+      cues.push(...this.splitCue(SpeechMarkup.stripMarkup(segment.text), start, end, id));
+    });
+    return cues;
+  }
+
+  /**
+   * 저장된 편집기 프로젝트 (timeline.subtitles) -> 자막 cue 목록
+   */
+  fromProject(project) {
+    const subtitles = (project && project.timeline && project.timeline.subtitles) || [];
+    return subtitles
+      .filter(s => s && typeof s.text === 'string' && s.text.trim() && Number(s.endTime) > Number(s.startTime))
+      .sort((a, b) => Number(a.startTime) - Number(b.startTime))
+      .flatMap((s, index) => this.splitCue(s.text, Number(s.startTime), Number(s.endTime), s.id || `subtitle-${index + 1}`));
+  }
+
+  /**
+   * 일반 텍스트 대본 (한 줄 = 한 자막) -> 자막 cue 목록, 길이는 글자 수로 추정
+   */
+  fromText(text) {
+    let cursor = 0;
+    return String(text || '')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .map(line => SpeechMarkup.stripMarkup(line))
+      .filter(Boolean)
+      .flatMap((line, index) => {
+        const start = cursor;
+        cursor += this.estimateDuration(line);
+        return this.splitCue(line, start, cursor, `subtitle-${index + 1}`);
+      });
+  }
+
+  // ScriptGenerator.estimateDuration 과 같은 기준 (초당 약 3.3자)
+  estimateDuration(text) {
+    return Math.max(2, Math.ceil(String(text || '').length * 0.3));
+  }
+
+  /**
+   * 작업 결과 타임라인(import-structured-script 의 TTS 작업)의 오디오 길이 조회
+   * 반환: Map(segmentId -> 초), ffprobe 로 알 수 없는 파일은 제외
+   */
+  async getAudioDurations(timeline = []) {
+    const durations = new Map();
+    for (const item of timeline) {
+      if (!item || !item.id || !item.audioFile) continue;
+      const duration = await MediaProbe.getDuration(item.audioFile);
+      if (duration) durations.set(item.id, duration);
+    }
+    return durations;
+  }
+
+  /**
+   * 한 세그먼트를 표시 폭 기준으로 줄바꿈하고, maxLines 를 넘으면 폭 비율로 시간을 나눠 여러 cue 로 분할
+   */
+  splitCue(text, start, end, segmentId) {
+    const lines = this.wrapText(text);
+    if (lines.length === 0) return [];
+
+    const chunks = [];
+    for (let i = 0; i < lines.length; i += this.maxLines) {
+      chunks.push(lines.slice(i, i + this.maxLines));
+    }
+
+    const totalWidth = chunks.reduce((sum, chunk) => sum + this.chunkWidth(chunk), 0) || 1;
+    let cursor = start;
+    return chunks.map((chunk, index) => {
+      const chunkEnd = index === chunks.length - 1
+        ? end
+        : cursor + (end - start) * (this.chunkWidth(chunk) / totalWidth);
+      const cue = { start: cursor, end: chunkEnd, lines: chunk, segmentId };
+      cursor = chunkEnd;
+      return cue;
+    });
+  }
+
+  chunkWidth(lines) {
+    return lines.reduce((sum, line) => sum + this.displayWidth(line), 0);
+  }
+
+  /**
+   * 단어 단위 줄바꿈 (한 단어가 한 줄보다 길면 글자 단위로 자름)
+   */
+  wrapText(text) {
+    const words = String(text || '').replace(/\s+/g, ' ').trim().split(' ').filter(Boolean);
+    const lines = [];
+    let current = '';
+
+    const pushWord = (word) => {
+      const candidate = current ? `${current} ${word}` : word;
+      if (this.displayWidth(candidate) <= this.maxLineWidth) {
+        current = candidate;
+        return;
+      }
+      if (current) lines.push(current);
+      current = '';
+      if (this.displayWidth(word) <= this.maxLineWidth) {
+        current = word;
+        return;
+      }
+      let piece = '';
+      for (const char of word) {
+        if (this.displayWidth(piece + char) > this.maxLineWidth) {
+          lines.push(piece);
+          piece = '';
+        }
+        piece += char;
+      }
+      current = piece;
+    };
+
+    words.forEach(pushWord);
+    if (current) lines.push(current);
+    return lines;
+  }
+
+  // 화면 표시 폭 - 한글, CJK, 전각 문자는 2칸
+  displayWidth(text) {
+    let width = 0;
+    for (const char of String(text)) {
+      const code = char.codePointAt(0);
+      const wide = (code >= 0x1100 && code <= 0x115F)
+        || (code >= 0x2E80 && code <= 0xA4CF)
+        || (code >= 0xAC00 && code <= 0xD7A3)
+        || (code >= 0xF900 && code <= 0xFAFF)
+        || (code >= 0xFE30 && code <= 0xFE4F)
+        || (code >= 0xFF00 && code <= 0xFF60)
+        || (code >= 0xFFE0 && code <= 0xFFE6)
+        || (code >= 0x20000 && code <= 0x3FFFD);
+      width += wide ? 2 : 1;
+    }
+    return width;
+  }
+
+  /**
+   * cue 목록을 자막 파일 내용으로 변환
+   * 반환: { success, content, contentType, extension } 또는 { success: false, error }
+   */
+  render(cues, format = 'srt', options = {}) {
+    const key = String(format || 'srt').toLowerCase();
+    const info = FORMATS[key];
+    if (!info) {
+      return { success: false, error: `Unsupported subtitle format: ${format} (use ${Object.keys(FORMATS).join(', ')})` };
+    }
+
+    let content;
+    if (key === 'srt') content = this.toSRT(cues);
+    else if (key === 'vtt') content = this.toVTT(cues);
+    else content = this.toASS(cues, options);
+
+    return { success: true, content, ...info };
+  }
+
+  toSRT(cues) {
+    return cues.map((cue, index) =>
+      `${index + 1}\n${this.formatTimestamp(cue.start, ',')} --> ${this.formatTimestamp(cue.end, ',')}\n${cue.lines.join('\n')}\n`
+    ).join('\n');
+  }
+
+  toVTT(cues) {
+    const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const body = cues.map((cue, index) =>
+      `${index + 1}\n${this.formatTimestamp(cue.start, '.')} --> ${this.formatTimestamp(cue.end, '.')}\n${cue.lines.map(escape).join('\n')}\n`
+    ).join('\n');
+    return `WEBVTT\n\n${body}`;
+  }
+
+  /**
+   * ASS (Advanced SubStation Alpha) - 하단 중앙, 흰 글자 + 검은 외곽선 + 반투명 그림자
+   * options: fontName, fontSize, width, height (기본값은 SUBTITLE_FONT, SUBTITLE_FONT_SIZE, 1920x1080)
+   */
+  toASS(cues, options = {}) {
+    const style = { ...this.style };
+    Object.keys(style).forEach((key) => {
+      if (options[key] != null && options[key] !== '') style[key] = options[key];
+    });
+    const fontSize = parseInt(style.fontSize, 10) || this.style.fontSize;
+    const fontName = String(style.fontName).replace(/[,\r\n]/g, ' ');
+    const escape = text => text.replace(/\\/g, '\\\\').replace(/\{/g, '\\{').replace(/\}/g, '\\}');
+
+    const header = [
+      '[Script Info]',
+      'ScriptType: v4.00+',
+      `PlayResX: ${parseInt(style.width, 10) || this.style.width}`,
+      `PlayResY: ${parseInt(style.height, 10) || this.style.height}`,
+      'WrapStyle: 2',
+      'ScaledBorderAndShadow: yes',
+      '',
+      '[V4+ Styles]',
+      'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+      `Style: Default,${fontName},${fontSize},&H00FFFFFF,&H000000FF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,3,1,2,80,80,60,1`,
+      '',
+      '[Events]',
+      'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    ];
+
+    const events = cues.map(cue =>
+      `Dialogue: 0,${this.formatAssTimestamp(cue.start)},${this.formatAssTimestamp(cue.end)},Default,,0,0,0,,${cue.lines.map(escape).join('\\N')}`
+    );
+    return header.concat(events).join('\n') + '\n';
+  }
+
+  // HH:MM:SS,mmm (SRT) / HH:MM:SS.mmm (WebVTT)
+  formatTimestamp(seconds, separator) {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const mins = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}${separator}${String(ms).padStart(3, '0')}`;
+  }
+
+  // H:MM:SS.cc (ASS, 1/100초)
+  formatAssTimestamp(seconds) {
+    const totalCs = Math.max(0, Math.round(seconds * 100));
+    const hours = Math.floor(totalCs / 360000);
+    const mins = Math.floor((totalCs % 360000) / 6000);
+    const secs = Math.floor((totalCs % 6000) / 100);
+    const cs = totalCs % 100;
+    return `${hours}:${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(cs).padStart(2, '0')}`;
+  }
+}
+
+module.exports = new SubtitleGenerator();
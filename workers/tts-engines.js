@@ -0,0 +1,255 @@
+// TTS Engine Registry - 세그먼트 오디오를 만드는 음성 엔진 선택
+// 엔진 인터페이스: { name, ssml, offline, native, isConfigured(), synthesize(request) -> 오디오 파일 경로 }
+//   request: { text (낭독용 평문), ssml, prosody, segmentId, language, tts, voice, outputDir }
+//   native: 엔진이 직접 처리하는 낭독 값 (rate, pitch, volume, pause), 나머지는 postProcess() 로 오디오에 적용
+// 내장 엔진: google (Google Cloud TTS), gtts (TTSGenerator 에서 등록), espeak (espeak-ng), piper (Piper)
+// 선택 순서: 요청 옵션 engine > 대본 metadata.ttsEngine > TTS_ENGINE 환경 변수 > 자동 (Google 키가 있으면 google, 없으면 gtts)
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const MediaProbe = require('./media-probe');
+
+// 언어 -> 기본 espeak-ng 음성
+const ESPEAK_VOICES = { ko: 'ko', en: 'en-us', ja: 'ja', zh: 'cmn' };
+
+class TTSEngineRegistry {
+  constructor() {
+    this.engines = new Map();
+    this.defaultEngine = process.env.TTS_ENGINE || 'auto';
+    // 엔진 실패 시 다음으로 시도할 엔진 (TTS_FALLBACK_ENGINE=none 이면 사용 안 함)
+    this.fallbackEngine = process.env.TTS_FALLBACK_ENGINE || null;
+    this.timeout = (parseInt(process.env.TTS_ENGINE_TIMEOUT, 10) || 60) * 1000;
+
+    this.register('espeak', {
+      ssml: false,
+      offline: true,
+      native: ['rate', 'pitch', 'volume'],
+      isConfigured: () => true,
+      synthesize: request => this.synthesizeEspeak(request),
+    });
+    this.register('piper', {
+      ssml: false,
+      offline: true,
+      native: ['rate'],
+      isConfigured: () => !!(process.env.PIPER_MODEL || process.env.PIPER_VOICES_DIR),
+      synthesize: request => this.synthesizePiper(request),
+    });
+  }
+
+  register(name, engine) {
+    if (!name || !engine || typeof engine.synthesize !== 'function') {
+      throw new Error('TTS engine name and synthesize() are required');
+    }
+    this.engines.set(name, { name, ssml: false, offline: false, native: [], isConfigured: () => true, ...engine });
+    return this.engines.get(name);
+  }
+
+  get(name) {
+    return this.engines.get(name) || null;
+  }
+
+  /**
+   * 사용할 엔진 이름 목록 (첫 번째가 기본, 이후는 실패 시 대체)
+   */
+  resolve(requested = null) {
+    let name = requested || this.defaultEngine;
+    if (!name || name === 'auto') {
+      name = process.env.GOOGLE_CLOUD_TTS_API_KEY ? 'google' : 'gtts';
+    }
+    if (!this.engines.has(name)) {
+      return { success: false, error: `Unknown TTS engine "${name}". Available: ${[...this.engines.keys()].join(', ')}` };
+    }
+
+    // 기본 대체: Google Cloud 실패 시 gTTS (기존 동작), 오프라인 엔진은 네트워크 엔진으로 넘어가지 않음
+    let fallback = this.fallbackEngine;
+    if (!fallback) {
+      fallback = name === 'google' ? 'gtts' : null;
+    }
+    const chain = [name];
+    if (fallback && fallback !== 'none' && fallback !== name && this.engines.has(fallback)) {
+      chain.push(fallback);
+    }
+    return { success: true, engines: chain };
+  }
+
+  list() {
+    return [...this.engines.values()].map(engine => ({
+      name: engine.name,
+      ssml: engine.ssml,
+      offline: engine.offline,
+      configured: engine.isConfigured(),
+    }));
+  }
+
+  /**
+   * espeak-ng - 완전 오프라인, 한국어 포함 다국어 (음질은 기계음)
+   * voice: espeak-ng 음성 이름 (예: ko, en-us, en-us+f3), 없으면 ESPEAK_VOICE 또는 언어 기본값
+   * 낭독 값: -s 175 x rate (분당 단어), -p 50 + 1.5 x pitch% (0-99), -a 100 x gain (0-200)
+   */
+  async synthesizeEspeak(request) {
+    const { text, prosody, language = 'ko', segmentId, outputDir } = request;
+    const command = process.env.ESPEAK_PATH || 'espeak-ng';
+    const voice = request.voice || process.env.ESPEAK_VOICE || ESPEAK_VOICES[language] || language;
+    const wavPath = path.join(outputDir, `audio_${segmentId}_${Date.now()}.wav`);
+
+    const args = [
+      '-v', voice,
+      '-s', String(Math.round(175 * prosody.rate)),
+      '-p', String(Math.min(99, Math.max(0, Math.round(50 + 1.5 * prosody.pitch)))),
+      '-a', String(Math.min(200, Math.max(0, Math.round(100 * Math.pow(10, prosody.volumeDb / 20))))),
+      '-w', wavPath,
+      '--stdin',
+    ];
+
+    await this.run(command, args, text, 'espeak-ng');
+    return this.toMp3(wavPath);
+  }
+
+  /**
+   * Piper - 오프라인 신경망 TTS (voice: .onnx 모델 경로 또는 PIPER_VOICES_DIR 안의 모델 이름)
+   * 속도는 --length_scale (1 / rate), 음높이와 볼륨은 오디오 후처리
+   */
+  async synthesizePiper(request) {
+    const { text, prosody, segmentId, outputDir } = request;
+    const command = process.env.PIPER_PATH || 'piper';
+    const model = this.resolvePiperModel(request.voice || process.env.PIPER_MODEL);
+    if (!model) {
+      throw new Error('Piper 음성 모델을 찾을 수 없습니다. PIPER_MODEL (.onnx 경로) 또는 PIPER_VOICES_DIR 를 설정하세요.');
+    }
+    const wavPath = path.join(outputDir, `audio_${segmentId}_${Date.now()}.wav`);
+
+    const args = [
+      '--model', model,
+      '--output_file', wavPath,
+      '--length_scale', String(Math.round(100 / prosody.rate) / 100),
+    ];
+    if (process.env.PIPER_SPEAKER) {
+      args.push('--speaker', process.env.PIPER_SPEAKER);
+    }
+
+    await this.run(command, args, text, 'Piper');
+    return this.toMp3(wavPath);
+  }
+
+  resolvePiperModel(voice) {
+    if (!voice) return null;
+    if (fs.existsSync(voice)) return voice;
+    const voicesDir = process.env.PIPER_VOICES_DIR;
+    if (voicesDir) {
+      const candidate = path.join(voicesDir, voice.endsWith('.onnx') ? voice : `${voice}.onnx`);
+      if (fs.existsSync(candidate)) return candidate;
+    }
+    return null;
+  }
+
+  /**
+   * 엔진 프로세스 실행 - 텍스트는 stdin 으로 전달 (명령줄 길이/이스케이프 문제 방지)
+   */
+  run(command, args, input, label) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+      let stderr = '';
+
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`${label} 시간 초과 (${this.timeout / 1000}초)`));
+      }, this.timeout);
+
+      child.stderr.on('data', (data) => {
+        stderr += data.toString('utf8');
+      });
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        if (error.code === 'ENOENT') {
+          reject(new Error(`${label} 를 찾을 수 없습니다 (${command}). 설치하거나 경로 환경 변수를 설정하세요.`));
+        } else {
+          reject(new Error(`${label} 실행 오류: ${error.message}`));
+        }
+      });
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`${label} 실패 (코드 ${code}): ${stderr.trim().substring(0, 500)}`));
+        }
+      });
+
+      child.stdin.on('error', () => {});
+      child.stdin.end(input, 'utf8');
+    });
+  }
+
+  /**
+   * WAV -> MP3 (다른 엔진의 mp3 와 -c copy 로 이어 붙일 수 있도록), 변환 실패 시 WAV 그대로 사용
+   */
+  async toMp3(wavPath) {
+    if (!fs.existsSync(wavPath)) {
+      throw new Error(`오디오 파일이 생성되지 않았습니다: ${wavPath}`);
+    }
+
+    const mp3Path = wavPath.replace(/\.wav$/, '.mp3');
+    const args = ['-y', '-v', 'error', '-i', wavPath, '-codec:a', 'libmp3lame', '-q:a', '2', mp3Path];
+
+    try {
+      await this.run(process.env.FFMPEG_PATH || 'ffmpeg', args, '', 'FFmpeg');
+      fs.unlinkSync(wavPath);
+      return mp3Path;
+    } catch (error) {
+      console.warn('[TTSEngines] mp3 변환 실패, WAV 사용:', error.message);
+      return wavPath;
+    }
+  }
+
+  /**
+   * 엔진이 처리하지 못한 낭독 값을 오디오 필터로 적용 (SSML 미지원 엔진용)
+   * effects: { rate, pitch (%), volumeDb, pauseBefore, pauseAfter (초) } 중 적용할 값
+   * 음높이: asetrate 로 올린 뒤 atempo 로 길이 복원, 실패 시 원본 파일 사용
+   */
+  async postProcess(filePath, effects = {}) {
+    const filters = [];
+    const pitchFactor = effects.pitch ? 1 + effects.pitch / 100 : 1;
+    let tempo = effects.rate || 1;
+
+    if (pitchFactor !== 1) {
+      const info = await MediaProbe.probe(filePath);
+      const audioStream = ((info && info.streams) || []).find(stream => stream.codec_type === 'audio');
+      const sampleRate = parseInt(audioStream && audioStream.sample_rate, 10) || 24000;
+      filters.push(`asetrate=${Math.round(sampleRate * pitchFactor)}`, `aresample=${sampleRate}`);
+      tempo /= pitchFactor;
+    }
+    if (Math.abs(tempo - 1) > 0.001) {
+      // atempo 는 0.5-2.0 범위만 지원하므로 나눠서 적용
+      while (tempo > 2) { filters.push('atempo=2'); tempo /= 2; }
+      while (tempo < 0.5) { filters.push('atempo=0.5'); tempo /= 0.5; }
+      filters.push(`atempo=${tempo.toFixed(3)}`);
+    }
+    if (effects.volumeDb) {
+      filters.push(`volume=${effects.volumeDb}dB`);
+    }
+    if (effects.pauseBefore > 0) {
+      const ms = Math.round(effects.pauseBefore * 1000);
+      filters.push(`adelay=${ms}|${ms}`);
+    }
+    if (effects.pauseAfter > 0) {
+      filters.push(`apad=pad_dur=${effects.pauseAfter}`);
+    }
+    if (filters.length === 0) {
+      return filePath;
+    }
+
+    const ext = path.extname(filePath);
+    const outputPath = filePath.slice(0, -ext.length) + `_fx${ext}`;
+    try {
+      await this.run(process.env.FFMPEG_PATH || 'ffmpeg', ['-y', '-v', 'error', '-i', filePath, '-af', filters.join(','), outputPath], '', 'FFmpeg');
+      fs.unlinkSync(filePath);
+      return outputPath;
+    } catch (error) {
+      console.warn('[TTSEngines] 오디오 후처리 실패, 원본 사용:', error.message);
+      return filePath;
+    }
+  }
+}
+
+module.exports = new TTSEngineRegistry();
@@ -3,11 +3,32 @@ const fs = require('fs');
 const path = require('path');
 const https = require('https');
 const http = require('http');
+const JobQueue = require('./job-queue');
+const ScriptSchema = require('./script-schema');
+const MediaProbe = require('./media-probe');
+const TTSEngines = require('./tts-engines');
+const SpeechMarkup = require('./speech-markup');
+const MathSpeech = require('./math-speech');
 
 class TTSGenerator {
   constructor() {
     this.outputDir = path.join(__dirname, '..', 'outputs', 'audio');
     this.ensureOutputDir();
+
+    // 온라인 엔진 등록 (오프라인 엔진 espeak, piper 는 tts-engines.js 에 내장)
+    TTSEngines.register('google', {
+      ssml: true,
+      offline: false,
+      native: ['rate', 'pitch', 'volume', 'pause'],
+      isConfigured: () => !!process.env.GOOGLE_CLOUD_TTS_API_KEY,
+      synthesize: request => this.generateWithGoogleCloudTTS(request.ssml, request.segmentId, request.language, request.voice),
+    });
+    TTSEngines.register('gtts', {
+      ssml: false,
+      offline: false,
+      // gTTS 의 slow 는 속도가 너무 느려 쓰지 않고 속도/음높이/볼륨/쉼은 모두 오디오 후처리
+      synthesize: request => this.generateWithGTTS(request.text, request.segmentId, request.language),
+    });
   }
 
   ensureOutputDir() {
@@ -18,46 +39,61 @@ class TTSGenerator {
 
   /**
    * 구조화된 대본에서 오디오 생성
+   * options.jobId 가 있으면 세그먼트별 진행 상황을 JobQueue 에 보고
+   * options.engine / options.voice 가 있으면 대본의 metadata.ttsEngine / metadata.voice 대신 사용
    */
-  async generateFromStructuredScript(scriptData) {
+  async generateFromStructuredScript(scriptData, options = {}) {
     const audioFiles = [];
     const errors = [];
     
     console.log('[TTSGenerator] 구조화된 대본에서 오디오 생성 시작...');
     console.log('[TTSGenerator] 세그먼트 수:', scriptData.segments?.length || 0);
     
-    // 세그먼트 배열 검증
-    if (!scriptData.segments || !Array.isArray(scriptData.segments) || scriptData.segments.length === 0) {
-      throw new Error('세그먼트가 없거나 유효하지 않습니다. segments 배열이 비어있습니다.');
+    // 대본 스키마 검증 (docs/STRUCTURED_SCRIPT_GUIDE.md)
+    const validation = ScriptSchema.validate(scriptData);
+    if (!validation.valid) {
+      throw new Error(`유효하지 않은 대본 형식: ${ScriptSchema.formatErrors(validation.errors)}`);
     }
     
+    // TTS 엔진 선택 (요청 옵션 > 대본 metadata > TTS_ENGINE)
+    const metadata = scriptData.metadata || {};
+    const engineChoice = TTSEngines.resolve(options.engine || metadata.ttsEngine);
+    if (!engineChoice.success) {
+      throw new Error(engineChoice.error);
+    }
+    const engineOptions = {
+      engines: engineChoice.engines,
+      voice: options.voice || metadata.voice || null,
+    };
+    console.log('[TTSGenerator] TTS 엔진:', engineChoice.engines.join(' -> '), engineOptions.voice ? `(음성: ${engineOptions.voice})` : '');
+    
     for (let i = 0; i < scriptData.segments.length; i++) {
       const segment = scriptData.segments[i];
       
-      // 세그먼트 검증
-      if (!segment || !segment.text || typeof segment.text !== 'string' || segment.text.trim().length === 0) {
-        const errorMsg = `세그먼트 ${i + 1} (ID: ${segment?.id || 'unknown'})에 유효한 텍스트가 없습니다.`;
-        console.warn(`[TTSGenerator] ${errorMsg}`);
-        errors.push(errorMsg);
-        continue;
-      }
-      
       const textPreview = segment.text.length > 30 ? segment.text.substring(0, 30) + '...' : segment.text;
       console.log(`[TTSGenerator] 세그먼트 ${i + 1}/${scriptData.segments.length} 생성 중: "${textPreview}"`);
+      JobQueue.reportProgress(options.jobId, {
+        status: 'tts',
+        message: `Generating narration ${i + 1}/${scriptData.segments.length}: "${textPreview}"`,
+        progress: Math.round((i / scriptData.segments.length) * 100),
+      });
       
       try {
-        const audioFile = await this.generateSegmentAudio(segment, scriptData.metadata?.language || 'ko');
+        const audioFile = await this.generateSegmentAudio(segment, metadata.language || 'ko', engineOptions);
         
         if (!audioFile || !fs.existsSync(audioFile)) {
           throw new Error(`오디오 파일이 생성되지 않았습니다: ${audioFile}`);
         }
         
+        // 실제 오디오 길이 측정 (ffprobe 를 쓸 수 없으면 대본의 추정 길이)
+        const measuredDuration = await MediaProbe.getDuration(audioFile);
         audioFiles.push({
           segmentId: segment.id,
           audioFile: audioFile,
           startTime: segment.startTime,
           endTime: segment.endTime,
-          duration: segment.endTime - segment.startTime
+          duration: measuredDuration || this.getScriptedDuration(segment),
+          measured: !!measuredDuration
         });
         
         console.log(`[TTSGenerator] 세그먼트 ${i + 1} 생성 성공: ${audioFile}`);
@@ -83,123 +119,147 @@ class TTSGenerator {
       console.warn(`[TTSGenerator] 경고: ${errors.length}개 세그먼트 생성 실패, ${audioFiles.length}개 성공`);
     }
     
+    // 측정한 길이로 세그먼트를 이어 붙였을 때의 시간
+    this.retimeScript(scriptData, audioFiles).segments.forEach((segment) => {
+      const audio = audioFiles.find(af => af.segmentId === segment.id);
+      if (audio) {
+        audio.startTime = segment.startTime;
+        audio.endTime = segment.endTime;
+      }
+    });
+    
     return audioFiles;
   }
 
+  /**
+   * 측정한 오디오 길이로 대본 시간 재계산 (원본은 변경하지 않음)
+   * 내레이션은 세그먼트 순서대로 이어 붙이므로 startTime = 이전 세그먼트의 endTime
+   * 오디오가 없거나 길이를 측정하지 못한 세그먼트는 대본의 길이 유지
+   */
+  retimeScript(scriptData, audioFiles) {
+    const audioBySegment = new Map(audioFiles.map(af => [af.segmentId, af]));
+    let cursor = 0;
+    let measuredCount = 0;
+
+    const segments = scriptData.segments.map((segment) => {
+      const audio = audioBySegment.get(segment.id);
+      let duration = this.getScriptedDuration(segment);
+      if (audio && audio.measured) {
+        duration = audio.duration;
+        measuredCount++;
+      }
+      const retimed = {
+        ...segment,
+        startTime: Math.round(cursor * 1000) / 1000,
+        endTime: Math.round((cursor + duration) * 1000) / 1000,
+      };
+      cursor += duration;
+      return retimed;
+    });
+
+    return {
+      ...scriptData,
+      metadata: {
+        ...(scriptData.metadata || {}),
+        totalDuration: Math.round(cursor * 1000) / 1000,
+        timing: measuredCount === segments.length ? 'measured' : (measuredCount > 0 ? 'partial' : 'estimated'),
+        measuredSegments: measuredCount,
+      },
+      segments,
+    };
+  }
+
+  // 대본에 적힌 세그먼트 길이, 시간이 없으면 글자 수로 추정 (ScriptGenerator.estimateDuration 과 같은 기준)
+  getScriptedDuration(segment) {
+    const duration = segment.endTime - segment.startTime;
+    return duration > 0 ? duration : Math.max(2, Math.ceil(segment.text.length * 0.3));
+  }
+
   /**
    * 단일 세그먼트 오디오 생성
+   * options.engines: 시도할 엔진 순서 (기본값은 TTSEngines.resolve()), options.voice: 대본 단위 음성
+   * 세그먼트의 tts.voice 가 있으면 대본 음성보다 우선
    */
-  async generateSegmentAudio(segment, language = 'ko') {
-    const { text, tts } = segment;
+  async generateSegmentAudio(segment, language = 'ko', options = {}) {
+    const { text } = segment;
     
     // 텍스트 검증
     if (!text || typeof text !== 'string' || text.trim().length === 0) {
       throw new Error('세그먼트에 유효한 텍스트가 없습니다.');
     }
     
-    // SSML 생성
-    const ssml = this.buildSSML(text, tts, language);
+    let engines = options.engines;
+    if (!engines) {
+      const engineChoice = TTSEngines.resolve();
+      if (!engineChoice.success) throw new Error(engineChoice.error);
+      engines = engineChoice.engines;
+    }
+    
+    // 수식(LaTeX, 유니코드)은 읽는 문장으로 바꿔 pronunciation 으로 사용 (직접 적은 pronunciation 이 있으면 그대로)
+    const tts = MathSpeech.annotate(segment, language);
     
-    // Google TTS 사용 (SSML 지원)
-    // Google Cloud TTS API 키가 있으면 사용, 없으면 gTTS fallback
-    const useGoogleCloud = process.env.GOOGLE_CLOUD_TTS_API_KEY;
+    // SSML 엔진은 ssml, 그 외 엔진은 낭독 표시를 뺀 평문 (pronunciation 이 있으면 그 문장)
+    const request = {
+      text: SpeechMarkup.toPlainText(text, tts),
+      ssml: this.buildSSML(text, tts, language),
+      prosody: SpeechMarkup.getProsody(tts),
+      segmentId: segment.id,
+      language,
+      tts,
+      voice: tts.voice || options.voice || null,
+      outputDir: this.outputDir,
+    };
     
-    if (useGoogleCloud) {
-      console.log(`[TTSGenerator] Google Cloud TTS 사용 (세그먼트 ID: ${segment.id})`);
+    let lastError = null;
+    for (let i = 0; i < engines.length; i++) {
+      const engine = TTSEngines.get(engines[i]);
+      console.log(`[TTSGenerator] ${engine.name} 사용 (세그먼트 ID: ${segment.id}${engine.ssml ? '' : ', SSML 미지원'})`);
       try {
-        return await this.generateWithGoogleCloudTTS(ssml, segment.id, language);
+        const audioFile = await engine.synthesize(request);
+        return await TTSEngines.postProcess(audioFile, this.getPostEffects(request.prosody, engine.native));
       } catch (error) {
-        console.error(`[TTSGenerator] Google Cloud TTS 실패, gTTS로 fallback:`, error.message);
-        // Google Cloud 실패 시 gTTS로 fallback
-        return await this.generateWithGTTS(text, segment.id, language, tts);
+        lastError = error;
+        if (i < engines.length - 1) {
+          console.error(`[TTSGenerator] ${engine.name} 실패, ${engines[i + 1]}(으)로 fallback:`, error.message);
+        }
       }
-    } else {
-      // gTTS fallback (SSML 없이, 하지만 파라미터는 로그에 기록)
-      console.log(`[TTSGenerator] Google Cloud TTS API 키 없음, gTTS 사용 (세그먼트 ID: ${segment.id}, SSML 파라미터는 적용되지 않음)`);
-      return await this.generateWithGTTS(text, segment.id, language, tts);
     }
+    throw lastError;
   }
 
   /**
-   * SSML 생성
+   * 엔진이 직접 처리하지 못하는 낭독 값 -> 오디오 후처리 값 (engine.native 에 있는 항목은 제외)
    */
-  buildSSML(text, ttsParams, language = 'ko') {
-    const { speed, pitch, volume, tone, emotion } = ttsParams || {};
-    
-    // SSML 속성 설정
-    let prosodyAttrs = [];
-    
-    if (speed) {
-      const speedMap = {
-        'slow': '0.8',
-        'normal': '1.0',
-        'fast': '1.2'
-      };
-      prosodyAttrs.push(`rate="${speedMap[speed] || '1.0'}"`);
-    }
-    
-    if (pitch) {
-      if (pitch.includes('%')) {
-        prosodyAttrs.push(`pitch="${pitch}"`);
-      } else {
-        const pitchMap = {
-          'low': '-10%',
-          'normal': '0%',
-          'high': '+10%'
-        };
-        prosodyAttrs.push(`pitch="${pitchMap[pitch] || '0%'}"`);
-      }
-    }
-    
-    if (volume) {
-      const volumeMap = {
-        'quiet': 'soft',
-        'normal': 'medium',
-        'loud': 'loud'
-      };
-      prosodyAttrs.push(`volume="${volumeMap[volume] || 'medium'}"`);
-    }
-    
-    // SSML 생성
-    let ssml = '<speak>';
-    
-    if (prosodyAttrs.length > 0) {
-      ssml += `<prosody ${prosodyAttrs.join(' ')}>`;
-      ssml += this.escapeXml(text);
-      ssml += '</prosody>';
-    } else {
-      ssml += this.escapeXml(text);
-    }
-    
-    ssml += '</speak>';
-    
-    return ssml;
+  getPostEffects(prosody, native = []) {
+    return {
+      rate: native.includes('rate') ? 1 : prosody.rate,
+      pitch: native.includes('pitch') ? 0 : prosody.pitch,
+      volumeDb: native.includes('volume') ? 0 : prosody.volumeDb,
+      pauseBefore: native.includes('pause') ? 0 : prosody.pauseBefore,
+      pauseAfter: native.includes('pause') ? 0 : prosody.pauseAfter,
+    };
   }
 
   /**
-   * XML 특수 문자 이스케이프
+   * SSML 생성 (docs/STRUCTURED_SCRIPT_GUIDE.md 의 낭독 표시 참고)
    */
-  escapeXml(text) {
-    return text
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&apos;');
+  buildSSML(text, ttsParams, language = 'ko') {
+    return SpeechMarkup.buildSSML(text, ttsParams || {});
   }
 
   /**
    * Google Cloud TTS API 사용 (SSML 지원)
    */
-  async generateWithGoogleCloudTTS(ssml, segmentId, language = 'ko') {
+  async generateWithGoogleCloudTTS(ssml, segmentId, language = 'ko', voice = null) {
     const apiKey = process.env.GOOGLE_CLOUD_TTS_API_KEY;
     if (!apiKey) {
       throw new Error('GOOGLE_CLOUD_TTS_API_KEY not set');
     }
     
-    // 언어 코드 매핑
-    const languageCode = language === 'ko' ? 'ko-KR' : language;
-    const voiceName = language === 'ko' ? 'ko-KR-Standard-A' : 'en-US-Standard-B';
+    // 언어 코드 매핑 (음성을 지정하면 음성 이름의 언어 코드 사용, 예: en-US-Wavenet-D -> en-US)
+    const voiceName = voice || process.env.GOOGLE_TTS_VOICE || (language === 'ko' ? 'ko-KR-Standard-A' : 'en-US-Standard-B');
+    const voiceLanguage = voiceName.match(/^[a-z]{2,3}-[A-Z]{2}/);
+    const languageCode = voiceLanguage ? voiceLanguage[0] : (language === 'ko' ? 'ko-KR' : language);
     
     const requestBody = {
       input: { ssml: ssml },
@@ -3,6 +3,13 @@ const LocalAIApi = require('../ai/LocalAIApi');
 const PromptManager = require('../ai/PromptManager');
 const AIVideoGenerator = require('./ai-video-generator');
 const TTSGenerator = require('./tts-generator');
+const MediaProbe = require('./media-probe');
+const JobQueue = require('./job-queue');
+const ScriptSchema = require('./script-schema');
+const FormulaRenderer = require('./formula-renderer');
+const SpeechMarkup = require('./speech-markup');
+const AudioMixer = require('./audio-mixer');
+const SceneComposer = require('./scene-composer');
 const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
@@ -22,6 +29,19 @@ class VideoComposer {
     });
   }
 
+  /**
+   * FFmpeg stderr 진행 출력을 작업 진행률로 보고 (options.jobId 가 있을 때만)
+   */
+  reportFFmpegProgress(text, totalDuration, options, message) {
+    const seconds = MediaProbe.parseFFmpegTime(text);
+    if (seconds === null || !(totalDuration > 0)) return;
+    JobQueue.reportProgress(options.jobId, {
+      status: 'encoding',
+      message: `${message} (${seconds.toFixed(1)}s / ${totalDuration.toFixed(1)}s)`,
+      progress: Math.min(99, Math.round((seconds / totalDuration) * 100)),
+    });
+  }
+
   async generateVideoPlan(conversationHistory, resources = {}) {
     try {
       const generationPrompt = PromptManager.getGenerationPrompt('video');
@@ -44,7 +64,7 @@ class VideoComposer {
 
       const resp = await LocalAIApi.createResponse({
         input: messages,
-        model: require('../ai/config').default_model,
+        tool: 'video',
       });
 
       if (resp && resp.success) {
@@ -69,13 +89,32 @@ class VideoComposer {
   }
 
   async composeVideo(scriptPath, simulationVideoPath, options = {}) {
+    // 지정된 내레이션 오디오(audioId)에 믹스 설정(배경 음악/더킹/라우드니스)이 있으면 먼저 믹스
+    if (options.audioMix && options.audioFile) {
+      try {
+        options = { ...options, audioFile: await this.mixNarrationFile(options.audioFile, options) };
+      } catch (error) {
+        console.error('[VideoComposer] 오디오 믹스 오류:', error.message);
+        return { success: false, error: error.message };
+      }
+    }
+
     // 구조화된 대본(JSON)인지 확인
     const isStructuredScript = scriptPath.endsWith('.json') && fs.existsSync(scriptPath);
     
     if (isStructuredScript) {
       try {
         const scriptData = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
-        if (scriptData.segments && Array.isArray(scriptData.segments)) {
+        if (scriptData && scriptData.segments !== undefined) {
+          const validation = ScriptSchema.validate(scriptData);
+          if (!validation.valid) {
+            console.error('[VideoComposer] 대본 검증 실패:', ScriptSchema.formatErrors(validation.errors));
+            return {
+              success: false,
+              error: `Invalid structured script: ${ScriptSchema.formatErrors(validation.errors)}`,
+              validationErrors: validation.errors,
+            };
+          }
           console.log('[VideoComposer] 구조화된 대본 감지, TTS Generator 사용');
           return await this.composeVideoWithStructuredScript(scriptData, simulationVideoPath, options);
         }
@@ -102,19 +141,39 @@ class VideoComposer {
     console.log('[VideoComposer] 구조화된 대본으로 비디오 생성 시작...');
     
     try {
+      // 세그먼트별 화면(visual)이 있으면 장면 단위로 합성
+      if (SceneComposer.hasVisuals(scriptData)) {
+        return await this.composeScenes(scriptData, simulationVideoPath, options);
+      }
+
+      // 내레이션 오디오가 지정된 경우(audioId) TTS 생략
+      if (options.audioFile) {
+        console.log('[VideoComposer] 지정된 내레이션 오디오 사용:', options.audioFile);
+        const tempJsonPath = path.join(this.tempDir, `script_${Date.now()}.json`);
+        fs.writeFileSync(tempJsonPath, JSON.stringify(scriptData, null, 2));
+        return await this.composeVideoWithMoviePy(tempJsonPath, simulationVideoPath, {
+          ...options,
+          structuredScript: true
+        });
+      }
+
       // 1. TTS로 각 세그먼트 오디오 생성
       console.log('[VideoComposer] TTS 오디오 생성 중...');
-      const audioFiles = await TTSGenerator.generateFromStructuredScript(scriptData);
+      const audioFiles = await TTSGenerator.generateFromStructuredScript(scriptData, { jobId: options.jobId });
       
       if (audioFiles.length === 0) {
         throw new Error('No audio files generated');
       }
       
+      // 측정한 오디오 길이로 세그먼트 시간 재계산 (자막/화면 전환이 내레이션과 맞도록)
+      scriptData = TTSGenerator.retimeScript(scriptData, audioFiles);
+      
       // 2. Python 스크립트로 비디오 합성 (구조화된 대본 지원)
       const pythonScriptPath = path.join(__dirname, 'video_composer_structured.py');
       
       // 구조화된 대본용 Python 스크립트가 없으면 기본 스크립트 사용
-      const useStructuredScript = fs.existsSync(pythonScriptPath);
+      // 믹스 설정이 있으면 세그먼트 오디오를 하나의 트랙으로 믹스해야 하므로 기본 스크립트 사용
+      const useStructuredScript = fs.existsSync(pythonScriptPath) && !options.audioMix;
       
       if (useStructuredScript) {
         return await this.composeVideoWithStructuredPython(scriptData, audioFiles, simulationVideoPath, options);
@@ -124,7 +183,7 @@ class VideoComposer {
         fs.writeFileSync(tempJsonPath, JSON.stringify(scriptData, null, 2));
         
         // 오디오 파일들을 하나로 합치기
-        const combinedAudioPath = await this.combineAudioFiles(audioFiles);
+        const combinedAudioPath = await this.combineAudioFiles(audioFiles, options);
         
         return await this.composeVideoWithMoviePy(tempJsonPath, simulationVideoPath, {
           ...options,
@@ -141,10 +200,63 @@ class VideoComposer {
     }
   }
   
+  /**
+   * 세그먼트별 화면을 내레이션 구간에 맞춰 이어 붙이기 (SceneComposer)
+   * 내레이션이 지정되지 않았으면 TTS 로 만들고, 측정한 길이로 장면 구간을 다시 계산
+   * visual 이 없는 세그먼트는 시뮬레이션 비디오를 사용
+   */
+  async composeScenes(scriptData, simulationVideoPath, options = {}) {
+    let audioPath = options.audioFile || null;
+    if (!audioPath) {
+      console.log('[VideoComposer] TTS 오디오 생성 중...');
+      const audioFiles = await TTSGenerator.generateFromStructuredScript(scriptData, { jobId: options.jobId });
+      if (audioFiles.length === 0) {
+        throw new Error('No audio files generated');
+      }
+      scriptData = TTSGenerator.retimeScript(scriptData, audioFiles);
+      audioPath = await this.combineAudioFiles(audioFiles, options);
+    }
+
+    JobQueue.reportProgress(options.jobId, {
+      status: 'composing',
+      message: 'Composing scenes...',
+      progress: 0,
+    });
+    const result = await SceneComposer.compose(scriptData, {
+      audioPath,
+      defaultVideoPath: simulationVideoPath,
+      userId: options.userId,
+      guestId: options.guestId,
+      onProgress: (text, totalDuration) => this.reportFFmpegProgress(text, totalDuration, options, 'Composing scenes'),
+    });
+    if (result.warnings && result.warnings.length > 0) {
+      console.warn('[VideoComposer] 장면 경고:', result.warnings.join('; '));
+    }
+    return result;
+  }
+
   /**
    * 오디오 파일들을 하나로 합치기
+   * options.audioMix 가 있으면 AudioMixer 로 세그먼트 페이드, 배경 음악 더킹, 라우드니스 정규화까지 적용
+   * (세그먼트 길이를 모두 알아야 배치할 수 있으므로, 모르는 파일이 있으면 기존 concat 사용)
    */
-  async combineAudioFiles(audioFiles) {
+  async combineAudioFiles(audioFiles, options = {}) {
+    // concat 결과 길이 = 각 세그먼트 길이의 합 (진행률 계산용)
+    const totalDuration = audioFiles.reduce((sum, af) => sum + (af.duration > 0 ? af.duration : 0), 0);
+
+    if (options.audioMix) {
+      if (audioFiles.every(af => af.duration > 0)) {
+        let cursor = 0;
+        const narration = audioFiles.map((af) => {
+          const clip = { path: af.audioFile, startTime: cursor, duration: af.duration };
+          cursor += af.duration;
+          return clip;
+        });
+        return this.mixAudio(narration, totalDuration, options);
+      }
+      console.warn('[VideoComposer] 길이를 알 수 없는 오디오가 있어 믹스 설정 없이 합칩니다');
+    }
+
     return new Promise((resolve, reject) => {
       const { spawn } = require('child_process');
       const ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
@@ -170,6 +282,7 @@ class VideoComposer {
       
       ffmpegProcess.stderr.on('data', (data) => {
         stderr += data.toString();
+        this.reportFFmpegProgress(data.toString(), totalDuration, options, 'Combining narration audio');
       });
       
       ffmpegProcess.on('close', (code) => {
@@ -190,6 +303,38 @@ class VideoComposer {
     });
   }
   
+  /**
+   * 내레이션 파일 하나에 믹스 설정 적용 (길이를 알 수 없으면 원본 그대로 사용)
+   */
+  async mixNarrationFile(audioFile, options = {}) {
+    const duration = fs.existsSync(audioFile) ? await MediaProbe.getDuration(audioFile) : null;
+    if (!duration) {
+      console.warn('[VideoComposer] 내레이션 길이를 알 수 없어 믹스 설정을 건너뜁니다:', audioFile);
+      return audioFile;
+    }
+    return this.mixAudio([{ path: audioFile, startTime: 0, duration }], duration, options);
+  }
+
+  /**
+   * AudioMixer 로 내레이션 + 배경 음악 믹스 (배경 음악 URL 은 에셋 라이브러리(outputs/assets/music) 경로만 허용)
+   */
+  mixAudio(narration, duration, options) {
+    const mix = AudioMixer.normalize(options.audioMix);
+    const musicPath = mix.music ? AudioMixer.resolveMusicPath(mix.music.url) : null;
+    if (mix.music && !musicPath) {
+      console.warn('[VideoComposer] 배경 음악 파일을 찾을 수 없습니다:', mix.music.url);
+    }
+
+    return AudioMixer.mixToFile({
+      narration,
+      musicPath,
+      mix,
+      duration,
+      outputPath: path.join(this.tempDir, `mixed_audio_${Date.now()}.mp3`),
+      onProgress: text => this.reportFFmpegProgress(text, duration, options, 'Mixing narration audio'),
+    });
+  }
+
   /**
    * 구조화된 대본용 Python 스크립트 사용
    */
@@ -235,6 +380,7 @@ class VideoComposer {
       
       pythonProcess.stderr.on('data', (data) => {
         stderr += data.toString();
+        JobQueue.appendLog(options.jobId, data.toString());
       });
       
       pythonProcess.on('close', (code) => {
@@ -294,6 +440,7 @@ class VideoComposer {
         subtitle_position: options.subtitle_position || 'bottom',
         fontsize: options.fontsize || 40,
         subtitle_color: options.subtitle_color || 'white',
+        audio_file: options.audioFile || null,
       });
 
       const pythonArgs = [
@@ -326,6 +473,16 @@ class VideoComposer {
         // 진행 상황 출력 (있는 경우)
         if (text.includes('t:') || text.includes('chunk')) {
           process.stdout.write(text);
+
+          // MoviePy 진행 표시줄 (예: "t:  45%|████") 에서 진행률 추출
+          const percentMatch = text.match(/t:\s*(\d+)%/);
+          if (percentMatch) {
+            JobQueue.reportProgress(options.jobId, {
+              status: 'encoding',
+              message: 'Rendering video with MoviePy...',
+              progress: Math.min(99, Number(percentMatch[1])),
+            });
+          }
         }
       });
 
@@ -401,6 +558,8 @@ class VideoComposer {
 
   async composeVideoWithFFmpeg(scriptPath, simulationVideoPath, options = {}) {
     // 기존 FFmpeg 방식 (fallback)
+    const totalDuration = await MediaProbe.getDuration(simulationVideoPath);
+
     return new Promise((resolve) => {
       const ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
       const timestamp = Date.now();
@@ -425,14 +584,56 @@ class VideoComposer {
       // Read script for narration (for now, we'll just combine videos)
       const script = fs.readFileSync(scriptPath, 'utf8');
 
+      // 내레이션 오디오가 지정되면(audioId) 시뮬레이션 비디오의 오디오 대신 사용
+      const hasNarration = !!(options.audioFile && fs.existsSync(options.audioFile));
+
       // Simple video composition: combine simulation video with text overlay
+      // 수식이 있으면 drawtext 대신 렌더링한 수식 이미지를 오버레이
+      const caption = `${script.substring(0, 50)}...`;
+      // 이미지 입력이 비디오보다 길면 출력이 늘어나므로 길이를 알 때만 사용하고 -t 로 제한
+      const captionImage = totalDuration && FormulaRenderer.hasMath(caption) ? FormulaRenderer.renderToPng(caption, { fontSize: 24, box: false }) : null;
+      const overlays = totalDuration ? this.buildFormulaOverlays(scriptPath) : [];
+      if (captionImage && captionImage.success) {
+        overlays.unshift({ path: captionImage.path, startTime: 0, endTime: totalDuration, x: '(W-w)/2', y: 'H-h-40' });
+      }
+
+      let videoArgs;
+      if (overlays.length === 0) {
+        videoArgs = [
+          ...(hasNarration ? ['-i', options.audioFile, '-map', '0:v:0', '-map', '1:a:0', '-shortest'] : []),
+          '-vf', `drawtext=text='${caption.replace(/'/g, "\\'")}':fontsize=24:fontcolor=white:x=(w-text_w)/2:y=h-th-40`,
+        ];
+      } else {
+        // 수식 이미지 입력은 내레이션 뒤에 추가, 각 세그먼트 시간에만 표시
+        const firstImage = hasNarration ? 2 : 1;
+        const filters = [];
+        let videoLabel = '0:v';
+        if (!(captionImage && captionImage.success)) {
+          filters.push(`[0:v]drawtext=text='${caption.replace(/'/g, "\\'")}':fontsize=24:fontcolor=white:x=(w-text_w)/2:y=h-th-40[vcap]`);
+          videoLabel = 'vcap';
+        }
+        overlays.forEach((overlay, i) => {
+          filters.push(`[${firstImage + i}:v]format=yuva420p,setpts=PTS+${overlay.startTime}/TB[fx${i}]`);
+          filters.push(`[${videoLabel}][fx${i}]overlay=x=${overlay.x}:y=${overlay.y}:eof_action=pass:enable='between(t,${overlay.startTime},${overlay.endTime})'[vf${i}]`);
+          videoLabel = `vf${i}`;
+        });
+        videoArgs = [
+          ...(hasNarration ? ['-i', options.audioFile] : []),
+          ...overlays.flatMap(overlay => ['-loop', '1', '-t', String(overlay.endTime - overlay.startTime), '-i', overlay.path]),
+          '-filter_complex', filters.join(';'),
+          '-map', `[${videoLabel}]`,
+          ...(hasNarration ? ['-map', '1:a:0', '-shortest'] : ['-map', '0:a?']),
+          '-t', String(totalDuration),
+        ];
+      }
+
       const ffmpegArgs = [
         '-i', simulationVideoPath,
-        '-vf', `drawtext=text='${script.substring(0, 50).replace(/'/g, "\\'")}...':fontsize=24:fontcolor=white:x=(w-text_w)/2:y=h-th-40`,
+        ...videoArgs,
         '-c:v', 'libx264',
         '-preset', 'medium',
         '-crf', '23',
-        '-c:a', 'copy',
+        '-c:a', hasNarration ? 'aac' : 'copy',
         '-y', // Overwrite output file
         outputPath,
       ];
@@ -443,6 +644,7 @@ class VideoComposer {
 
       ffmpegProcess.stderr.on('data', (data) => {
         stderr += data.toString();
+        this.reportFFmpegProgress(data.toString(), totalDuration, options, 'Composing video');
       });
 
       ffmpegProcess.on('close', (code) => {
@@ -473,8 +675,43 @@ class VideoComposer {
     });
   }
 
+  /**
+   * 같은 이름의 구조화된 대본(.json)이 있으면 수식이 있는 세그먼트를 이미지로 렌더링
+   * 반환: [{ path, startTime, endTime, x, y }] (자막 위치, 위 캡션과 겹치지 않도록 조금 위)
+   */
+  buildFormulaOverlays(scriptPath) {
+    const jsonPath = scriptPath.replace(/\.txt$/, '.json');
+    if (jsonPath === scriptPath || !fs.existsSync(jsonPath)) {
+      return [];
+    }
+
+    let scriptData;
+    try {
+      scriptData = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+    } catch (error) {
+      return [];
+    }
+
+    const overlays = [];
+    for (const segment of (scriptData && scriptData.segments) || []) {
+      if (!segment || !FormulaRenderer.hasMath(segment.text) || !(segment.endTime > segment.startTime)) continue;
+      const rendered = FormulaRenderer.renderToPng(SpeechMarkup.stripMarkup(segment.text), { fontSize: 32 });
+      if (!rendered.success) {
+        console.warn('[VideoComposer] 수식 렌더링 실패:', rendered.error);
+        continue;
+      }
+      overlays.push({ path: rendered.path, startTime: segment.startTime, endTime: segment.endTime, x: '(W-w)/2', y: 'H-h-90' });
+    }
+    return overlays;
+  }
+
   async createVideoFromResources(scriptPath, simulationVideoPath, conversationHistory, options = {}) {
     // Step 1: Generate plan
+    JobQueue.reportProgress(options.jobId, {
+      status: 'planning',
+      message: 'Planning video composition...',
+      progress: 5,
+    });
     const planResult = await this.generateVideoPlan(conversationHistory, {
       script: scriptPath,
       simulationVideo: simulationVideoPath,
@@ -496,6 +733,8 @@ class VideoComposer {
             model: options.aiModel || 'cerspense/zeroscope_v2_576w',
             frames: options.aiFrames || 24,
             steps: options.aiSteps || 50,
+            jobId: options.jobId,
+            signal: options.signal,
           }
         );
         
@@ -511,6 +750,11 @@ class VideoComposer {
     }
 
     // Step 3: Compose video (with AI video if available)
+    JobQueue.reportProgress(options.jobId, {
+      status: 'composing',
+      message: 'Composing final video...',
+      progress: 0,
+    });
     const composeResult = await this.composeVideo(
       scriptPath, 
       simulationVideoPath,